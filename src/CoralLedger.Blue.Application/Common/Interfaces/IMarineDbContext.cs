@@ -26,6 +26,7 @@ public interface IMarineDbContext
     DbSet<ApiClient> ApiClients { get; }
     DbSet<ApiKey> ApiKeys { get; }
     DbSet<ApiUsageLog> ApiUsageLogs { get; }
+    DbSet<BasemapSource> BasemapSources { get; }
     
     // Multi-tenant
     DbSet<Tenant> Tenants { get; }
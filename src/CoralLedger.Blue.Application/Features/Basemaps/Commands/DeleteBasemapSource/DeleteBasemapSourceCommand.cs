@@ -0,0 +1,43 @@
+using CoralLedger.Blue.Application.Common.Interfaces;
+using MediatR;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+
+namespace CoralLedger.Blue.Application.Features.Basemaps.Commands.DeleteBasemapSource;
+
+/// <summary>
+/// Remove a shared basemap source; returns false when no source has the key
+/// </summary>
+public record DeleteBasemapSourceCommand(string Key) : IRequest<bool>;
+
+public class DeleteBasemapSourceCommandHandler : IRequestHandler<DeleteBasemapSourceCommand, bool>
+{
+    private readonly IMarineDbContext _context;
+    private readonly ILogger<DeleteBasemapSourceCommandHandler> _logger;
+
+    public DeleteBasemapSourceCommandHandler(
+        IMarineDbContext context,
+        ILogger<DeleteBasemapSourceCommandHandler> logger)
+    {
+        _context = context;
+        _logger = logger;
+    }
+
+    public async Task<bool> Handle(
+        DeleteBasemapSourceCommand request,
+        CancellationToken cancellationToken)
+    {
+        var source = await _context.BasemapSources
+            .FirstOrDefaultAsync(s => s.Key == request.Key, cancellationToken)
+            .ConfigureAwait(false);
+
+        if (source == null)
+            return false;
+
+        _context.BasemapSources.Remove(source);
+        await _context.SaveChangesAsync(cancellationToken).ConfigureAwait(false);
+
+        _logger.LogInformation("Deleted basemap source {Key}", source.Key);
+        return true;
+    }
+}
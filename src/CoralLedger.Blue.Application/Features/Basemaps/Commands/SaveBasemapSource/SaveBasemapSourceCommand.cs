@@ -0,0 +1,177 @@
+using System.Text.RegularExpressions;
+using CoralLedger.Blue.Application.Common.Interfaces;
+using CoralLedger.Blue.Application.Features.Basemaps.DTOs;
+using CoralLedger.Blue.Domain.Entities;
+using MediatR;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+
+namespace CoralLedger.Blue.Application.Features.Basemaps.Commands.SaveBasemapSource;
+
+/// <summary>
+/// Add a shared basemap source, or replace the one already saved under the key
+/// </summary>
+public record SaveBasemapSourceCommand(
+    string Key,
+    string Name,
+    string Url,
+    string? Type = null,
+    string? Attribution = null,
+    int? MinZoom = null,
+    int? MaxZoom = null,
+    string? Subdomains = null,
+    string? Layers = null,
+    string? Styles = null,
+    string? Format = null,
+    bool? Transparent = null,
+    string? Version = null,
+    string? TileMatrixSet = null
+) : IRequest<SaveBasemapSourceResult>;
+
+/// <summary>
+/// Error is set, and nothing saved, when the source fails validation
+/// </summary>
+public record SaveBasemapSourceResult(
+    bool Success,
+    bool Created = false,
+    BasemapSourceDto? Source = null,
+    string? Error = null);
+
+public class SaveBasemapSourceCommandHandler : IRequestHandler<SaveBasemapSourceCommand, SaveBasemapSourceResult>
+{
+    private static readonly string[] SourceTypes = { "xyz", "wms", "wmts" };
+
+    // IDs of the sources built into basemap-registry.js
+    private static readonly string[] BuiltInKeys = { "dark", "light", "satellite" };
+
+    private static readonly Regex KeyPattern = new("^[a-z0-9][a-z0-9_-]*$", RegexOptions.IgnoreCase);
+
+    private readonly IMarineDbContext _context;
+    private readonly ILogger<SaveBasemapSourceCommandHandler> _logger;
+
+    public SaveBasemapSourceCommandHandler(
+        IMarineDbContext context,
+        ILogger<SaveBasemapSourceCommandHandler> logger)
+    {
+        _context = context;
+        _logger = logger;
+    }
+
+    public async Task<SaveBasemapSourceResult> Handle(
+        SaveBasemapSourceCommand request,
+        CancellationToken cancellationToken)
+    {
+        var error = Validate(request);
+        if (error != null)
+        {
+            return new SaveBasemapSourceResult(false, Error: error);
+        }
+
+        var source = await _context.BasemapSources
+            .FirstOrDefaultAsync(s => s.Key == request.Key, cancellationToken)
+            .ConfigureAwait(false);
+        var created = source == null;
+
+        var type = (request.Type ?? "xyz").ToLowerInvariant();
+        if (source == null)
+        {
+            source = BasemapSource.Create(
+                request.Key, request.Name, request.Url, type, request.Attribution,
+                request.MinZoom ?? 0, request.MaxZoom ?? 19, request.Subdomains,
+                request.Layers, request.Styles, request.Format, request.Transparent ?? false,
+                request.Version, request.TileMatrixSet);
+            _context.BasemapSources.Add(source);
+        }
+        else
+        {
+            source.Update(
+                request.Name, request.Url, type, request.Attribution,
+                request.MinZoom ?? 0, request.MaxZoom ?? 19, request.Subdomains,
+                request.Layers, request.Styles, request.Format, request.Transparent ?? false,
+                request.Version, request.TileMatrixSet);
+        }
+
+        await _context.SaveChangesAsync(cancellationToken).ConfigureAwait(false);
+
+        _logger.LogInformation("{Action} basemap source {Key}", created ? "Added" : "Updated", source.Key);
+
+        return new SaveBasemapSourceResult(true, created, new BasemapSourceDto
+        {
+            Id = source.Key,
+            Name = source.Name,
+            Type = source.Type,
+            Url = source.Url,
+            Attribution = source.Attribution,
+            MinZoom = source.MinZoom,
+            MaxZoom = source.MaxZoom,
+            Subdomains = source.Subdomains,
+            Layers = source.Layers,
+            Styles = source.Styles,
+            Format = source.Format,
+            Transparent = source.Transparent,
+            Version = source.Version,
+            TileMatrixSet = source.TileMatrixSet
+        });
+    }
+
+    // Same rules basemap-registry.js applies, so a saved source always loads in the browser
+    private static string? Validate(SaveBasemapSourceCommand request)
+    {
+        if (string.IsNullOrEmpty(request.Key) || !KeyPattern.IsMatch(request.Key) || request.Key.Length > 64)
+            return "Basemap key must be letters, digits, \"-\" or \"_\"";
+
+        if (BuiltInKeys.Contains(request.Key, StringComparer.OrdinalIgnoreCase))
+            return $"Basemap {request.Key} is built in and cannot be replaced";
+
+        if (string.IsNullOrWhiteSpace(request.Name))
+            return "Basemap name is required";
+
+        var tooLong = FindTooLongField(request);
+        if (tooLong != null)
+            return $"Basemap {tooLong.Value.Field} must be {tooLong.Value.MaxLength} characters or less";
+
+        if (!Uri.TryCreate(request.Url, UriKind.Absolute, out var uri) ||
+            (uri.Scheme != Uri.UriSchemeHttps && uri.Scheme != Uri.UriSchemeHttp))
+            return "Basemap url must be an absolute http or https URL";
+
+        if (request.Type != null && !SourceTypes.Contains(request.Type, StringComparer.OrdinalIgnoreCase))
+            return $"Basemap type must be one of {string.Join(", ", SourceTypes)}";
+
+        // KVP WMS/WMTS requests name their layer; RESTful WMTS templates already contain it
+        var type = request.Type?.ToLowerInvariant();
+        if ((type == "wms" || (type == "wmts" && !request.Url.Contains('{'))) && string.IsNullOrWhiteSpace(request.Layers))
+            return "WMS and WMTS basemaps need layers";
+
+        var minZoom = request.MinZoom ?? 0;
+        var maxZoom = request.MaxZoom ?? 19;
+        if (minZoom < 0 || maxZoom > 24 || minZoom > maxZoom)
+            return "Basemap zoom range must be within 0-24 with minZoom <= maxZoom";
+
+        return null;
+    }
+
+    // Column limits from BasemapSourceConfiguration; longer values would fail in SaveChangesAsync
+    private static (string Field, int MaxLength)? FindTooLongField(SaveBasemapSourceCommand request)
+    {
+        var fields = new (string Field, string? Value, int MaxLength)[]
+        {
+            ("name", request.Name, 200),
+            ("url", request.Url, 2000),
+            ("attribution", request.Attribution, 1000),
+            ("subdomains", request.Subdomains, 20),
+            ("layers", request.Layers, 500),
+            ("styles", request.Styles, 500),
+            ("format", request.Format, 50),
+            ("version", request.Version, 10),
+            ("tileMatrixSet", request.TileMatrixSet, 100)
+        };
+
+        foreach (var (field, value, maxLength) in fields)
+        {
+            if (value != null && value.Length > maxLength)
+                return (field, maxLength);
+        }
+
+        return null;
+    }
+}
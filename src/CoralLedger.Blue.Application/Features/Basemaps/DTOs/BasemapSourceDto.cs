@@ -0,0 +1,22 @@
+namespace CoralLedger.Blue.Application.Features.Basemaps.DTOs;
+
+/// <summary>
+/// Shared basemap source in the shape basemapRegistry.register() takes; Id is the source key
+/// </summary>
+public record BasemapSourceDto
+{
+    public string Id { get; init; } = string.Empty;
+    public string Name { get; init; } = string.Empty;
+    public string Type { get; init; } = "xyz";
+    public string Url { get; init; } = string.Empty;
+    public string? Attribution { get; init; }
+    public int MinZoom { get; init; }
+    public int MaxZoom { get; init; }
+    public string? Subdomains { get; init; }
+    public string? Layers { get; init; }
+    public string? Styles { get; init; }
+    public string? Format { get; init; }
+    public bool Transparent { get; init; }
+    public string? Version { get; init; }
+    public string? TileMatrixSet { get; init; }
+}
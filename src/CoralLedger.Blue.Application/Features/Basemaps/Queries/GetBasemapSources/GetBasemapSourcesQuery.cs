@@ -0,0 +1,45 @@
+using CoralLedger.Blue.Application.Common.Interfaces;
+using CoralLedger.Blue.Application.Features.Basemaps.DTOs;
+using MediatR;
+using Microsoft.EntityFrameworkCore;
+
+namespace CoralLedger.Blue.Application.Features.Basemaps.Queries.GetBasemapSources;
+
+public record GetBasemapSourcesQuery : IRequest<IReadOnlyList<BasemapSourceDto>>;
+
+public class GetBasemapSourcesQueryHandler : IRequestHandler<GetBasemapSourcesQuery, IReadOnlyList<BasemapSourceDto>>
+{
+    private readonly IMarineDbContext _context;
+
+    public GetBasemapSourcesQueryHandler(IMarineDbContext context)
+    {
+        _context = context;
+    }
+
+    public async Task<IReadOnlyList<BasemapSourceDto>> Handle(
+        GetBasemapSourcesQuery request,
+        CancellationToken cancellationToken)
+    {
+        return await _context.BasemapSources
+            .AsNoTracking()
+            .OrderBy(s => s.Name)
+            .Select(s => new BasemapSourceDto
+            {
+                Id = s.Key,
+                Name = s.Name,
+                Type = s.Type,
+                Url = s.Url,
+                Attribution = s.Attribution,
+                MinZoom = s.MinZoom,
+                MaxZoom = s.MaxZoom,
+                Subdomains = s.Subdomains,
+                Layers = s.Layers,
+                Styles = s.Styles,
+                Format = s.Format,
+                Transparent = s.Transparent,
+                Version = s.Version,
+                TileMatrixSet = s.TileMatrixSet
+            })
+            .ToListAsync(cancellationToken).ConfigureAwait(false);
+    }
+}
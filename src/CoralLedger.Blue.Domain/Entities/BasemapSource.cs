@@ -0,0 +1,132 @@
+using CoralLedger.Blue.Domain.Common;
+
+namespace CoralLedger.Blue.Domain.Entities;
+
+/// <summary>
+/// Map tile source registered by an administrator and offered to every user's basemap switcher
+/// </summary>
+public class BasemapSource : BaseEntity, IAuditableEntity
+{
+    /// <summary>
+    /// Source ID used by the map theme switcher and as the offline tile cache theme (e.g. "nautical")
+    /// </summary>
+    public string Key { get; private set; } = string.Empty;
+
+    public string Name { get; private set; } = string.Empty;
+
+    /// <summary>
+    /// Tile protocol: xyz, wms or wmts
+    /// </summary>
+    public string Type { get; private set; } = "xyz";
+
+    /// <summary>
+    /// XYZ URL template, or the WMS/WMTS service endpoint
+    /// </summary>
+    public string Url { get; private set; } = string.Empty;
+
+    public string? Attribution { get; private set; }
+    public int MinZoom { get; private set; }
+    public int MaxZoom { get; private set; } = 19;
+
+    /// <summary>
+    /// Subdomain letters substituted for {s} (e.g. "abc")
+    /// </summary>
+    public string? Subdomains { get; private set; }
+
+    // WMS/WMTS parameters
+    public string? Layers { get; private set; }
+    public string? Styles { get; private set; }
+    public string? Format { get; private set; }
+    public bool Transparent { get; private set; }
+    public string? Version { get; private set; }
+    public string? TileMatrixSet { get; private set; }
+
+    // Audit fields
+    public DateTime CreatedAt { get; set; }
+    public string? CreatedBy { get; set; }
+    public DateTime? ModifiedAt { get; set; }
+    public string? ModifiedBy { get; set; }
+
+    private BasemapSource() { }
+
+    public static BasemapSource Create(
+        string key,
+        string name,
+        string url,
+        string type = "xyz",
+        string? attribution = null,
+        int minZoom = 0,
+        int maxZoom = 19,
+        string? subdomains = null,
+        string? layers = null,
+        string? styles = null,
+        string? format = null,
+        bool transparent = false,
+        string? version = null,
+        string? tileMatrixSet = null)
+    {
+        var source = new BasemapSource
+        {
+            Id = Guid.NewGuid(),
+            Key = key,
+            CreatedAt = DateTime.UtcNow
+        };
+        source.Apply(name, url, type, attribution, minZoom, maxZoom, subdomains,
+            layers, styles, format, transparent, version, tileMatrixSet);
+
+        return source;
+    }
+
+    /// <summary>
+    /// Replace the source's settings; the key stays, since offline tiles are cached under it
+    /// </summary>
+    public void Update(
+        string name,
+        string url,
+        string type = "xyz",
+        string? attribution = null,
+        int minZoom = 0,
+        int maxZoom = 19,
+        string? subdomains = null,
+        string? layers = null,
+        string? styles = null,
+        string? format = null,
+        bool transparent = false,
+        string? version = null,
+        string? tileMatrixSet = null)
+    {
+        Apply(name, url, type, attribution, minZoom, maxZoom, subdomains,
+            layers, styles, format, transparent, version, tileMatrixSet);
+        ModifiedAt = DateTime.UtcNow;
+    }
+
+    private void Apply(
+        string name,
+        string url,
+        string type,
+        string? attribution,
+        int minZoom,
+        int maxZoom,
+        string? subdomains,
+        string? layers,
+        string? styles,
+        string? format,
+        bool transparent,
+        string? version,
+        string? tileMatrixSet)
+    {
+        Name = name;
+        Url = url;
+        Type = type.ToLowerInvariant();
+        Attribution = attribution;
+        MinZoom = minZoom;
+        MaxZoom = maxZoom;
+        Subdomains = subdomains;
+        Layers = layers;
+        Styles = styles;
+        Format = format;
+        Transparent = transparent;
+        Version = version;
+        TileMatrixSet = tileMatrixSet;
+    }
+}
@@ -0,0 +1,62 @@
+using CoralLedger.Blue.Domain.Entities;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.EntityFrameworkCore.Metadata.Builders;
+
+namespace CoralLedger.Blue.Infrastructure.Data.Configurations;
+
+public class BasemapSourceConfiguration : IEntityTypeConfiguration<BasemapSource>
+{
+    public void Configure(EntityTypeBuilder<BasemapSource> builder)
+    {
+        builder.ToTable("basemap_sources");
+
+        builder.HasKey(e => e.Id);
+
+        builder.Property(e => e.Key)
+            .IsRequired()
+            .HasMaxLength(64);
+
+        builder.Property(e => e.Name)
+            .IsRequired()
+            .HasMaxLength(200);
+
+        builder.Property(e => e.Type)
+            .IsRequired()
+            .HasMaxLength(10);
+
+        builder.Property(e => e.Url)
+            .IsRequired()
+            .HasMaxLength(2000);
+
+        builder.Property(e => e.Attribution)
+            .HasMaxLength(1000);
+
+        builder.Property(e => e.Subdomains)
+            .HasMaxLength(20);
+
+        builder.Property(e => e.Layers)
+            .HasMaxLength(500);
+
+        builder.Property(e => e.Styles)
+            .HasMaxLength(500);
+
+        builder.Property(e => e.Format)
+            .HasMaxLength(50);
+
+        builder.Property(e => e.Version)
+            .HasMaxLength(10);
+
+        builder.Property(e => e.TileMatrixSet)
+            .HasMaxLength(100);
+
+        builder.Property(e => e.CreatedBy)
+            .HasMaxLength(100);
+
+        builder.Property(e => e.ModifiedBy)
+            .HasMaxLength(100);
+
+        // Indexes
+        builder.HasIndex(e => e.Key)
+            .IsUnique();
+    }
+}
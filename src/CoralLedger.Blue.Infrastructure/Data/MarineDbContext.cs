@@ -30,6 +30,7 @@ public class MarineDbContext : DbContext, IMarineDbContext
     public DbSet<ApiClient> ApiClients => Set<ApiClient>();
     public DbSet<ApiKey> ApiKeys => Set<ApiKey>();
     public DbSet<ApiUsageLog> ApiUsageLogs => Set<ApiUsageLog>();
+    public DbSet<BasemapSource> BasemapSources => Set<BasemapSource>();
     
     // Multi-tenant
     public DbSet<Tenant> Tenants => Set<Tenant>();
@@ -0,0 +1,57 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace CoralLedger.Blue.Infrastructure.Data.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddBasemapSources : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.CreateTable(
+                name: "basemap_sources",
+                columns: table => new
+                {
+                    Id = table.Column<Guid>(type: "uuid", nullable: false),
+                    Key = table.Column<string>(type: "character varying(64)", maxLength: 64, nullable: false),
+                    Name = table.Column<string>(type: "character varying(200)", maxLength: 200, nullable: false),
+                    Type = table.Column<string>(type: "character varying(10)", maxLength: 10, nullable: false),
+                    Url = table.Column<string>(type: "character varying(2000)", maxLength: 2000, nullable: false),
+                    Attribution = table.Column<string>(type: "character varying(1000)", maxLength: 1000, nullable: true),
+                    MinZoom = table.Column<int>(type: "integer", nullable: false),
+                    MaxZoom = table.Column<int>(type: "integer", nullable: false),
+                    Subdomains = table.Column<string>(type: "character varying(20)", maxLength: 20, nullable: true),
+                    Layers = table.Column<string>(type: "character varying(500)", maxLength: 500, nullable: true),
+                    Styles = table.Column<string>(type: "character varying(500)", maxLength: 500, nullable: true),
+                    Format = table.Column<string>(type: "character varying(50)", maxLength: 50, nullable: true),
+                    Transparent = table.Column<bool>(type: "boolean", nullable: false),
+                    Version = table.Column<string>(type: "character varying(10)", maxLength: 10, nullable: true),
+                    TileMatrixSet = table.Column<string>(type: "character varying(100)", maxLength: 100, nullable: true),
+                    CreatedAt = table.Column<DateTime>(type: "timestamp with time zone", nullable: false),
+                    CreatedBy = table.Column<string>(type: "character varying(100)", maxLength: 100, nullable: true),
+                    ModifiedAt = table.Column<DateTime>(type: "timestamp with time zone", nullable: true),
+                    ModifiedBy = table.Column<string>(type: "character varying(100)", maxLength: 100, nullable: true)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_basemap_sources", x => x.Id);
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_basemap_sources_Key",
+                table: "basemap_sources",
+                column: "Key",
+                unique: true);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropTable(
+                name: "basemap_sources");
+        }
+    }
+}
@@ -0,0 +1,88 @@
+using CoralLedger.Blue.Application.Features.Basemaps.Commands.DeleteBasemapSource;
+using CoralLedger.Blue.Application.Features.Basemaps.Commands.SaveBasemapSource;
+using CoralLedger.Blue.Application.Features.Basemaps.DTOs;
+using CoralLedger.Blue.Application.Features.Basemaps.Queries.GetBasemapSources;
+using MediatR;
+
+namespace CoralLedger.Blue.Web.Endpoints;
+
+/// <summary>
+/// Shared basemap sources: every user's map loads them, admins add and remove them
+/// </summary>
+public static class BasemapEndpoints
+{
+    public static IEndpointRouteBuilder MapBasemapEndpoints(this IEndpointRouteBuilder endpoints)
+    {
+        var group = endpoints.MapGroup("/api/basemaps")
+            .WithTags("Basemaps");
+
+        // GET /api/basemaps - Sources registered by admins, in the shape basemapRegistry.register() takes
+        group.MapGet("/", async (
+            IMediator mediator,
+            CancellationToken ct = default) =>
+        {
+            var sources = await mediator.Send(new GetBasemapSourcesQuery(), ct).ConfigureAwait(false);
+            return Results.Ok(sources);
+        })
+        .WithName("GetBasemapSources")
+        .Produces<IReadOnlyList<BasemapSourceDto>>();
+
+        // PUT /api/basemaps/{key} - Add or replace a shared source
+        group.MapPut("/{key}", async (
+            string key,
+            SaveBasemapSourceRequest request,
+            IMediator mediator,
+            CancellationToken ct = default) =>
+        {
+            var result = await mediator.Send(new SaveBasemapSourceCommand(
+                key, request.Name, request.Url, request.Type, request.Attribution,
+                request.MinZoom, request.MaxZoom, request.Subdomains,
+                request.Layers, request.Styles, request.Format, request.Transparent,
+                request.Version, request.TileMatrixSet), ct).ConfigureAwait(false);
+
+            if (!result.Success)
+                return Results.BadRequest(result.Error);
+
+            var source = new { result.Source!.Id, result.Source.Name };
+            return result.Created
+                ? Results.Created($"/api/basemaps/{key}", source)
+                : Results.Ok(source);
+        })
+        .RequireAuthorization(policy => policy.RequireRole("Admin"))
+        .WithName("SaveBasemapSource")
+        .Produces<object>()
+        .Produces<object>(StatusCodes.Status201Created)
+        .Produces(StatusCodes.Status400BadRequest);
+
+        // DELETE /api/basemaps/{key} - Remove a shared source
+        group.MapDelete("/{key}", async (
+            string key,
+            IMediator mediator,
+            CancellationToken ct = default) =>
+        {
+            var deleted = await mediator.Send(new DeleteBasemapSourceCommand(key), ct).ConfigureAwait(false);
+            return deleted ? Results.NoContent() : Results.NotFound();
+        })
+        .RequireAuthorization(policy => policy.RequireRole("Admin"))
+        .WithName("DeleteBasemapSource")
+        .Produces(StatusCodes.Status204NoContent)
+        .Produces(StatusCodes.Status404NotFound);
+
+        return endpoints;
+    }
+}
+
+public record SaveBasemapSourceRequest(
+    string Name,
+    string Url,
+    string? Type = null,
+    string? Attribution = null,
+    int? MinZoom = null,
+    int? MaxZoom = null,
+    string? Subdomains = null,
+    string? Layers = null,
+    string? Styles = null,
+    string? Format = null,
+    bool? Transparent = null,
+    string? Version = null,
+    string? TileMatrixSet = null);
@@ -66,10 +66,12 @@ public static class BleachingEndpoints
         .WithDescription("Get coral bleaching heat stress data for a geographic region from NOAA Coral Reef Watch")
         .Produces<IEnumerable<CrwBleachingData>>();
 
-        // GET /api/bleaching/bahamas?date=
+        // GET /api/bleaching/bahamas?date=&includeAll=
+        // includeAll returns every data point (including no-stress ones) for interpolated surfaces
         group.MapGet("/bahamas", async (
             ICoralReefWatchClient crwClient,
             DateOnly? date,
+            bool includeAll = false,
             CancellationToken ct = default) =>
         {
             var result = await crwClient.GetBahamasBleachingAlertsAsync(date, ct).ConfigureAwait(false);
@@ -93,7 +95,9 @@ public static class BleachingEndpoints
                     .ToDictionary(g => GetAlertLevelName(g.Key), g => g.Count()),
                 MaxDhw = data.Any() ? data.Max(d => d.DegreeHeatingWeek) : 0,
                 AvgSst = data.Any() ? data.Average(d => d.SeaSurfaceTemperature) : 0,
-                Data = data.Where(d => d.AlertLevel > 0).OrderByDescending(d => d.DegreeHeatingWeek).Take(100)
+                Data = includeAll
+                    ? data
+                    : data.Where(d => d.AlertLevel > 0).OrderByDescending(d => d.DegreeHeatingWeek).Take(100)
             });
         })
         .WithName("GetBahamasBleachingAlerts")
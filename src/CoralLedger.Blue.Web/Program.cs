@@ -342,6 +342,7 @@ app.MapTenantManagementEndpoints();
 app.MapMpaEndpoints();
 app.MapVesselEndpoints();
 app.MapBleachingEndpoints();
+app.MapBasemapEndpoints();
 app.MapJobEndpoints();
 app.MapObservationEndpoints();
 app.MapPatrolRouteEndpoints();
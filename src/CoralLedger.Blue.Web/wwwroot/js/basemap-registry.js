@@ -0,0 +1,324 @@
+/**
+ * Basemap Registry - Runtime registry of tile sources for Leaflet maps
+ * Built-in themes, sources admins share through /api/basemaps, and custom XYZ, WMS and WMTS
+ * sources registered in this browser, each cached for offline use
+ */
+window.basemapRegistry = (function() {
+    const STORAGE_KEY = 'coralledger-basemaps';
+    const SHARED_SOURCES_URL = '/api/basemaps';
+    const SOURCE_TYPES = ['xyz', 'wms', 'wmts'];
+    const EARTH_HALF_CIRCUMFERENCE = 20037508.342789244;  // EPSG:3857 extent in meters
+
+    // US-2.2.1: CartoDB Dark Matter is the default dark theme
+    const BUILT_IN = [
+        {
+            id: 'dark',
+            name: 'Dark (CartoDB)',
+            type: 'xyz',
+            url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+            attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> &copy; <a href="https://carto.com/attributions">CARTO</a>',
+            subdomains: 'abcd'
+        },
+        {
+            id: 'light',
+            name: 'Light (OpenStreetMap)',
+            type: 'xyz',
+            url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+            attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+            subdomains: 'abc'
+        },
+        {
+            id: 'satellite',
+            name: 'Satellite',
+            type: 'xyz',
+            url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+            attribution: '&copy; <a href="https://www.esri.com/">Esri</a>'
+        }
+    ];
+
+    // Source definitions keyed by ID; leafletMap.tileOptions points at this object
+    const sources = {};
+    const listeners = [];
+
+    /**
+     * Fill in defaults and the normalized tile URL template for a source definition
+     * @param {Object} def - Source definition
+     * @param {string} origin - 'builtIn', 'shared' (from the server) or 'custom' (this browser)
+     */
+    function normalize(def, origin) {
+        if (!def || !/^[a-z0-9][a-z0-9_-]*$/i.test(def.id || '')) {
+            throw new Error('Basemap id must be letters, digits, "-" or "_"');
+        }
+        if (!def.url) {
+            throw new Error(`Basemap ${def.id} has no url`);
+        }
+
+        const type = (def.type || 'xyz').toLowerCase();
+        if (!SOURCE_TYPES.includes(type)) {
+            throw new Error(`Basemap ${def.id} has unsupported type ${def.type}`);
+        }
+
+        const source = {
+            id: def.id,
+            name: def.name || def.id,
+            type: type,
+            url: def.url,
+            attribution: def.attribution || '',
+            minZoom: def.minZoom ?? 0,
+            maxZoom: def.maxZoom ?? 19,
+            subdomains: Array.isArray(def.subdomains) ? def.subdomains.join('') : (def.subdomains || 'abc'),
+            layers: def.layers || '',
+            styles: def.styles || '',
+            format: def.format || 'image/png',
+            transparent: def.transparent ?? false,
+            version: def.version || (type === 'wmts' ? '1.0.0' : '1.1.1'),
+            tileMatrixSet: def.tileMatrixSet || 'GoogleMapsCompatible',
+            builtIn: origin === 'builtIn',
+            shared: origin === 'shared'
+        };
+        source.tileUrl = buildTemplate(source);
+        return source;
+    }
+
+    /**
+     * Express any source as a single URL template with {s}, {z}, {x}, {y} and {bbox} placeholders
+     */
+    function buildTemplate(source) {
+        const join = source.url.includes('?') ? '&' : '?';
+
+        if (source.type === 'wms') {
+            const params = new URLSearchParams({
+                SERVICE: 'WMS',
+                REQUEST: 'GetMap',
+                VERSION: source.version,
+                LAYERS: source.layers,
+                STYLES: source.styles,
+                FORMAT: source.format,
+                TRANSPARENT: String(source.transparent).toUpperCase(),
+                WIDTH: '256',
+                HEIGHT: '256'
+            });
+            params.set(source.version === '1.3.0' ? 'CRS' : 'SRS', 'EPSG:3857');
+            return `${source.url}${join}${params.toString()}&BBOX={bbox}`;
+        }
+
+        if (source.type === 'wmts') {
+            // RESTful WMTS templates already carry their placeholders
+            if (/\{TileMatrix\}|\{z\}/i.test(source.url)) {
+                return source.url
+                    .replace(/\{TileMatrix\}/gi, '{z}')
+                    .replace(/\{TileRow\}/gi, '{y}')
+                    .replace(/\{TileCol\}/gi, '{x}');
+            }
+            const params = new URLSearchParams({
+                SERVICE: 'WMTS',
+                REQUEST: 'GetTile',
+                VERSION: source.version,
+                LAYER: source.layers,
+                STYLE: source.styles || 'default',
+                TILEMATRIXSET: source.tileMatrixSet,
+                FORMAT: source.format
+            });
+            return `${source.url}${join}${params.toString()}&TILEMATRIX={z}&TILEROW={y}&TILECOL={x}`;
+        }
+
+        return source.url;
+    }
+
+    /**
+     * Web Mercator bounding box of a tile as "minX,minY,maxX,maxY"
+     */
+    function tileBbox(z, x, y) {
+        const size = 2 * EARTH_HALF_CIRCUMFERENCE / Math.pow(2, z);
+        const minX = -EARTH_HALF_CIRCUMFERENCE + x * size;
+        const maxY = EARTH_HALF_CIRCUMFERENCE - y * size;
+        return [minX, maxY - size, minX + size, maxY].join(',');
+    }
+
+    /**
+     * Resolve a tile URL template for one tile
+     * @param {string} template - Template from a source's tileUrl
+     * @param {number} z - Zoom level
+     * @param {number} x - Tile column
+     * @param {number} y - Tile row
+     * @returns {string} Tile URL
+     */
+    function buildTileUrl(template, z, x, y) {
+        const source = Object.values(sources).find(s => s.tileUrl === template);
+        const subdomains = source?.subdomains || 'abc';
+
+        return template
+            .replace('{s}', subdomains[Math.abs(x + y) % subdomains.length])
+            .replace('{z}', z)
+            .replace('{x}', x)
+            .replace('{y}', y)
+            .replace('{-y}', Math.pow(2, z) - 1 - y)
+            .replace('{r}', '') // retina placeholder
+            .replace('{bbox}', tileBbox(z, x, y));
+    }
+
+    function loadCustomSources() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            saved.forEach(def => {
+                try {
+                    sources[def.id] = normalize(def, 'custom');
+                } catch (error) {
+                    console.warn('[basemap-registry] Skipping invalid saved basemap:', error.message);
+                }
+            });
+        } catch (error) {
+            console.warn('[basemap-registry] Could not read saved basemaps:', error);
+        }
+    }
+
+    function saveCustomSources() {
+        const custom = Object.values(sources).filter(s => !s.builtIn && !s.shared).map(s => {
+            const { tileUrl, builtIn, shared, ...def } = s;
+            return def;
+        });
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(custom));
+    }
+
+    /**
+     * Add the sources admins registered on the server; they replace same-ID custom sources
+     */
+    async function loadSharedSources() {
+        try {
+            const response = await fetch(SHARED_SOURCES_URL);
+            if (!response.ok) return;
+
+            const shared = await response.json();
+            shared.forEach(def => {
+                try {
+                    // The API leaves unset fields null; normalize fills defaults for undefined ones
+                    const clean = Object.fromEntries(Object.entries(def).filter(([, value]) => value !== null));
+                    if (!sources[def.id]?.builtIn) {
+                        sources[def.id] = normalize(clean, 'shared');
+                    }
+                } catch (error) {
+                    console.warn('[basemap-registry] Skipping invalid shared basemap:', error.message);
+                }
+            });
+            if (shared.length) {
+                syncServiceWorker();
+                notify();
+            }
+        } catch (error) {
+            // Offline: shared sources are unavailable until the next load
+            console.warn('[basemap-registry] Could not load shared basemaps:', error);
+        }
+    }
+
+    /**
+     * Tell the service worker which URL templates are map tiles, and the cache theme each belongs to
+     */
+    function syncServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        const templates = Object.values(sources).map(s => ({ id: s.id, tileUrl: s.tileUrl, subdomains: s.subdomains }));
+        navigator.serviceWorker.ready
+            .then(registration => registration.active?.postMessage({ type: 'REGISTER_TILE_SOURCES', sources: templates }))
+            .catch(error => console.warn('[basemap-registry] Could not update service worker tile sources:', error));
+    }
+
+    function notify() {
+        listeners.forEach(listener => {
+            try {
+                listener(list());
+            } catch (error) {
+                console.error('[basemap-registry] Listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Add or replace a custom basemap source in this browser
+     * Sources for every user are added through /api/basemaps (Admin > Basemaps)
+     * @param {Object} def - id, name, type (xyz|wms|wmts), url, attribution, minZoom, maxZoom,
+     *                       subdomains; WMS/WMTS also take layers, styles, format, transparent, version, tileMatrixSet
+     * @returns {Object} The registered source
+     */
+    function register(def) {
+        if (sources[def.id]?.builtIn) {
+            throw new Error(`Basemap ${def.id} is built in and cannot be replaced`);
+        }
+        if (sources[def.id]?.shared) {
+            throw new Error(`Basemap ${def.id} is shared by an administrator and cannot be replaced`);
+        }
+
+        const source = normalize(def, 'custom');
+        sources[source.id] = source;
+        saveCustomSources();
+        syncServiceWorker();
+        notify();
+        return source;
+    }
+
+    /**
+     * Remove a custom basemap source
+     * @param {string} id - Source ID
+     * @returns {boolean} True when a source was removed
+     */
+    function unregister(id) {
+        if (!sources[id] || sources[id].builtIn || sources[id].shared) return false;
+
+        delete sources[id];
+        saveCustomSources();
+        syncServiceWorker();
+        notify();
+        return true;
+    }
+
+    function get(id) {
+        return sources[id] || null;
+    }
+
+    /**
+     * Summaries of every source, built-ins first (callable from Blazor)
+     */
+    function list() {
+        return Object.values(sources).map(s => ({
+            id: s.id,
+            name: s.name,
+            type: s.type,
+            minZoom: s.minZoom,
+            maxZoom: s.maxZoom,
+            builtIn: s.builtIn,
+            shared: s.shared
+        }));
+    }
+
+    /**
+     * Subscribe to registry changes
+     * @param {Function} listener - Called with list() after every change
+     * @returns {Function} Unsubscribe function
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+        return () => {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) listeners.splice(index, 1);
+        };
+    }
+
+    BUILT_IN.forEach(def => { sources[def.id] = normalize(def, 'builtIn'); });
+    loadCustomSources();
+    syncServiceWorker();
+    const sharedSourcesLoaded = loadSharedSources();
+
+    return {
+        sources,
+        // Resolves once the server's shared sources are registered (callable from Blazor)
+        ready: () => sharedSourcesLoaded,
+        register,
+        unregister,
+        get,
+        list,
+        onChange,
+        buildTemplate,
+        buildTileUrl,
+        tileBbox,
+        SOURCE_TYPES
+    };
+})();
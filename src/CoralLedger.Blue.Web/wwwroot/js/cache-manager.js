@@ -1,13 +1,22 @@
 /**
  * Cache Manager - Provides cache statistics and management for PWA
  * Exposes methods for Blazor interop to view and clear cached data
+ * Map tiles are kept by window.tileCache, the store the service worker and offline downloads share
  */
 window.cacheManager = (function() {
     const CACHE_NAMES = {
-        static: 'coralledger-static-v5',
-        api: 'coralledger-api-v5',
-        tiles: 'coralledger-tiles-v5'
+        static: 'coralledger-static-v6',
+        api: 'coralledger-api-v6',
+        geometry: 'coralledger-geometry-v6'
     };
+
+    // MPA geometry the map and service worker request; the first is the map's default
+    const MPA_GEOMETRY_URLS = [
+        '/api/mpas/geojson',
+        '/api/mpas/geojson?resolution=medium',
+        '/api/mpas/geojson?resolution=low'
+    ];
+
     const DB_NAME = 'coralledger-offline';
 
     /**
@@ -18,6 +27,7 @@ window.cacheManager = (function() {
         const stats = {
             static: { count: 0, size: 0 },
             api: { count: 0, size: 0 },
+            geometry: { count: 0, size: 0 },
             tiles: { count: 0, size: 0 },
             drafts: { count: 0 },
             totalSize: 0
@@ -52,11 +62,16 @@ window.cacheManager = (function() {
                 } catch { }
             }
 
+            // Get tile store stats
+            const tileStats = await window.tileCache.getStats();
+            stats.tiles.count = tileStats.totalTiles;
+            stats.tiles.size = tileStats.totalBytes;
+
             // Get IndexedDB draft count
             stats.drafts.count = await getDraftCount();
 
             // Calculate total
-            stats.totalSize = stats.static.size + stats.api.size + stats.tiles.size;
+            stats.totalSize = stats.static.size + stats.api.size + stats.geometry.size + stats.tiles.size;
 
         } catch (err) {
             console.warn('[CacheManager] Error getting stats:', err);
@@ -95,20 +110,23 @@ window.cacheManager = (function() {
 
     /**
      * Clear a specific cache
-     * @param {string} cacheType - 'static', 'api', 'tiles', or 'all'
+     * @param {string} cacheType - 'static', 'api', 'geometry', 'tiles', or 'all'
      */
     async function clearCache(cacheType) {
         try {
             if (cacheType === 'all') {
-                await Promise.all([
-                    caches.delete(CACHE_NAMES.static),
-                    caches.delete(CACHE_NAMES.api),
-                    caches.delete(CACHE_NAMES.tiles)
-                ]);
+                await Promise.all(Object.values(CACHE_NAMES).map(name => caches.delete(name)));
+                await window.tileCache.clearAll();
                 console.log('[CacheManager] All caches cleared');
                 return true;
             }
 
+            if (cacheType === 'tiles') {
+                await window.tileCache.clearAll();
+                console.log('[CacheManager] tiles cache cleared');
+                return true;
+            }
+
             const cacheName = CACHE_NAMES[cacheType];
             if (cacheName) {
                 await caches.delete(cacheName);
@@ -192,6 +210,7 @@ window.cacheManager = (function() {
 
     /**
      * Pre-cache map tiles for a specific bounding box (Bahamas)
+     * Downloads into the tile store as a resumable region download, so the tiles are not evicted
      * @param {Function} progressCallback - Called with progress updates
      */
     async function precacheBahamasTiles(progressCallback) {
@@ -201,56 +220,100 @@ window.cacheManager = (function() {
             east: -72.7,
             west: -80.5
         };
-        const ZOOM_LEVELS = [5, 6, 7, 8]; // Low to medium zoom for overview
-        const TILE_URL = 'https://a.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png';
+        const THEME = 'dark';
+        const MIN_ZOOM = 5; // Low to medium zoom for overview
+        const MAX_ZOOM = 8;
 
-        let total = 0;
+        const total = window.tileCache.countTilesForRegion(BAHAMAS_BOUNDS, MIN_ZOOM, MAX_ZOOM);
         let cached = 0;
+        if (progressCallback) progressCallback(0, total);
 
-        // Calculate tiles needed
-        const tiles = [];
-        for (const z of ZOOM_LEVELS) {
-            const n = Math.pow(2, z);
-            const xMin = Math.floor((BAHAMAS_BOUNDS.west + 180) / 360 * n);
-            const xMax = Math.floor((BAHAMAS_BOUNDS.east + 180) / 360 * n);
-            const yMin = Math.floor((1 - Math.log(Math.tan(BAHAMAS_BOUNDS.north * Math.PI / 180) + 1 / Math.cos(BAHAMAS_BOUNDS.north * Math.PI / 180)) / Math.PI) / 2 * n);
-            const yMax = Math.floor((1 - Math.log(Math.tan(BAHAMAS_BOUNDS.south * Math.PI / 180) + 1 / Math.cos(BAHAMAS_BOUNDS.south * Math.PI / 180)) / Math.PI) / 2 * n);
-
-            for (let x = xMin; x <= xMax; x++) {
-                for (let y = yMin; y <= yMax; y++) {
-                    tiles.push({ z, x, y });
+        try {
+            const result = await window.tileCache.downloadRegion(
+                THEME,
+                BAHAMAS_BOUNDS,
+                MIN_ZOOM,
+                MAX_ZOOM,
+                window.basemapRegistry.get(THEME).tileUrl,
+                (progress) => {
+                    if (progressCallback) progressCallback(progress.downloaded + progress.cached, progress.total);
                 }
-            }
+            );
+            cached = result.downloaded + result.cached;
+        } catch (err) {
+            console.error('[CacheManager] Error pre-caching tiles:', err);
         }
 
-        total = tiles.length;
-        if (progressCallback) progressCallback(0, total);
+        return { cached, total };
+    }
 
-        try {
-            const cache = await caches.open(CACHE_NAMES.tiles);
+    /**
+     * Store a response in a cache with the metadata headers the service worker reads
+     * @param {Cache} cache - Cache to write to
+     * @param {string} url - Request URL used as the key
+     * @param {Response} response - Network response
+     * @param {string} cacheType - Value for the sw-cache-type header, if any
+     */
+    async function putWithMetadata(cache, url, response, cacheType) {
+        const headers = new Headers(response.headers);
+        headers.set('sw-cached-at', Date.now().toString());
+        if (cacheType) headers.set('sw-cache-type', cacheType);
+
+        await cache.put(url, new Response(await response.blob(), {
+            status: response.status,
+            statusText: response.statusText,
+            headers: headers
+        }));
+    }
 
-            // Batch fetch tiles
-            const batchSize = 10;
-            for (let i = 0; i < tiles.length; i += batchSize) {
-                const batch = tiles.slice(i, i + batchSize);
-                await Promise.all(batch.map(async ({ z, x, y }) => {
-                    const url = TILE_URL.replace('{z}', z).replace('{x}', x).replace('{y}', y);
-                    try {
-                        const response = await fetch(url);
-                        if (response.ok) {
-                            await cache.put(url, response);
-                            cached++;
-                        }
-                    } catch { }
-                }));
+    /**
+     * Cache everything needed to browse MPAs offline: their geometry, the MPA list and each MPA's details
+     * @param {Function} progressCallback - Called with (done, total) as detail records are cached
+     * @returns {Promise<Object>} The MPA FeatureCollection and counts of cached geometry and detail records
+     */
+    async function cacheMpaData(progressCallback) {
+        const result = { geojson: null, geometry: 0, details: 0, failed: 0 };
 
-                if (progressCallback) progressCallback(cached, total);
+        const geometryCache = await caches.open(CACHE_NAMES.geometry);
+        for (const url of MPA_GEOMETRY_URLS) {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`MPA geometry request failed: HTTP ${response.status}`);
             }
-        } catch (err) {
-            console.error('[CacheManager] Error pre-caching tiles:', err);
+            if (!result.geojson) {
+                result.geojson = await response.clone().json();
+            }
+            await putWithMetadata(geometryCache, url, response, 'geometry');
+            result.geometry++;
         }
 
-        return { cached, total };
+        // The service worker serves the bare MPA list from the geometry cache, and each MPA's details from the API cache
+        const apiCache = await caches.open(CACHE_NAMES.api);
+        const entries = [
+            { url: '/api/mpas', cache: geometryCache, cacheType: 'geometry' },
+            ...result.geojson.features.map(f => ({ url: `/api/mpas/${encodeURIComponent(f.id)}`, cache: apiCache }))
+        ];
+        if (progressCallback) progressCallback(0, entries.length);
+
+        // Six requests at a time, so hundreds of MPA detail fetches do not flood the API
+        const batchSize = 6;
+        for (let i = 0; i < entries.length; i += batchSize) {
+            await Promise.all(entries.slice(i, i + batchSize).map(async ({ url, cache, cacheType }) => {
+                try {
+                    const response = await fetch(url);
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    await putWithMetadata(cache, url, response, cacheType);
+                    result.details++;
+                } catch (err) {
+                    console.warn(`[CacheManager] Could not cache ${url}:`, err);
+                    result.failed++;
+                }
+            }));
+            if (progressCallback) progressCallback(Math.min(i + batchSize, entries.length), entries.length);
+        }
+
+        console.log(`[CacheManager] Cached MPA data: ${result.geometry} geometry sets, ${result.details} detail records`);
+        return result;
     }
 
     return {
@@ -259,6 +322,7 @@ window.cacheManager = (function() {
         clearDrafts,
         getStorageEstimate,
         precacheBahamasTiles,
+        cacheMpaData,
         formatBytes
     };
 })();
@@ -11,30 +11,27 @@ window.leafletMap = {
     maps: {},
     mpaLayers: {},
     mpaPulseLayers: {},  // Animated pulse layers for NoTake zones
+    mpaIndexes: {},  // Client-side spatial indexes over loaded MPA geometry
     fishingLayers: {},
+    fishingEventData: {},  // Last fishing events per map, so a palette change can redraw them
     trajectoryLayers: {},  // Vessel trajectory lines
     tileLayers: {},
     legendControls: {},
     hoverInfoControls: {},
-
-    // Tile layer definitions (US-2.2.1: Dark Map Base Layer)
-    tileOptions: {
-        dark: {
-            url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
-            attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> &copy; <a href="https://carto.com/attributions">CARTO</a>',
-            name: 'Dark (CartoDB)'
-        },
-        light: {
-            url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
-            attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-            name: 'Light (OpenStreetMap)'
-        },
-        satellite: {
-            url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
-            attribution: '&copy; <a href="https://www.esri.com/">Esri</a>',
-            name: 'Satellite'
-        }
-    },
+    trackPlayers: {},  // Active vessel track playback per map
+    syncGroups: {},  // Linked map groups keyed by map ID
+    swipeControls: {},  // Active swipe comparison per map
+    drawControllers: {},  // Drawing and measurement tools per map
+    basemapSwitchers: {},
+    layerSwitchers: {},  // Overlay layer switcher per map
+    exportControls: {},  // Map export (print) control per map
+    highlightedMpas: {},  // Highlighted MPA ID per map
+    urlStateBinding: null,  // The one map per page whose view is mirrored in the URL hash
+    routeBufferKm: 1,  // Half-width of the corridor downloaded along a drawn line
+    canvasPointThreshold: 5000,  // Point count at which renderMode 'auto' switches from markers to canvas
+
+    // Tile layer definitions (US-2.2.1: Dark Map Base Layer), shared with the basemap registry
+    tileOptions: window.basemapRegistry.sources,
 
     // Check if Leaflet is loaded
     isLeafletReady: function() {
@@ -42,13 +39,15 @@ window.leafletMap = {
     },
 
     // Create a tile layer with offline support
-    createOfflineTileLayer: function(urlTemplate, theme, attribution) {
+    createOfflineTileLayer: function(urlTemplate, theme, attribution, layerOptions = {}) {
         const self = this;
         
         // Custom tile layer that checks cache first
         return L.tileLayer(urlTemplate, {
             maxZoom: 19,
             attribution: attribution,
+            cacheTheme: theme,  // Lets map export read the same cached tiles
+            ...layerOptions,
             
             // Override createTile to check cache
             createTile: function(coords, done) {
@@ -93,6 +92,36 @@ window.leafletMap = {
         });
     },
 
+    // Create the tile layer for a theme, cache-backed when offline support is enabled
+    createThemeTileLayer: function(theme, offlineEnabled = true, layerOptions = {}) {
+        const source = this.tileOptions[theme];
+        const sourceOptions = {
+            minZoom: source.minZoom,
+            maxZoom: source.maxZoom,
+            subdomains: source.subdomains,
+            ...layerOptions
+        };
+
+        if (offlineEnabled && window.tileCache) {
+            return this.createOfflineTileLayer(source.tileUrl, theme, source.attribution, sourceOptions);
+        }
+        if (source.type === 'wms') {
+            return L.tileLayer.wms(source.url, {
+                layers: source.layers,
+                styles: source.styles,
+                format: source.format,
+                transparent: source.transparent,
+                version: source.version,
+                attribution: source.attribution,
+                ...sourceOptions
+            });
+        }
+        return L.tileLayer(source.tileUrl, {
+            attribution: source.attribution,
+            ...sourceOptions
+        });
+    },
+
     // Load tile from network and optionally cache it
     loadTileFromNetwork: function(tile, urlTemplate, z, x, y, theme, done) {
         // Only proceed if online
@@ -107,12 +136,14 @@ window.leafletMap = {
         fetch(url)
             .then(response => {
                 if (!response.ok) throw new Error(`HTTP ${response.status}`);
-                return response.blob();
+                // Tiles the service worker served from or saved to the tile store carry sw-cached-at
+                const storedBySw = response.headers.has('sw-cached-at');
+                return response.blob().then(blob => ({ blob, storedBySw }));
             })
-            .then(blob => {
-                // Cache the tile if cache is available
-                if (window.tileCache && window.tileCache.db) {
-                    window.tileCache.storeTile(theme, z, x, y, blob)
+            .then(({ blob, storedBySw }) => {
+                // Cache the tile as browsed, unless the service worker already stored it on the way through
+                if (window.tileCache && !storedBySw) {
+                    window.tileCache.storeTile(theme, z, x, y, blob, null, true)
                         .catch(err => console.warn('[leaflet-map] Failed to cache tile:', err));
                 }
                 
@@ -132,13 +163,7 @@ window.leafletMap = {
 
     // Build tile URL from template
     buildTileUrl: function(template, z, x, y) {
-        // Handle {s} subdomain - use 'a' by default
-        let url = template.replace('{s}', 'a');
-        url = url.replace('{z}', z);
-        url = url.replace('{x}', x);
-        url = url.replace('{y}', y);
-        url = url.replace('{r}', ''); // retina placeholder
-        return url;
+        return window.basemapRegistry.buildTileUrl(template, z, x, y);
     },
 
     // Initialize a new map with dark theme support and offline capability
@@ -155,17 +180,10 @@ window.leafletMap = {
         const map = L.map(mapId).setView([centerLat, centerLng], zoom);
 
         // US-2.2.1: Use CartoDB Dark Matter by default for dark theme
-        const tileConfig = useDarkTheme ? this.tileOptions.dark : this.tileOptions.light;
         const theme = useDarkTheme ? 'dark' : 'light';
         
         // Create tile layer with offline support if enabled
-        const tileLayer = enableOffline && window.tileCache 
-            ? this.createOfflineTileLayer(tileConfig.url, theme, tileConfig.attribution)
-            : L.tileLayer(tileConfig.url, {
-                maxZoom: 19,
-                attribution: tileConfig.attribution
-            });
-        
+        const tileLayer = this.createThemeTileLayer(theme, enableOffline);
         tileLayer.addTo(map);
 
         this.maps[mapId] = map;
@@ -197,20 +215,72 @@ window.leafletMap = {
         console.log('[leaflet-map.js] Adding tile layer:', tileConfig.name);
         
         const offlineEnabled = this.tileLayers[mapId]?.offlineEnabled !== false;
-        const newLayer = offlineEnabled && window.tileCache
-            ? this.createOfflineTileLayer(tileConfig.url, theme, tileConfig.attribution)
-            : L.tileLayer(tileConfig.url, {
-                maxZoom: 19,
-                attribution: tileConfig.attribution
-            });
-        
+        const newLayer = this.createThemeTileLayer(theme, offlineEnabled);
         newLayer.addTo(map);
 
         this.tileLayers[mapId] = { current: newLayer, theme: theme, offlineEnabled: offlineEnabled };
+        this.basemapSwitchers[mapId]?.refresh?.();
+        this.updateUrlState(mapId);
         console.log('[leaflet-map.js] Tile theme switched to:', theme);
         return true;
     },
 
+    // Current tile theme of a map (callable from Blazor)
+    getTileTheme: function(mapId) {
+        return this.tileLayers[mapId]?.theme || null;
+    },
+
+    // Add a control listing every registered basemap
+    addBasemapSwitcher: function(mapId) {
+        const map = this.maps[mapId];
+        if (!map) return false;
+
+        this.removeBasemapSwitcher(mapId);
+
+        const control = L.control({ position: 'topright' });
+        let unsubscribe = null;
+
+        control.onAdd = () => {
+            const div = L.DomUtil.create('div', 'map-control-group basemap-switcher');
+            const render = () => {
+                const current = this.getTileTheme(mapId);
+                const label = window.mapI18n.t('basemap.label');
+                div.innerHTML = `
+                    <label class="visually-hidden" for="${mapId}-basemap">${label}</label>
+                    <select id="${mapId}-basemap" class="form-select form-select-sm" title="${label}"></select>
+                `;
+                // Source names and IDs can come from admins or this browser, so options are built as text
+                const select = div.querySelector('select');
+                window.basemapRegistry.list().forEach(source => {
+                    select.add(new Option(source.name, source.id, false, source.id === current));
+                });
+                L.DomEvent.on(select, 'change', (e) => this.setTileTheme(mapId, e.target.value));
+            };
+
+            render();
+            unsubscribe = window.basemapRegistry.onChange(render);
+            control.refresh = render;
+
+            L.DomEvent.disableClickPropagation(div);
+            L.DomEvent.disableScrollPropagation(div);
+            return div;
+        };
+        control.onRemove = () => unsubscribe && unsubscribe();
+
+        control.addTo(map);
+        this.basemapSwitchers[mapId] = control;
+        return true;
+    },
+
+    removeBasemapSwitcher: function(mapId) {
+        const control = this.basemapSwitchers[mapId];
+        if (!control) return false;
+
+        this.maps[mapId]?.removeControl(control);
+        delete this.basemapSwitchers[mapId];
+        return true;
+    },
+
     // Add GeoJSON MPA layer
     addMpaLayer: function (mapId, geojsonData, dotNetHelper) {
         console.log('[leaflet-map.js] addMpaLayer called with mapId:', mapId);
@@ -225,12 +295,6 @@ window.leafletMap = {
         }
         console.log('[leaflet-map.js] Map found, container:', map.getContainer()?.id);
 
-        // Remove existing MPA layer
-        if (this.mpaLayers[mapId]) {
-            console.log('[leaflet-map.js] Removing existing MPA layer');
-            map.removeLayer(this.mpaLayers[mapId]);
-        }
-
         // Validate GeoJSON structure
         if (!geojsonData || !geojsonData.type) {
             console.error('[leaflet-map.js] Invalid GeoJSON: missing type');
@@ -254,40 +318,30 @@ window.leafletMap = {
             console.log('[leaflet-map.js] First feature geometry type:', firstFeature.geometry?.type);
         }
 
-        const getColor = (protectionLevel) => {
-            switch (protectionLevel) {
-                case 'NoTake': return '#dc3545';
-                case 'HighlyProtected': return '#fd7e14';
-                case 'LightlyProtected': return '#0dcaf0';
-                default: return '#6c757d';
-            }
-        };
+        const getColor = (protectionLevel) => window.mapPalette.getCategory('protection', protectionLevel);
 
-        // Enhanced styling with different border patterns
+        // Enhanced styling with different border patterns, and the legend's hatch fill per protection level
         const style = (feature) => {
             const level = feature.properties.ProtectionLevel;
             const color = getColor(level);
             const isNoTake = level === 'NoTake';
             const isActive = feature.properties.Status !== 'Inactive';
 
-            return {
-                fillColor: color,
+            return Object.assign({
                 weight: isNoTake ? 3 : 2,
                 opacity: 1,
                 color: color,
-                fillOpacity: isNoTake ? 0.5 : 0.35,
                 dashArray: isActive ? null : '8, 4',  // Dashed for inactive
                 lineCap: 'round',
                 lineJoin: 'round'
-            };
+            }, this.getMpaFill(level, isNoTake ? 0.5 : 0.35));
         };
 
-        const highlightStyle = {
+        const highlightStyle = (feature) => Object.assign({
             weight: 5,
-            color: '#ffc107',
-            fillOpacity: 0.65,
+            color: window.mapPalette.getCategory('marker', 'highlight'),
             dashArray: null
-        };
+        }, this.getMpaFill(feature.properties.ProtectionLevel, 0.65));
 
         // Create pulsing effect for NoTake zones
         const createPulseLayer = (geojsonData) => {
@@ -299,14 +353,14 @@ window.leafletMap = {
             if (noTakeFeatures.features.length === 0) return null;
 
             return L.geoJSON(noTakeFeatures, {
-                style: {
+                style: () => ({
                     fillColor: 'transparent',
                     fillOpacity: 0,
                     weight: 4,
-                    color: '#dc3545',
+                    color: getColor('NoTake'),
                     opacity: 0.8,
                     className: 'mpa-pulse-border'  // CSS animation class
-                },
+                }),
                 interactive: false  // Don't interfere with main layer events
             });
         };
@@ -315,15 +369,15 @@ window.leafletMap = {
         const layer = L.geoJSON(geojsonData, {
             style: style,
             onEachFeature: (feature, layer) => {
-                // Popup with MPA info
+                // Popup with MPA info, built when opened so the badge follows the palette and culture
                 const props = feature.properties;
-                layer.bindPopup(`
+                layer.bindPopup(() => `
                     <strong>${props.Name}</strong><br/>
                     <small>${props.IslandGroup}</small><br/>
                     <span class="badge" style="background-color: ${getColor(props.ProtectionLevel)}; color: white;">
-                        ${props.ProtectionLevel}
+                        ${this.getProtectionLevelName(props.ProtectionLevel)}
                     </span><br/>
-                    <small>Area: ${props.AreaSquareKm.toFixed(1)} km²</small>
+                    <small>${window.mapI18n.t('mpa.area')}: ${window.mapI18n.formatArea(props.AreaSquareKm)}</small>
                 `);
 
                 // Add permanent tooltip label for MPA name (visible on dark tiles)
@@ -336,7 +390,7 @@ window.leafletMap = {
 
                 layer.on({
                     mouseover: (e) => {
-                        e.target.setStyle(highlightStyle);
+                        e.target.setStyle(highlightStyle(feature));
                         e.target.bringToFront();
                         // Show hover info box
                         this.showHoverInfo(mapId, props);
@@ -354,19 +408,25 @@ window.leafletMap = {
                     }
                 });
             }
-        }).addTo(map);
+        });
 
+        // The registry replaces any MPA layer added earlier
+        this.addOverlay(mapId, 'mpa', layer, {
+            name: () => window.mapI18n.t('mpa.layer'),
+            legend: () => this.getMpaLegendHtml()
+        });
         this.mpaLayers[mapId] = layer;
+        this.mpaIndexes[mapId] = window.mpaSpatial.createIndex(geojsonData);
 
         // Add pulsing border layer for NoTake zones
-        if (this.mpaPulseLayers[mapId]) {
-            map.removeLayer(this.mpaPulseLayers[mapId]);
-        }
         const pulseLayer = createPulseLayer(geojsonData);
         if (pulseLayer) {
-            pulseLayer.addTo(map);
+            this.addOverlay(mapId, 'mpa-pulse', pulseLayer, { name: () => window.mapI18n.t('mpa.pulseLayer') });
             this.mpaPulseLayers[mapId] = pulseLayer;
             console.log('[leaflet-map.js] Added pulse layer for NoTake zones');
+        } else {
+            this.removeOverlay(mapId, 'mpa-pulse');
+            delete this.mpaPulseLayers[mapId];
         }
 
         // Fit map to show all MPAs
@@ -391,8 +451,45 @@ window.leafletMap = {
         }
     },
 
-    // Add fishing events layer with trajectory lines and enhanced markers
-    addFishingEventsLayer: function (mapId, fishingEvents, dotNetHelper) {
+    // Protection level for display, e.g. 'No-Take Zone'; unknown levels are split at capitals
+    getProtectionLevelName: function(protectionLevel) {
+        const key = `protection.${protectionLevel}`;
+        return window.mapI18n.has(key)
+            ? window.mapI18n.t(key)
+            : (protectionLevel || window.mapI18n.t('common.unknown')).replace(/([a-z])([A-Z])/g, '$1 $2');
+    },
+
+    // Fill style of an MPA polygon: the protection color with its legend pattern on top.
+    // Patterned fills carry their opacity, and keep it in fillPattern for canvas exports.
+    getMpaFill: function(protectionLevel, opacity) {
+        const color = window.mapPalette.getCategory('protection', protectionLevel);
+        const kind = window.mapPatterns?.getProtectionPattern(protectionLevel);
+        const fill = kind ? window.mapPatterns.getFill(kind, color, opacity) : null;
+        if (!fill) {
+            return { fillColor: color, fillOpacity: opacity, fillPattern: null };
+        }
+        return { fillColor: fill, fillOpacity: 1, fillPattern: { kind: kind, color: color, opacity: opacity } };
+    },
+
+    // Recency buckets shared by fishing markers, trajectories, clusters and the legend
+    // Older events get fainter trajectory lines
+    getFishingRecency: function(startTime) {
+        const daysAgo = (Date.now() - new Date(startTime).getTime()) / (1000 * 60 * 60 * 24);
+        const bucket = daysAgo < 7 ? 'recent' : daysAgo < 14 ? 'medium' : daysAgo < 30 ? 'old' : 'older';
+        const color = window.mapPalette.getCategory('recency', bucket);
+        const lineAlpha = { recent: 0.6, medium: 0.5, old: 0.4, older: 0.3 }[bucket];
+        return { bucket: bucket, color: color, lineColor: window.mapPalette.withAlpha(color, lineAlpha) };
+    },
+
+    // Render mode for a point dataset: 'markers', 'canvas', or 'auto' to use canvas from canvasPointThreshold points
+    resolveRenderMode: function(renderMode, pointCount) {
+        if (renderMode === 'canvas' || renderMode === 'markers') return renderMode;
+        return pointCount >= this.canvasPointThreshold ? 'canvas' : 'markers';
+    },
+
+    // Add fishing events layer with trajectory lines and clustered markers
+    // renderMode 'canvas' draws every event on one canvas for very large datasets; 'auto' picks by event count
+    addFishingEventsLayer: function (mapId, fishingEvents, dotNetHelper, renderMode = 'auto') {
         const map = this.maps[mapId];
         if (!map) return false;
 
@@ -404,26 +501,15 @@ window.leafletMap = {
             map.removeLayer(this.trajectoryLayers[mapId]);
         }
 
-        const markers = L.layerGroup();
-        const trajectories = L.layerGroup();
+        // Flag events inside restricted zones when the server did not classify them (e.g. offline)
+        this.classifyFishingEvents(mapId, fishingEvents);
+        this.fishingEventData[mapId] = { events: fishingEvents, dotNetHelper: dotNetHelper, renderMode: renderMode };
+        const mode = this.resolveRenderMode(renderMode, fishingEvents.length);
 
-        // Track used coordinates to offset overlapping markers
-        const usedCoords = {};
-        const getOffsetCoords = (lat, lon) => {
-            const key = `${lat.toFixed(3)},${lon.toFixed(3)}`;
-            if (!usedCoords[key]) {
-                usedCoords[key] = 0;
-            }
-            const count = usedCoords[key]++;
-            if (count === 0) return { lat, lon };
-            // Spiral offset pattern for overlapping markers (~500m offsets)
-            const angle = count * 2.4; // Golden angle in radians
-            const radius = 0.005 * Math.sqrt(count); // ~500m per step
-            return {
-                lat: lat + radius * Math.sin(angle),
-                lon: lon + radius * Math.cos(angle)
-            };
-        };
+        const trajectories = L.layerGroup();
+        const mpaIndex = this.getMpaIndex(mapId);
+        // Canvas mode draws trajectories on a shared canvas instead of one SVG path each
+        const trajectoryRenderer = mode === 'canvas' ? L.canvas({ padding: 0.5 }) : undefined;
 
         // Group events by vessel for trajectory lines
         const vesselEvents = {};
@@ -444,114 +530,74 @@ window.leafletMap = {
                 // Create polyline coordinates
                 const coords = events.map(e => [e.latitude, e.longitude]);
 
-                // Gradient line segments based on time
+                // Gradient line segments based on time; consecutive segments sharing
+                // a recency color are merged into one polyline
+                let runStart = 0;
                 for (let i = 0; i < coords.length - 1; i++) {
-                    const daysAgo = (Date.now() - new Date(events[i].startTime).getTime()) / (1000 * 60 * 60 * 24);
-                    let lineColor;
-                    if (daysAgo < 7) lineColor = 'rgba(220, 53, 69, 0.6)';
-                    else if (daysAgo < 14) lineColor = 'rgba(253, 126, 20, 0.5)';
-                    else if (daysAgo < 30) lineColor = 'rgba(255, 193, 7, 0.4)';
-                    else lineColor = 'rgba(108, 117, 125, 0.3)';
-
-                    const segment = L.polyline([coords[i], coords[i + 1]], {
+                    const lineColor = this.getFishingRecency(events[i].startTime).lineColor;
+                    const isLastSegment = i === coords.length - 2;
+                    if (!isLastSegment && this.getFishingRecency(events[i + 1].startTime).lineColor === lineColor) {
+                        continue;
+                    }
+
+                    const segment = L.polyline(coords.slice(runStart, i + 2), {
                         color: lineColor,
                         weight: 2,
                         opacity: 0.8,
                         dashArray: '6, 4',
-                        className: 'fishing-trajectory'
+                        className: 'fishing-trajectory',
+                        renderer: trajectoryRenderer
                     });
 
-                    segment.bindTooltip(`Vessel: ${events[i].vesselName || vesselId}`, {
+                    segment.bindTooltip(window.mapI18n.t('fishing.vesselRun', { name: events[runStart].vesselName || vesselId }), {
                         permanent: false,
                         direction: 'center'
                     });
 
                     trajectories.addLayer(segment);
+                    runStart = i + 1;
+                }
+
+                // Mark where the vessel entered or left a NoTake / HighlyProtected zone
+                if (mpaIndex) {
+                    const track = mpaIndex.classifyTrack(events.map(e => ({ lat: e.latitude, lng: e.longitude, time: e.startTime })));
+                    track.crossings.forEach(crossing => {
+                        trajectories.addLayer(this.createMpaCrossingMarker(crossing, events[0].vesselName || vesselId));
+                    });
                 }
             }
         });
 
         // Add trajectory layer first (under markers)
-        trajectories.addTo(map);
+        this.addOverlay(mapId, 'trajectories', trajectories, { name: () => window.mapI18n.t('fishing.trajectories') });
         this.trajectoryLayers[mapId] = trajectories;
 
-        // Create markers for each event
-        fishingEvents.forEach(evt => {
-            const daysAgo = (Date.now() - new Date(evt.startTime).getTime()) / (1000 * 60 * 60 * 24);
-            let color;
-            if (daysAgo < 7) color = '#dc3545';
-            else if (daysAgo < 14) color = '#fd7e14';
-            else if (daysAgo < 30) color = '#ffc107';
-            else color = '#6c757d';
-
-            const isViolation = evt.isInMpa === true;
-            const radius = isViolation ? 9 : 6;
-            const borderColor = isViolation ? '#ff0000' : '#ffffff';
-            const borderWeight = isViolation ? 3 : 2;
-
-            // Get offset coordinates for overlapping markers
-            const coords = getOffsetCoords(evt.latitude, evt.longitude);
-
-            // Use div icon for violation markers to enable CSS animation
-            let marker;
-            if (isViolation) {
-                const violationIcon = L.divIcon({
-                    className: 'fishing-violation-marker',
-                    html: `<div class="violation-pulse" style="background-color: ${color};"></div>`,
-                    iconSize: [18, 18],
-                    iconAnchor: [9, 9]
-                });
-                marker = L.marker([coords.lat, coords.lon], { icon: violationIcon });
-            } else {
-                marker = L.circleMarker([coords.lat, coords.lon], {
-                    radius: radius,
-                    fillColor: color,
-                    color: borderColor,
-                    weight: borderWeight,
-                    opacity: 1,
-                    fillOpacity: 0.85
-                });
-            }
-
-            // Enhanced popup with more info
-            let popupContent = `
-                <div class="fishing-popup">
-                    <div class="popup-header">
-                        <strong>Fishing Event</strong>
-                        ${isViolation ? '<span class="badge bg-danger ms-2">MPA Violation</span>' : ''}
-                    </div>
-                    <hr style="margin: 6px 0;"/>
-                    <div class="popup-body">
-                        <div><strong>Vessel:</strong> ${evt.vesselName || evt.vesselId}</div>
-                        <div><strong>Date:</strong> ${new Date(evt.startTime).toLocaleDateString()}</div>
-                        <div><strong>Time:</strong> ${new Date(evt.startTime).toLocaleTimeString()}</div>
-            `;
-            if (evt.durationHours) {
-                popupContent += `<div><strong>Duration:</strong> ${evt.durationHours.toFixed(1)} hours</div>`;
-            }
-            if (evt.distanceKm) {
-                popupContent += `<div><strong>Distance:</strong> ${evt.distanceKm.toFixed(1)} km</div>`;
-            }
-            if (evt.eventType) {
-                popupContent += `<div><strong>Type:</strong> ${evt.eventType}</div>`;
-            }
-            if (isViolation && evt.mpaName) {
-                popupContent += `<div class="text-danger"><strong>Inside MPA:</strong> ${evt.mpaName}</div>`;
-            }
-            popupContent += '</div></div>';
-
-            marker.bindPopup(popupContent);
-
-            marker.on('click', () => {
-                if (dotNetHelper) {
-                    dotNetHelper.invokeMethodAsync('OnFishingEventClicked', evt.eventId);
+        const points = fishingEvents.map(evt => ({ lat: evt.latitude, lng: evt.longitude, data: evt }));
+        let markers;
+        if (mode === 'canvas') {
+            markers = this.createCanvasPointLayer(points, {
+                getStyle: (point) => this.getFishingEventStyle(point.data),
+                popup: (point) => this.createFishingEventPopup(point.data),
+                onClick: (point) => {
+                    if (dotNetHelper) {
+                        dotNetHelper.invokeMethodAsync('OnFishingEventClicked', point.data.eventId);
+                    }
                 }
             });
+        } else {
+            // Clustered markers replace per-event DOM markers; clusters split apart as the user zooms in
+            markers = window.mapCluster.createLayer(points, {
+                createMarker: (point) => this.createFishingEventMarker(point.data, dotNetHelper),
+                createClusterIcon: (cluster) => this.createFishingClusterIcon(cluster),
+                clusterTooltip: (cluster) => this.getFishingClusterSummary(cluster),
+                createStackPopup: (cluster) => this.createFishingStackPopup(cluster, dotNetHelper)
+            });
+        }
 
-            markers.addLayer(marker);
+        this.addOverlay(mapId, 'fishing', markers, {
+            name: () => window.mapI18n.t('fishing.layer'),
+            legend: () => this.getFishingLegendHtml()
         });
-
-        markers.addTo(map);
         this.fishingLayers[mapId] = markers;
 
         // Debug: analyze coordinate distribution
@@ -575,210 +621,1338 @@ window.leafletMap = {
         return true;
     },
 
-    // Remove fishing events layer and trajectories
-    removeFishingEventsLayer: function (mapId) {
-        const map = this.maps[mapId];
-        if (!map) return false;
-
-        if (this.fishingLayers[mapId]) {
-            map.removeLayer(this.fishingLayers[mapId]);
-            delete this.fishingLayers[mapId];
-        }
-
-        if (this.trajectoryLayers[mapId]) {
-            map.removeLayer(this.trajectoryLayers[mapId]);
-            delete this.trajectoryLayers[mapId];
+    // Get the MPA spatial index for a map, building it from the MPA layer if needed
+    getMpaIndex: function(mapId) {
+        if (!this.mpaIndexes[mapId] && this.mpaLayers[mapId] && window.mpaSpatial) {
+            this.mpaIndexes[mapId] = window.mpaSpatial.createIndex(this.mpaLayers[mapId].toGeoJSON());
         }
+        return this.mpaIndexes[mapId] || null;
+    },
 
-        return true;
+    // Classify a point against the MPAs loaded on a map (callable from Blazor)
+    classifyPoint: function(mapId, lat, lng) {
+        const index = this.getMpaIndex(mapId);
+        return index ? index.classifyPoint(lat, lng) : null;
     },
 
-    // Zoom to specific MPA by ID
-    zoomToMpa: function (mapId, mpaId) {
-        const map = this.maps[mapId];
-        const mpaLayer = this.mpaLayers[mapId];
-        if (!map || !mpaLayer) return false;
+    // Fill in MPA flags for fishing events the server did not classify. isInMpa means inside any MPA, as it
+    // does on the server; isRestricted marks events inside a NoTake / HighlyProtected zone, shown as violations
+    classifyFishingEvents: function(mapId, fishingEvents) {
+        const index = this.getMpaIndex(mapId);
 
-        let found = false;
-        mpaLayer.eachLayer((layer) => {
-            if (layer.feature && layer.feature.id === mpaId) {
-                map.fitBounds(layer.getBounds(), { padding: [50, 50] });
-                layer.openPopup();
-                found = true;
+        fishingEvents.forEach(evt => {
+            if (!index || evt.latitude == null || evt.longitude == null) {
+                // Without MPA boundaries the protection level is unknown, so the server's flag stands in
+                if (evt.isRestricted == null) evt.isRestricted = evt.isInMpa === true;
+                return;
+            }
+
+            const zone = index.classifyPoint(evt.latitude, evt.longitude);
+            evt.mpaProtectionLevel = evt.mpaProtectionLevel || zone.protectionLevel;
+            if (evt.isInMpa == null) {
+                evt.isInMpa = zone.inMpa;
+                evt.mpaName = evt.mpaName || zone.mpaName;
+            }
+            if (evt.isRestricted == null) {
+                evt.isRestricted = zone.isRestricted;
             }
         });
 
-        return found;
+        return fishingEvents;
     },
 
-    // Highlight specific MPA
-    highlightMpa: function (mapId, mpaId) {
-        const mpaLayer = this.mpaLayers[mapId];
-        if (!mpaLayer) return false;
+    // Marker for a vessel entering or leaving a restricted zone, using the violation styling
+    createMpaCrossingMarker: function(crossing, vesselName) {
+        const isEntry = crossing.type === 'entry';
+        const icon = L.divIcon({
+            className: `fishing-violation-marker mpa-crossing-marker mpa-crossing-${crossing.type}`,
+            html: `<div class="violation-pulse"><span class="material-icons">${isEntry ? 'login' : 'logout'}</span></div>`,
+            iconSize: [18, 18],
+            iconAnchor: [9, 9]
+        });
 
-        mpaLayer.eachLayer((layer) => {
-            if (layer.feature && layer.feature.id === mpaId) {
-                layer.setStyle({
-                    weight: 4,
-                    color: '#ffc107',
-                    fillOpacity: 0.6
-                });
-                layer.bringToFront();
-            } else if (layer.feature) {
-                mpaLayer.resetStyle(layer);
+        return L.marker([crossing.lat, crossing.lng], { icon: icon }).bindPopup(() => {
+            const { t, has, formatDateTime } = window.mapI18n;
+            const level = crossing.mpa?.protectionLevel;
+            const zone = has(`protection.zone.${level}`) ? t(`protection.zone.${level}`) : this.getProtectionLevelName(level);
+            return `
+                <div class="fishing-popup">
+                    <div class="popup-header">
+                        <strong>${t(isEntry ? 'mpa.entered' : 'mpa.exited', { zone: zone })}</strong>
+                        ${isEntry ? `<span class="badge bg-danger ms-2">${t('mpa.violation')}</span>` : ''}
+                    </div>
+                    <hr style="margin: 6px 0;"/>
+                    <div class="popup-body">
+                        <div><strong>${t('fishing.vessel')}:</strong> ${vesselName}</div>
+                        <div><strong>${t('mpa.name')}:</strong> ${crossing.mpa?.name || t('common.unknown')}</div>
+                        ${crossing.time ? `<div><strong>${t('fishing.approxTime')}:</strong> ${formatDateTime(crossing.time)}</div>` : ''}
+                    </div>
+                </div>
+            `;
+        });
+    },
+
+    // Create the marker for a single fishing event
+    createFishingEventMarker: function(evt, dotNetHelper) {
+        const color = this.getFishingRecency(evt.startTime).color;
+        const isViolation = evt.isRestricted === true;
+
+        // Use div icon for violation markers to enable CSS animation
+        let marker;
+        if (isViolation) {
+            const violationIcon = L.divIcon({
+                className: 'fishing-violation-marker',
+                html: `<div class="violation-pulse" style="background-color: ${color};"></div>`,
+                iconSize: [18, 18],
+                iconAnchor: [9, 9]
+            });
+            marker = L.marker([evt.latitude, evt.longitude], { icon: violationIcon });
+        } else {
+            marker = L.circleMarker([evt.latitude, evt.longitude], {
+                radius: 6,
+                fillColor: color,
+                color: '#ffffff',
+                weight: 2,
+                opacity: 1,
+                fillOpacity: 0.85
+            });
+        }
+
+        marker.bindPopup(() => this.createFishingEventPopup(evt));
+
+        marker.on('click', () => {
+            if (dotNetHelper) {
+                dotNetHelper.invokeMethodAsync('OnFishingEventClicked', evt.eventId);
             }
         });
 
-        return true;
+        return marker;
     },
 
-    // US-2.2.6: Add interactive map legend with WCAG patterns
-    addLegend: function(mapId, showMpa = true, showFishing = false, showAlerts = false) {
-        const map = this.maps[mapId];
-        if (!map) return false;
+    // Canvas style for a fishing event, mirroring the DOM marker styling
+    getFishingEventStyle: function(evt) {
+        const isViolation = evt.isRestricted === true;
+        return {
+            radius: isViolation ? 9 : 6,
+            fillColor: this.getFishingRecency(evt.startTime).color,
+            fillOpacity: 0.85,
+            color: isViolation ? window.mapPalette.getCategory('marker', 'violationBorder') : '#ffffff',
+            weight: isViolation ? 3 : 2
+        };
+    },
 
-        // Remove existing legend
-        if (this.legendControls[mapId]) {
-            map.removeControl(this.legendControls[mapId]);
+    // Create a canvas-backed point layer (opt-in path for 100k+ points)
+    createCanvasPointLayer: function(points, options) {
+        if (!window.mapCanvasPoints) {
+            throw new Error('Canvas point layer not loaded. Make sure map-canvas-points.js is included');
         }
+        return window.mapCanvasPoints.createLayer(points, options);
+    },
 
-        const legend = L.control({ position: 'bottomright' });
-
-        legend.onAdd = function() {
-            const div = L.DomUtil.create('div', 'map-legend');
-            div.setAttribute('role', 'region');
-            div.setAttribute('aria-label', 'Map Legend');
-            div.setAttribute('tabindex', '0');
+    // Build popup HTML for a single fishing event
+    createFishingEventPopup: function(evt) {
+        const { t, formatDate, formatTime, formatNumber, formatDistance } = window.mapI18n;
+        const isViolation = evt.isRestricted === true;
 
-            let html = '<div class="legend-header"><strong>Legend</strong></div>';
-
-            if (showMpa) {
-                html += `
-                    <div class="legend-section" role="list" aria-label="Protection Levels">
-                        <div class="legend-title" id="protection-levels-title">Protection Levels</div>
-                        <div class="legend-item" role="listitem">
-                            <span class="legend-color legend-pattern-diagonal" style="background: #dc3545;" aria-hidden="true"></span>
-                            <span class="legend-label">No-Take Zone</span>
-                            <span class="legend-icon" aria-hidden="true">🚫</span>
-                        </div>
-                        <div class="legend-item" role="listitem">
-                            <span class="legend-color legend-pattern-dots" style="background: #fd7e14;" aria-hidden="true"></span>
-                            <span class="legend-label">Highly Protected</span>
-                            <span class="legend-icon" aria-hidden="true">🛡️</span>
-                        </div>
-                        <div class="legend-item" role="listitem">
-                            <span class="legend-color legend-pattern-waves" style="background: #0dcaf0;" aria-hidden="true"></span>
-                            <span class="legend-label">Lightly Protected</span>
-                            <span class="legend-icon" aria-hidden="true">🌊</span>
-                        </div>
-                    </div>`;
-            }
+        let popupContent = `
+            <div class="fishing-popup">
+                <div class="popup-header">
+                    <strong>${t('fishing.event')}</strong>
+                    ${isViolation ? `<span class="badge bg-danger ms-2">${t('mpa.violation')}</span>` : ''}
+                </div>
+                <hr style="margin: 6px 0;"/>
+                <div class="popup-body">
+                    <div><strong>${t('fishing.vessel')}:</strong> ${evt.vesselName || evt.vesselId}</div>
+                    <div><strong>${t('fishing.date')}:</strong> ${formatDate(evt.startTime)}</div>
+                    <div><strong>${t('fishing.time')}:</strong> ${formatTime(evt.startTime)}</div>
+        `;
+        if (evt.durationHours) {
+            popupContent += `<div><strong>${t('fishing.duration')}:</strong> ${t('unit.hours', { value: formatNumber(evt.durationHours, 1) })}</div>`;
+        }
+        if (evt.distanceKm) {
+            popupContent += `<div><strong>${t('fishing.distance')}:</strong> ${formatDistance(evt.distanceKm)}</div>`;
+        }
+        if (evt.eventType) {
+            popupContent += `<div><strong>${t('fishing.type')}:</strong> ${evt.eventType}</div>`;
+        }
+        if (evt.isInMpa === true && evt.mpaName) {
+            popupContent += `<div${isViolation ? ' class="text-danger"' : ''}><strong>${t('fishing.insideMpa')}:</strong> ${evt.mpaName}</div>`;
+        }
+        popupContent += '</div></div>';
 
-            if (showFishing) {
-                html += `
-                    <div class="legend-section" role="list" aria-label="Fishing Activity">
-                        <div class="legend-title" id="fishing-activity-title">Fishing Activity</div>
-                        <div class="legend-item" role="listitem">
-                            <span class="legend-dot legend-dot-recent" style="background: #dc3545;" aria-hidden="true"></span>
-                            <span class="legend-label">Last 7 days</span>
-                        </div>
-                        <div class="legend-item" role="listitem">
-                            <span class="legend-dot legend-dot-medium" style="background: #fd7e14;" aria-hidden="true"></span>
-                            <span class="legend-label">8-14 days</span>
-                        </div>
-                        <div class="legend-item" role="listitem">
-                            <span class="legend-dot legend-dot-old" style="background: #ffc107;" aria-hidden="true"></span>
-                            <span class="legend-label">15-30 days</span>
-                        </div>
-                        <div class="legend-item legend-item-warning" role="listitem">
-                            <span class="legend-dot violation" aria-hidden="true"></span>
-                            <span class="legend-label">MPA Violation</span>
-                            <span class="legend-icon" aria-hidden="true">⚠️</span>
-                        </div>
-                    </div>`;
-            }
+        return popupContent;
+    },
 
-            if (showAlerts) {
-                html += `
-                    <div class="legend-section" role="list" aria-label="Alert Levels">
-                        <div class="legend-title">Alert Levels</div>
-                        <div class="legend-item" role="listitem">
-                            <span class="legend-pulse legend-pulse-critical" aria-hidden="true"></span>
-                            <span class="legend-label">Critical</span>
-                        </div>
-                        <div class="legend-item" role="listitem">
-                            <span class="legend-pulse legend-pulse-warning" aria-hidden="true"></span>
-                            <span class="legend-label">Warning</span>
-                        </div>
-                    </div>`;
-            }
+    // Count cluster members per recency bucket and MPA violations
+    getFishingClusterBreakdown: function(cluster) {
+        const breakdown = { recent: 0, medium: 0, old: 0, older: 0, violations: 0 };
+        cluster.points.forEach(p => {
+            breakdown[this.getFishingRecency(p.data.startTime).bucket]++;
+            if (p.data.isRestricted === true) breakdown.violations++;
+        });
+        return breakdown;
+    },
 
-            div.innerHTML = html;
+    // Cluster badge with a recency ring matching the legend colors
+    createFishingClusterIcon: function(cluster) {
+        const b = this.getFishingClusterBreakdown(cluster);
+        const total = cluster.count;
+
+        // Conic gradient segments in legend order: 7 days, 8-14 days, 15-30 days, older
+        let angle = 0;
+        const segments = ['recent', 'medium', 'old', 'older'].map(bucket =>
+            [b[bucket], window.mapPalette.getCategory('recency', bucket)]
+        ).filter(([count]) => count > 0).map(([count, color]) => {
+            const start = angle;
+            angle += count / total * 360;
+            return `${color} ${start}deg ${angle}deg`;
+        });
 
-            // Prevent map interactions when clicking legend
-            L.DomEvent.disableClickPropagation(div);
-            L.DomEvent.disableScrollPropagation(div);
+        const size = total < 10 ? 32 : total < 100 ? 40 : 48;
+        const isViolation = b.violations > 0;
 
-            return div;
-        };
+        return L.divIcon({
+            className: `fishing-cluster${isViolation ? ' fishing-cluster-violation' : ''}`,
+            html: `
+                <div class="fishing-cluster-ring" style="background: conic-gradient(${segments.join(', ')});">
+                    <div class="fishing-cluster-count">${total}</div>
+                </div>
+                ${isViolation ? `<span class="fishing-cluster-alert" aria-hidden="true">${b.violations}</span>` : ''}
+            `,
+            iconSize: [size, size],
+            iconAnchor: [size / 2, size / 2]
+        });
+    },
 
-        legend.addTo(map);
-        this.legendControls[mapId] = legend;
-        return true;
+    // Text summary of a cluster for tooltips and screen readers
+    getFishingClusterSummary: function(cluster) {
+        const { t, formatNumber } = window.mapI18n;
+        const b = this.getFishingClusterBreakdown(cluster);
+        const color = (bucket) => window.mapPalette.getCategory('recency', bucket);
+        let html = `
+            <div class="fishing-cluster-summary">
+                <strong>${t('fishing.events', { count: formatNumber(cluster.count) })}</strong>
+                <div><span class="legend-dot legend-dot-recent" style="background: ${color('recent')};"></span> ${t('fishing.last7')}: ${formatNumber(b.recent)}</div>
+                <div><span class="legend-dot legend-dot-medium" style="background: ${color('medium')};"></span> ${t('fishing.days8to14')}: ${formatNumber(b.medium)}</div>
+                <div><span class="legend-dot legend-dot-old" style="background: ${color('old')};"></span> ${t('fishing.days15to30')}: ${formatNumber(b.old)}</div>
+        `;
+        if (b.older > 0) {
+            html += `<div><span class="legend-dot" style="background: ${color('older')};"></span> ${t('fishing.older')}: ${formatNumber(b.older)}</div>`;
+        }
+        if (b.violations > 0) {
+            html += `<div class="text-danger"><strong>⚠️ ${t('fishing.violations', { count: formatNumber(b.violations) })}</strong></div>`;
+        }
+        return html + '</div>';
     },
 
-    // Update legend visibility based on active layers
-    updateLegend: function(mapId, showMpa, showFishing) {
-        return this.addLegend(mapId, showMpa, showFishing);
+    // Popup listing events that share an identical position
+    createFishingStackPopup: function(cluster, dotNetHelper) {
+        const { t, formatDate, formatNumber } = window.mapI18n;
+        const container = L.DomUtil.create('div', 'fishing-popup fishing-stack-popup');
+        container.innerHTML = `
+            <div class="popup-header"><strong>${t('fishing.eventsTitle', { count: formatNumber(cluster.count) })}</strong></div>
+            <hr style="margin: 6px 0;"/>
+        `;
+
+        const list = L.DomUtil.create('div', 'popup-body', container);
+        cluster.points
+            .map(p => p.data)
+            .sort((a, b) => new Date(b.startTime) - new Date(a.startTime))
+            .forEach(evt => {
+                const row = L.DomUtil.create('button', 'fishing-stack-item', list);
+                row.type = 'button';
+                row.innerHTML = `
+                    <span class="legend-dot" style="background: ${this.getFishingRecency(evt.startTime).color};"></span>
+                    <span>${evt.vesselName || evt.vesselId} &middot; ${formatDate(evt.startTime)}</span>
+                    ${evt.isRestricted === true ? `<span class="badge bg-danger ms-auto">${t('mpa.violation')}</span>` : ''}
+                `;
+                L.DomEvent.on(row, 'click', () => {
+                    if (dotNetHelper) {
+                        dotNetHelper.invokeMethodAsync('OnFishingEventClicked', evt.eventId);
+                    }
+                });
+            });
+
+        return container;
     },
 
-    // Create hover info control for MPA details
-    createHoverInfoControl: function(mapId) {
+    // Remove fishing events layer and trajectories
+    removeFishingEventsLayer: function (mapId) {
         const map = this.maps[mapId];
-        if (!map || this.hoverInfoControls[mapId]) return;
+        if (!map) return false;
 
-        const info = L.control({ position: 'topright' });
+        this.removeOverlay(mapId, 'fishing');
+        delete this.fishingLayers[mapId];
+        delete this.fishingEventData[mapId];
 
-        info.onAdd = function() {
-            const div = L.DomUtil.create('div', 'mpa-hover-info');
-            div.setAttribute('role', 'status');
-            div.setAttribute('aria-live', 'polite');
-            div.setAttribute('aria-label', 'Marine Protected Area Information');
-            div.style.display = 'none';
-            return div;
-        };
+        this.removeOverlay(mapId, 'trajectories');
+        delete this.trajectoryLayers[mapId];
 
-        info.addTo(map);
-        this.hoverInfoControls[mapId] = info;
+        return true;
     },
 
-    // Show hover info box with MPA details
-    showHoverInfo: function(mapId, props) {
-        if (!this.hoverInfoControls[mapId]) {
-            this.createHoverInfoControl(mapId);
+    // Add a fishing effort heatmap (GFW 4Wings tiles, or our own fishing events when those are unavailable)
+    // Options: startDate and endDate (yyyy-MM-dd, default the last 30 days), ramp, radius and visible
+    addFishingHeatmap: async function(mapId, options = {}) {
+        const map = this.maps[mapId];
+        if (!map || !window.mapHeatmap) return false;
+
+        const today = new Date();
+        const endDate = options.endDate || today.toISOString().split('T')[0];
+        const startDate = options.startDate || new Date(today.getTime() - 30 * 86400000).toISOString().split('T')[0];
+
+        const layer = await window.mapHeatmap.createFishingEffortLayer({
+            startDate: startDate,
+            endDate: endDate,
+            ramp: options.ramp,
+            radius: options.radius
+        });
+        if (!layer) {
+            this.removeOverlay(mapId, 'fishing-heatmap');
+            return false;
         }
 
-        const container = this.hoverInfoControls[mapId]?.getContainer();
-        if (!container) return;
+        this.addOverlay(mapId, 'fishing-heatmap', layer, {
+            name: () => window.mapI18n.t('fishing.heatmap'),
+            legend: () => layer.getLegendHtml(),
+            visible: options.visible,
+            opacity: 0.8
+        });
+        return true;
+    },
 
-        const getColorClass = (level) => {
-            switch (level) {
-                case 'NoTake': return 'protection-no-take';
-                case 'HighlyProtected': return 'protection-highly';
-                case 'LightlyProtected': return 'protection-lightly';
-                default: return 'protection-unknown';
-            }
-        };
+    // Change the heatmap color ramp and/or radius without reloading it
+    setFishingHeatmapStyle: function(mapId, style) {
+        const registry = this.getLayerRegistry(mapId);
+        const layer = registry?.getLayer('fishing-heatmap');
+        if (!layer) return false;
 
-        const getIcon = (level) => {
-            switch (level) {
-                case 'NoTake': return '🚫';
-                case 'HighlyProtected': return '🛡️';
-                case 'LightlyProtected': return '🌊';
-                default: return '📍';
-            }
+        layer.setStyle(style);
+        registry.notify();
+        return true;
+    },
+
+    removeFishingHeatmap: function(mapId) {
+        return this.removeOverlay(mapId, 'fishing-heatmap');
+    },
+
+    // Load a vessel's AIS track and play it back with MPA crossings highlighted
+    playVesselTrack: async function(mapId, mmsi, hours = 24, vesselName = null) {
+        const map = this.maps[mapId];
+        if (!map || !window.vesselTrackPlayer) return false;
+
+        this.stopVesselTrack(mapId);
+        map.closePopup();
+
+        try {
+            const player = await window.vesselTrackPlayer.load(map, mmsi, {
+                hours: hours,
+                vesselName: vesselName,
+                mpaIndex: this.getMpaIndex(mapId),
+                createCrossingMarker: (crossing, name) => this.createMpaCrossingMarker(crossing, name)
+            });
+            if (!player) return false;
+
+            player.onRemove = () => {
+                if (this.trackPlayers[mapId] === player) {
+                    delete this.trackPlayers[mapId];
+                }
+            };
+            this.trackPlayers[mapId] = player;
+            return true;
+        } catch (error) {
+            console.error('[leaflet-map.js] Error loading vessel track:', error);
+            return false;
+        }
+    },
+
+    // Stop and remove vessel track playback
+    stopVesselTrack: function(mapId) {
+        if (this.trackPlayers[mapId]) {
+            this.trackPlayers[mapId].remove();
+        }
+        return true;
+    },
+
+    // Link maps so they share pan, zoom and cursor position
+    linkMaps: function(mapIds, syncCursor = true) {
+        const maps = mapIds.map(id => this.maps[id]).filter(Boolean);
+        if (maps.length < 2 || !window.mapSync) return false;
+
+        mapIds.forEach(id => this.unlinkMap(id));
+        const group = window.mapSync.link(maps, { syncCursor: syncCursor });
+        mapIds.forEach(id => { this.syncGroups[id] = group; });
+        return true;
+    },
+
+    // Stop a map following its linked maps
+    unlinkMap: function(mapId) {
+        const group = this.syncGroups[mapId];
+        if (!group) return false;
+
+        if (this.maps[mapId]) {
+            window.mapSync.unlink(this.maps[mapId]);
+        }
+        delete this.syncGroups[mapId];
+        return true;
+    },
+
+    // Re-measure a map after its container is shown, hidden or resized
+    refreshSize: function(mapId) {
+        const map = this.maps[mapId];
+        if (!map) return false;
+
+        map.invalidateSize();
+        return true;
+    },
+
+    // Split a map between two tile themes with a draggable divider
+    enableThemeSwipe: function(mapId, leftTheme, rightTheme, position = 0.5) {
+        const map = this.maps[mapId];
+        if (!map || !window.mapSync || !this.tileOptions[leftTheme] || !this.tileOptions[rightTheme]) return false;
+
+        this.disableSwipe(mapId);
+
+        // Just above the base tiles, below MPA and data overlays
+        const panes = window.mapSync.createPanes(map, 'swipeTiles', 250);
+        const offlineEnabled = this.tileLayers[mapId]?.offlineEnabled !== false;
+        const layers = [
+            this.createThemeTileLayer(leftTheme, offlineEnabled, { pane: panes.left }),
+            this.createThemeTileLayer(rightTheme, offlineEnabled, { pane: panes.right })
+        ];
+
+        return this.startSwipe(mapId, panes, layers, {
+            position: position,
+            leftLabel: this.tileOptions[leftTheme].name,
+            rightLabel: this.tileOptions[rightTheme].name
+        });
+    },
+
+    // Split a map between the bleaching data of two time-lapse dates
+    enableDateSwipe: async function(mapId, leftDate, rightDate, position = 0.5) {
+        const map = this.maps[mapId];
+        if (!map || !window.mapSync || !window.mapTimeLapse) return false;
+
+        this.disableSwipe(mapId);
+
+        // Hide the single-date time-lapse layer while both dates are shown
+        const hideBleaching = this.getOverlays(mapId).some(o => o.id === 'timelapse-bleaching' && o.visible);
+        if (hideBleaching) {
+            this.setOverlayVisible(mapId, 'timelapse-bleaching', false);
+        }
+
+        const panes = window.mapSync.createPanes(map, 'swipeData', 450);
+        const bleachingVariable = window.mapTimeLapse.getState(mapId).bleachingVariable;
+        const layers = await Promise.all([
+            window.mapTimeLapse.createBleachingLayer(leftDate, panes.left, null, bleachingVariable),
+            window.mapTimeLapse.createBleachingLayer(rightDate, panes.right, null, bleachingVariable)
+        ]);
+
+        this.startSwipe(mapId, panes, layers.filter(Boolean), {
+            position: position,
+            leftLabel: leftDate,
+            rightLabel: rightDate
+        });
+        this.swipeControls[mapId].hiddenOverlays = hideBleaching ? ['timelapse-bleaching'] : [];
+        return true;
+    },
+
+    startSwipe: function(mapId, panes, layers, options) {
+        const map = this.maps[mapId];
+        layers.forEach(layer => layer.addTo(map));
+
+        const swipe = window.mapSync.createSwipe(map, Object.assign({
+            leftPane: panes.left,
+            rightPane: panes.right
+        }, options));
+
+        this.swipeControls[mapId] = { swipe: swipe, layers: layers };
+        return true;
+    },
+
+    // Move the swipe divider (0 = far left, 1 = far right)
+    setSwipePosition: function(mapId, position) {
+        const active = this.swipeControls[mapId];
+        if (!active) return false;
+
+        active.swipe.setPosition(position);
+        return true;
+    },
+
+    // Remove the swipe comparison and its layers
+    disableSwipe: function(mapId) {
+        const active = this.swipeControls[mapId];
+        if (!active) return false;
+
+        const map = this.maps[mapId];
+        active.swipe.remove();
+        active.layers.forEach(layer => map.removeLayer(layer));
+        (active.hiddenOverlays || []).forEach(id => this.setOverlayVisible(mapId, id, true));
+        delete this.swipeControls[mapId];
+        return true;
+    },
+
+    // Add the drawing and measurement toolbar to a map
+    addDrawingTools: function(mapId) {
+        const map = this.maps[mapId];
+        if (!map || !window.mapDraw) return false;
+
+        this.removeDrawingTools(mapId);
+
+        const toolbar = L.control({ position: 'topleft' });
+        const controller = window.mapDraw.createController(map, {
+            onShapeCreated: (shape) => {
+                shape.layer.bindPopup(() => this.createDrawnShapePopup(mapId, shape), { minWidth: 240 });
+            },
+            onToolChange: (tool) => {
+                toolbar.getContainer()?.querySelectorAll('[data-tool]').forEach(btn => {
+                    const active = btn.dataset.tool === tool;
+                    btn.classList.toggle('active', active);
+                    btn.setAttribute('aria-pressed', active);
+                });
+            }
+        });
+
+        toolbar.onAdd = () => {
+            const div = L.DomUtil.create('div', 'map-control-group map-draw-toolbar');
+            const t = window.mapI18n.t;
+            div.setAttribute('role', 'toolbar');
+            div.setAttribute('aria-label', t('draw.toolbar'));
+
+            const tools = Object.entries(window.mapDraw.TOOLS).map(([tool, def]) => `
+                <button type="button" class="map-control-btn" data-tool="${tool}" data-i18n-label="${def.label}"
+                    title="${t(def.label)}" aria-label="${t(def.label)}" aria-pressed="false">
+                    <span class="material-icons">${def.icon}</span>
+                </button>
+            `).join('');
+
+            div.innerHTML = `
+                ${tools}
+                <button type="button" class="map-control-btn" data-action="export" data-i18n-label="draw.exportShapes"
+                    title="${t('draw.exportShapes')}" aria-label="${t('draw.exportShapes')}">
+                    <span class="material-icons">file_download</span>
+                </button>
+                <button type="button" class="map-control-btn" data-action="clear" data-i18n-label="draw.clearShapes"
+                    title="${t('draw.clearShapes')}" aria-label="${t('draw.clearShapes')}">
+                    <span class="material-icons">delete_sweep</span>
+                </button>
+            `;
+
+            div.querySelectorAll('[data-tool]').forEach(btn => {
+                L.DomEvent.on(btn, 'click', () => {
+                    if (controller.tool === btn.dataset.tool) {
+                        controller.cancel();
+                    } else {
+                        controller.start(btn.dataset.tool);
+                    }
+                });
+            });
+            L.DomEvent.on(div.querySelector('[data-action=export]'), 'click', () => this.exportDrawnShapes(mapId));
+            L.DomEvent.on(div.querySelector('[data-action=clear]'), 'click', () => controller.clear());
+
+            L.DomEvent.disableClickPropagation(div);
+            return div;
+        };
+
+        toolbar.addTo(map);
+        this.drawControllers[mapId] = { controller: controller, toolbar: toolbar };
+        return true;
+    },
+
+    // Remove the drawing toolbar and every drawn shape
+    removeDrawingTools: function(mapId) {
+        const draw = this.drawControllers[mapId];
+        if (!draw) return false;
+
+        draw.controller.remove();
+        this.maps[mapId]?.removeControl(draw.toolbar);
+        delete this.drawControllers[mapId];
+        return true;
+    },
+
+    getDrawnShape: function(mapId, shapeId) {
+        return this.drawControllers[mapId]?.controller.getShape(shapeId) || null;
+    },
+
+    // Summaries of the drawn shapes (callable from Blazor)
+    getDrawnShapes: function(mapId) {
+        const draw = this.drawControllers[mapId];
+        if (!draw) return [];
+
+        return draw.controller.getShapes().map(shape => ({
+            id: shape.id,
+            type: shape.type,
+            lengthKm: shape.measurement.lengthKm ?? null,
+            areaKm2: shape.measurement.areaKm2 ?? null,
+            radiusKm: shape.measurement.radiusKm ?? null,
+            bounds: window.mapDraw.getBounds(shape)
+        }));
+    },
+
+    // Drawn shapes as a GeoJSON FeatureCollection; downloads a .geojson file unless download is false
+    exportDrawnShapes: function(mapId, download = true) {
+        const draw = this.drawControllers[mapId];
+        if (!draw) return null;
+
+        const geojson = draw.controller.toGeoJSON();
+        if (download && window.downloadBlob) {
+            window.downloadBlob('coralledger-shapes.geojson',
+                new Blob([JSON.stringify(geojson, null, 2)], { type: 'application/geo+json' }));
+        }
+        return geojson;
+    },
+
+    // Bounds of a drawn shape in the { north, south, east, west } form used by downloadRegion
+    getDrawnShapeBounds: function(mapId, shapeId) {
+        const shape = this.getDrawnShape(mapId, shapeId);
+        return shape ? window.mapDraw.getBounds(shape) : null;
+    },
+
+    // Area a drawn shape covers for tile downloads: its outline, or a corridor along a line
+    getDrawnShapeRegion: function(mapId, shapeId, bufferKm = this.routeBufferKm) {
+        const shape = this.getDrawnShape(mapId, shapeId);
+        if (!shape) return null;
+
+        const feature = window.mapDraw.toFeature(shape);
+        return shape.type === 'polyline'
+            ? { route: feature, bufferKm: bufferKm }
+            : { polygon: feature };
+    },
+
+    // Download offline tiles covering a drawn shape
+    downloadDrawnShape: async function(mapId, shapeId, minZoom, maxZoom, theme = null, dotNetHelper = null) {
+        const region = this.getDrawnShapeRegion(mapId, shapeId);
+        if (!region) return null;
+
+        return this.downloadRegion(region, minZoom, maxZoom, theme || this.tileLayers[mapId]?.theme || 'dark', dotNetHelper);
+    },
+
+    // MPAs a drawn shape overlaps: /api/mpas/within-radius over the shape's enclosing circle, then
+    // clipped to the shape itself with the MPA geometry on the map (or /api/mpas/geojson without it)
+    findMpasInDrawnShape: async function(mapId, shapeId) {
+        const shape = this.getDrawnShape(mapId, shapeId);
+        if (!shape) return [];
+
+        const circle = window.mapDraw.getEnclosingCircle(shape);
+        const response = await fetch(`/api/mpas/within-radius?lon=${circle.lng}&lat=${circle.lat}&radiusKm=${circle.radiusKm.toFixed(3)}`);
+        if (!response.ok) {
+            throw new Error(`MPA radius query failed: HTTP ${response.status}`);
+        }
+        const mpas = await response.json();
+        // The radius query is exact for circles
+        if (shape.type === 'circle' || !mpas.length) return mpas;
+
+        let features = this.mpaLayers[mapId]?.toGeoJSON().features;
+        if (!features) {
+            const geojsonResponse = await fetch('/api/mpas/geojson?resolution=medium');
+            if (!geojsonResponse.ok) {
+                throw new Error(`MPA geometry request failed: HTTP ${geojsonResponse.status}`);
+            }
+            features = (await geojsonResponse.json()).features || [];
+        }
+
+        const geometries = new Map(features.map(f => [String(window.mpaSpatial.describeFeature(f).id), f.geometry]));
+        return mpas.filter(mpa => {
+            const geometry = geometries.get(String(mpa.mpaId));
+            return geometry && window.mapDraw.intersectsGeometry(shape, geometry);
+        });
+    },
+
+    // Bleaching data inside a drawn shape, via /api/bleaching/region and clipped to the shape
+    getBleachingInDrawnShape: async function(mapId, shapeId, startDate, endDate) {
+        const shape = this.getDrawnShape(mapId, shapeId);
+        if (!shape) return [];
+
+        const b = window.mapDraw.getBounds(shape);
+        const response = await fetch(`/api/bleaching/region?minLon=${b.west}&minLat=${b.south}&maxLon=${b.east}&maxLat=${b.north}&startDate=${startDate}&endDate=${endDate}`);
+        if (!response.ok) {
+            throw new Error(`Bleaching region query failed: HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        // Lines have no area, so they keep everything in their bounding box
+        return shape.type === 'polyline'
+            ? data
+            : data.filter(d => window.mapDraw.containsPoint(shape, d.latitude, d.longitude));
+    },
+
+    // Popup for a drawn shape with measurements and region actions
+    createDrawnShapePopup: function(mapId, shape) {
+        const map = this.maps[mapId];
+        const m = shape.measurement;
+        const minZoom = Math.max(0, Math.floor(map.getZoom()));
+        const maxZoom = Math.min(16, minZoom + 3);
+        const estimate = this.estimateRegionSize(this.getDrawnShapeRegion(mapId, shape.id), minZoom, maxZoom);
+        const { t, formatNumber, formatDistance } = window.mapI18n;
+
+        const div = L.DomUtil.create('div', 'draw-shape-popup');
+        div.innerHTML = `
+            <div class="popup-header"><strong>${t(`draw.${shape.type}`)}</strong></div>
+            <hr style="margin: 6px 0;"/>
+            <div class="popup-body">
+                ${m.radiusKm != null ? `<div><strong>${t('draw.radius')}:</strong> ${window.mapDraw.formatDistance(m.radiusKm)}</div>` : ''}
+                <div><strong>${t(shape.type === 'polyline' ? 'draw.distance' : 'draw.perimeter')}:</strong> ${window.mapDraw.formatDistance(m.lengthKm)}</div>
+                ${m.areaKm2 != null ? `<div><strong>${t('draw.area')}:</strong> ${window.mapDraw.formatArea(m.areaKm2)}</div>` : ''}
+            </div>
+            <div class="draw-shape-actions">
+                <button type="button" class="btn btn-sm btn-outline-primary" data-action="mpas">${t('draw.mpasNearby')}</button>
+                <button type="button" class="btn btn-sm btn-outline-primary" data-action="bleaching">${t('draw.bleaching')}</button>
+                <button type="button" class="btn btn-sm btn-outline-primary" data-action="download"
+                    title="${estimate
+                        ? t('draw.saveOfflineEstimate', { minZoom, maxZoom, tiles: formatNumber(estimate.tileCount), mb: estimate.estimatedMB })
+                        : t('draw.saveOfflineTitle', { minZoom, maxZoom })}">${t('draw.saveOffline')}</button>
+                <button type="button" class="btn btn-sm btn-outline-danger" data-action="delete">${t('common.delete')}</button>
+            </div>
+            <div class="draw-shape-result" aria-live="polite"></div>
+        `;
+
+        const result = div.querySelector('.draw-shape-result');
+        const run = async (action) => {
+            try {
+                result.textContent = t('common.loading');
+                const content = await action();
+                if (typeof content === 'string') {
+                    result.innerHTML = content;
+                } else {
+                    result.replaceChildren(content);
+                }
+            } catch (error) {
+                console.error('[leaflet-map.js] Drawn shape query failed:', error);
+                result.textContent = t('common.requestFailed');
+            }
+        };
+
+        L.DomEvent.on(div.querySelector('[data-action=mpas]'), 'click', () => run(async () => {
+            const mpas = await this.findMpasInDrawnShape(mapId, shape.id);
+            if (!mpas.length) return t('draw.noMpas');
+            // MPA names come from the API, so the list is built as text rather than markup
+            const list = document.createElement('ul');
+            for (const mpa of mpas) {
+                const item = L.DomUtil.create('li', '', list);
+                item.append(`${mpa.mpaName} `);
+                L.DomUtil.create('small', '', item).textContent =
+                    `(${mpa.isWithinMpa ? t('draw.inside') : formatDistance(mpa.distanceKm)})`;
+            }
+            return list;
+        }));
+
+        L.DomEvent.on(div.querySelector('[data-action=bleaching]'), 'click', () => run(async () => {
+            const end = new Date();
+            const start = new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+            const data = await this.getBleachingInDrawnShape(mapId, shape.id,
+                start.toISOString().slice(0, 10), end.toISOString().slice(0, 10));
+            if (!data.length) return t('draw.noBleaching');
+            const maxDhw = Math.max(...data.map(d => d.degreeHeatingWeek || 0));
+            const maxAlert = Math.max(...data.map(d => d.alertLevel || 0));
+            return t('draw.bleachingSummary', {
+                count: formatNumber(data.length),
+                dhw: t('unit.degreeWeeks', { value: formatNumber(maxDhw, 1) }),
+                alert: maxAlert
+            });
+        }));
+
+        L.DomEvent.on(div.querySelector('[data-action=download]'), 'click', () => run(async () => {
+            const downloaded = await this.downloadDrawnShape(mapId, shape.id, minZoom, maxZoom);
+            if (!downloaded) return t('draw.noTileCache');
+            return t(downloaded.failed ? 'draw.savedWithFailures' : 'draw.saved', {
+                downloaded: formatNumber(downloaded.downloaded),
+                cached: formatNumber(downloaded.cached),
+                failed: formatNumber(downloaded.failed)
+            });
+        }));
+
+        L.DomEvent.on(div.querySelector('[data-action=delete]'), 'click', () => {
+            map.closePopup();
+            this.drawControllers[mapId]?.controller.removeShape(shape.id);
+        });
+
+        return div;
+    },
+
+    // Zoom to specific MPA by ID
+    zoomToMpa: function (mapId, mpaId) {
+        const map = this.maps[mapId];
+        const mpaLayer = this.mpaLayers[mapId];
+        if (!map || !mpaLayer) return false;
+
+        let found = false;
+        mpaLayer.eachLayer((layer) => {
+            if (layer.feature && layer.feature.id === mpaId) {
+                map.fitBounds(layer.getBounds(), { padding: [50, 50] });
+                layer.openPopup();
+                found = true;
+            }
+        });
+
+        return found;
+    },
+
+    // Highlight specific MPA
+    highlightMpa: function (mapId, mpaId) {
+        const mpaLayer = this.mpaLayers[mapId];
+        if (!mpaLayer) return false;
+
+        this.highlightedMpas[mapId] = mpaId;
+        this.updateUrlState(mapId);
+
+        mpaLayer.eachLayer((layer) => {
+            if (layer.feature && layer.feature.id === mpaId) {
+                layer.setStyle(Object.assign({
+                    weight: 4,
+                    color: window.mapPalette.getCategory('marker', 'highlight')
+                }, this.getMpaFill(layer.feature.properties.ProtectionLevel, 0.6)));
+                layer.bringToFront();
+            } else if (layer.feature) {
+                mpaLayer.resetStyle(layer);
+            }
+        });
+
+        return true;
+    },
+
+    // Remove the MPA highlight
+    clearMpaHighlight: function(mapId) {
+        const mpaLayer = this.mpaLayers[mapId];
+        delete this.highlightedMpas[mapId];
+        this.updateUrlState(mapId);
+        if (!mpaLayer) return false;
+
+        mpaLayer.eachLayer(layer => layer.feature && mpaLayer.resetStyle(layer));
+        return true;
+    },
+
+    // Redraw a map's layers and legend in the current palette (see map-palette.js)
+    applyPalette: function(mapId) {
+        const map = this.maps[mapId];
+        if (!map) return false;
+
+        const mpaLayer = this.mpaLayers[mapId];
+        if (mpaLayer) {
+            mpaLayer.eachLayer(layer => layer.feature && mpaLayer.resetStyle(layer));
+            if (this.highlightedMpas[mapId]) {
+                this.highlightMpa(mapId, this.highlightedMpas[mapId]);
+            }
+        }
+        const pulseLayer = this.mpaPulseLayers[mapId];
+        if (pulseLayer) {
+            pulseLayer.eachLayer(layer => pulseLayer.resetStyle(layer));
+        }
+
+        // Fishing markers, clusters and trajectories bake their colors in, so rebuild them
+        const fishing = this.fishingEventData[mapId];
+        if (fishing && this.fishingLayers[mapId]) {
+            this.addFishingEventsLayer(mapId, fishing.events, fishing.dotNetHelper, fishing.renderMode);
+        }
+
+        const heatmap = this.getLayerRegistry(mapId)?.getLayer('fishing-heatmap');
+        if (heatmap) {
+            heatmap.setStyle({});
+        }
+
+        (this.swipeControls[mapId]?.layers || []).forEach(layer => layer.recolor && layer.recolor());
+        this.trackPlayers[mapId]?.recolor();
+
+        this.getLayerRegistry(mapId)?.notify();
+        return true;
+    },
+
+    // Re-render a map's text in the current culture (see map-i18n.js); popups build their content on open
+    applyCulture: function(mapId) {
+        const map = this.maps[mapId];
+        if (!map) return false;
+
+        // Cluster icons and summaries are built once, so rebuild the fishing layer
+        const fishing = this.fishingEventData[mapId];
+        if (fishing && this.fishingLayers[mapId]) {
+            this.addFishingEventsLayer(mapId, fishing.events, fishing.dotNetHelper, fishing.renderMode);
+        }
+
+        this.basemapSwitchers[mapId]?.refresh?.();
+        this.trackPlayers[mapId]?.relabel();
+
+        const hoverProps = this.hoverInfoControls[mapId]?.props;
+        if (hoverProps) {
+            this.showHoverInfo(mapId, hoverProps);
+        }
+        // Static control text (toolbars, export form, offline indicator) is marked with data-i18n
+        window.mapI18n.translate(map.getContainer());
+
+        // Switcher names and legend sections are rendered from the registry
+        this.getLayerRegistry(mapId)?.notify();
+        return true;
+    },
+
+    // Overlay layer registry: every overlay gets a pane, a switcher entry and an optional legend section
+
+    getLayerRegistry: function(mapId) {
+        const map = this.maps[mapId];
+        return map ? window.mapLayers.getRegistry(map) : null;
+    },
+
+    // Add (or replace) an overlay; meta takes name and legend() returning legend section HTML
+    addOverlay: function(mapId, id, layer, meta = {}) {
+        return this.getLayerRegistry(mapId)?.add(id, layer, meta) || null;
+    },
+
+    removeOverlay: function(mapId, id) {
+        const registry = this.getLayerRegistry(mapId);
+        return registry ? registry.remove(id) : false;
+    },
+
+    // Overlay summaries, top first (callable from Blazor)
+    getOverlays: function(mapId) {
+        return this.getLayerRegistry(mapId)?.list() || [];
+    },
+
+    setOverlayVisible: function(mapId, id, visible) {
+        return this.getLayerRegistry(mapId)?.setVisible(id, visible) || false;
+    },
+
+    setOverlayOpacity: function(mapId, id, opacity) {
+        return this.getLayerRegistry(mapId)?.setOpacity(id, opacity) || false;
+    },
+
+    // Move an overlay up (positive steps) or down (negative steps) the stack
+    moveOverlay: function(mapId, id, steps) {
+        return this.getLayerRegistry(mapId)?.move(id, steps) || false;
+    },
+
+    // Add the layer switcher control for toggling, fading and reordering overlays
+    addLayerSwitcher: function(mapId) {
+        const registry = this.getLayerRegistry(mapId);
+        if (!registry) return false;
+
+        this.removeLayerSwitcher(mapId);
+        const control = window.mapLayers.createSwitcher(registry);
+        control.addTo(this.maps[mapId]);
+        this.layerSwitchers[mapId] = control;
+        return true;
+    },
+
+    removeLayerSwitcher: function(mapId) {
+        const control = this.layerSwitchers[mapId];
+        if (!control) return false;
+
+        this.maps[mapId]?.removeControl(control);
+        delete this.layerSwitchers[mapId];
+        return true;
+    },
+
+    getMpaLegendHtml: function() {
+        const t = window.mapI18n.t;
+        const color = (level) => window.mapPalette.getCategory('protection', level);
+        return `
+            <div class="legend-section" role="list" aria-label="${t('protection.title')}">
+                <div class="legend-title" id="protection-levels-title">${t('protection.title')}</div>
+                <div class="legend-item" role="listitem">
+                    <span class="legend-color legend-pattern-diagonal" style="background: ${color('NoTake')};" aria-hidden="true"></span>
+                    <span class="legend-label">${t('protection.NoTake')}</span>
+                    <span class="legend-icon" aria-hidden="true">🚫</span>
+                </div>
+                <div class="legend-item" role="listitem">
+                    <span class="legend-color legend-pattern-dots" style="background: ${color('HighlyProtected')};" aria-hidden="true"></span>
+                    <span class="legend-label">${t('protection.HighlyProtected')}</span>
+                    <span class="legend-icon" aria-hidden="true">🛡️</span>
+                </div>
+                <div class="legend-item" role="listitem">
+                    <span class="legend-color legend-pattern-waves" style="background: ${color('LightlyProtected')};" aria-hidden="true"></span>
+                    <span class="legend-label">${t('protection.LightlyProtected')}</span>
+                    <span class="legend-icon" aria-hidden="true">🌊</span>
+                </div>
+            </div>`;
+    },
+
+    getFishingLegendHtml: function() {
+        const t = window.mapI18n.t;
+        const color = (bucket) => window.mapPalette.getCategory('recency', bucket);
+        return `
+            <div class="legend-section" role="list" aria-label="${t('fishing.title')}">
+                <div class="legend-title" id="fishing-activity-title">${t('fishing.title')}</div>
+                <div class="legend-item" role="listitem">
+                    <span class="legend-dot legend-dot-recent" style="background: ${color('recent')};" aria-hidden="true"></span>
+                    <span class="legend-label">${t('fishing.last7')}</span>
+                </div>
+                <div class="legend-item" role="listitem">
+                    <span class="legend-dot legend-dot-medium" style="background: ${color('medium')};" aria-hidden="true"></span>
+                    <span class="legend-label">${t('fishing.days8to14')}</span>
+                </div>
+                <div class="legend-item" role="listitem">
+                    <span class="legend-dot legend-dot-old" style="background: ${color('old')};" aria-hidden="true"></span>
+                    <span class="legend-label">${t('fishing.days15to30')}</span>
+                </div>
+                <div class="legend-item legend-item-warning" role="listitem">
+                    <span class="legend-dot violation" aria-hidden="true"></span>
+                    <span class="legend-label">${t('mpa.violation')}</span>
+                    <span class="legend-icon" aria-hidden="true">⚠️</span>
+                </div>
+                <div class="legend-item" role="listitem">
+                    <span class="legend-cluster" aria-hidden="true">12</span>
+                    <span class="legend-label">${t('fishing.cluster')}</span>
+                </div>
+            </div>`;
+    },
+
+    // US-2.2.6: Add interactive map legend with WCAG patterns
+    // Sections come from the visible overlays and follow the layer switcher
+    addLegend: function(mapId, showAlerts = false) {
+        const map = this.maps[mapId];
+        if (!map) return false;
+
+        // Remove existing legend
+        this.removeLegend(mapId);
+
+        const registry = this.getLayerRegistry(mapId);
+        const legend = L.control({ position: 'bottomright' });
+        let unsubscribe = null;
+
+        legend.onAdd = function() {
+            const div = L.DomUtil.create('div', 'map-legend');
+            div.setAttribute('role', 'region');
+            div.setAttribute('tabindex', '0');
+
+            const render = () => {
+                const t = window.mapI18n.t;
+                const sections = registry ? registry.getLegendSections() : [];
+                div.setAttribute('aria-label', t('legend.label'));
+                let html = `<div class="legend-header"><strong>${t('legend.title')}</strong></div>`;
+
+                html += sections.map(section => section.html).join('');
+
+                if (showAlerts) {
+                    html += `
+                        <div class="legend-section" role="list" aria-label="${t('legend.alerts')}">
+                            <div class="legend-title">${t('legend.alerts')}</div>
+                            <div class="legend-item" role="listitem">
+                                <span class="legend-pulse legend-pulse-critical" aria-hidden="true"></span>
+                                <span class="legend-label">${t('legend.critical')}</span>
+                            </div>
+                            <div class="legend-item" role="listitem">
+                                <span class="legend-pulse legend-pulse-warning" aria-hidden="true"></span>
+                                <span class="legend-label">${t('legend.warning')}</span>
+                            </div>
+                        </div>`;
+                }
+
+                if (!sections.length && !showAlerts) {
+                    html += `<div class="legend-empty">${t('legend.empty')}</div>`;
+                }
+
+                div.innerHTML = html;
+            };
+
+            render();
+            if (registry) {
+                unsubscribe = registry.onChange(render);
+            }
+
+            // Prevent map interactions when clicking legend
+            L.DomEvent.disableClickPropagation(div);
+            L.DomEvent.disableScrollPropagation(div);
+
+            return div;
+        };
+
+        legend.onRemove = () => unsubscribe && unsubscribe();
+
+        legend.addTo(map);
+        this.legendControls[mapId] = legend;
+        return true;
+    },
+
+    removeLegend: function(mapId) {
+        const legend = this.legendControls[mapId];
+        if (!legend) return false;
+
+        this.maps[mapId]?.removeControl(legend);
+        delete this.legendControls[mapId];
+        return true;
+    },
+
+    // Legend to print: the one the user sees; without a legend control, one built from the visible overlays
+    getExportLegend: function(mapId) {
+        const sections = this.getLayerRegistry(mapId)?.getLegendSections() || [];
+        return this.legendControls[mapId]?.getContainer() ||
+            (sections.length ? sections.map(section => section.html).join('') : null);
+    },
+
+    // Export the current view as a PNG or PDF figure with legend, scale bar, north arrow and title block
+    // Options: format (png|pdf), title, subtitle, paper (a4|a3|letter|tabloid, empty for the view size),
+    // orientation, dpi and download (default true). Returns a summary for Blazor
+    exportMap: async function(mapId, options = {}) {
+        const map = this.maps[mapId];
+        if (!map || !window.mapExport) return null;
+
+        try {
+            const result = await window.mapExport.exportMap(map, { ...options, legend: this.getExportLegend(mapId) });
+            if (options.download !== false && window.downloadBlob) {
+                window.downloadBlob(result.filename, result.blob);
+            }
+            if (result.missingTiles) {
+                console.warn(`[leaflet-map] Export is missing ${result.missingTiles} tiles (offline and not cached)`);
+            }
+
+            return {
+                filename: result.filename,
+                format: result.format,
+                width: result.width,
+                height: result.height,
+                dpi: result.dpi,
+                bytes: result.blob.size,
+                missingTiles: result.missingTiles
+            };
+        } catch (error) {
+            console.error('[leaflet-map] Map export failed:', error);
+            return null;
+        }
+    },
+
+    // Add a print button that opens the export options
+    addExportControl: function(mapId) {
+        const map = this.maps[mapId];
+        if (!map || !window.mapExport) return false;
+
+        this.removeExportControl(mapId);
+
+        const control = L.control({ position: 'topleft' });
+        control.onAdd = () => {
+            const div = L.DomUtil.create('div', 'map-control-group map-export-control');
+            const t = window.mapI18n.t;
+            div.innerHTML = `
+                <button type="button" class="map-control-btn map-export-toggle" aria-expanded="false"
+                    aria-controls="${mapId}-export" data-i18n-label="export.button" title="${t('export.button')}" aria-label="${t('export.button')}">
+                    <span class="material-icons">print</span>
+                </button>
+                <form class="map-export-form" id="${mapId}-export" hidden>
+                    <label><span data-i18n="export.title">${t('export.title')}</span>
+                        <input type="text" name="title" class="form-control form-control-sm" value="${t('export.defaultTitle')}" />
+                    </label>
+                    <label><span data-i18n="export.format">${t('export.format')}</span>
+                        <select name="format" class="form-select form-select-sm">
+                            ${window.mapExport.FORMATS.map(f => `<option value="${f}">${f.toUpperCase()}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label><span data-i18n="export.paper">${t('export.paper')}</span>
+                        <select name="paper" class="form-select form-select-sm">
+                            <option value="" data-i18n="export.currentView">${t('export.currentView')}</option>
+                            ${Object.entries(window.mapExport.PAPER_SIZES).map(([id, paper]) =>
+                                `<option value="${id}">${paper.name}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label><span data-i18n="export.orientation">${t('export.orientation')}</span>
+                        <select name="orientation" class="form-select form-select-sm">
+                            <option value="landscape" data-i18n="export.landscape">${t('export.landscape')}</option>
+                            <option value="portrait" data-i18n="export.portrait">${t('export.portrait')}</option>
+                        </select>
+                    </label>
+                    <label><span data-i18n="export.resolution">${t('export.resolution')}</span>
+                        <select name="dpi" class="form-select form-select-sm">
+                            ${window.mapExport.DPI_OPTIONS.map(dpi =>
+                                `<option value="${dpi}" ${dpi === 150 ? 'selected' : ''}>${dpi} dpi</option>`).join('')}
+                        </select>
+                    </label>
+                    <button type="submit" class="btn btn-sm btn-primary" data-i18n="export.submit">${t('export.submit')}</button>
+                    <div class="map-export-status" role="status" aria-live="polite"></div>
+                </form>
+            `;
+
+            const toggle = div.querySelector('.map-export-toggle');
+            const form = div.querySelector('form');
+            const status = div.querySelector('.map-export-status');
+
+            L.DomEvent.on(toggle, 'click', () => {
+                form.hidden = !form.hidden;
+                toggle.setAttribute('aria-expanded', String(!form.hidden));
+            });
+            L.DomEvent.on(form, 'submit', async (e) => {
+                L.DomEvent.preventDefault(e);
+                const data = new FormData(form);
+                const submit = form.querySelector('button[type=submit]');
+
+                const t = window.mapI18n.t;
+                submit.disabled = true;
+                status.textContent = t('export.rendering');
+                const result = await this.exportMap(mapId, {
+                    title: data.get('title'),
+                    subtitle: t('export.subtitle', { basemap: this.getTileTheme(mapId) || 'dark' }),
+                    format: data.get('format'),
+                    paper: data.get('paper'),
+                    orientation: data.get('orientation'),
+                    dpi: parseInt(data.get('dpi'), 10)
+                });
+                submit.disabled = false;
+
+                if (!result) {
+                    status.textContent = t('export.failed');
+                } else {
+                    status.textContent = result.missingTiles
+                        ? t('export.savedMissing', { filename: result.filename, count: window.mapI18n.formatNumber(result.missingTiles) })
+                        : t('export.saved', { filename: result.filename });
+                }
+            });
+
+            L.DomEvent.disableClickPropagation(div);
+            L.DomEvent.disableScrollPropagation(div);
+            return div;
+        };
+
+        control.addTo(map);
+        this.exportControls[mapId] = control;
+        return true;
+    },
+
+    removeExportControl: function(mapId) {
+        const control = this.exportControls[mapId];
+        if (!control) return false;
+
+        this.maps[mapId]?.removeControl(control);
+        delete this.exportControls[mapId];
+        return true;
+    },
+
+    // Restore a map's view from the URL hash and keep the hash in sync as the user navigates
+    // Returns the URL state so Blazor can load the layers and select the MPA it names;
+    // later hash edits are sent to dotNetHelper.OnUrlStateChanged
+    enableUrlState: function(mapId, dotNetHelper = null) {
+        const map = this.maps[mapId];
+        if (!map || !window.mapUrlState) return null;
+
+        this.disableUrlState();
+
+        const state = window.mapUrlState.read();
+        this.applyUrlState(mapId, state);
+
+        // Carry a shared time-lapse date until the time-lapse shows its first frame
+        if (state.date && window.mapTimeLapse && !window.mapTimeLapse.getCurrentDate(mapId)) {
+            window.mapTimeLapse.getState(mapId).currentDate = state.date;
+        }
+
+        const update = () => this.updateUrlState(mapId);
+        map.on('moveend', update);
+        const unsubscribeLayers = this.getLayerRegistry(mapId).onChange(update);
+        const unsubscribeHash = window.mapUrlState.onExternalChange(next => {
+            this.applyUrlState(mapId, next);
+            dotNetHelper?.invokeMethodAsync('OnUrlStateChanged', next);
+        });
+
+        this.urlStateBinding = {
+            mapId: mapId,
+            unbind: () => {
+                map.off('moveend', update);
+                unsubscribeLayers();
+                unsubscribeHash();
+            }
+        };
+
+        this.updateUrlState(mapId);
+        return state;
+    },
+
+    disableUrlState: function() {
+        if (!this.urlStateBinding) return false;
+
+        this.urlStateBinding.unbind();
+        this.urlStateBinding = null;
+        return true;
+    },
+
+    applyUrlState: function(mapId, state) {
+        const map = this.maps[mapId];
+
+        if (state.theme && this.tileOptions[state.theme] && state.theme !== this.getTileTheme(mapId)) {
+            this.setTileTheme(mapId, state.theme);
+        } else if (state.theme && !this.tileOptions[state.theme]) {
+            // Shared basemaps arrive from the server after the page loads
+            window.basemapRegistry.ready().then(() => {
+                if (this.maps[mapId] && this.tileOptions[state.theme]) this.setTileTheme(mapId, state.theme);
+            });
+        }
+        if (state.layers) {
+            this.getLayerRegistry(mapId).setVisibleLayers(state.layers);
+        }
+        if (state.zoom !== undefined) {
+            map.setView([state.lat, state.lng], state.zoom, { animate: false });
+        }
+        if (state.mpa) {
+            this.highlightMpa(mapId, state.mpa);
+        }
+    },
+
+    // Current URL state of a map: view, theme, visible overlays, time-lapse date and highlighted MPA
+    getUrlState: function(mapId) {
+        const map = this.maps[mapId];
+        if (!map) return null;
+
+        const center = map.getCenter();
+        return {
+            lat: center.lat,
+            lng: center.lng,
+            zoom: map.getZoom(),
+            theme: this.getTileTheme(mapId),
+            layers: this.getLayerRegistry(mapId).getVisibleLayers(),
+            date: window.mapTimeLapse?.getCurrentDate(mapId) || null,
+            mpa: this.highlightedMpas[mapId] || null
+        };
+    },
+
+    // Write the map's state to the URL once changes settle; no-op unless enableUrlState was called for it
+    updateUrlState: function(mapId) {
+        if (this.urlStateBinding?.mapId !== mapId) return false;
+
+        window.mapUrlState.schedule(() => this.getUrlState(mapId));
+        return true;
+    },
+
+    // Create hover info control for MPA details
+    createHoverInfoControl: function(mapId) {
+        const map = this.maps[mapId];
+        if (!map || this.hoverInfoControls[mapId]) return;
+
+        const info = L.control({ position: 'topright' });
+
+        info.onAdd = function() {
+            const div = L.DomUtil.create('div', 'mpa-hover-info');
+            div.setAttribute('role', 'status');
+            div.setAttribute('aria-live', 'polite');
+            div.setAttribute('aria-label', window.mapI18n.t('mpa.info'));
+            div.style.display = 'none';
+            return div;
+        };
+
+        info.addTo(map);
+        this.hoverInfoControls[mapId] = info;
+    },
+
+    // Show hover info box with MPA details
+    showHoverInfo: function(mapId, props) {
+        if (!this.hoverInfoControls[mapId]) {
+            this.createHoverInfoControl(mapId);
+        }
+
+        const container = this.hoverInfoControls[mapId]?.getContainer();
+        if (!container) return;
+
+        const getColorClass = (level) => {
+            switch (level) {
+                case 'NoTake': return 'protection-no-take';
+                case 'HighlyProtected': return 'protection-highly';
+                case 'LightlyProtected': return 'protection-lightly';
+                default: return 'protection-unknown';
+            }
+        };
+
+        const getIcon = (level) => {
+            switch (level) {
+                case 'NoTake': return '🚫';
+                case 'HighlyProtected': return '🛡️';
+                case 'LightlyProtected': return '🌊';
+                default: return '📍';
+            }
         };
 
+        // Kept so a culture change can re-render the box in place
+        this.hoverInfoControls[mapId].props = props;
+        const t = window.mapI18n.t;
+        container.setAttribute('aria-label', t('mpa.info'));
         container.innerHTML = `
             <div class="hover-info-header">
                 <span class="hover-info-icon">${getIcon(props.ProtectionLevel)}</span>
@@ -786,20 +1960,20 @@ window.leafletMap = {
             </div>
             <div class="hover-info-body">
                 <div class="hover-info-row">
-                    <span class="hover-info-label">Island Group</span>
+                    <span class="hover-info-label">${t('mpa.islandGroup')}</span>
                     <span class="hover-info-value">${props.IslandGroup}</span>
                 </div>
                 <div class="hover-info-row">
-                    <span class="hover-info-label">Protection</span>
-                    <span class="hover-info-value ${getColorClass(props.ProtectionLevel)}">${props.ProtectionLevel.replace(/([A-Z])/g, ' $1').trim()}</span>
+                    <span class="hover-info-label">${t('mpa.protection')}</span>
+                    <span class="hover-info-value ${getColorClass(props.ProtectionLevel)}">${this.getProtectionLevelName(props.ProtectionLevel)}</span>
                 </div>
                 <div class="hover-info-row">
-                    <span class="hover-info-label">Area</span>
-                    <span class="hover-info-value">${props.AreaSquareKm.toFixed(1)} km²</span>
+                    <span class="hover-info-label">${t('mpa.area')}</span>
+                    <span class="hover-info-value">${window.mapI18n.formatArea(props.AreaSquareKm)}</span>
                 </div>
             </div>
             <div class="hover-info-footer">
-                <small>Click for more details</small>
+                <small>${t('mpa.clickForDetails')}</small>
             </div>
         `;
         container.style.display = 'block';
@@ -807,8 +1981,10 @@ window.leafletMap = {
 
     // Hide hover info box
     hideHoverInfo: function(mapId) {
-        const container = this.hoverInfoControls[mapId]?.getContainer();
+        const info = this.hoverInfoControls[mapId];
+        const container = info?.getContainer();
         if (container) {
+            info.props = null;
             container.style.display = 'none';
         }
     },
@@ -816,12 +1992,29 @@ window.leafletMap = {
     // Dispose map and all layers
     dispose: function (mapId) {
         if (this.maps[mapId]) {
+            this.stopVesselTrack(mapId);
+            this.disableSwipe(mapId);
+            this.unlinkMap(mapId);
+            this.removeDrawingTools(mapId);
+            this.removeBasemapSwitcher(mapId);
+            this.removeLayerSwitcher(mapId);
+            this.removeExportControl(mapId);
+            this.removeLegend(mapId);
+            // Stop time-lapse playback so no frame lands on the removed map
+            window.mapTimeLapse?.dispose(mapId);
+            if (this.urlStateBinding?.mapId === mapId) {
+                this.disableUrlState();
+            }
+            this.getLayerRegistry(mapId)?.dispose();
             this.maps[mapId].remove();
             delete this.maps[mapId];
             delete this.mpaLayers[mapId];
             delete this.mpaPulseLayers[mapId];
+            delete this.mpaIndexes[mapId];
             delete this.fishingLayers[mapId];
+            delete this.fishingEventData[mapId];
             delete this.trajectoryLayers[mapId];
+            delete this.highlightedMpas[mapId];
             delete this.tileLayers[mapId];
             delete this.legendControls[mapId];
             delete this.hoverInfoControls[mapId];
@@ -863,9 +2056,9 @@ window.leafletMap = {
             const result = await window.tileCache.downloadRegion(
                 theme,
                 boundsObj,
-                minZoom,
-                maxZoom,
-                tileConfig.url,
+                Math.max(minZoom, tileConfig.minZoom),
+                Math.min(maxZoom, tileConfig.maxZoom),
+                tileConfig.tileUrl,
                 (progress) => {
                     if (dotNetHelper) {
                         dotNetHelper.invokeMethodAsync('OnDownloadProgress', progress);
@@ -882,8 +2075,8 @@ window.leafletMap = {
         }
     },
 
-    // Download tiles for a custom region
-    downloadRegion: async function(bounds, minZoom, maxZoom, theme, dotNetHelper) {
+    // Download tiles for a custom region: a bounding box, { polygon } or { route, bufferKm }
+    downloadRegion: async function(region, minZoom, maxZoom, theme, dotNetHelper) {
         if (!window.tileCache) {
             console.error('[leaflet-map] Tile cache not available');
             return null;
@@ -903,10 +2096,10 @@ window.leafletMap = {
             
             const result = await window.tileCache.downloadRegion(
                 theme,
-                bounds,
-                minZoom,
-                maxZoom,
-                tileConfig.url,
+                region,
+                Math.max(minZoom, tileConfig.minZoom),
+                Math.min(maxZoom, tileConfig.maxZoom),
+                tileConfig.tileUrl,
                 (progress) => {
                     if (dotNetHelper) {
                         dotNetHelper.invokeMethodAsync('OnDownloadProgress', progress);
@@ -923,6 +2116,261 @@ window.leafletMap = {
         }
     },
 
+    // Unfinished region downloads (paused, interrupted, running, or left with failed tiles)
+    getDownloadJobs: async function() {
+        if (!window.tileCache) {
+            return [];
+        }
+
+        return await window.tileCache.getJobs();
+    },
+
+    // Continue a saved region download, reporting progress like downloadRegion
+    resumeDownload: async function(jobId, dotNetHelper) {
+        if (!window.tileCache) {
+            console.error('[leaflet-map] Tile cache not available');
+            return null;
+        }
+
+        try {
+            const result = await window.tileCache.resumeJob(
+                jobId,
+                (progress) => {
+                    if (dotNetHelper) {
+                        dotNetHelper.invokeMethodAsync('OnDownloadProgress', progress);
+                    }
+                },
+                this.getAbortSignal()
+            );
+
+            console.log('[leaflet-map] Resumed download finished:', result);
+            return result;
+        } catch (error) {
+            console.error('[leaflet-map] Resumed download failed:', error);
+            throw error;
+        }
+    },
+
+    // Forget a saved region download; tiles it already cached are kept
+    discardDownload: async function(jobId) {
+        if (!window.tileCache) {
+            return false;
+        }
+
+        return await window.tileCache.deleteJob(jobId);
+    },
+
+    // Download the current view as a named offline package
+    createOfflinePackage: async function(mapId, name, minZoom, maxZoom, dotNetHelper) {
+        const map = this.maps[mapId];
+        if (!map) {
+            console.error('[leaflet-map] Map not found:', mapId);
+            return null;
+        }
+
+        const bounds = map.getBounds();
+        const boundsObj = {
+            north: bounds.getNorth(),
+            south: bounds.getSouth(),
+            east: bounds.getEast(),
+            west: bounds.getWest()
+        };
+
+        return this.createPackage(name, { bounds: boundsObj }, minZoom, maxZoom, this.tileLayers[mapId]?.theme || 'dark', dotNetHelper);
+    },
+
+    // Download a drawn shape as a named offline package; areas keep their outline and lines become corridors
+    createOfflinePackageForShape: async function(mapId, shapeId, name, minZoom, maxZoom, theme = null, dotNetHelper = null) {
+        const region = this.getDrawnShapeRegion(mapId, shapeId);
+        if (!region) return null;
+
+        return this.createPackage(name, region, minZoom, maxZoom, theme || this.tileLayers[mapId]?.theme || 'dark', dotNetHelper);
+    },
+
+    // Download an MPA's outline as a named offline package
+    createOfflinePackageForMpa: async function(mapId, mpaId, name, minZoom, maxZoom, theme = null, dotNetHelper = null) {
+        const feature = this.getMpaFeature(mapId, mpaId);
+        if (!feature) return null;
+
+        return this.createPackage(name || feature.properties.Name, { polygon: feature }, minZoom, maxZoom,
+            theme || this.tileLayers[mapId]?.theme || 'dark', dotNetHelper);
+    },
+
+    // Cache every MPA for offline browsing: tiles touching the outlines at the chosen theme and zoom range,
+    // kept as one package that later runs update in place, plus the geometry and detail JSON the service worker serves
+    downloadAllMpas: async function(theme, minZoom, maxZoom, dotNetHelper = null) {
+        if (!window.tileCache || !window.cacheManager) {
+            console.error('[leaflet-map] Offline storage not available');
+            return null;
+        }
+
+        const tileConfig = this.tileOptions[theme];
+        if (!tileConfig) {
+            console.error('[leaflet-map] Invalid theme:', theme);
+            return null;
+        }
+
+        minZoom = Math.max(minZoom, tileConfig.minZoom);
+        maxZoom = Math.min(maxZoom, tileConfig.maxZoom);
+        const onProgress = (progress) => {
+            if (dotNetHelper) {
+                dotNetHelper.invokeMethodAsync('OnDownloadProgress', progress);
+            }
+        };
+
+        try {
+            // MPA geometry and details come first, reported as their own stage before the tiles
+            const data = await window.cacheManager.cacheMpaData((done, total) => onProgress({
+                stage: 'mpaData',
+                current: done,
+                total: total,
+                percentComplete: total ? Math.round(done / total * 100) : 100
+            }));
+            const area = { polygon: data.geojson };
+            const existing = (await window.tileCache.getPackages()).find(pkg =>
+                pkg.source === 'mpas' && pkg.theme === theme && pkg.minZoom === minZoom && pkg.maxZoom === maxZoom);
+
+            console.log(`[leaflet-map] ${existing ? 'Updating' : 'Downloading'} tiles for ${data.geojson.features.length} MPAs, zoom ${minZoom}-${maxZoom}`);
+
+            const result = existing
+                ? await window.tileCache.syncPackage(existing.id, area, onProgress, this.getAbortSignal())
+                : await window.tileCache.createPackage({
+                    ...area,
+                    name: window.mapI18n.t('offline.allMpasPackage', { theme: tileConfig.name || theme, minZoom, maxZoom }),
+                    source: 'mpas',
+                    theme: theme,
+                    minZoom: minZoom,
+                    maxZoom: maxZoom,
+                    tileUrl: tileConfig.tileUrl
+                }, onProgress, this.getAbortSignal());
+
+            return {
+                ...result,
+                mpaCount: data.geojson.features.length,
+                geometryCached: data.geometry,
+                detailsCached: data.details,
+                detailsFailed: data.failed
+            };
+        } catch (error) {
+            console.error('[leaflet-map] MPA download failed:', error);
+            throw error;
+        }
+    },
+
+    // Estimate the tiles for downloadAllMpas from the same full-resolution geometry and zoom range it downloads;
+    // the simplified MPAs drawn on a map can cover noticeably fewer tiles
+    estimateAllMpasSize: async function(theme, minZoom, maxZoom) {
+        const tileConfig = this.tileOptions[theme];
+        if (!window.tileCache || !tileConfig) return null;
+
+        try {
+            const response = await fetch('/api/mpas/geojson');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const geojson = await response.json();
+            return this.estimateRegionSize({ polygon: geojson },
+                Math.max(minZoom, tileConfig.minZoom), Math.min(maxZoom, tileConfig.maxZoom));
+        } catch (error) {
+            console.error('[leaflet-map] Could not load MPA geometry for the estimate:', error);
+            return null;
+        }
+    },
+
+    // Download a named offline package; area is { bounds }, { polygon } or { route, bufferKm }
+    createPackage: async function(name, area, minZoom, maxZoom, theme, dotNetHelper) {
+        if (!window.tileCache) {
+            console.error('[leaflet-map] Tile cache not available');
+            return null;
+        }
+
+        const tileConfig = this.tileOptions[theme];
+        if (!tileConfig) {
+            console.error('[leaflet-map] Invalid theme:', theme);
+            return null;
+        }
+
+        console.log(`[leaflet-map] Creating offline package "${name}", zoom ${minZoom}-${maxZoom}`);
+
+        try {
+            const result = await window.tileCache.createPackage(
+                {
+                    ...area,
+                    name: name,
+                    theme: theme,
+                    minZoom: Math.max(minZoom, tileConfig.minZoom),
+                    maxZoom: Math.min(maxZoom, tileConfig.maxZoom),
+                    tileUrl: tileConfig.tileUrl
+                },
+                (progress) => {
+                    if (dotNetHelper) {
+                        dotNetHelper.invokeMethodAsync('OnDownloadProgress', progress);
+                    }
+                },
+                this.getAbortSignal()
+            );
+
+            console.log('[leaflet-map] Package download complete:', result);
+            return result;
+        } catch (error) {
+            console.error('[leaflet-map] Package download failed:', error);
+            throw error;
+        }
+    },
+
+    // Offline packages, newest first
+    getOfflinePackages: async function() {
+        if (!window.tileCache) {
+            return [];
+        }
+
+        return await window.tileCache.getPackages();
+    },
+
+    // Re-download a package's tiles, reporting progress like downloadRegion
+    refreshOfflinePackage: async function(packageId, dotNetHelper) {
+        if (!window.tileCache) {
+            console.error('[leaflet-map] Tile cache not available');
+            return null;
+        }
+
+        try {
+            const result = await window.tileCache.refreshPackage(
+                packageId,
+                (progress) => {
+                    if (dotNetHelper) {
+                        dotNetHelper.invokeMethodAsync('OnDownloadProgress', progress);
+                    }
+                },
+                this.getAbortSignal()
+            );
+
+            console.log('[leaflet-map] Package refresh complete:', result);
+            return result;
+        } catch (error) {
+            console.error('[leaflet-map] Package refresh failed:', error);
+            throw error;
+        }
+    },
+
+    // Rename a package
+    renameOfflinePackage: async function(packageId, name) {
+        if (!window.tileCache) {
+            return null;
+        }
+
+        return await window.tileCache.renamePackage(packageId, name);
+    },
+
+    // Delete a package; tiles other packages or region downloads use are kept
+    deleteOfflinePackage: async function(packageId) {
+        if (!window.tileCache) {
+            return null;
+        }
+
+        return await window.tileCache.deletePackage(packageId);
+    },
+
     // Estimate storage size for current view
     estimateCurrentViewSize: function(mapId, minZoom, maxZoom) {
         const map = this.maps[mapId];
@@ -941,13 +2389,48 @@ window.leafletMap = {
         return window.tileCache.estimateRegionSize(boundsObj, minZoom, maxZoom);
     },
 
-    // Estimate storage size for a custom region
-    estimateRegionSize: function(bounds, minZoom, maxZoom) {
+    // Estimate storage size for a custom region: a bounding box, { polygon } or { route, bufferKm }
+    estimateRegionSize: function(region, minZoom, maxZoom) {
         if (!window.tileCache) {
             return null;
         }
 
-        return window.tileCache.estimateRegionSize(bounds, minZoom, maxZoom);
+        return window.tileCache.estimateRegionSize(region, minZoom, maxZoom);
+    },
+
+    // GeoJSON feature of a loaded MPA
+    getMpaFeature: function(mapId, mpaId) {
+        let feature = null;
+        this.mpaLayers[mapId]?.eachLayer((layer) => {
+            if (layer.feature && layer.feature.id === mpaId) {
+                feature = layer.feature;
+            }
+        });
+        return feature;
+    },
+
+    // Estimate storage for the tiles touching an MPA's outline
+    estimateMpaSize: function(mapId, mpaId, minZoom, maxZoom) {
+        const feature = this.getMpaFeature(mapId, mpaId);
+        return feature ? this.estimateRegionSize({ polygon: feature }, minZoom, maxZoom) : null;
+    },
+
+    // Download the tiles touching an MPA's outline
+    downloadMpa: async function(mapId, mpaId, minZoom, maxZoom, theme = null, dotNetHelper = null) {
+        const feature = this.getMpaFeature(mapId, mpaId);
+        if (!feature) return null;
+
+        return this.downloadRegion({ polygon: feature }, minZoom, maxZoom, theme || this.tileLayers[mapId]?.theme || 'dark', dotNetHelper);
+    },
+
+    // Estimate storage for a corridor along a route (GeoJSON line or [lng, lat] positions)
+    estimateRouteSize: function(route, bufferKm, minZoom, maxZoom) {
+        return this.estimateRegionSize({ route: route, bufferKm: bufferKm }, minZoom, maxZoom);
+    },
+
+    // Download a corridor along a route, e.g. a patrol route
+    downloadRoute: async function(route, bufferKm, minZoom, maxZoom, theme, dotNetHelper) {
+        return this.downloadRegion({ route: route, bufferKm: bufferKm }, minZoom, maxZoom, theme, dotNetHelper);
     },
 
     // Get cache statistics
@@ -1029,7 +2512,7 @@ window.leafletMap = {
                         display: none;
                     ">
                         <span style="margin-right: 6px;">⚠️</span>
-                        <span>Offline Mode</span>
+                        <span data-i18n="offline.mode">${window.mapI18n.t('offline.mode')}</span>
                     </div>
                 `;
 
@@ -1084,3 +2567,13 @@ window.leafletMap = {
         console.log('[leaflet-map] AbortController cleaned up');
     }
 };
+
+// Palette changes apply to every open map at once
+window.mapPalette?.onChange(() => {
+    Object.keys(window.leafletMap.maps).forEach(mapId => window.leafletMap.applyPalette(mapId));
+});
+
+// So do culture changes
+window.mapI18n?.onChange(() => {
+    Object.keys(window.leafletMap.maps).forEach(mapId => window.leafletMap.applyCulture(mapId));
+});
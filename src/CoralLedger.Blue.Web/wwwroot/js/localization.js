@@ -20,8 +20,8 @@ window.localization = {
             return 'en';
         }
 
-        // Parse the cookie format: .AspNetCore.Culture=c=en|uic=en
-        const culturePart = cookieValue.split('=')[1];
+        // Parse the cookie format: .AspNetCore.Culture=c=en|uic=en (URL-encoded when set by the server)
+        const culturePart = decodeURIComponent(cookieValue.slice(cookieValue.indexOf('=') + 1));
         const cultureMatch = culturePart.match(/c=([^|]+)/);
         
         return cultureMatch ? cultureMatch[1] : 'en';
@@ -42,5 +42,8 @@ window.localization = {
         // Set cookie with proper format
         const cookieValue = `c=${culture}|uic=${culture}`;
         document.cookie = `.AspNetCore.Culture=${cookieValue}; path=/; max-age=${ONE_YEAR_IN_SECONDS}; SameSite=Lax`;
+
+        // Let client-side text (e.g. map popups and legends) follow without waiting for a reload
+        window.dispatchEvent(new CustomEvent('culturechange', { detail: { culture: culture } }));
     }
 };
@@ -0,0 +1,277 @@
+/**
+ * Map Canvas Points - Canvas-backed point layer for very large datasets
+ * Draws 100k+ points on a single canvas and hit-tests clicks against a screen-space grid
+ */
+window.mapCanvasPoints = (function() {
+    const DEFAULT_OPTIONS = {
+        pane: 'overlayPane',
+        hitTolerance: 4,       // Extra pixels around each point that still count as a hit
+        gridSize: 32,          // Hit-test grid cell size in pixels
+        defaultStyle: {
+            radius: 4,
+            fillColor: '#58a6ff',
+            fillOpacity: 0.85,
+            color: null,
+            weight: 0
+        }
+    };
+
+    /**
+     * Leaflet layer that renders points onto one canvas instead of one DOM node per point
+     */
+    const CanvasPointLayer = L.Layer.extend({
+        initialize: function(points, options) {
+            this._options = Object.assign({}, DEFAULT_OPTIONS, options);
+            this._options.defaultStyle = Object.assign({}, DEFAULT_OPTIONS.defaultStyle, options?.defaultStyle);
+            this.setPoints(points || []);
+        },
+
+        onAdd: function(map) {
+            this._map = map;
+            this._canvas = L.DomUtil.create('canvas', 'leaflet-canvas-points leaflet-zoom-hide');
+            this._canvas.style.pointerEvents = 'none';
+            map.getPane(this._options.pane).appendChild(this._canvas);
+
+            map.on('moveend zoomend resize viewreset', this._redraw, this);
+            map.on('zoomstart', this._hide, this);
+            map.on('click', this._onClick, this);
+            map.on('mousemove', this._onMouseMove, this);
+
+            this._redraw();
+        },
+
+        onRemove: function(map) {
+            map.off('moveend zoomend resize viewreset', this._redraw, this);
+            map.off('zoomstart', this._hide, this);
+            map.off('click', this._onClick, this);
+            map.off('mousemove', this._onMouseMove, this);
+            L.DomUtil.remove(this._canvas);
+            this._setPointerCursor(false);
+            this._canvas = null;
+            this._grid = null;
+            this._map = null;
+        },
+
+        /**
+         * Draw into a custom pane; call before adding to the map
+         */
+        setPane: function(pane) {
+            this._options.pane = pane;
+            return this;
+        },
+
+        /**
+         * Replace the points and redraw
+         * @param {Array} points - Points with lat, lng and optional data payload
+         */
+        setPoints: function(points) {
+            const valid = points.filter(p =>
+                p && typeof p.lat === 'number' && typeof p.lng === 'number' &&
+                !isNaN(p.lat) && !isNaN(p.lng));
+
+            this._points = valid;
+
+            // Project once at zoom 0; every other zoom is a power-of-two scale of these values
+            this._projected = new Float64Array(valid.length * 2);
+            valid.forEach((p, i) => {
+                const pt = L.CRS.EPSG3857.latLngToPoint(L.latLng(p.lat, p.lng), 0);
+                this._projected[i * 2] = pt.x;
+                this._projected[i * 2 + 1] = pt.y;
+            });
+
+            // Group points by style so each style is one canvas path
+            this._styleGroups = new Map();
+            valid.forEach((p, i) => {
+                const style = Object.assign({}, this._options.defaultStyle,
+                    this._options.getStyle ? this._options.getStyle(p) : null);
+                const key = `${style.radius}|${style.fillColor}|${style.fillOpacity}|${style.color}|${style.weight}`;
+                if (!this._styleGroups.has(key)) {
+                    this._styleGroups.set(key, { style: style, indexes: [] });
+                }
+                this._styleGroups.get(key).indexes.push(i);
+            });
+
+            if (this._map) {
+                this._redraw();
+            }
+            return this;
+        },
+
+        getPoints: function() {
+            return this._points;
+        },
+
+        _hide: function() {
+            if (this._canvas) {
+                this._canvas.style.visibility = 'hidden';
+            }
+        },
+
+        _redraw: function() {
+            const map = this._map;
+            if (!map || !this._canvas) return;
+
+            const size = map.getSize();
+            const ratio = window.devicePixelRatio || 1;
+            const canvas = this._canvas;
+
+            canvas.width = size.x * ratio;
+            canvas.height = size.y * ratio;
+            canvas.style.width = `${size.x}px`;
+            canvas.style.height = `${size.y}px`;
+            L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+            canvas.style.visibility = '';
+
+            const ctx = canvas.getContext('2d');
+            if (!ctx) return;
+            ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+            ctx.clearRect(0, 0, size.x, size.y);
+
+            const scale = L.CRS.EPSG3857.scale(map.getZoom()) / L.CRS.EPSG3857.scale(0);
+            this._grid = this._drawPoints(ctx, scale, map.getPixelBounds().min, size, 1, true);
+        },
+
+        /**
+         * Draw the points onto another canvas, e.g. for map export
+         * @param {CanvasRenderingContext2D} ctx - Target context
+         * @param {L.Point} origin - World pixel at the target's top-left, at the given zoom
+         * @param {number} zoom - Zoom level the origin is expressed in
+         * @param {L.Point} size - Target size in map pixels
+         * @param {number} ratio - Target pixels per map pixel (point radii and strokes scale with it)
+         * @param {number} alpha - Opacity multiplier, e.g. the layer's pane opacity
+         */
+        drawTo: function(ctx, origin, zoom, size, ratio, alpha = 1) {
+            const scale = L.CRS.EPSG3857.scale(zoom) / L.CRS.EPSG3857.scale(0);
+            ctx.save();
+            ctx.scale(ratio, ratio);
+            this._drawPoints(ctx, scale, origin, size, alpha, false);
+            ctx.restore();
+        },
+
+        // Draw every point inside size, optionally building the hit-test grid
+        _drawPoints: function(ctx, scale, origin, size, alpha, buildGrid) {
+            const gridSize = this._options.gridSize;
+            const grid = buildGrid ? new Map() : null;
+
+            this._styleGroups.forEach(({ style, indexes }) => {
+                const r = style.radius;
+                ctx.beginPath();
+
+                indexes.forEach(i => {
+                    const x = this._projected[i * 2] * scale - origin.x;
+                    const y = this._projected[i * 2 + 1] * scale - origin.y;
+                    if (x < -r || y < -r || x > size.x + r || y > size.y + r) return;
+
+                    ctx.moveTo(x + r, y);
+                    ctx.arc(x, y, r, 0, Math.PI * 2);
+
+                    if (grid) {
+                        const cell = `${Math.floor(x / gridSize)}:${Math.floor(y / gridSize)}`;
+                        if (!grid.has(cell)) grid.set(cell, []);
+                        grid.get(cell).push({ index: i, x: x, y: y, r: r });
+                    }
+                });
+
+                ctx.globalAlpha = alpha * style.fillOpacity;
+                ctx.fillStyle = style.fillColor;
+                ctx.fill();
+
+                if (style.color && style.weight > 0) {
+                    ctx.globalAlpha = alpha;
+                    ctx.lineWidth = style.weight;
+                    ctx.strokeStyle = style.color;
+                    ctx.stroke();
+                }
+            });
+
+            ctx.globalAlpha = 1;
+            return grid;
+        },
+
+        /**
+         * Find the drawn point nearest to a container pixel, if any is within hit range
+         * @param {L.Point} containerPoint - Pixel position relative to the map container
+         * @returns {Object|null} The matching point
+         */
+        hitTest: function(containerPoint) {
+            if (!this._grid) return null;
+
+            const gridSize = this._options.gridSize;
+            const cx = Math.floor(containerPoint.x / gridSize);
+            const cy = Math.floor(containerPoint.y / gridSize);
+            let best = null;
+            let bestDistance = Infinity;
+
+            for (let gx = cx - 1; gx <= cx + 1; gx++) {
+                for (let gy = cy - 1; gy <= cy + 1; gy++) {
+                    const candidates = this._grid.get(`${gx}:${gy}`);
+                    if (!candidates) continue;
+
+                    candidates.forEach(c => {
+                        const distance = Math.hypot(c.x - containerPoint.x, c.y - containerPoint.y);
+                        if (distance <= c.r + this._options.hitTolerance && distance < bestDistance) {
+                            best = c;
+                            bestDistance = distance;
+                        }
+                    });
+                }
+            }
+
+            return best ? this._points[best.index] : null;
+        },
+
+        _onClick: function(e) {
+            const point = this.hitTest(e.containerPoint);
+            if (!point) return;
+
+            if (this._options.popup) {
+                L.popup()
+                    .setLatLng([point.lat, point.lng])
+                    .setContent(this._options.popup(point))
+                    .openOn(this._map);
+            }
+            if (this._options.onClick) {
+                this._options.onClick(point, e);
+            }
+            this.fire('pointclick', { point: point, latlng: e.latlng });
+        },
+
+        _onMouseMove: function(e) {
+            // Throttle hit-testing to one check per animation frame
+            if (this._hoverFrame) return;
+            this._hoverFrame = L.Util.requestAnimFrame(() => {
+                this._hoverFrame = null;
+                if (!this._map) return;
+                this._setPointerCursor(!!this.hitTest(e.containerPoint));
+            });
+        },
+
+        // Show the pointer over a point; only undo a cursor this layer set, so other tools (e.g. drawing) keep theirs
+        _setPointerCursor: function(over) {
+            if (!this._map || over === !!this._pointerCursor) return;
+            const container = this._map.getContainer();
+            if (over) {
+                this._previousCursor = container.style.cursor;
+                container.style.cursor = 'pointer';
+            } else if (container.style.cursor === 'pointer') {
+                container.style.cursor = this._previousCursor || '';
+            }
+            this._pointerCursor = over;
+        }
+    });
+
+    /**
+     * Create a canvas point layer
+     * @param {Array} points - Points with lat, lng and optional data payload
+     * @param {Object} options - getStyle(point), popup(point) and onClick(point, event) are optional
+     * @returns {L.Layer} Canvas point layer
+     */
+    function createLayer(points, options) {
+        return new CanvasPointLayer(points, options || {});
+    }
+
+    return {
+        createLayer,
+        DEFAULT_OPTIONS
+    };
+})();
@@ -0,0 +1,212 @@
+/**
+ * Map Cluster - Grid-based point clustering for Leaflet maps
+ * Groups nearby points into count badges that split apart as the user zooms in
+ */
+window.mapCluster = (function() {
+    const DEFAULT_OPTIONS = {
+        radius: 60,                    // Cluster cell size in screen pixels
+        disableClusteringAtZoom: 15,   // From this zoom only identical positions stay grouped
+        stackPrecision: 5,             // Decimal places used to detect identical positions
+        viewportPadding: 0.25          // Render markers slightly beyond the visible bounds
+    };
+
+    /**
+     * Group points into grid cells in projected pixel space for a zoom level
+     * @param {L.Map} map - Map used for projection
+     * @param {Array} points - Points with lat/lng properties
+     * @param {number} zoom - Zoom level to cluster for
+     * @param {Object} options - Cluster options
+     * @returns {Array} Clusters with center, bounds and member points
+     */
+    function clusterPoints(map, points, zoom, options) {
+        const cells = new Map();
+        const stacksOnly = zoom >= options.disableClusteringAtZoom;
+
+        points.forEach(point => {
+            let key;
+            if (stacksOnly) {
+                key = `${point.lat.toFixed(options.stackPrecision)},${point.lng.toFixed(options.stackPrecision)}`;
+            } else {
+                const projected = map.project([point.lat, point.lng], zoom);
+                key = `${Math.floor(projected.x / options.radius)}:${Math.floor(projected.y / options.radius)}`;
+            }
+
+            let cell = cells.get(key);
+            if (!cell) {
+                cell = { points: [], latSum: 0, lngSum: 0 };
+                cells.set(key, cell);
+            }
+            cell.points.push(point);
+            cell.latSum += point.lat;
+            cell.lngSum += point.lng;
+        });
+
+        return Array.from(cells.values()).map(cell => {
+            const count = cell.points.length;
+            const bounds = L.latLngBounds(cell.points.map(p => [p.lat, p.lng]));
+            return {
+                count: count,
+                points: cell.points,
+                center: L.latLng(cell.latSum / count, cell.lngSum / count),
+                bounds: bounds,
+                // All members share one position, so zooming in will never split them
+                isStack: count > 1 && bounds.getNorthEast().equals(bounds.getSouthWest())
+            };
+        });
+    }
+
+    /**
+     * Leaflet layer that renders clusters for the current zoom and viewport
+     */
+    const ClusterLayer = L.Layer.extend({
+        initialize: function(points, options) {
+            this._options = Object.assign({}, DEFAULT_OPTIONS, options);
+            this._group = L.layerGroup();
+            this._markerCache = new Map();
+            this._clusterCache = new Map();
+            this.setPoints(points || []);
+        },
+
+        onAdd: function(map) {
+            this._map = map;
+            this._group.addTo(map);
+            map.on('moveend', this._render, this);
+            this._render();
+        },
+
+        onRemove: function(map) {
+            map.off('moveend', this._render, this);
+            map.removeLayer(this._group);
+            this._map = null;
+        },
+
+        /**
+         * Replace the clustered points and redraw
+         * @param {Array} points - Points with lat, lng and optional data payload
+         */
+        setPoints: function(points) {
+            this._points = points.filter(p =>
+                p && typeof p.lat === 'number' && typeof p.lng === 'number' &&
+                !isNaN(p.lat) && !isNaN(p.lng));
+            this._markerCache.clear();
+            this._clusterCache.clear();
+            if (this._map) {
+                this._render();
+            }
+            return this;
+        },
+
+        getPoints: function() {
+            return this._points;
+        },
+
+        /**
+         * Draw markers into a custom pane instead of markerPane; call before adding to the map
+         */
+        setPane: function(pane) {
+            this._options.pane = pane;
+            this._markerCache.forEach(marker => { marker.options.pane = pane; });
+            return this;
+        },
+
+        /**
+         * Get clusters for a zoom level (cached until points change)
+         */
+        getClusters: function(zoom) {
+            const z = Math.round(zoom);
+            if (!this._clusterCache.has(z)) {
+                this._clusterCache.set(z, clusterPoints(this._map, this._points, z, this._options));
+            }
+            return this._clusterCache.get(z);
+        },
+
+        _render: function() {
+            if (!this._map) return;
+
+            const visibleBounds = this._map.getBounds().pad(this._options.viewportPadding);
+            const clusters = this.getClusters(this._map.getZoom());
+
+            this._group.clearLayers();
+
+            clusters.forEach(cluster => {
+                if (!visibleBounds.contains(cluster.center)) return;
+
+                if (cluster.count === 1) {
+                    this._group.addLayer(this._getPointMarker(cluster.points[0]));
+                } else {
+                    this._group.addLayer(this._createClusterMarker(cluster));
+                }
+            });
+        },
+
+        // Single point markers are reused so their popups and handlers survive re-renders
+        _getPointMarker: function(point) {
+            let marker = this._markerCache.get(point);
+            if (!marker) {
+                marker = this._options.createMarker(point);
+                if (this._options.pane) {
+                    marker.options.pane = this._options.pane;
+                }
+                this._markerCache.set(point, marker);
+            }
+            return marker;
+        },
+
+        _createClusterMarker: function(cluster) {
+            const icon = this._options.createClusterIcon
+                ? this._options.createClusterIcon(cluster)
+                : L.divIcon({
+                    className: 'map-cluster',
+                    html: `<div class="map-cluster-badge">${cluster.count}</div>`,
+                    iconSize: [36, 36],
+                    iconAnchor: [18, 18]
+                });
+
+            const marker = L.marker(cluster.center, {
+                icon: icon,
+                keyboard: true,
+                title: `${cluster.count} items`,
+                ...(this._options.pane ? { pane: this._options.pane } : {})
+            });
+
+            if (this._options.clusterTooltip) {
+                marker.bindTooltip(this._options.clusterTooltip(cluster), { direction: 'top' });
+            }
+
+            marker.on('click', () => this._onClusterClick(cluster, marker));
+            return marker;
+        },
+
+        _onClusterClick: function(cluster, marker) {
+            const map = this._map;
+            const canExpand = !cluster.isStack && map.getZoom() < map.getMaxZoom();
+
+            if (canExpand) {
+                map.fitBounds(cluster.bounds, { padding: [40, 40], maxZoom: map.getMaxZoom() });
+            } else if (this._options.createStackPopup) {
+                // Co-located points can't be separated by zooming, list them instead
+                marker.bindPopup(this._options.createStackPopup(cluster), { maxHeight: 260 }).openPopup();
+            }
+        }
+    });
+
+    /**
+     * Create a cluster layer
+     * @param {Array} points - Points with lat, lng and optional data payload
+     * @param {Object} options - createMarker(point) is required; createClusterIcon(cluster),
+     *                           clusterTooltip(cluster) and createStackPopup(cluster) are optional
+     * @returns {L.Layer} Cluster layer
+     */
+    function createLayer(points, options) {
+        if (!options || typeof options.createMarker !== 'function') {
+            throw new Error('mapCluster.createLayer requires a createMarker option');
+        }
+        return new ClusterLayer(points, options);
+    }
+
+    return {
+        createLayer,
+        clusterPoints,
+        DEFAULT_OPTIONS
+    };
+})();
@@ -0,0 +1,517 @@
+/**
+ * Map Draw - Drawing and measurement tools for Leaflet maps
+ * Polyline, polygon, rectangle and circle tools with live geodesic distance and area readouts
+ */
+window.mapDraw = (function() {
+    const EARTH_RADIUS_KM = 6371.0088;
+    const KM_PER_NM = 1.852;
+    const CLOSE_POLYGON_PX = 10;   // Clicking this close to the first vertex closes a polygon
+    const CIRCLE_SEGMENTS = 64;    // Vertices used when exporting circles as GeoJSON polygons
+
+    const TOOLS = {
+        // Labels are map-i18n.js message keys
+        polyline: { icon: 'polyline', label: 'draw.tool.polyline' },
+        polygon: { icon: 'pentagon', label: 'draw.tool.polygon' },
+        rectangle: { icon: 'crop_square', label: 'draw.tool.rectangle' },
+        circle: { icon: 'radio_button_unchecked', label: 'draw.tool.circle' }
+    };
+
+    const SHAPE_STYLE = {
+        color: '#00e5cc',
+        weight: 2,
+        fillColor: '#00e5cc',
+        fillOpacity: 0.15
+    };
+
+    const PREVIEW_STYLE = Object.assign({}, SHAPE_STYLE, { dashArray: '6 6', interactive: false });
+
+    // Inputs, text areas, selects and contenteditable elements keep their own keys
+    function isEditableTarget(target) {
+        if (!target || !target.tagName) return false;
+        return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+    }
+
+    const toRad = (deg) => deg * Math.PI / 180;
+    const toDeg = (rad) => rad * 180 / Math.PI;
+
+    /**
+     * Great-circle distance between two positions
+     * @returns {number} Distance in kilometers
+     */
+    function distanceKm(a, b) {
+        const dLat = toRad(b.lat - a.lat);
+        const dLng = toRad(b.lng - a.lng);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+        return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+    }
+
+    /**
+     * Length of a path, optionally closed back to its first vertex
+     * @returns {number} Length in kilometers
+     */
+    function pathLengthKm(latlngs, closed = false) {
+        let total = 0;
+        for (let i = 1; i < latlngs.length; i++) {
+            total += distanceKm(latlngs[i - 1], latlngs[i]);
+        }
+        if (closed && latlngs.length > 2) {
+            total += distanceKm(latlngs[latlngs.length - 1], latlngs[0]);
+        }
+        return total;
+    }
+
+    /**
+     * Area of a polygon on the sphere
+     * @param {Array} latlngs - Outer ring vertices (not repeated at the end)
+     * @returns {number} Area in square kilometers
+     */
+    function polygonAreaKm2(latlngs) {
+        if (latlngs.length < 3) return 0;
+
+        let area = 0;
+        for (let i = 0; i < latlngs.length; i++) {
+            const p1 = latlngs[i];
+            const p2 = latlngs[(i + 1) % latlngs.length];
+            area += toRad(p2.lng - p1.lng) * (2 + Math.sin(toRad(p1.lat)) + Math.sin(toRad(p2.lat)));
+        }
+        return Math.abs(area * EARTH_RADIUS_KM * EARTH_RADIUS_KM / 2);
+    }
+
+    /**
+     * Position reached from a start point along a bearing
+     */
+    function destination(from, bearingDeg, km) {
+        const angular = km / EARTH_RADIUS_KM;
+        const bearing = toRad(bearingDeg);
+        const lat1 = toRad(from.lat);
+        const lng1 = toRad(from.lng);
+
+        const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) +
+            Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing));
+        const lng2 = lng1 + Math.atan2(Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1),
+            Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2));
+
+        return L.latLng(toDeg(lat2), ((toDeg(lng2) + 540) % 360) - 180);
+    }
+
+    function formatDistance(km) {
+        const n = window.mapI18n.formatNumber;
+        return `${n(km / KM_PER_NM, 2)} nm · ${n(km, 2)} km`;
+    }
+
+    function formatArea(km2) {
+        const n = window.mapI18n.formatNumber;
+        return `${n(km2 / (KM_PER_NM * KM_PER_NM), 2)} nm² · ${n(km2, 2)} km²`;
+    }
+
+    function rectangleCorners(a, b) {
+        const bounds = L.latLngBounds(a, b);
+        return [bounds.getSouthWest(), bounds.getNorthWest(), bounds.getNorthEast(), bounds.getSouthEast()];
+    }
+
+    /**
+     * Measure a shape from its type and defining vertices
+     * @returns {Object} lengthKm (path or perimeter), areaKm2 and radiusKm where they apply
+     */
+    function measure(type, vertices) {
+        switch (type) {
+            case 'polyline':
+                return { lengthKm: pathLengthKm(vertices) };
+            case 'polygon':
+                return { lengthKm: pathLengthKm(vertices, true), areaKm2: polygonAreaKm2(vertices) };
+            case 'rectangle': {
+                const corners = rectangleCorners(vertices[0], vertices[1]);
+                return { lengthKm: pathLengthKm(corners, true), areaKm2: polygonAreaKm2(corners) };
+            }
+            case 'circle': {
+                const radiusKm = distanceKm(vertices[0], vertices[1]);
+                return { radiusKm: radiusKm, lengthKm: 2 * Math.PI * radiusKm, areaKm2: Math.PI * radiusKm * radiusKm };
+            }
+            default:
+                return {};
+        }
+    }
+
+    function describeMeasurement(type, m) {
+        const t = window.mapI18n.t;
+        const lines = [];
+        if (type === 'circle') lines.push(`${t('draw.radius')}: ${formatDistance(m.radiusKm)}`);
+        if (m.lengthKm != null) lines.push(`${t(type === 'polyline' ? 'draw.distance' : 'draw.perimeter')}: ${formatDistance(m.lengthKm)}`);
+        if (m.areaKm2 != null) lines.push(`${t('draw.area')}: ${formatArea(m.areaKm2)}`);
+        return lines.join('<br>');
+    }
+
+    function createShapeLayer(type, vertices, style) {
+        switch (type) {
+            case 'polyline':
+                return L.polyline(vertices, Object.assign({}, style, { fill: false }));
+            case 'polygon':
+                return L.polygon(vertices, style);
+            case 'rectangle':
+                return L.rectangle(L.latLngBounds(vertices[0], vertices[1]), style);
+            case 'circle':
+                return L.circle(vertices[0], Object.assign({}, style, { radius: distanceKm(vertices[0], vertices[1]) * 1000 }));
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Drawing session bound to one map; keeps the finished shapes in a feature group
+     */
+    function DrawController(map, options = {}) {
+        this.map = map;
+        this.options = options;
+        this.shapes = new Map();
+        this.group = L.featureGroup().addTo(map);
+        this.nextId = 1;
+        this.tool = null;
+        this.vertices = [];
+
+        this._onClick = this._onClick.bind(this);
+        this._onMove = this._onMove.bind(this);
+        this._onDblClick = this._onDblClick.bind(this);
+        this._onKeyDown = this._onKeyDown.bind(this);
+    }
+
+    DrawController.prototype = {
+        /**
+         * Start drawing with a tool (polyline, polygon, rectangle or circle)
+         */
+        start: function(tool) {
+            if (!TOOLS[tool]) return false;
+
+            this.cancel();
+            this.tool = tool;
+            this.vertices = [];
+
+            this.map.doubleClickZoom.disable();
+            L.DomUtil.addClass(this.map.getContainer(), 'map-drawing');
+            this.map.on('click', this._onClick);
+            this.map.on('mousemove', this._onMove);
+            this.map.on('dblclick', this._onDblClick);
+            document.addEventListener('keydown', this._onKeyDown);
+
+            if (this.options.onToolChange) this.options.onToolChange(tool);
+            return true;
+        },
+
+        /**
+         * Stop drawing and discard the shape in progress
+         */
+        cancel: function() {
+            if (!this.tool) return;
+
+            this.map.off('click', this._onClick);
+            this.map.off('mousemove', this._onMove);
+            this.map.off('dblclick', this._onDblClick);
+            document.removeEventListener('keydown', this._onKeyDown);
+            this.map.doubleClickZoom.enable();
+            L.DomUtil.removeClass(this.map.getContainer(), 'map-drawing');
+
+            this._clearPreview();
+            this.tool = null;
+            this.vertices = [];
+            if (this.options.onToolChange) this.options.onToolChange(null);
+        },
+
+        _onClick: function(e) {
+            const latlng = e.latlng;
+
+            if (this.tool === 'polygon' && this.vertices.length >= 3) {
+                const first = this.map.latLngToContainerPoint(this.vertices[0]);
+                if (first.distanceTo(e.containerPoint) <= CLOSE_POLYGON_PX) {
+                    this.finish();
+                    return;
+                }
+            }
+
+            this.vertices.push(latlng);
+
+            // Rectangles and circles are defined by two clicks
+            if ((this.tool === 'rectangle' || this.tool === 'circle') && this.vertices.length === 2) {
+                this.finish();
+                return;
+            }
+            this._updatePreview(latlng);
+        },
+
+        _onMove: function(e) {
+            if (this.vertices.length) {
+                this._updatePreview(e.latlng);
+            }
+        },
+
+        _onDblClick: function(e) {
+            L.DomEvent.stop(e);
+            if (this.tool === 'polyline' || this.tool === 'polygon') {
+                this.finish();
+            }
+        },
+
+        _onKeyDown: function(e) {
+            // Keys typed into a field (e.g. a package name) belong to the field, not the drawing
+            if (isEditableTarget(e.target)) return;
+
+            if (e.key === 'Escape') {
+                this.cancel();
+            } else if (e.key === 'Enter') {
+                this.finish();
+            } else if (e.key === 'Backspace' && this.vertices.length) {
+                this.vertices.pop();
+                this._updatePreview(this._cursor);
+            } else {
+                return;
+            }
+            e.preventDefault();
+        },
+
+        _updatePreview: function(cursor) {
+            this._cursor = cursor;
+            this._clearPreview();
+            if (!this.vertices.length || !cursor) return;
+
+            const vertices = this.tool === 'rectangle' || this.tool === 'circle'
+                ? [this.vertices[0], cursor]
+                : this.vertices.concat([cursor]);
+
+            const minimum = this.tool === 'polygon' ? 3 : 2;
+            if (vertices.length < minimum) {
+                // Not enough vertices for an area yet, show the edge being drawn
+                this._preview = L.polyline(vertices, PREVIEW_STYLE).addTo(this.map);
+            } else {
+                this._preview = createShapeLayer(this.tool, vertices, PREVIEW_STYLE).addTo(this.map);
+            }
+
+            const readout = vertices.length >= minimum
+                ? describeMeasurement(this.tool, measure(this.tool, vertices))
+                : `${window.mapI18n.t('draw.distance')}: ${formatDistance(pathLengthKm(vertices))}`;
+            this._tooltip = L.tooltip({ permanent: true, direction: 'right', offset: [12, 0], className: 'map-draw-tooltip' })
+                .setLatLng(cursor)
+                .setContent(readout)
+                .addTo(this.map);
+        },
+
+        _clearPreview: function() {
+            if (this._preview) {
+                this.map.removeLayer(this._preview);
+                this._preview = null;
+            }
+            if (this._tooltip) {
+                this.map.removeLayer(this._tooltip);
+                this._tooltip = null;
+            }
+        },
+
+        /**
+         * Complete the shape in progress
+         * @returns {Object|null} The new shape, or null when there were too few vertices
+         */
+        finish: function() {
+            const type = this.tool;
+            // A double-click also fires two clicks; drop the repeated vertex
+            const vertices = this.vertices.filter((v, i, all) => i === 0 || !v.equals(all[i - 1]));
+            const minimum = type === 'polygon' ? 3 : 2;
+
+            this.cancel();
+            if (!type || vertices.length < minimum) return null;
+
+            return this.addShape(type, vertices);
+        },
+
+        /**
+         * Add a shape from its type and defining vertices
+         * (circle and rectangle use two vertices: center/edge and opposite corners)
+         */
+        addShape: function(type, vertices) {
+            const layer = createShapeLayer(type, vertices, SHAPE_STYLE);
+            const shape = {
+                id: `shape-${this.nextId++}`,
+                type: type,
+                vertices: vertices.map(v => L.latLng(v)),
+                layer: layer,
+                measurement: measure(type, vertices)
+            };
+
+            layer.bindTooltip(describeMeasurement(type, shape.measurement), { sticky: true, className: 'map-draw-tooltip' });
+            this.group.addLayer(layer);
+            this.shapes.set(shape.id, shape);
+
+            if (this.options.onShapeCreated) this.options.onShapeCreated(shape);
+            return shape;
+        },
+
+        removeShape: function(id) {
+            const shape = this.shapes.get(id);
+            if (!shape) return false;
+
+            this.group.removeLayer(shape.layer);
+            this.shapes.delete(id);
+            return true;
+        },
+
+        clear: function() {
+            this.cancel();
+            this.group.clearLayers();
+            this.shapes.clear();
+        },
+
+        getShape: function(id) {
+            return this.shapes.get(id) || null;
+        },
+
+        getShapes: function() {
+            return Array.from(this.shapes.values());
+        },
+
+        toGeoJSON: function() {
+            return {
+                type: 'FeatureCollection',
+                features: this.getShapes().map(toFeature)
+            };
+        },
+
+        remove: function() {
+            this.clear();
+            this.map.removeLayer(this.group);
+        }
+    };
+
+    /**
+     * Convert a shape to a GeoJSON feature; circles become polygons with their radius in properties
+     */
+    function toFeature(shape) {
+        const m = shape.measurement;
+        const properties = {
+            id: shape.id,
+            shape: shape.type,
+            lengthKm: m.lengthKm ?? null,
+            areaKm2: m.areaKm2 ?? null
+        };
+
+        if (shape.type === 'circle') {
+            const center = shape.vertices[0];
+            const ring = [];
+            for (let i = 0; i <= CIRCLE_SEGMENTS; i++) {
+                const p = destination(center, i * 360 / CIRCLE_SEGMENTS, m.radiusKm);
+                ring.push([p.lng, p.lat]);
+            }
+            return {
+                type: 'Feature',
+                properties: Object.assign(properties, { radiusKm: m.radiusKm, center: [center.lng, center.lat] }),
+                geometry: { type: 'Polygon', coordinates: [ring] }
+            };
+        }
+
+        const feature = shape.layer.toGeoJSON();
+        feature.properties = properties;
+        return feature;
+    }
+
+    /**
+     * Bounds of a shape in the { north, south, east, west } form used by tileCache
+     */
+    function getBounds(shape) {
+        const bounds = shape.layer.getBounds();
+        return {
+            north: bounds.getNorth(),
+            south: bounds.getSouth(),
+            east: bounds.getEast(),
+            west: bounds.getWest()
+        };
+    }
+
+    /**
+     * Circle around the center of the shape's bounds that covers every vertex (a circle is its own)
+     * Not the smallest enclosing circle; it is a radius-query bound to be clipped to the shape afterwards
+     * @returns {Object} lat, lng and radiusKm
+     */
+    function getEnclosingCircle(shape) {
+        if (shape.type === 'circle') {
+            return { lat: shape.vertices[0].lat, lng: shape.vertices[0].lng, radiusKm: shape.measurement.radiusKm };
+        }
+
+        const center = shape.layer.getBounds().getCenter();
+        const vertices = shape.type === 'rectangle'
+            ? rectangleCorners(shape.vertices[0], shape.vertices[1])
+            : shape.vertices;
+        return {
+            lat: center.lat,
+            lng: center.lng,
+            radiusKm: Math.max(...vertices.map(v => distanceKm(center, v)))
+        };
+    }
+
+    /**
+     * Test whether a shape overlaps a Polygon or MultiPolygon geometry such as an MPA boundary
+     * Lines overlap when they touch the geometry; areas also when one lies wholly inside the other
+     */
+    function intersectsGeometry(shape, geometry) {
+        const feature = toFeature(shape);
+        const path = shape.type === 'polyline' ? feature.geometry.coordinates : feature.geometry.coordinates[0];
+        const rings = window.mpaSpatial.geometryRings(geometry);
+        if (!path.length || !rings.length) return false;
+
+        if (path.some(([lng, lat]) => window.mpaSpatial.geometryContains(geometry, lat, lng))) {
+            return true;
+        }
+        if (shape.type !== 'polyline' &&
+            rings.some(ring => ring.some(([lng, lat]) => window.mpaSpatial.pointInRing(lng, lat, path)))) {
+            return true;
+        }
+
+        for (let i = 1; i < path.length; i++) {
+            for (const ring of rings) {
+                for (let j = 1; j < ring.length; j++) {
+                    if (window.mpaSpatial.segmentsIntersect(path[i - 1], path[i], ring[j - 1], ring[j])) return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Test whether a shape covers a position; polylines have no area and never contain points
+     */
+    function containsPoint(shape, lat, lng) {
+        switch (shape.type) {
+            case 'circle':
+                return distanceKm(shape.vertices[0], { lat: lat, lng: lng }) <= shape.measurement.radiusKm;
+            case 'rectangle':
+                return shape.layer.getBounds().contains([lat, lng]);
+            case 'polygon':
+                return window.mpaSpatial
+                    ? window.mpaSpatial.geometryContains(toFeature(shape).geometry, lat, lng)
+                    : shape.layer.getBounds().contains([lat, lng]);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Create a drawing controller for a map
+     * @param {L.Map} map - Map to draw on
+     * @param {Object} options - onShapeCreated(shape) and onToolChange(tool) are optional
+     * @returns {DrawController} Controller
+     */
+    function createController(map, options) {
+        return new DrawController(map, options);
+    }
+
+    return {
+        createController,
+        toFeature,
+        getBounds,
+        getEnclosingCircle,
+        containsPoint,
+        intersectsGeometry,
+        distanceKm,
+        pathLengthKm,
+        polygonAreaKm2,
+        formatDistance,
+        formatArea,
+        TOOLS,
+        KM_PER_NM
+    };
+})();
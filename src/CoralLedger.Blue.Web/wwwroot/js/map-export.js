@@ -0,0 +1,992 @@
+/**
+ * Map Export - Renders a Leaflet map view to a PNG or print-ready PDF figure
+ * Tiles come from the offline tile cache first so exports work without a connection;
+ * vector overlays, markers and labels are redrawn at the output resolution
+ */
+window.mapExport = (function() {
+    const MM_PER_INCH = 25.4;
+    const POINTS_PER_INCH = 72;
+    const CSS_DPI = 96;
+    const TILE_SIZE = 256;
+    const EARTH_CIRCUMFERENCE_M = 40075016.686;
+    const METERS_PER_NM = 1852;
+    const MAX_CANVAS_PIXELS = 40000000;   // Browsers refuse to allocate much larger canvases
+
+    // Page furniture sizes in CSS pixels, scaled to the output DPI
+    const MARGIN = 16;
+    const TITLE_HEIGHT = 52;
+    const FOOTER_HEIGHT = 18;
+
+    // Portrait sizes in millimeters
+    const PAPER_SIZES = {
+        a4: { name: 'A4', width: 210, height: 297 },
+        a3: { name: 'A3', width: 297, height: 420 },
+        letter: { name: 'Letter', width: 215.9, height: 279.4 },
+        tabloid: { name: 'Tabloid', width: 279.4, height: 431.8 }
+    };
+    const DPI_OPTIONS = [96, 150, 300];
+    const FORMATS = ['png', 'pdf'];
+    const FONT = 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+
+    /**
+     * Page size and the title, map frame and footer rectangles in output pixels
+     * Without a paper size the page matches the map's on-screen size
+     */
+    function getPageLayout(map, options) {
+        const paper = PAPER_SIZES[options.paper];
+        const landscape = options.orientation !== 'portrait';
+        const pageMm = paper
+            ? { width: landscape ? paper.height : paper.width, height: landscape ? paper.width : paper.height }
+            : null;
+        const mapSize = map.getSize();
+
+        const sizeAt = (dpi) => pageMm
+            ? { width: Math.round(pageMm.width / MM_PER_INCH * dpi), height: Math.round(pageMm.height / MM_PER_INCH * dpi) }
+            : {
+                width: Math.round((mapSize.x + 2 * MARGIN) * dpi / CSS_DPI),
+                height: Math.round((mapSize.y + TITLE_HEIGHT + FOOTER_HEIGHT + 2 * MARGIN) * dpi / CSS_DPI)
+            };
+
+        let dpi = options.dpi || 150;
+        let size = sizeAt(dpi);
+        if (size.width * size.height > MAX_CANVAS_PIXELS) {
+            dpi = Math.floor(dpi * Math.sqrt(MAX_CANVAS_PIXELS / (size.width * size.height)));
+            size = sizeAt(dpi);
+        }
+
+        const u = dpi / CSS_DPI;
+        const margin = pageMm ? 10 / MM_PER_INCH * dpi : MARGIN * u;
+        const inner = size.width - 2 * margin;
+
+        return {
+            dpi: dpi,
+            u: u,
+            width: size.width,
+            height: size.height,
+            paper: paper ? paper.name : null,
+            title: { x: margin, y: margin, width: inner, height: TITLE_HEIGHT * u },
+            frame: {
+                x: margin,
+                y: margin + TITLE_HEIGHT * u,
+                width: inner,
+                height: size.height - 2 * margin - (TITLE_HEIGHT + FOOTER_HEIGHT) * u
+            },
+            footer: { x: margin, y: size.height - margin - FOOTER_HEIGHT * u, width: inner, height: FOOTER_HEIGHT * u }
+        };
+    }
+
+    /**
+     * Fit the visible map into the frame; k is output pixels per map pixel at the current zoom
+     */
+    function getView(map, frame) {
+        const size = map.getSize();
+        const zoom = map.getZoom();
+        const k = Math.min(frame.width / size.x, frame.height / size.y);
+        const origin = map.project(map.getCenter(), zoom)
+            .subtract(L.point(frame.width / k / 2, frame.height / k / 2));
+
+        return {
+            zoom: zoom,
+            k: k,
+            origin: origin,
+            width: frame.width,
+            height: frame.height,
+            center: map.getCenter(),
+            toPoint: (latlng) => map.project(latlng, zoom).subtract(origin).multiplyBy(k)
+        };
+    }
+
+    // Meters covered by one output pixel at a latitude
+    function metersPerPixel(view, lat) {
+        return EARTH_CIRCUMFERENCE_M * Math.cos(lat * Math.PI / 180) / (TILE_SIZE * Math.pow(2, view.zoom)) / view.k;
+    }
+
+    // Stacking order and opacity of the pane a layer draws into
+    function getPaneStyle(map, layer, fallbackPane) {
+        const mapPane = map.getPane('mapPane');
+        let pane = map.getPane(layer.options.pane) || map.getPane(fallbackPane);
+        let opacity = 1;
+        let style;
+
+        // Panes can be nested (e.g. time-lapse frames inside an overlay's pane): opacities multiply,
+        // and the outermost pane sets the stacking order
+        while (pane && pane !== mapPane) {
+            style = window.getComputedStyle(pane);
+            opacity *= parseFloat(pane.style.opacity || style.opacity || '1');
+            if (pane.parentElement === mapPane) break;
+            pane = pane.parentElement;
+        }
+
+        return {
+            zIndex: parseInt(style?.zIndex, 10) || 0,
+            opacity: opacity
+        };
+    }
+
+    // First non-transparent color on an element or its children, as rendered
+    function getRenderedColor(element) {
+        const isVisible = (c) => c && c !== 'transparent' && !/rgba\(.*,\s*0\)$/.test(c);
+        for (const el of [element, ...element.querySelectorAll('*')]) {
+            const style = window.getComputedStyle(el);
+            if (isVisible(style.backgroundColor)) return style.backgroundColor;
+        }
+        const color = window.getComputedStyle(element).color;
+        return isVisible(color) ? color : '#58a6ff';
+    }
+
+    function htmlToText(html) {
+        const div = document.createElement('div');
+        div.innerHTML = html || '';
+        return div.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    // ---- Tiles ----
+
+    function blobToImage(blob) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(blob);
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Tile image could not be decoded'));
+            };
+            img.src = url;
+        });
+    }
+
+    function getTileUrl(layer, z, x, y) {
+        if (layer instanceof L.TileLayer.WMS) {
+            const coords = L.point(x, y);
+            coords.z = z;
+            return layer.getTileUrl(coords);
+        }
+        // Registered basemaps know their subdomains and WMS bounding boxes
+        if (layer.options.cacheTheme || layer._url.includes('{bbox}')) {
+            return window.basemapRegistry.buildTileUrl(layer._url, z, x, y);
+        }
+        const coords = L.point(x, y);
+        return L.Util.template(layer._url, L.extend({ r: '', s: layer._getSubdomain(coords), x: x, y: y, z: z }, layer.options));
+    }
+
+    /**
+     * Load one tile, cache first; falls back to the network (which the service worker may answer offline)
+     * Tiles are fetched as blobs so the canvas stays exportable
+     */
+    async function loadTile(layer, z, x, y) {
+        const theme = layer.options.cacheTheme;
+        if (theme && window.tileCache) {
+            try {
+                const cached = await window.tileCache.getTile(theme, z, x, y);
+                if (cached?.blob) return await blobToImage(cached.blob);
+            } catch (error) {
+                // Fall through to the network
+            }
+        }
+
+        try {
+            const response = await fetch(getTileUrl(layer, z, x, y), { mode: 'cors' });
+            if (!response.ok) return null;
+            return await blobToImage(await response.blob());
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Draw a tile layer; missing tiles are replaced by the matching quarter of a cached parent tile
+     * @param {Map} images - Decoded tiles to reuse across renders (e.g. the frames of a video), or null
+     * @returns {number} Number of tiles that could not be drawn at all
+     */
+    async function drawTileLayer(ctx, layer, view, alpha, images = null) {
+        const opts = layer.options;
+        const maxZoom = Math.min(opts.maxNativeZoom ?? opts.maxZoom ?? 19, opts.maxZoom ?? 19);
+        const minZoom = opts.minNativeZoom ?? opts.minZoom ?? 0;
+
+        // Use sharper tiles when printing at a higher resolution than the screen
+        const tileZoom = Math.max(minZoom, Math.min(maxZoom, view.zoom + Math.round(Math.log2(view.k))));
+        const tileScale = Math.pow(2, tileZoom - view.zoom);
+        const drawSize = TILE_SIZE * view.k / tileScale;
+        const tileCount = Math.pow(2, tileZoom);
+
+        const min = view.origin.multiplyBy(tileScale).divideBy(TILE_SIZE);
+        const max = view.origin.add(L.point(view.width / view.k, view.height / view.k)).multiplyBy(tileScale).divideBy(TILE_SIZE);
+
+        const loaded = images || new Map();
+        const load = (z, x, y) => {
+            const key = `${layer._url}|${z}/${x}/${y}`;
+            if (!loaded.has(key)) loaded.set(key, loadTile(layer, z, x, y));
+            return loaded.get(key);
+        };
+
+        const jobs = [];
+        for (let ty = Math.max(0, Math.floor(min.y)); ty <= Math.min(tileCount - 1, Math.floor(max.y)); ty++) {
+            for (let tx = Math.floor(min.x); tx <= Math.floor(max.x); tx++) {
+                const wrappedX = ((tx % tileCount) + tileCount) % tileCount;
+                jobs.push((async () => {
+                    let z = tileZoom;
+                    let x = wrappedX;
+                    let y = ty;
+                    let image = await load(z, x, y);
+                    let depth = 0;
+
+                    // Walk up to three parent zooms looking for a cached ancestor
+                    while (!image && depth < 3 && z > minZoom) {
+                        z--;
+                        x >>= 1;
+                        y >>= 1;
+                        depth++;
+                        image = await load(z, x, y);
+                    }
+                    if (!image) return false;
+
+                    const part = TILE_SIZE / Math.pow(2, depth);
+                    const sx = (wrappedX % Math.pow(2, depth)) * part;
+                    const sy = (ty % Math.pow(2, depth)) * part;
+                    ctx.globalAlpha = alpha * (opts.opacity ?? 1);
+                    ctx.drawImage(image, sx, sy, part, part,
+                        tx * drawSize - view.origin.x * view.k, ty * drawSize - view.origin.y * view.k,
+                        drawSize + 0.5, drawSize + 0.5);
+                    return true;
+                })());
+            }
+        }
+
+        const results = await Promise.all(jobs);
+        ctx.globalAlpha = 1;
+        return results.filter(ok => !ok).length;
+    }
+
+    // ---- Vector overlays ----
+
+    function flattenRings(latlngs) {
+        return L.LineUtil.isFlat(latlngs) ? [latlngs] : latlngs.flatMap(flattenRings);
+    }
+
+    function drawPath(ctx, layer, view, alpha) {
+        const o = layer.options;
+        ctx.beginPath();
+
+        if (layer instanceof L.CircleMarker) {
+            const center = view.toPoint(layer.getLatLng());
+            const radius = layer instanceof L.Circle
+                ? layer.getRadius() / metersPerPixel(view, layer.getLatLng().lat)
+                : layer.getRadius() * view.k;
+            ctx.moveTo(center.x + radius, center.y);
+            ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
+        } else if (layer instanceof L.Polyline) {
+            const closed = layer instanceof L.Polygon;
+            flattenRings(layer.getLatLngs()).forEach(ring => {
+                ring.forEach((latlng, i) => {
+                    const p = view.toPoint(latlng);
+                    if (i === 0) ctx.moveTo(p.x, p.y);
+                    else ctx.lineTo(p.x, p.y);
+                });
+                if (closed) ctx.closePath();
+            });
+        } else {
+            return;
+        }
+
+        if (o.fill && o.fillPattern) {
+            // SVG pattern fills (MPA protection hatching) are redrawn as canvas patterns
+            const p = o.fillPattern;
+            const pattern = window.mapPatterns?.createCanvasPattern(ctx, p.kind, p.color, p.opacity, view.k);
+            ctx.globalAlpha = alpha * (pattern ? 1 : p.opacity);
+            ctx.fillStyle = pattern || p.color;
+            ctx.fill(o.fillRule || 'evenodd');
+        } else if (o.fill) {
+            ctx.globalAlpha = alpha * (o.fillOpacity ?? 0.2);
+            ctx.fillStyle = o.fillColor || o.color;
+            ctx.fill(o.fillRule || 'evenodd');
+        }
+        if (o.stroke && o.weight > 0) {
+            ctx.globalAlpha = alpha * (o.opacity ?? 1);
+            ctx.strokeStyle = o.color;
+            ctx.lineWidth = o.weight * view.k;
+            ctx.lineCap = o.lineCap || 'round';
+            ctx.lineJoin = o.lineJoin || 'round';
+            const dash = typeof o.dashArray === 'string' ? o.dashArray.split(/[ ,]+/).map(Number) : (o.dashArray || []);
+            ctx.setLineDash(dash.map(d => d * view.k));
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Markers are drawn from their rendered icons: images as-is, div icons as a dot in the icon's color
+     * (with the count for cluster badges)
+     */
+    function drawMarker(ctx, marker, view, alpha, u) {
+        const icon = marker.getElement();
+        if (!icon) return;
+
+        const p = view.toPoint(marker.getLatLng());
+        ctx.globalAlpha = alpha * (marker.options.opacity ?? 1);
+
+        if (icon.tagName === 'IMG' && icon.complete) {
+            const anchor = marker.options.icon.options.iconAnchor || [icon.width / 2, icon.height];
+            try {
+                ctx.drawImage(icon, p.x - anchor[0] * u, p.y - anchor[1] * u, icon.width * u, icon.height * u);
+            } catch (error) {
+                // Cross-origin icon images would taint the canvas; skip them
+            }
+            ctx.globalAlpha = 1;
+            return;
+        }
+
+        const iconSize = marker.options.icon?.options?.iconSize;
+        const size = Array.isArray(iconSize) ? iconSize[0] : (iconSize?.x || 16);
+        const radius = Math.max(3, size * 0.35) * u;
+        const count = icon.textContent.trim();
+
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = getRenderedColor(icon);
+        ctx.fill();
+        ctx.lineWidth = 1.5 * u;
+        ctx.strokeStyle = '#ffffff';
+        ctx.stroke();
+
+        if (/^\d+$/.test(count)) {
+            ctx.fillStyle = '#ffffff';
+            ctx.font = `700 ${Math.round(radius * 0.9)}px ${FONT}`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(count, p.x, p.y);
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    // Permanent tooltips such as MPA names, drawn as small label boxes
+    function drawLabel(ctx, tooltip, view, u) {
+        const text = htmlToText(tooltip.getElement()?.innerHTML || tooltip.getContent());
+        if (!text) return;
+
+        const p = view.toPoint(tooltip.getLatLng());
+        ctx.font = `600 ${Math.round(10 * u)}px ${FONT}`;
+        const width = ctx.measureText(text).width + 10 * u;
+        const height = 16 * u;
+
+        ctx.fillStyle = 'rgba(22, 27, 34, 0.85)';
+        ctx.fillRect(p.x - width / 2, p.y - height / 2, width, height);
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, p.x, p.y);
+    }
+
+    // ---- Page furniture ----
+
+    function drawTitleBlock(ctx, layout, options, scaleText) {
+        const { x, y, width, height } = layout.title;
+        const u = layout.u;
+
+        ctx.fillStyle = '#111111';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+        ctx.font = `700 ${Math.round(20 * u)}px ${FONT}`;
+        ctx.fillText(options.title || 'CoralLedger Blue', x, y + 24 * u, width * 0.7);
+
+        ctx.fillStyle = '#444444';
+        ctx.font = `${Math.round(11 * u)}px ${FONT}`;
+        ctx.fillText(options.subtitle || '', x, y + 42 * u, width * 0.7);
+
+        ctx.textAlign = 'right';
+        ctx.fillText(options.dateText, x + width, y + 24 * u);
+        ctx.fillText(scaleText, x + width, y + 42 * u);
+
+        ctx.strokeStyle = '#111111';
+        ctx.lineWidth = 1.5 * u;
+        ctx.beginPath();
+        ctx.moveTo(x, y + height - 4 * u);
+        ctx.lineTo(x + width, y + height - 4 * u);
+        ctx.stroke();
+    }
+
+    function drawFooter(ctx, layout, attribution) {
+        const { x, y, width, height } = layout.footer;
+        const u = layout.u;
+        const credit = window.mapI18n.t('export.credit');
+
+        ctx.fillStyle = '#444444';
+        ctx.textBaseline = 'middle';
+        ctx.font = `${Math.round(8 * u)}px ${FONT}`;
+        const creditWidth = ctx.measureText(credit).width;
+
+        ctx.textAlign = 'left';
+        ctx.fillText(attribution, x, y + height / 2, width - creditWidth - 16 * u);
+        ctx.textAlign = 'right';
+        ctx.fillText(credit, x + width, y + height / 2);
+    }
+
+    function drawNorthArrow(ctx, frame, u) {
+        const cx = frame.x + frame.width - 26 * u;
+        const cy = frame.y + 30 * u;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.beginPath();
+        ctx.arc(cx, cy, 18 * u, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.fillStyle = '#111111';
+        ctx.beginPath();
+        ctx.moveTo(cx, cy - 12 * u);
+        ctx.lineTo(cx + 6 * u, cy + 8 * u);
+        ctx.lineTo(cx, cy + 4 * u);
+        ctx.lineTo(cx - 6 * u, cy + 8 * u);
+        ctx.closePath();
+        ctx.fill();
+
+        ctx.font = `700 ${Math.round(9 * u)}px ${FONT}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText('N', cx, cy - 12 * u);
+    }
+
+    // Largest 1, 2 or 5 times a power of ten that fits
+    function niceNumber(max) {
+        const power = Math.pow(10, Math.floor(Math.log10(max)));
+        return [5, 2, 1].map(m => m * power).find(n => n <= max) || power;
+    }
+
+    function drawScaleBar(ctx, frame, view, u) {
+        const mpp = metersPerPixel(view, view.center.lat);
+        const maxWidth = 120 * u;
+
+        const km = niceNumber(maxWidth * mpp / 1000);
+        const nm = niceNumber(maxWidth * mpp / METERS_PER_NM);
+        const bars = [
+            { width: km * 1000 / mpp, label: km < 1 ? `${Math.round(km * 1000)} m` : `${km} km` },
+            { width: nm * METERS_PER_NM / mpp, label: `${nm} nm` }
+        ];
+
+        const x = frame.x + 12 * u;
+        const y = frame.y + frame.height - 48 * u;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.fillRect(x - 6 * u, y - 6 * u, Math.max(...bars.map(b => b.width)) + 60 * u, 42 * u);
+
+        ctx.font = `${Math.round(9 * u)}px ${FONT}`;
+        ctx.textBaseline = 'middle';
+        bars.forEach((bar, i) => {
+            const by = y + i * 16 * u;
+            ctx.fillStyle = '#111111';
+            ctx.fillRect(x, by + 4 * u, bar.width, 4 * u);
+            ctx.fillRect(x, by, 1.5 * u, 12 * u);
+            ctx.fillRect(x + bar.width - 1.5 * u, by, 1.5 * u, 12 * u);
+            ctx.textAlign = 'left';
+            ctx.fillText(bar.label, x + bar.width + 6 * u, by + 6 * u);
+        });
+    }
+
+    /**
+     * Read legend sections from a rendered legend element (the control built by leafletMap.addLegend)
+     */
+    function readLegend(element) {
+        return [...element.querySelectorAll('.legend-section')].map(section => ({
+            title: section.querySelector('.legend-title')?.textContent.trim() || '',
+            items: [...section.querySelectorAll('.legend-item')].map(item => {
+                const swatch = item.querySelector('.legend-color, .legend-dot, .legend-pulse, .legend-cluster');
+                return {
+                    label: item.querySelector('.legend-label')?.textContent.trim() || '',
+                    color: swatch ? getRenderedColor(swatch) : '#888888',
+                    shape: swatch?.classList.contains('legend-color') ? 'square' : 'circle',
+                    pattern: ['diagonal', 'dots', 'waves'].find(p => swatch?.classList.contains(`legend-pattern-${p}`)) || null,
+                    text: swatch?.classList.contains('legend-cluster') ? swatch.textContent.trim() : ''
+                };
+            })
+        })).filter(section => section.items.length);
+    }
+
+    // White pattern over a swatch so protection levels don't rely on color alone (WCAG 1.4.1)
+    function drawSwatchPattern(ctx, pattern, x, y, size, u) {
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x, y, size, size);
+        ctx.clip();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.lineWidth = 1 * u;
+
+        if (pattern === 'diagonal') {
+            for (let d = -size; d < size; d += 3 * u) {
+                ctx.beginPath();
+                ctx.moveTo(x + d, y + size);
+                ctx.lineTo(x + d + size, y);
+                ctx.stroke();
+            }
+        } else if (pattern === 'dots') {
+            for (let dy = 2 * u; dy < size; dy += 4 * u) {
+                for (let dx = 2 * u; dx < size; dx += 4 * u) {
+                    ctx.beginPath();
+                    ctx.arc(x + dx, y + dy, 0.8 * u, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+            }
+        } else if (pattern === 'waves') {
+            for (let dy = 3 * u; dy < size; dy += 4 * u) {
+                ctx.beginPath();
+                for (let dx = 0; dx <= size; dx += u) {
+                    const wy = y + dy + Math.sin(dx / (1.5 * u)) * u;
+                    if (dx === 0) ctx.moveTo(x + dx, wy);
+                    else ctx.lineTo(x + dx, wy);
+                }
+                ctx.stroke();
+            }
+        }
+        ctx.restore();
+    }
+
+    function drawLegend(ctx, sections, frame, u) {
+        if (!sections.length) return;
+
+        const pad = 8 * u;
+        const rowHeight = 14 * u;
+        const swatch = 10 * u;
+        const titleFont = `700 ${Math.round(9.5 * u)}px ${FONT}`;
+        const itemFont = `${Math.round(9 * u)}px ${FONT}`;
+
+        let width = 0;
+        let height = pad * 2 + rowHeight;
+        sections.forEach(section => {
+            ctx.font = titleFont;
+            width = Math.max(width, ctx.measureText(section.title).width);
+            ctx.font = itemFont;
+            section.items.forEach(item => {
+                width = Math.max(width, swatch + 6 * u + ctx.measureText(item.label).width);
+            });
+            height += rowHeight * (section.items.length + 1) + 4 * u;
+        });
+        width += pad * 2;
+
+        const x = frame.x + frame.width - width - 12 * u;
+        let y = frame.y + frame.height - height - 12 * u;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
+        ctx.fillRect(x, y, width, height);
+        ctx.strokeStyle = '#999999';
+        ctx.lineWidth = 1 * u;
+        ctx.strokeRect(x, y, width, height);
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#111111';
+        ctx.font = `700 ${Math.round(11 * u)}px ${FONT}`;
+        y += pad + rowHeight / 2;
+        ctx.fillText(window.mapI18n.t('legend.title'), x + pad, y);
+
+        sections.forEach(section => {
+            y += rowHeight + 4 * u;
+            ctx.fillStyle = '#111111';
+            ctx.font = titleFont;
+            ctx.fillText(section.title, x + pad, y);
+
+            section.items.forEach(item => {
+                y += rowHeight;
+                const sx = x + pad;
+                const sy = y - swatch / 2;
+
+                ctx.fillStyle = item.color;
+                ctx.beginPath();
+                if (item.shape === 'square') {
+                    ctx.rect(sx, sy, swatch, swatch);
+                } else {
+                    ctx.arc(sx + swatch / 2, y, swatch / 2, 0, Math.PI * 2);
+                }
+                ctx.fill();
+                if (item.pattern) {
+                    drawSwatchPattern(ctx, item.pattern, sx, sy, swatch, u);
+                }
+                if (item.text) {
+                    ctx.fillStyle = '#ffffff';
+                    ctx.font = `700 ${Math.round(6 * u)}px ${FONT}`;
+                    ctx.textAlign = 'center';
+                    ctx.fillText(item.text, sx + swatch / 2, y);
+                    ctx.textAlign = 'left';
+                }
+
+                ctx.fillStyle = '#111111';
+                ctx.font = itemFont;
+                ctx.fillText(item.label, sx + swatch + 6 * u, y);
+            });
+        });
+    }
+
+    /**
+     * Legend element to read: an element is used as-is, HTML is rendered off-screen inside the map
+     * so legend CSS applies, and is removed again by the returned cleanup function
+     */
+    function resolveLegend(map, legend) {
+        if (!legend) return { element: null, cleanup: () => {} };
+        if (typeof legend !== 'string') return { element: legend, cleanup: () => {} };
+
+        const element = L.DomUtil.create('div', 'map-legend', map.getContainer());
+        element.style.visibility = 'hidden';
+        element.style.position = 'absolute';
+        element.innerHTML = legend;
+        return { element: element, cleanup: () => L.DomUtil.remove(element) };
+    }
+
+    // ---- Encoding ----
+
+    function canvasToBlob(canvas, type, quality) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Canvas could not be encoded')), type, quality);
+        });
+    }
+
+    let crcTable = null;
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Add a pHYs chunk so image editors and print dialogs pick up the export DPI
+     */
+    function setPngDpi(png, dpi) {
+        const ppm = Math.round(dpi / MM_PER_INCH * 1000);
+        const chunk = new Uint8Array(21);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, 9);
+        chunk.set([0x70, 0x48, 0x59, 0x73], 4);   // "pHYs"
+        view.setUint32(8, ppm);
+        view.setUint32(12, ppm);
+        chunk[16] = 1;                             // Unit: meter
+        view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+        // Signature (8 bytes) and IHDR (25 bytes) come first; pHYs must precede the image data
+        const headerLength = 33;
+        const result = new Uint8Array(png.length + chunk.length);
+        result.set(png.subarray(0, headerLength), 0);
+        result.set(chunk, headerLength);
+        result.set(png.subarray(headerLength), headerLength + chunk.length);
+        return result;
+    }
+
+    // PDF text string as UTF-16BE hex, so titles in any language survive
+    function pdfText(text) {
+        let hex = '<FEFF';
+        for (const char of String(text)) {
+            const code = char.codePointAt(0);
+            const units = code > 0xFFFF
+                ? [0xD800 + ((code - 0x10000) >> 10), 0xDC00 + ((code - 0x10000) & 0x3FF)]
+                : [code];
+            units.forEach(unit => { hex += unit.toString(16).padStart(4, '0').toUpperCase(); });
+        }
+        return `${hex}>`;
+    }
+
+    /**
+     * Single-page PDF with the figure as a full-page JPEG
+     */
+    function buildPdf(jpeg, imageWidth, imageHeight, pageWidthPt, pageHeightPt, title) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const offsets = [];
+        let length = 0;
+
+        const push = (data) => {
+            const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+            parts.push(bytes);
+            length += bytes.length;
+        };
+        const object = (id, body) => {
+            offsets[id] = length;
+            push(`${id} 0 obj\n`);
+            body();
+            push('\nendobj\n');
+        };
+
+        const w = pageWidthPt.toFixed(2);
+        const h = pageHeightPt.toFixed(2);
+        const content = `q ${w} 0 0 ${h} 0 0 cm /Im0 Do Q`;
+        const now = new Date();
+        const pad = (n) => String(n).padStart(2, '0');
+        const created = `D:${now.getUTCFullYear()}${pad(now.getUTCMonth() + 1)}${pad(now.getUTCDate())}` +
+            `${pad(now.getUTCHours())}${pad(now.getUTCMinutes())}${pad(now.getUTCSeconds())}Z`;
+
+        push('%PDF-1.4\n');
+        push(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A]));   // Binary marker comment
+        object(1, () => push('<< /Type /Catalog /Pages 2 0 R >>'));
+        object(2, () => push('<< /Type /Pages /Kids [3 0 R] /Count 1 >>'));
+        object(3, () => push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${w} ${h}] ` +
+            '/Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>'));
+        object(4, () => {
+            push(`<< /Type /XObject /Subtype /Image /Width ${imageWidth} /Height ${imageHeight} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`);
+            push(jpeg);
+            push('\nendstream');
+        });
+        object(5, () => push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`));
+        object(6, () => push(`<< /Title ${pdfText(title)} /Producer (CoralLedger Blue) /CreationDate (${created}) >>`));
+
+        const xrefOffset = length;
+        push(`xref\n0 7\n0000000000 65535 f \n`);
+        for (let id = 1; id <= 6; id++) {
+            push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+        }
+        push(`trailer\n<< /Size 7 /Root 1 0 R /Info 6 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        return new Blob(parts, { type: 'application/pdf' });
+    }
+
+    // ---- Rendering ----
+
+    /**
+     * Draw the map's tiles, overlays, markers and labels into a frame rectangle
+     * @param {Map} images - Decoded tiles to reuse across renders, or null
+     * @returns {Promise<Object>} missingTiles and the tile attribution text
+     */
+    async function drawMapFrame(ctx, map, frame, view, u, images = null) {
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(frame.x, frame.y, frame.width, frame.height);
+        ctx.clip();
+        ctx.fillStyle = window.getComputedStyle(map.getContainer()).backgroundColor || '#0d1117';
+        ctx.fillRect(frame.x, frame.y, frame.width, frame.height);
+        ctx.translate(frame.x, frame.y);
+
+        const tiles = [];
+        const overlays = [];
+        const markers = [];
+        const labels = [];
+        map.eachLayer(layer => {
+            if (layer instanceof L.TileLayer) tiles.push(layer);
+            else if (layer instanceof L.Path || typeof layer.drawTo === 'function') overlays.push(layer);
+            else if (layer instanceof L.Marker) markers.push(layer);
+            else if (layer instanceof L.Tooltip && layer.options.permanent) labels.push(layer);
+        });
+
+        const byPane = (fallbackPane) => (a, b) =>
+            getPaneStyle(map, a, fallbackPane).zIndex - getPaneStyle(map, b, fallbackPane).zIndex;
+
+        let missingTiles = 0;
+        for (const layer of tiles.sort(byPane('tilePane'))) {
+            missingTiles += await drawTileLayer(ctx, layer, view, getPaneStyle(map, layer, 'tilePane').opacity, images);
+        }
+
+        overlays.sort(byPane('overlayPane')).forEach(layer => {
+            const alpha = getPaneStyle(map, layer, 'overlayPane').opacity;
+            if (layer instanceof L.Path) {
+                drawPath(ctx, layer, view, alpha);
+            } else {
+                const size = L.point(view.width / view.k, view.height / view.k);
+                layer.drawTo(ctx, view.origin, view.zoom, size, view.k, alpha);
+            }
+        });
+
+        markers.sort(byPane('markerPane')).forEach(marker =>
+            drawMarker(ctx, marker, view, getPaneStyle(map, marker, 'markerPane').opacity, u));
+        labels.forEach(label => drawLabel(ctx, label, view, u));
+        ctx.restore();
+
+        const attribution = tiles.map(layer => htmlToText(layer.getAttribution?.())).filter(Boolean);
+        return { missingTiles: missingTiles, attribution: [...new Set(attribution)].join(' | ') };
+    }
+
+    /**
+     * Render the current view of a map onto a new canvas
+     * @param {L.Map} map - Leaflet map
+     * @param {Object} options - title, subtitle, paper (a4|a3|letter|tabloid, omit for the on-screen size),
+     *                           orientation (landscape|portrait), dpi, legend (element or HTML)
+     * @returns {Promise<Object>} canvas, layout and missingTiles
+     */
+    async function render(map, options = {}) {
+        const layout = getPageLayout(map, options);
+        const { frame, u } = layout;
+        const view = getView(map, frame);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = layout.width;
+        canvas.height = layout.height;
+        const ctx = canvas.getContext('2d');
+
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, layout.width, layout.height);
+
+        // Map frame
+        const { missingTiles, attribution } = await drawMapFrame(ctx, map, frame, view, u);
+
+        ctx.strokeStyle = '#111111';
+        ctx.lineWidth = 1 * u;
+        ctx.strokeRect(frame.x, frame.y, frame.width, frame.height);
+
+        // Furniture
+        const legend = resolveLegend(map, options.legend);
+        try {
+            if (legend.element) {
+                drawLegend(ctx, readLegend(legend.element), frame, u);
+            }
+        } finally {
+            legend.cleanup();
+        }
+        drawScaleBar(ctx, frame, view, u);
+        drawNorthArrow(ctx, frame, u);
+
+        // Representative fraction at the printed size
+        const groundMetersPerPaperMeter = metersPerPixel(view, view.center.lat) * layout.dpi / MM_PER_INCH * 1000;
+        const fraction = window.mapI18n.formatNumber(Number(groundMetersPerPaperMeter.toPrecision(2)));
+        const scaleText = layout.paper
+            ? window.mapI18n.t('export.scalePaper', { fraction, paper: layout.paper })
+            : window.mapI18n.t('export.scaleDpi', { fraction, dpi: layout.dpi });
+
+        drawTitleBlock(ctx, layout, {
+            title: options.title,
+            subtitle: options.subtitle,
+            dateText: new Date().toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' })
+        }, scaleText);
+
+        drawFooter(ctx, layout, attribution);
+
+        return { canvas: canvas, layout: layout, missingTiles: missingTiles };
+    }
+
+    /**
+     * Render the current view as one frame of an animation: the map fills the canvas, with a date stamp,
+     * legend, scale bar and attribution drawn over it
+     * @param {L.Map} map - Leaflet map
+     * @param {Object} options - width and height in pixels, title, stamp (e.g. the frame's date), legend
+     *                           (element or HTML) and images (a Map reused across frames so tiles load once)
+     * @returns {Promise<Object>} canvas and missingTiles
+     */
+    async function renderFrame(map, options = {}) {
+        const size = map.getSize();
+        const width = Math.round(options.width || size.x);
+        const height = Math.round(options.height || size.y);
+        const frame = { x: 0, y: 0, width: width, height: height };
+        const view = getView(map, frame);
+        // Furniture scales with the picture, so it reads the same at every resolution
+        const u = Math.max(0.5, Math.min(width / size.x, height / size.y));
+
+        const canvas = options.canvas || document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        const { missingTiles, attribution } = await drawMapFrame(ctx, map, frame, view, u, options.images || null);
+
+        // Keep the legend and scale bar clear of the attribution strip
+        const inner = { x: 0, y: 0, width: width, height: height - 14 * u };
+        const legend = resolveLegend(map, options.legend);
+        try {
+            if (legend.element) {
+                drawLegend(ctx, readLegend(legend.element), inner, u);
+            }
+        } finally {
+            legend.cleanup();
+        }
+        drawScaleBar(ctx, inner, view, u);
+        drawDateStamp(ctx, frame, options.stamp, options.title, u);
+
+        // Attribution along the bottom edge
+        const credit = [attribution, 'CoralLedger Blue'].filter(Boolean).join(' | ');
+        ctx.font = `${Math.round(8 * u)}px ${FONT}`;
+        const creditWidth = Math.min(ctx.measureText(credit).width, width - 8 * u);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillRect(width - creditWidth - 8 * u, height - 14 * u, creditWidth + 8 * u, 14 * u);
+        ctx.fillStyle = '#333333';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(credit, width - 4 * u, height - 7 * u, width - 8 * u);
+
+        return { canvas: canvas, missingTiles: missingTiles };
+    }
+
+    // Large date with an optional title above it, top left of the frame
+    function drawDateStamp(ctx, frame, stamp, title, u) {
+        if (!stamp && !title) return;
+
+        const pad = 8 * u;
+        const stampFont = `700 ${Math.round(22 * u)}px ${FONT}`;
+        const titleFont = `${Math.round(11 * u)}px ${FONT}`;
+
+        ctx.font = stampFont;
+        let width = stamp ? ctx.measureText(stamp).width : 0;
+        ctx.font = titleFont;
+        width = Math.max(width, title ? ctx.measureText(title).width : 0);
+        const height = pad * 2 + (stamp ? 26 * u : 0) + (title ? 16 * u : 0);
+
+        const x = frame.x + 12 * u;
+        let y = frame.y + 12 * u;
+        ctx.fillStyle = 'rgba(13, 17, 23, 0.75)';
+        ctx.fillRect(x, y, width + pad * 2, height);
+
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        y += pad;
+        if (title) {
+            ctx.font = titleFont;
+            ctx.fillText(title, x + pad, y);
+            y += 16 * u;
+        }
+        if (stamp) {
+            ctx.font = stampFont;
+            ctx.fillText(stamp, x + pad, y);
+        }
+    }
+
+    /**
+     * Export the current view of a map as a PNG or PDF
+     * @param {L.Map} map - Leaflet map
+     * @param {Object} options - format (png|pdf) plus the render() options
+     * @returns {Promise<Object>} blob, filename, format, width, height, dpi and missingTiles
+     */
+    async function exportMap(map, options = {}) {
+        const format = FORMATS.includes(options.format) ? options.format : 'png';
+        const { canvas, layout, missingTiles } = await render(map, options);
+
+        let blob;
+        if (format === 'pdf') {
+            const jpeg = new Uint8Array(await (await canvasToBlob(canvas, 'image/jpeg', 0.92)).arrayBuffer());
+            const toPoints = (px) => px / layout.dpi * POINTS_PER_INCH;
+            blob = buildPdf(jpeg, canvas.width, canvas.height, toPoints(canvas.width), toPoints(canvas.height),
+                options.title || 'CoralLedger Blue map');
+        } else {
+            const png = new Uint8Array(await (await canvasToBlob(canvas, 'image/png')).arrayBuffer());
+            blob = new Blob([setPngDpi(png, layout.dpi)], { type: 'image/png' });
+        }
+
+        const slug = (options.title || 'map').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'map';
+        const date = new Date().toISOString().split('T')[0];
+
+        return {
+            blob: blob,
+            filename: `${slug}-${date}.${format}`,
+            format: format,
+            width: canvas.width,
+            height: canvas.height,
+            dpi: layout.dpi,
+            missingTiles: missingTiles
+        };
+    }
+
+    return {
+        render,
+        renderFrame,
+        exportMap,
+        buildPdf,
+        setPngDpi,
+        PAPER_SIZES,
+        DPI_OPTIONS,
+        FORMATS
+    };
+})();
@@ -0,0 +1,397 @@
+/**
+ * Map Heatmap - Fishing effort density overlay with a configurable color ramp and radius
+ * Uses Global Fishing Watch 4Wings tiles from /api/vessels/fishing-effort-tiles, recolored in the browser;
+ * falls back to a density surface of fishing events (weighted by fishing hours) when tiles are unavailable
+ */
+window.mapHeatmap = (function() {
+    // Color ramps live in mapPalette; 'effort' is whichever ramp the user's palette uses for effort
+    const RAMPS = window.mapPalette.RAMPS;
+
+    const DEFAULT_OPTIONS = {
+        pane: 'overlayPane',
+        ramp: 'effort',
+        radius: 12,        // Screen pixels: point radius, or blur radius for tiles
+        max: null,         // Weight that saturates the ramp; defaults to the largest point weight
+        fadeBelow: 0.3     // The lowest 30% of the ramp fades in from transparent
+    };
+
+    const paletteCache = new Map();
+
+    function parseColor(color) {
+        const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+        if (hex) {
+            const h = hex[1].length === 3 ? hex[1].replace(/./g, c => c + c) : hex[1];
+            return [0, 2, 4].map(i => parseInt(h.substr(i, 2), 16));
+        }
+        const rgb = /rgba?\(([^)]+)\)/.exec(color);
+        if (rgb) {
+            return rgb[1].split(',').slice(0, 3).map(v => parseInt(v, 10));
+        }
+        return [0, 0, 0];
+    }
+
+    function getRampColors(ramp) {
+        return window.mapPalette.getRamp(ramp);
+    }
+
+    /**
+     * Color at a position along a ramp
+     * @param {string|Array<string>} ramp - Role, ramp name or color stops (see mapPalette.getRamp)
+     * @param {number} t - Position from 0 (low) to 1 (high)
+     */
+    function colorAt(ramp, t) {
+        return window.mapPalette.colorAt(ramp, t);
+    }
+
+    /**
+     * 256-entry RGBA lookup table; index is density, so zero density stays transparent
+     */
+    function getPalette(ramp, fadeBelow = DEFAULT_OPTIONS.fadeBelow) {
+        const key = `${getRampColors(ramp).join(',')}|${fadeBelow}`;
+        if (paletteCache.has(key)) return paletteCache.get(key);
+
+        const palette = new Uint8ClampedArray(256 * 4);
+        for (let i = 1; i < 256; i++) {
+            const t = i / 255;
+            const c = parseColor(colorAt(ramp, t));
+            palette.set([c[0], c[1], c[2], Math.round(255 * Math.min(1, t / fadeBelow))], i * 4);
+        }
+        paletteCache.set(key, palette);
+        return palette;
+    }
+
+    // Replace each pixel's alpha (density) with the palette color for it
+    function colorize(imageData, palette) {
+        const px = imageData.data;
+        for (let i = 0; i < px.length; i += 4) {
+            const j = px[i + 3] * 4;
+            px[i] = palette[j];
+            px[i + 1] = palette[j + 1];
+            px[i + 2] = palette[j + 2];
+            px[i + 3] = palette[j + 3];
+        }
+        return imageData;
+    }
+
+    /**
+     * 4Wings heatmap tiles redrawn through a client-side color ramp
+     * GFW tiles are rendered in a single color whose alpha encodes fishing hours, so alpha is read as density
+     */
+    const EffortTileLayer = L.GridLayer.extend({
+        initialize: function(url, options) {
+            this._url = url;
+            this._images = new Map();
+            L.GridLayer.prototype.initialize.call(this, Object.assign({}, DEFAULT_OPTIONS, {
+                attribution: 'Fishing effort &copy; <a href="https://globalfishingwatch.org">Global Fishing Watch</a>'
+            }, options));
+        },
+
+        createTile: function(coords, done) {
+            const tile = L.DomUtil.create('canvas', 'leaflet-tile');
+            const size = this.getTileSize();
+            tile.width = size.x;
+            tile.height = size.y;
+
+            const img = new Image();
+            img.crossOrigin = 'anonymous';
+            img.onload = () => {
+                this._images.set(this._tileCoordsToKey(coords), img);
+                this._renderTile(tile, img);
+                done(null, tile);
+            };
+            img.onerror = () => done(new Error('Fishing effort tile failed to load'), tile);
+            img.src = L.Util.template(this._url, { x: coords.x, y: coords.y, z: coords.z });
+
+            return tile;
+        },
+
+        _renderTile: function(tile, img) {
+            const ctx = tile.getContext('2d');
+            if (!ctx) return;
+
+            ctx.clearRect(0, 0, tile.width, tile.height);
+            ctx.filter = this.options.radius > 0 ? `blur(${this.options.radius / 2}px)` : 'none';
+            ctx.drawImage(img, 0, 0, tile.width, tile.height);
+            ctx.filter = 'none';
+
+            try {
+                const imageData = ctx.getImageData(0, 0, tile.width, tile.height);
+                ctx.putImageData(colorize(imageData, getPalette(this.options.ramp, this.options.fadeBelow)), 0, 0);
+            } catch (error) {
+                // Tiles served without CORS headers can't be read back; show them in their server colors
+            }
+        },
+
+        /**
+         * Draw into a custom pane; call before adding to the map
+         */
+        setPane: function(pane) {
+            this.options.pane = pane;
+            return this;
+        },
+
+        /**
+         * Change the color ramp and/or radius without reloading tiles
+         * @param {Object} style - ramp (role, ramp name or color stops) and radius in pixels
+         */
+        setStyle: function(style) {
+            L.setOptions(this, style);
+            Object.values(this._tiles || {}).forEach(tile => {
+                const img = this._images.get(this._tileCoordsToKey(tile.coords));
+                if (img) this._renderTile(tile.el, img);
+            });
+            return this;
+        },
+
+        _removeTile: function(key) {
+            this._images.delete(key);
+            L.GridLayer.prototype._removeTile.call(this, key);
+        },
+
+        /**
+         * Draw the loaded tiles onto another canvas, e.g. for map export (see mapCanvasPoints drawTo)
+         */
+        drawTo: function(ctx, origin, zoom, size, ratio, alpha = 1) {
+            if (!this._map) return;
+
+            const scale = this._map.getZoomScale(zoom, this._tileZoom);
+            const tileSize = this.getTileSize();
+            ctx.save();
+            ctx.globalAlpha = alpha * this.options.opacity;
+            Object.values(this._tiles || {}).forEach(tile => {
+                if (!tile.loaded || tile.coords.z !== this._tileZoom) return;
+                const x = (tile.coords.x * tileSize.x * scale - origin.x) * ratio;
+                const y = (tile.coords.y * tileSize.y * scale - origin.y) * ratio;
+                ctx.drawImage(tile.el, x, y, tileSize.x * scale * ratio, tileSize.y * scale * ratio);
+            });
+            ctx.restore();
+        }
+    });
+
+    /**
+     * Density surface of weighted points on one canvas
+     */
+    const PointHeatLayer = L.Layer.extend({
+        initialize: function(points, options) {
+            this._options = Object.assign({}, DEFAULT_OPTIONS, options);
+            this.setPoints(points || []);
+        },
+
+        onAdd: function(map) {
+            this._map = map;
+            this._canvas = L.DomUtil.create('canvas', 'leaflet-heatmap leaflet-zoom-hide');
+            this._canvas.style.pointerEvents = 'none';
+            map.getPane(this._options.pane).appendChild(this._canvas);
+
+            map.on('moveend zoomend resize viewreset', this._redraw, this);
+            map.on('zoomstart', this._hide, this);
+            this._redraw();
+        },
+
+        onRemove: function(map) {
+            map.off('moveend zoomend resize viewreset', this._redraw, this);
+            map.off('zoomstart', this._hide, this);
+            L.DomUtil.remove(this._canvas);
+            this._canvas = null;
+            this._map = null;
+        },
+
+        setPane: function(pane) {
+            this._options.pane = pane;
+            return this;
+        },
+
+        /**
+         * Replace the points and redraw
+         * @param {Array} points - Points with lat, lng and weight (fishing hours)
+         */
+        setPoints: function(points) {
+            this._points = points.filter(p => Number.isFinite(p?.lat) && Number.isFinite(p?.lng));
+            this._projected = this._points.map(p => L.CRS.EPSG3857.latLngToPoint(L.latLng(p.lat, p.lng), 0));
+            this._max = this._options.max || Math.max(1, ...this._points.map(p => p.weight || 1));
+
+            if (this._map) this._redraw();
+            return this;
+        },
+
+        getMax: function() {
+            return this._max;
+        },
+
+        setStyle: function(style) {
+            Object.assign(this._options, style);
+            if (this._map) this._redraw();
+            return this;
+        },
+
+        _hide: function() {
+            if (this._canvas) this._canvas.style.visibility = 'hidden';
+        },
+
+        _redraw: function() {
+            const map = this._map;
+            if (!map || !this._canvas) return;
+
+            const size = map.getSize();
+            this._canvas.width = size.x;
+            this._canvas.height = size.y;
+            this._canvas.style.width = `${size.x}px`;
+            this._canvas.style.height = `${size.y}px`;
+            L.DomUtil.setPosition(this._canvas, map.containerPointToLayerPoint([0, 0]));
+            this._canvas.style.visibility = '';
+
+            const ctx = this._canvas.getContext('2d');
+            if (!ctx) return;
+            this._drawDensity(ctx, map.getPixelBounds().min, map.getZoom(), size, 1);
+        },
+
+        /**
+         * Accumulate one soft brush per point, then map the summed alpha through the palette
+         */
+        _drawDensity: function(ctx, origin, zoom, size, ratio) {
+            const radius = Math.max(1, this._options.radius * ratio);
+            const scale = L.CRS.EPSG3857.scale(zoom) / L.CRS.EPSG3857.scale(0);
+            const width = Math.ceil(size.x * ratio);
+            const height = Math.ceil(size.y * ratio);
+
+            ctx.clearRect(0, 0, width, height);
+            const brush = ctx.createRadialGradient(0, 0, 0, 0, 0, radius);
+            brush.addColorStop(0, 'rgba(0, 0, 0, 1)');
+            brush.addColorStop(1, 'rgba(0, 0, 0, 0)');
+            ctx.fillStyle = brush;
+
+            this._projected.forEach((pt, i) => {
+                const x = (pt.x * scale - origin.x) * ratio;
+                const y = (pt.y * scale - origin.y) * ratio;
+                if (x < -radius || y < -radius || x > width + radius || y > height + radius) return;
+
+                ctx.globalAlpha = Math.min(1, Math.max(0.05, (this._points[i].weight || 1) / this._max));
+                ctx.setTransform(1, 0, 0, 1, x, y);
+                ctx.fillRect(-radius, -radius, radius * 2, radius * 2);
+            });
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.globalAlpha = 1;
+
+            const imageData = ctx.getImageData(0, 0, width, height);
+            ctx.putImageData(colorize(imageData, getPalette(this._options.ramp, this._options.fadeBelow)), 0, 0);
+        },
+
+        drawTo: function(ctx, origin, zoom, size, ratio, alpha = 1) {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil(size.x * ratio);
+            canvas.height = Math.ceil(size.y * ratio);
+            const offscreen = canvas.getContext('2d');
+            if (!offscreen) return;
+
+            this._drawDensity(offscreen, origin, zoom, size, ratio);
+            ctx.save();
+            ctx.globalAlpha = alpha;
+            ctx.drawImage(canvas, 0, 0);
+            ctx.restore();
+        }
+    });
+
+    // 4Wings tile URLs per date window; generating one costs a GFW API call, so reuse them during playback
+    const tileInfoCache = new Map();
+
+    async function getTileInfo(startDate, endDate) {
+        const key = `${startDate}|${endDate}`;
+        if (!tileInfoCache.has(key)) {
+            tileInfoCache.set(key, (async () => {
+                const response = await fetch(`/api/vessels/fishing-effort-tiles?startDate=${startDate}&endDate=${endDate}`);
+                if (!response.ok) return null;
+                const info = await response.json();
+                return info?.tileUrl ? info : null;
+            })().catch(() => null));
+        }
+        const info = await tileInfoCache.get(key);
+        if (!info) tileInfoCache.delete(key);   // Retry later, e.g. once back online
+        return info;
+    }
+
+    /**
+     * Build a fishing effort heatmap for a date window
+     * @param {Object} options - startDate and endDate (yyyy-MM-dd), label for the legend, ramp, radius, an AbortSignal
+     *                           as signal and any layer options
+     * @returns {Promise<L.Layer|null>} Layer with getLegendHtml(), or null when there is no data
+     */
+    async function createFishingEffortLayer(options) {
+        const { startDate, endDate, signal } = options;
+        // Labels may be functions so the legend follows the map culture
+        const label = options.label
+            || (() => `${window.mapI18n.formatDate(startDate)} – ${window.mapI18n.formatDate(endDate)}`);
+        // Unset values (e.g. from Blazor) keep the defaults
+        const layerOptions = Object.fromEntries(Object.entries(options).filter(([key, value]) =>
+            value !== undefined && value !== null && !['startDate', 'endDate', 'label', 'signal'].includes(key)));
+
+        const info = await getTileInfo(startDate, endDate);
+        if (info) {
+            const layer = new EffortTileLayer(info.tileUrl, layerOptions);
+            const steps = (info.colorRamp || []).map(step => step.value).filter(Number.isFinite);
+            layer.getLegendHtml = () => getLegendHtml(layer.options.ramp, steps, label);
+            return layer;
+        }
+
+        // No GFW tiles (API key not configured or offline): use the events stored in our own database
+        try {
+            const response = await fetch(`/api/vessels/fishing-events/bahamas?startDate=${startDate}&endDate=${endDate}`, { signal });
+            if (!response.ok) return null;
+
+            const events = await response.json();
+            if (!events?.length) return null;
+
+            const layer = new PointHeatLayer(events.map(evt => ({
+                lat: evt.latitude,
+                lng: evt.longitude,
+                weight: evt.durationHours || 1
+            })), layerOptions);
+            layer.getLegendHtml = () => {
+                const max = layer.getMax();
+                return getLegendHtml(layer._options.ramp, [0, max / 4, max / 2, max], label);
+            };
+            return layer;
+        } catch (error) {
+            // Cancelled by the caller, e.g. time-lapse playback moving past this window
+            if (error.name === 'AbortError') throw error;
+            console.error('[map-heatmap] Could not load fishing events:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Legend section for a fishing effort heatmap
+     * @param {string|Array<string>} ramp - Color ramp
+     * @param {Array<number>} values - Fishing hours at evenly spaced positions along the ramp
+     * @param {string|Function} label - Date window shown under the swatches
+     */
+    function getLegendHtml(ramp, values, label) {
+        const { t, formatNumber } = window.mapI18n;
+        const stops = values.length >= 2 ? values : [0, 1];
+        // Show at most five swatches
+        const shown = stops.length <= 5 ? stops : [0, 1, 2, 3, 4].map(i => stops[Math.round(i * (stops.length - 1) / 4)]);
+        const format = (v) => formatNumber(v, v >= 10 ? 0 : 1);
+        const note = typeof label === 'function' ? label() : label;
+
+        return `
+            <div class="legend-section" role="list" aria-label="${t('heatmap.label')}">
+                <div class="legend-title">${t('heatmap.title')}</div>
+                <div class="legend-gradient" style="background: linear-gradient(to right, ${getRampColors(ramp).join(', ')});" aria-hidden="true"></div>
+                ${shown.map((value, i) => `
+                    <div class="legend-item" role="listitem">
+                        <span class="legend-color" style="background: ${colorAt(ramp, shown.length > 1 ? i / (shown.length - 1) : 1)};" aria-hidden="true"></span>
+                        <span class="legend-label">${i === shown.length - 1 ? '≥ ' : ''}${t('heatmap.hours', { value: format(value) })}</span>
+                    </div>`).join('')}
+                ${note ? `<div class="legend-note">${note}</div>` : ''}
+            </div>`;
+    }
+
+    return {
+        createFishingEffortLayer,
+        createTileLayer: (url, options) => new EffortTileLayer(url, options || {}),
+        createPointLayer: (points, options) => new PointHeatLayer(points, options || {}),
+        getLegendHtml,
+        colorAt,
+        RAMPS,
+        DEFAULT_OPTIONS
+    };
+})();
@@ -0,0 +1,781 @@
+/**
+ * Map I18n - Message catalog and locale formatting for map popups, tooltips and legends
+ * Messages are keyed by the culture from localization.getCurrentCulture() (en, es or ht) and fall back
+ * to English. Dates, numbers and areas are formatted for the same culture. Map modules re-render
+ * through onChange when the culture changes.
+ */
+window.mapI18n = (function() {
+    // Intl locales to try per culture; Haitian Creole formats like French where the browser lacks 'ht'
+    const LOCALES = {
+        en: ['en-BS', 'en'],
+        es: ['es'],
+        ht: ['ht', 'fr']
+    };
+
+    const MESSAGES = {
+        en: {
+            'common.unknown': 'Unknown',
+            'common.noData': 'no data',
+            'common.notAvailable': 'N/A',
+            'common.loading': 'Loading...',
+            'common.requestFailed': 'Request failed. Check your connection and try again.',
+            'common.delete': 'Delete',
+
+            'unit.hours': '{value} hours',
+            'unit.knots': '{value} knots',
+            'unit.km': '{value} km',
+            'unit.km2': '{value} km²',
+            'unit.celsius': '{value} °C',
+            'unit.degreeWeeks': '{value} °C-weeks',
+
+            'legend.title': 'Legend',
+            'legend.label': 'Map Legend',
+            'legend.empty': 'No visible layers',
+            'legend.alerts': 'Alert Levels',
+            'legend.critical': 'Critical',
+            'legend.warning': 'Warning',
+
+            'basemap.label': 'Basemap',
+            'layers.title': 'Layers',
+            'layers.empty': 'No overlays',
+            'layers.opacity': 'Opacity',
+            'layers.opacityOf': '{name} opacity',
+            'layers.moveUp': 'Move {name} up',
+            'layers.moveDown': 'Move {name} down',
+            'offline.mode': 'Offline Mode',
+            'offline.allMpasPackage': 'All MPAs ({theme}, zoom {minZoom}-{maxZoom})',
+
+            'protection.title': 'Protection Levels',
+            'protection.NoTake': 'No-Take Zone',
+            'protection.HighlyProtected': 'Highly Protected',
+            'protection.LightlyProtected': 'Lightly Protected',
+            'protection.zone.NoTake': 'No-Take',
+            'protection.zone.HighlyProtected': 'Highly Protected',
+            'protection.zone.LightlyProtected': 'Lightly Protected',
+
+            'mpa.layer': 'Marine Protected Areas',
+            'mpa.pulseLayer': 'No-Take Zone Borders',
+            'mpa.area': 'Area',
+            'mpa.islandGroup': 'Island Group',
+            'mpa.protection': 'Protection',
+            'mpa.info': 'Marine Protected Area Information',
+            'mpa.clickForDetails': 'Click for more details',
+            'mpa.violation': 'MPA Violation',
+            'mpa.entered': 'Entered {zone} Zone',
+            'mpa.exited': 'Exited {zone} Zone',
+            'mpa.name': 'MPA',
+
+            'fishing.layer': 'Fishing Events',
+            'fishing.trajectories': 'Vessel Trajectories',
+            'fishing.heatmap': 'Fishing Effort (heatmap)',
+            'fishing.title': 'Fishing Activity',
+            'fishing.event': 'Fishing Event',
+            'fishing.events': '{count} fishing events',
+            'fishing.eventsTitle': '{count} Fishing Events',
+            'fishing.last7': 'Last 7 days',
+            'fishing.days8to14': '8-14 days',
+            'fishing.days15to30': '15-30 days',
+            'fishing.older': 'Older',
+            'fishing.violations': 'MPA Violations: {count}',
+            'fishing.cluster': 'Event cluster',
+            'fishing.vessel': 'Vessel',
+            'fishing.vesselRun': 'Vessel: {name}',
+            'fishing.date': 'Date',
+            'fishing.time': 'Time',
+            'fishing.approxTime': 'Approx. time',
+            'fishing.duration': 'Duration',
+            'fishing.distance': 'Distance',
+            'fishing.type': 'Type',
+            'fishing.insideMpa': 'Inside MPA',
+            'fishing.defaultType': 'Fishing',
+
+            'draw.polygon': 'Polygon',
+            'draw.rectangle': 'Rectangle',
+            'draw.circle': 'Circle',
+            'draw.polyline': 'Line',
+            'draw.radius': 'Radius',
+            'draw.distance': 'Distance',
+            'draw.perimeter': 'Perimeter',
+            'draw.area': 'Area',
+            'draw.mpasNearby': 'MPAs nearby',
+            'draw.bleaching': 'Bleaching (30 days)',
+            'draw.saveOffline': 'Save offline',
+            'draw.saveOfflineTitle': 'Zoom {minZoom}-{maxZoom}',
+            'draw.saveOfflineEstimate': 'Zoom {minZoom}-{maxZoom}, ~{tiles} tiles ({mb} MB)',
+            'draw.noMpas': 'No MPAs in range.',
+            'draw.inside': 'inside',
+            'draw.noBleaching': 'No bleaching data in this area.',
+            'draw.bleachingSummary': '{count} readings · max DHW {dhw} · max alert level {alert}',
+            'draw.noTileCache': 'Offline tile cache is not available.',
+            'draw.saved': 'Saved {downloaded} new tiles ({cached} already cached).',
+            'draw.savedWithFailures': 'Saved {downloaded} new tiles ({cached} already cached, {failed} failed).',
+
+            'draw.toolbar': 'Drawing and measurement tools',
+            'draw.tool.polyline': 'Measure distance',
+            'draw.tool.polygon': 'Draw polygon',
+            'draw.tool.rectangle': 'Draw rectangle',
+            'draw.tool.circle': 'Draw circle',
+            'draw.exportShapes': 'Export shapes as GeoJSON',
+            'draw.clearShapes': 'Clear shapes',
+
+            'export.button': 'Export map',
+            'export.title': 'Title',
+            'export.defaultTitle': 'Bahamas Marine Protected Areas',
+            'export.subtitle': '{basemap} basemap',
+            'export.format': 'Format',
+            'export.paper': 'Paper',
+            'export.currentView': 'Current view',
+            'export.orientation': 'Orientation',
+            'export.landscape': 'Landscape',
+            'export.portrait': 'Portrait',
+            'export.resolution': 'Resolution',
+            'export.submit': 'Export',
+            'export.rendering': 'Rendering…',
+            'export.failed': 'Export failed',
+            'export.saved': 'Saved {filename}',
+            'export.savedMissing': 'Saved {filename} ({count} tiles unavailable offline)',
+            'export.scalePaper': 'Scale 1:{fraction} on {paper}',
+            'export.scaleDpi': 'Scale 1:{fraction} at {dpi} dpi',
+            'export.credit': 'Generated by CoralLedger Blue',
+
+            'sync.divider': 'Comparison divider',
+
+            'track.label': 'Track playback for {name}',
+            'track.close': 'Close track playback',
+            'track.position': 'Playback position',
+            'track.speed': 'Playback speed',
+            'track.play': 'Play',
+            'track.pause': 'Pause',
+            'track.drifting': 'Drifting (<1 kn)',
+            'track.fishing': 'Fishing speed (1-4 kn)',
+            'track.transit': 'Transit (4-10 kn)',
+            'track.fast': 'Fast transit (>10 kn)',
+
+            'timelapse.bleachingLayer': 'Bleaching Surface',
+            'timelapse.fishingLayer': 'Fishing Activity (daily)',
+            'timelapse.vesselLayer': 'Vessel Positions',
+            'timelapse.heatmapLayer': 'Fishing Effort (heatmap)',
+            'timelapse.heatmapWindow': '{days} days to {date}',
+            'timelapse.fishingTitle': 'Fishing Activity (day)',
+            'timelapse.fishingEvent': 'Fishing event',
+            'timelapse.vessels': 'Vessels',
+            'timelapse.vesselPosition': 'Vessel position',
+            'timelapse.insideRestricted': 'Inside restricted zone',
+            'timelapse.unknownVessel': 'Unknown Vessel',
+            'timelapse.flag': 'Flag',
+            'timelapse.speed': 'Speed',
+            'timelapse.insideZone': 'Inside {level} MPA: {name}',
+            'timelapse.entered': 'Entered {name}',
+            'timelapse.exited': 'Exited {name}',
+            'timelapse.playTrack': 'Play 24h track',
+
+            'bleaching.title': 'Bleaching',
+            'bleaching.dhw': 'Heat stress (DHW)',
+            'bleaching.sst': 'Sea surface temperature',
+            'bleaching.alert': 'Alert level',
+            'bleaching.dhwCritical': '8+ DHW (Critical)',
+            'bleaching.dhwHigh': '4-8 DHW (High)',
+            'bleaching.dhwMedium': '1-4 DHW (Medium)',
+            'bleaching.dhwLow': '0-1 DHW (Low)',
+            'bleaching.noStress': 'No stress',
+            'bleaching.sstAbove': '{value} °C and above',
+            'bleaching.sstRange': '{from}-{to} °C',
+            'bleaching.sstBelow': 'Below {value} °C',
+            'bleaching.alertTop': 'Alert Level 3-5',
+            'bleaching.alertLevel.0': 'No Stress',
+            'bleaching.alertLevel.1': 'Bleaching Watch',
+            'bleaching.alertLevel.2': 'Bleaching Warning',
+            'bleaching.alertLevel.n': 'Alert Level {level}',
+            'bleaching.nearestStation': 'Nearest station {position} ({distance}):',
+
+            'station.title': 'Reef Watch station',
+            'station.dhw': 'DHW',
+            'station.sst': 'SST',
+            'station.alert': 'Alert',
+            'station.loadingHistory': 'Loading {weeks}-week history...',
+            'station.noReadings': 'No readings in the last {weeks} weeks.',
+            'station.historyUnavailable': 'History unavailable. Check your connection and try again.',
+            'station.pin': 'Pin for comparison',
+            'station.unpin': 'Unpin',
+            'station.pinned': 'Pinned stations',
+            'station.comparison': 'Pinned station comparison',
+            'station.clear': 'Clear',
+            'station.numbered': 'Station {number}',
+            'station.numberedAt': 'Station {number}: {position}',
+            'station.unpinNumbered': 'Unpin station {number}',
+            'station.historyShort': 'History unavailable.',
+            'station.likely': 'Bleaching likely (4-8)',
+            'station.severe': 'Severe (8+)',
+            'station.sparkline': 'Degree heating weeks over {weeks} weeks, peak {peak}',
+            'station.sparklineSst': 'Degree heating weeks over {weeks} weeks, peak {peak}, latest SST {sst}',
+            'station.noReadingsShort': 'No readings in the last {weeks} weeks',
+
+            'heatmap.label': 'Fishing Effort',
+            'heatmap.title': 'Fishing Effort (hours)',
+            'heatmap.hours': '{value} h'
+        },
+        es: {
+            'common.unknown': 'Desconocido',
+            'common.noData': 'sin datos',
+            'common.notAvailable': 'N/D',
+            'common.loading': 'Cargando...',
+            'common.requestFailed': 'La solicitud falló. Compruebe su conexión e inténtelo de nuevo.',
+            'common.delete': 'Eliminar',
+
+            'unit.hours': '{value} horas',
+            'unit.knots': '{value} nudos',
+            'unit.km': '{value} km',
+            'unit.km2': '{value} km²',
+            'unit.celsius': '{value} °C',
+            'unit.degreeWeeks': '{value} °C-semanas',
+
+            'legend.title': 'Leyenda',
+            'legend.label': 'Leyenda del mapa',
+            'legend.empty': 'No hay capas visibles',
+            'legend.alerts': 'Niveles de alerta',
+            'legend.critical': 'Crítico',
+            'legend.warning': 'Advertencia',
+
+            'basemap.label': 'Mapa base',
+            'layers.title': 'Capas',
+            'layers.empty': 'No hay capas superpuestas',
+            'layers.opacity': 'Opacidad',
+            'layers.opacityOf': 'Opacidad de {name}',
+            'layers.moveUp': 'Subir {name}',
+            'layers.moveDown': 'Bajar {name}',
+            'offline.mode': 'Modo sin conexión',
+            'offline.allMpasPackage': 'Todas las AMP ({theme}, zoom {minZoom}-{maxZoom})',
+
+            'protection.title': 'Niveles de protección',
+            'protection.NoTake': 'Zona de no extracción',
+            'protection.HighlyProtected': 'Altamente protegida',
+            'protection.LightlyProtected': 'Ligeramente protegida',
+            'protection.zone.NoTake': 'de no extracción',
+            'protection.zone.HighlyProtected': 'altamente protegida',
+            'protection.zone.LightlyProtected': 'ligeramente protegida',
+
+            'mpa.layer': 'Áreas marinas protegidas',
+            'mpa.pulseLayer': 'Límites de zonas de no extracción',
+            'mpa.area': 'Área',
+            'mpa.islandGroup': 'Grupo de islas',
+            'mpa.protection': 'Protección',
+            'mpa.info': 'Información del área marina protegida',
+            'mpa.clickForDetails': 'Haga clic para ver más detalles',
+            'mpa.violation': 'Infracción en AMP',
+            'mpa.entered': 'Entró en zona {zone}',
+            'mpa.exited': 'Salió de zona {zone}',
+            'mpa.name': 'AMP',
+
+            'fishing.layer': 'Eventos de pesca',
+            'fishing.trajectories': 'Trayectorias de embarcaciones',
+            'fishing.heatmap': 'Esfuerzo pesquero (mapa de calor)',
+            'fishing.title': 'Actividad pesquera',
+            'fishing.event': 'Evento de pesca',
+            'fishing.events': '{count} eventos de pesca',
+            'fishing.eventsTitle': '{count} eventos de pesca',
+            'fishing.last7': 'Últimos 7 días',
+            'fishing.days8to14': '8-14 días',
+            'fishing.days15to30': '15-30 días',
+            'fishing.older': 'Anteriores',
+            'fishing.violations': 'Infracciones en AMP: {count}',
+            'fishing.cluster': 'Grupo de eventos',
+            'fishing.vessel': 'Embarcación',
+            'fishing.vesselRun': 'Embarcación: {name}',
+            'fishing.date': 'Fecha',
+            'fishing.time': 'Hora',
+            'fishing.approxTime': 'Hora aprox.',
+            'fishing.duration': 'Duración',
+            'fishing.distance': 'Distancia',
+            'fishing.type': 'Tipo',
+            'fishing.insideMpa': 'Dentro de AMP',
+            'fishing.defaultType': 'Pesca',
+
+            'draw.polygon': 'Polígono',
+            'draw.rectangle': 'Rectángulo',
+            'draw.circle': 'Círculo',
+            'draw.polyline': 'Línea',
+            'draw.radius': 'Radio',
+            'draw.distance': 'Distancia',
+            'draw.perimeter': 'Perímetro',
+            'draw.area': 'Área',
+            'draw.mpasNearby': 'AMP cercanas',
+            'draw.bleaching': 'Blanqueamiento (30 días)',
+            'draw.saveOffline': 'Guardar sin conexión',
+            'draw.saveOfflineTitle': 'Zoom {minZoom}-{maxZoom}',
+            'draw.saveOfflineEstimate': 'Zoom {minZoom}-{maxZoom}, ~{tiles} teselas ({mb} MB)',
+            'draw.noMpas': 'No hay AMP en el rango.',
+            'draw.inside': 'dentro',
+            'draw.noBleaching': 'No hay datos de blanqueamiento en esta zona.',
+            'draw.bleachingSummary': '{count} lecturas · DHW máx. {dhw} · nivel de alerta máx. {alert}',
+            'draw.noTileCache': 'La caché de teselas sin conexión no está disponible.',
+            'draw.saved': '{downloaded} teselas nuevas guardadas ({cached} ya en caché).',
+            'draw.savedWithFailures': '{downloaded} teselas nuevas guardadas ({cached} ya en caché, {failed} fallidas).',
+
+            'draw.toolbar': 'Herramientas de dibujo y medición',
+            'draw.tool.polyline': 'Medir distancia',
+            'draw.tool.polygon': 'Dibujar polígono',
+            'draw.tool.rectangle': 'Dibujar rectángulo',
+            'draw.tool.circle': 'Dibujar círculo',
+            'draw.exportShapes': 'Exportar formas como GeoJSON',
+            'draw.clearShapes': 'Borrar formas',
+
+            'export.button': 'Exportar mapa',
+            'export.title': 'Título',
+            'export.defaultTitle': 'Áreas marinas protegidas de las Bahamas',
+            'export.subtitle': 'Mapa base {basemap}',
+            'export.format': 'Formato',
+            'export.paper': 'Papel',
+            'export.currentView': 'Vista actual',
+            'export.orientation': 'Orientación',
+            'export.landscape': 'Horizontal',
+            'export.portrait': 'Vertical',
+            'export.resolution': 'Resolución',
+            'export.submit': 'Exportar',
+            'export.rendering': 'Generando…',
+            'export.failed': 'La exportación falló',
+            'export.saved': '{filename} guardado',
+            'export.savedMissing': '{filename} guardado ({count} teselas no disponibles sin conexión)',
+            'export.scalePaper': 'Escala 1:{fraction} en {paper}',
+            'export.scaleDpi': 'Escala 1:{fraction} a {dpi} ppp',
+            'export.credit': 'Generado por CoralLedger Blue',
+
+            'sync.divider': 'Divisor de comparación',
+
+            'track.label': 'Reproducción de la ruta de {name}',
+            'track.close': 'Cerrar reproducción de la ruta',
+            'track.position': 'Posición de reproducción',
+            'track.speed': 'Velocidad de reproducción',
+            'track.play': 'Reproducir',
+            'track.pause': 'Pausa',
+            'track.drifting': 'A la deriva (<1 nudo)',
+            'track.fishing': 'Velocidad de pesca (1-4 nudos)',
+            'track.transit': 'Tránsito (4-10 nudos)',
+            'track.fast': 'Tránsito rápido (>10 nudos)',
+
+            'timelapse.bleachingLayer': 'Superficie de blanqueamiento',
+            'timelapse.fishingLayer': 'Actividad pesquera (diaria)',
+            'timelapse.vesselLayer': 'Posiciones de embarcaciones',
+            'timelapse.heatmapLayer': 'Esfuerzo pesquero (mapa de calor)',
+            'timelapse.heatmapWindow': '{days} días hasta {date}',
+            'timelapse.fishingTitle': 'Actividad pesquera (día)',
+            'timelapse.fishingEvent': 'Evento de pesca',
+            'timelapse.vessels': 'Embarcaciones',
+            'timelapse.vesselPosition': 'Posición de embarcación',
+            'timelapse.insideRestricted': 'Dentro de zona restringida',
+            'timelapse.unknownVessel': 'Embarcación desconocida',
+            'timelapse.flag': 'Bandera',
+            'timelapse.speed': 'Velocidad',
+            'timelapse.insideZone': 'Dentro de AMP {level}: {name}',
+            'timelapse.entered': 'Entró en {name}',
+            'timelapse.exited': 'Salió de {name}',
+            'timelapse.playTrack': 'Reproducir 24 h de trayecto',
+
+            'bleaching.title': 'Blanqueamiento',
+            'bleaching.dhw': 'Estrés térmico (DHW)',
+            'bleaching.sst': 'Temperatura superficial del mar',
+            'bleaching.alert': 'Nivel de alerta',
+            'bleaching.dhwCritical': '8+ DHW (crítico)',
+            'bleaching.dhwHigh': '4-8 DHW (alto)',
+            'bleaching.dhwMedium': '1-4 DHW (medio)',
+            'bleaching.dhwLow': '0-1 DHW (bajo)',
+            'bleaching.noStress': 'Sin estrés',
+            'bleaching.sstAbove': '{value} °C o más',
+            'bleaching.sstRange': '{from}-{to} °C',
+            'bleaching.sstBelow': 'Menos de {value} °C',
+            'bleaching.alertTop': 'Nivel de alerta 3-5',
+            'bleaching.alertLevel.0': 'Sin estrés',
+            'bleaching.alertLevel.1': 'Vigilancia de blanqueamiento',
+            'bleaching.alertLevel.2': 'Advertencia de blanqueamiento',
+            'bleaching.alertLevel.n': 'Nivel de alerta {level}',
+            'bleaching.nearestStation': 'Estación más cercana {position} ({distance}):',
+
+            'station.title': 'Estación de Reef Watch',
+            'station.dhw': 'DHW',
+            'station.sst': 'TSM',
+            'station.alert': 'Alerta',
+            'station.loadingHistory': 'Cargando historial de {weeks} semanas...',
+            'station.noReadings': 'Sin lecturas en las últimas {weeks} semanas.',
+            'station.historyUnavailable': 'Historial no disponible. Compruebe su conexión e inténtelo de nuevo.',
+            'station.pin': 'Fijar para comparar',
+            'station.unpin': 'Desfijar',
+            'station.pinned': 'Estaciones fijadas',
+            'station.comparison': 'Comparación de estaciones fijadas',
+            'station.clear': 'Borrar',
+            'station.numbered': 'Estación {number}',
+            'station.numberedAt': 'Estación {number}: {position}',
+            'station.unpinNumbered': 'Desfijar estación {number}',
+            'station.historyShort': 'Historial no disponible.',
+            'station.likely': 'Blanqueamiento probable (4-8)',
+            'station.severe': 'Grave (8+)',
+            'station.sparkline': 'Semanas de calentamiento en {weeks} semanas, máximo {peak}',
+            'station.sparklineSst': 'Semanas de calentamiento en {weeks} semanas, máximo {peak}, última TSM {sst}',
+            'station.noReadingsShort': 'Sin lecturas en las últimas {weeks} semanas',
+
+            'heatmap.label': 'Esfuerzo pesquero',
+            'heatmap.title': 'Esfuerzo pesquero (horas)',
+            'heatmap.hours': '{value} h'
+        },
+        ht: {
+            'common.unknown': 'Enkoni',
+            'common.noData': 'pa gen done',
+            'common.notAvailable': 'N/D',
+            'common.loading': 'Ap chaje...',
+            'common.requestFailed': 'Demann lan echwe. Verifye koneksyon ou epi eseye ankò.',
+            'common.delete': 'Efase',
+
+            'unit.hours': '{value} èdtan',
+            'unit.knots': '{value} ne',
+            'unit.km': '{value} km',
+            'unit.km2': '{value} km²',
+            'unit.celsius': '{value} °C',
+            'unit.degreeWeeks': '{value} °C-semèn',
+
+            'legend.title': 'Lejann',
+            'legend.label': 'Lejann kat la',
+            'legend.empty': 'Pa gen kouch ki vizib',
+            'legend.alerts': 'Nivo alèt',
+            'legend.critical': 'Kritik',
+            'legend.warning': 'Avètisman',
+
+            'basemap.label': 'Kat debaz',
+            'layers.title': 'Kouch',
+            'layers.empty': 'Pa gen kouch siperpoze',
+            'layers.opacity': 'Opasite',
+            'layers.opacityOf': 'Opasite {name}',
+            'layers.moveUp': 'Monte {name}',
+            'layers.moveDown': 'Desann {name}',
+            'offline.mode': 'Mòd san koneksyon',
+            'offline.allMpasPackage': 'Tout ZMP ({theme}, zoum {minZoom}-{maxZoom})',
+
+            'protection.title': 'Nivo pwoteksyon',
+            'protection.NoTake': 'Zòn entèdi lapèch',
+            'protection.HighlyProtected': 'Trè pwoteje',
+            'protection.LightlyProtected': 'Pwoteje yon ti kras',
+            'protection.zone.NoTake': 'entèdi lapèch',
+            'protection.zone.HighlyProtected': 'trè pwoteje',
+            'protection.zone.LightlyProtected': 'pwoteje yon ti kras',
+
+            'mpa.layer': 'Zòn maren pwoteje',
+            'mpa.pulseLayer': 'Limit zòn entèdi lapèch',
+            'mpa.area': 'Sipèfisi',
+            'mpa.islandGroup': 'Gwoup zile',
+            'mpa.protection': 'Pwoteksyon',
+            'mpa.info': 'Enfòmasyon sou zòn maren pwoteje a',
+            'mpa.clickForDetails': 'Klike pou plis detay',
+            'mpa.violation': 'Vyolasyon ZMP',
+            'mpa.entered': 'Antre nan zòn {zone}',
+            'mpa.exited': 'Soti nan zòn {zone}',
+            'mpa.name': 'ZMP',
+
+            'fishing.layer': 'Aktivite lapèch',
+            'fishing.trajectories': 'Trajè bato',
+            'fishing.heatmap': 'Efò lapèch (kat chalè)',
+            'fishing.title': 'Aktivite lapèch',
+            'fishing.event': 'Aktivite lapèch',
+            'fishing.events': '{count} aktivite lapèch',
+            'fishing.eventsTitle': '{count} aktivite lapèch',
+            'fishing.last7': 'Dènye 7 jou',
+            'fishing.days8to14': '8-14 jou',
+            'fishing.days15to30': '15-30 jou',
+            'fishing.older': 'Pi ansyen',
+            'fishing.violations': 'Vyolasyon ZMP: {count}',
+            'fishing.cluster': 'Gwoup aktivite',
+            'fishing.vessel': 'Bato',
+            'fishing.vesselRun': 'Bato: {name}',
+            'fishing.date': 'Dat',
+            'fishing.time': 'Lè',
+            'fishing.approxTime': 'Lè apeprè',
+            'fishing.duration': 'Dire',
+            'fishing.distance': 'Distans',
+            'fishing.type': 'Kalite',
+            'fishing.insideMpa': 'Anndan ZMP',
+            'fishing.defaultType': 'Lapèch',
+
+            'draw.polygon': 'Poligòn',
+            'draw.rectangle': 'Rektang',
+            'draw.circle': 'Sèk',
+            'draw.polyline': 'Liy',
+            'draw.radius': 'Reyon',
+            'draw.distance': 'Distans',
+            'draw.perimeter': 'Perimèt',
+            'draw.area': 'Sipèfisi',
+            'draw.mpasNearby': 'ZMP ki toupre',
+            'draw.bleaching': 'Blanchiman (30 jou)',
+            'draw.saveOffline': 'Sove pou san koneksyon',
+            'draw.saveOfflineTitle': 'Zoom {minZoom}-{maxZoom}',
+            'draw.saveOfflineEstimate': 'Zoom {minZoom}-{maxZoom}, ~{tiles} mozayik ({mb} MB)',
+            'draw.noMpas': 'Pa gen ZMP nan distans sa a.',
+            'draw.inside': 'anndan',
+            'draw.noBleaching': 'Pa gen done blanchiman nan zòn sa a.',
+            'draw.bleachingSummary': '{count} mezi · DHW maks {dhw} · nivo alèt maks {alert}',
+            'draw.noTileCache': 'Kach mozayik san koneksyon an pa disponib.',
+            'draw.saved': '{downloaded} nouvo mozayik sove ({cached} te deja nan kach).',
+            'draw.savedWithFailures': '{downloaded} nouvo mozayik sove ({cached} te deja nan kach, {failed} echwe).',
+
+            'draw.toolbar': 'Zouti pou desine ak mezire',
+            'draw.tool.polyline': 'Mezire distans',
+            'draw.tool.polygon': 'Desine poligòn',
+            'draw.tool.rectangle': 'Desine rektang',
+            'draw.tool.circle': 'Desine sèk',
+            'draw.exportShapes': 'Ekspòte fòm yo an GeoJSON',
+            'draw.clearShapes': 'Efase fòm yo',
+
+            'export.button': 'Ekspòte kat la',
+            'export.title': 'Tit',
+            'export.defaultTitle': 'Zòn maren pwoteje Bahamas',
+            'export.subtitle': 'Kat debaz {basemap}',
+            'export.format': 'Fòma',
+            'export.paper': 'Papye',
+            'export.currentView': 'Vi aktyèl la',
+            'export.orientation': 'Oryantasyon',
+            'export.landscape': 'Orizontal',
+            'export.portrait': 'Vètikal',
+            'export.resolution': 'Rezolisyon',
+            'export.submit': 'Ekspòte',
+            'export.rendering': 'Ap prepare…',
+            'export.failed': 'Ekspòtasyon an echwe',
+            'export.saved': '{filename} sove',
+            'export.savedMissing': '{filename} sove ({count} mozayik pa disponib san koneksyon)',
+            'export.scalePaper': 'Echèl 1:{fraction} sou {paper}',
+            'export.scaleDpi': 'Echèl 1:{fraction} a {dpi} dpi',
+            'export.credit': 'Kreye ak CoralLedger Blue',
+
+            'sync.divider': 'Separatè konparezon',
+
+            'track.label': 'Rejwe wout {name}',
+            'track.close': 'Fèmen rejwe wout la',
+            'track.position': 'Pozisyon rejwe a',
+            'track.speed': 'Vitès rejwe a',
+            'track.play': 'Jwe',
+            'track.pause': 'Poz',
+            'track.drifting': 'Ap flote (<1 ne)',
+            'track.fishing': 'Vitès lapèch (1-4 ne)',
+            'track.transit': 'Tranzit (4-10 ne)',
+            'track.fast': 'Tranzit rapid (>10 ne)',
+
+            'timelapse.bleachingLayer': 'Sifas blanchiman',
+            'timelapse.fishingLayer': 'Aktivite lapèch (chak jou)',
+            'timelapse.vesselLayer': 'Pozisyon bato',
+            'timelapse.heatmapLayer': 'Efò lapèch (kat chalè)',
+            'timelapse.heatmapWindow': '{days} jou jiska {date}',
+            'timelapse.fishingTitle': 'Aktivite lapèch (jou)',
+            'timelapse.fishingEvent': 'Aktivite lapèch',
+            'timelapse.vessels': 'Bato',
+            'timelapse.vesselPosition': 'Pozisyon bato',
+            'timelapse.insideRestricted': 'Anndan zòn restriksyon',
+            'timelapse.unknownVessel': 'Bato enkoni',
+            'timelapse.flag': 'Drapo',
+            'timelapse.speed': 'Vitès',
+            'timelapse.insideZone': 'Anndan ZMP {level}: {name}',
+            'timelapse.entered': 'Antre nan {name}',
+            'timelapse.exited': 'Soti nan {name}',
+            'timelapse.playTrack': 'Jwe trajè 24 è',
+
+            'bleaching.title': 'Blanchiman',
+            'bleaching.dhw': 'Estrès chalè (DHW)',
+            'bleaching.sst': 'Tanperati sifas lanmè',
+            'bleaching.alert': 'Nivo alèt',
+            'bleaching.dhwCritical': '8+ DHW (kritik)',
+            'bleaching.dhwHigh': '4-8 DHW (wo)',
+            'bleaching.dhwMedium': '1-4 DHW (mwayen)',
+            'bleaching.dhwLow': '0-1 DHW (ba)',
+            'bleaching.noStress': 'Pa gen estrès',
+            'bleaching.sstAbove': '{value} °C oswa plis',
+            'bleaching.sstRange': '{from}-{to} °C',
+            'bleaching.sstBelow': 'Anba {value} °C',
+            'bleaching.alertTop': 'Nivo alèt 3-5',
+            'bleaching.alertLevel.0': 'Pa gen estrès',
+            'bleaching.alertLevel.1': 'Siveyans blanchiman',
+            'bleaching.alertLevel.2': 'Avètisman blanchiman',
+            'bleaching.alertLevel.n': 'Nivo alèt {level}',
+            'bleaching.nearestStation': 'Estasyon ki pi pre {position} ({distance}):',
+
+            'station.title': 'Estasyon Reef Watch',
+            'station.dhw': 'DHW',
+            'station.sst': 'TSL',
+            'station.alert': 'Alèt',
+            'station.loadingHistory': 'Ap chaje istwa {weeks} semèn...',
+            'station.noReadings': 'Pa gen mezi nan dènye {weeks} semèn yo.',
+            'station.historyUnavailable': 'Istwa a pa disponib. Verifye koneksyon ou epi eseye ankò.',
+            'station.pin': 'Kenbe pou konpare',
+            'station.unpin': 'Retire',
+            'station.pinned': 'Estasyon ki kenbe',
+            'station.comparison': 'Konparezon estasyon ki kenbe',
+            'station.clear': 'Efase',
+            'station.numbered': 'Estasyon {number}',
+            'station.numberedAt': 'Estasyon {number}: {position}',
+            'station.unpinNumbered': 'Retire estasyon {number}',
+            'station.historyShort': 'Istwa a pa disponib.',
+            'station.likely': 'Blanchiman pwobab (4-8)',
+            'station.severe': 'Grav (8+)',
+            'station.sparkline': 'Semèn chalè sou {weeks} semèn, pi wo {peak}',
+            'station.sparklineSst': 'Semèn chalè sou {weeks} semèn, pi wo {peak}, dènye SST {sst}',
+            'station.noReadingsShort': 'Pa gen mezi nan dènye {weeks} semèn yo',
+
+            'heatmap.label': 'Efò lapèch',
+            'heatmap.title': 'Efò lapèch (èdtan)',
+            'heatmap.hours': '{value} h'
+        }
+    };
+
+    let culture = readCulture();
+    let listeners = [];
+    const formatters = new Map();
+
+    function readCulture() {
+        const value = window.localization?.getCurrentCulture?.() || 'en';
+        return MESSAGES[value] ? value : 'en';
+    }
+
+    /**
+     * Current culture code (en, es or ht)
+     */
+    function getCulture() {
+        return culture;
+    }
+
+    /**
+     * Re-read the culture and re-render map text when it changed
+     * @param {string} [next] - Culture code; defaults to localization.getCurrentCulture()
+     */
+    function setCulture(next) {
+        next = MESSAGES[next] ? next : readCulture();
+        if (next === culture) return false;
+
+        culture = next;
+        formatters.clear();
+        listeners.forEach(listener => {
+            try {
+                listener(culture);
+            } catch (error) {
+                console.error('[map-i18n] Listener failed:', error);
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Message for the current culture, e.g. t('fishing.events', { count: 3 })
+     * Falls back to English, then to the key itself
+     */
+    function t(key, params) {
+        const message = MESSAGES[culture][key] ?? MESSAGES.en[key] ?? key;
+        return params
+            ? message.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? params[name] : match)
+            : message;
+    }
+
+    function has(key) {
+        return MESSAGES.en[key] !== undefined;
+    }
+
+    // Intl formatters are costly to create, so one is kept per kind and options
+    function formatter(kind, options) {
+        const key = kind + JSON.stringify(options);
+        if (!formatters.has(key)) {
+            const Format = kind === 'number' ? Intl.NumberFormat : Intl.DateTimeFormat;
+            formatters.set(key, new Format(LOCALES[culture], options));
+        }
+        return formatters.get(key);
+    }
+
+    /**
+     * Number with a fixed number of decimals in the culture's format
+     */
+    function formatNumber(value, decimals = 0) {
+        if (!Number.isFinite(value)) return t('common.notAvailable');
+        return formatter('number', { minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(value);
+    }
+
+    function toDate(value) {
+        // Plain yyyy-MM-dd dates are calendar days, not UTC midnight shown in local time
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            const [y, m, d] = value.split('-').map(Number);
+            return new Date(y, m - 1, d);
+        }
+        return value instanceof Date ? value : new Date(value);
+    }
+
+    /**
+     * Date in the culture's format
+     * @param {Date|string|number} value - Date, ISO string, yyyy-MM-dd or epoch milliseconds
+     * @param {Object} [options] - Intl.DateTimeFormat options (default: medium date)
+     */
+    function formatDate(value, options = { dateStyle: 'medium' }) {
+        const date = toDate(value);
+        return isNaN(date) ? t('common.notAvailable') : formatter('date', options).format(date);
+    }
+
+    function formatTime(value) {
+        return formatDate(value, { timeStyle: 'short' });
+    }
+
+    function formatDateTime(value) {
+        return formatDate(value, { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    /**
+     * Area in km², e.g. "12.5 km²" or "12,5 km²"
+     */
+    function formatArea(km2, decimals = 1) {
+        return t('unit.km2', { value: formatNumber(km2, decimals) });
+    }
+
+    function formatDistance(km, decimals = 1) {
+        return t('unit.km', { value: formatNumber(km, decimals) });
+    }
+
+    /**
+     * Latitude and longitude as "24.123°, -77.456°" in the culture's number format
+     */
+    function formatPosition(lat, lng, decimals = 3) {
+        return `${formatNumber(lat, decimals)}°, ${formatNumber(lng, decimals)}°`;
+    }
+
+    /**
+     * Re-translate static control text under root: data-i18n sets the text,
+     * data-i18n-label the title and aria-label
+     */
+    function translate(root) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = t(el.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-label]').forEach(el => {
+            const label = t(el.dataset.i18nLabel);
+            el.setAttribute('title', label);
+            el.setAttribute('aria-label', label);
+        });
+    }
+
+    /**
+     * Call listener(culture) when the map culture changes
+     * @returns {Function} Unsubscribe
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+        return () => {
+            listeners = listeners.filter(l => l !== listener);
+        };
+    }
+
+    // localization.setCulture announces the change; map text follows without a reload
+    window.addEventListener('culturechange', (e) => setCulture(e.detail?.culture));
+
+    return {
+        t,
+        has,
+        getCulture,
+        setCulture,
+        formatNumber,
+        formatDate,
+        formatTime,
+        formatDateTime,
+        formatArea,
+        formatDistance,
+        formatPosition,
+        translate,
+        onChange,
+        MESSAGES,
+        LOCALES
+    };
+})();
@@ -0,0 +1,391 @@
+/**
+ * Map Layers - Overlay layer registry and layer switcher for Leaflet maps
+ * Every overlay gets its own pane so it can be toggled, faded and reordered independently
+ */
+window.mapLayers = (function() {
+    const STORAGE_PREFIX = 'coralledger-layers:';
+    const BASE_Z_INDEX = 410;   // Above overlayPane (400), below markerPane (600)
+    const Z_INDEX_STEP = 10;
+
+    const registries = new WeakMap();
+
+    /**
+     * Move a layer (and any children) into a pane; must happen before the layer is added to a map
+     */
+    function applyPane(layer, pane) {
+        if (typeof layer.setPane === 'function') {
+            layer.setPane(pane);
+            return;
+        }
+
+        layer.options.pane = pane;
+        if (layer.options.renderer) {
+            layer.options.renderer.options.pane = pane;
+        }
+        if (layer instanceof L.LayerGroup) {
+            layer.eachLayer(child => applyPane(child, pane));
+        }
+    }
+
+    /**
+     * Registry of the overlays on one map, with visibility, opacity and order saved to localStorage
+     */
+    function LayerRegistry(map, stateKey) {
+        this.elementId = `${map.getContainer().id}-layers`;
+        this.map = map;
+        this.stateKey = STORAGE_PREFIX + stateKey;
+        this.entries = new Map();
+        this.order = [];   // Bottom to top
+        this.listeners = [];
+        this.state = this.loadState();
+        this.visibleOverride = null;   // Set of IDs from a shared link, wins over saved state
+    }
+
+    LayerRegistry.prototype = {
+        loadState: function() {
+            try {
+                return JSON.parse(localStorage.getItem(this.stateKey)) || { order: [], layers: {} };
+            } catch (error) {
+                return { order: [], layers: {} };
+            }
+        },
+
+        saveState: function() {
+            this.entries.forEach(entry => {
+                this.state.layers[entry.id] = { visible: entry.visible, opacity: entry.opacity };
+            });
+            // Keep layers that are not currently registered just above the layer they were saved above
+            const order = this.order.slice();
+            this.state.order.forEach((id, index) => {
+                if (this.entries.has(id)) return;
+                const below = this.state.order.slice(0, index).reverse().find(other => order.includes(other));
+                order.splice(below ? order.indexOf(below) + 1 : 0, 0, id);
+            });
+            this.state.order = order;
+
+            try {
+                localStorage.setItem(this.stateKey, JSON.stringify(this.state));
+            } catch (error) {
+                console.warn('[map-layers] Could not save layer state:', error);
+            }
+        },
+
+        /**
+         * Register an overlay, replacing the layer previously registered under the same ID
+         * @param {string} id - Stable layer ID
+         * @param {L.Layer} layer - Leaflet layer
+         * @param {Object} meta - name (string, or function for translated names), legend() returning legend section HTML, visible and opacity defaults
+         * @returns {L.Layer} The layer
+         */
+        add: function(id, layer, meta = {}) {
+            let entry = this.entries.get(id);
+
+            if (!entry) {
+                const saved = this.state.layers[id] || {};
+                entry = {
+                    id: id,
+                    pane: `layer-${id}`,
+                    visible: this.visibleOverride ? this.visibleOverride.has(id) : (saved.visible ?? meta.visible ?? true),
+                    opacity: saved.opacity ?? meta.opacity ?? 1,
+                    layer: null
+                };
+                this.entries.set(id, entry);
+                if (!this.map.getPane(entry.pane)) {
+                    this.map.createPane(entry.pane);
+                }
+                this.insertInOrder(id);
+            }
+
+            entry.name = meta.name || entry.name || id;
+            entry.legend = meta.legend || entry.legend || null;
+
+            if (entry.layer && entry.layer !== layer) {
+                this.map.removeLayer(entry.layer);
+            }
+            if (this.map.hasLayer(layer)) {
+                this.map.removeLayer(layer);
+            }
+
+            applyPane(layer, entry.pane);
+            entry.layer = layer;
+            if (entry.visible) {
+                layer.addTo(this.map);
+            }
+
+            this.applyStyles();
+            this.notify();
+            return layer;
+        },
+
+        // Place a new layer at its saved position, or on top when it has none
+        insertInOrder: function(id) {
+            const savedIndex = this.state.order.indexOf(id);
+            if (savedIndex === -1) {
+                this.order.push(id);
+                return;
+            }
+
+            const below = this.state.order.slice(0, savedIndex);
+            let index = 0;
+            this.order.forEach((existing, i) => {
+                if (below.includes(existing)) index = i + 1;
+            });
+            this.order.splice(index, 0, id);
+        },
+
+        /**
+         * Remove an overlay from the map and the registry (its saved state is kept)
+         */
+        remove: function(id) {
+            const entry = this.entries.get(id);
+            if (!entry) return false;
+
+            if (entry.layer) {
+                this.map.removeLayer(entry.layer);
+            }
+            this.saveState();
+            this.entries.delete(id);
+            this.order = this.order.filter(o => o !== id);
+            this.notify();
+            return true;
+        },
+
+        getLayer: function(id) {
+            return this.entries.get(id)?.layer || null;
+        },
+
+        setVisible: function(id, visible) {
+            const entry = this.entries.get(id);
+            if (!entry) return false;
+
+            entry.visible = !!visible;
+            if (this.visibleOverride) {
+                this.visibleOverride[entry.visible ? 'add' : 'delete'](id);
+            }
+            if (entry.layer) {
+                if (entry.visible) {
+                    entry.layer.addTo(this.map);
+                } else {
+                    this.map.removeLayer(entry.layer);
+                }
+            }
+
+            this.saveState();
+            this.notify();
+            return true;
+        },
+
+        setOpacity: function(id, opacity) {
+            const entry = this.entries.get(id);
+            if (!entry) return false;
+
+            entry.opacity = Math.max(0, Math.min(1, opacity));
+            this.applyStyles();
+            this.saveState();
+            // Opacity changes don't alter the switcher structure or legend, so listeners aren't told
+            return true;
+        },
+
+        /**
+         * Move a layer up (positive) or down (negative) the stack
+         */
+        move: function(id, steps) {
+            const index = this.order.indexOf(id);
+            if (index === -1) return false;
+
+            const target = Math.max(0, Math.min(this.order.length - 1, index + steps));
+            this.order.splice(index, 1);
+            this.order.splice(target, 0, id);
+
+            this.applyStyles();
+            this.saveState();
+            this.notify();
+            return true;
+        },
+
+        /**
+         * Replace the stacking order
+         * @param {Array<string>} ids - Layer IDs, top first
+         */
+        setOrder: function(ids) {
+            const topFirst = ids.filter(id => this.entries.has(id));
+            const rest = this.order.filter(id => !topFirst.includes(id));
+            this.order = rest.concat(topFirst.reverse());
+
+            this.applyStyles();
+            this.saveState();
+            this.notify();
+            return true;
+        },
+
+        applyStyles: function() {
+            this.order.forEach((id, index) => {
+                const entry = this.entries.get(id);
+                const pane = this.map.getPane(entry.pane);
+                pane.style.zIndex = BASE_Z_INDEX + index * Z_INDEX_STEP;
+                pane.style.opacity = entry.opacity;
+            });
+        },
+
+        /**
+         * Show exactly the given layers, including ones registered later
+         * @param {Array<string>} ids - IDs of the layers to show
+         */
+        setVisibleLayers: function(ids) {
+            this.visibleOverride = new Set(ids);
+            this.entries.forEach(entry => {
+                if (entry.visible !== this.visibleOverride.has(entry.id)) {
+                    this.setVisible(entry.id, !entry.visible);
+                }
+            });
+            return true;
+        },
+
+        getVisibleLayers: function() {
+            return this.list().filter(layer => layer.visible).map(layer => layer.id);
+        },
+
+        /**
+         * Layer summaries, top first (callable from Blazor)
+         */
+        list: function() {
+            return this.order.slice().reverse().map(id => {
+                const entry = this.entries.get(id);
+                // Names may be functions so they follow the map culture
+                const name = typeof entry.name === 'function' ? entry.name() : entry.name;
+                return { id: entry.id, name: name, visible: entry.visible, opacity: entry.opacity };
+            });
+        },
+
+        /**
+         * Legend section HTML for every visible layer, top first
+         */
+        getLegendSections: function() {
+            return this.order.slice().reverse()
+                .map(id => this.entries.get(id))
+                .filter(entry => entry.visible && entry.layer && entry.legend)
+                .map(entry => ({ id: entry.id, html: entry.legend() }))
+                .filter(section => section.html);
+        },
+
+        onChange: function(listener) {
+            this.listeners.push(listener);
+            return () => {
+                this.listeners = this.listeners.filter(l => l !== listener);
+            };
+        },
+
+        notify: function() {
+            this.listeners.forEach(listener => {
+                try {
+                    listener(this);
+                } catch (error) {
+                    console.error('[map-layers] Listener failed:', error);
+                }
+            });
+        },
+
+        /**
+         * Remove every overlay and stop tracking the map
+         */
+        dispose: function() {
+            this.entries.forEach(entry => entry.layer && this.map.removeLayer(entry.layer));
+            this.entries.clear();
+            this.order = [];
+            this.listeners = [];
+            registries.delete(this.map);
+        }
+    };
+
+    /**
+     * Get the layer registry for a map, creating it on first use
+     * @param {L.Map} map - Leaflet map
+     * @returns {LayerRegistry} Registry
+     */
+    function getRegistry(map) {
+        let registry = registries.get(map);
+        if (!registry) {
+            // Each map keeps its own state; map element IDs can be generated per render, so a container
+            // with a data-layer-state-key keeps its state across reloads
+            const container = map.getContainer();
+            const stateKey = `${location.pathname}#${container.dataset.layerStateKey || container.id}`;
+            registry = new LayerRegistry(map, stateKey);
+            registries.set(map, registry);
+        }
+        return registry;
+    }
+
+    /**
+     * Create the layer switcher control for a registry
+     * @param {LayerRegistry} registry - Registry to control
+     * @param {Object} options - position (default topright) and collapsed (default true)
+     * @returns {L.Control} Control
+     */
+    function createSwitcher(registry, options = {}) {
+        const control = L.control({ position: options.position || 'topright' });
+        let unsubscribe = null;
+        let expanded = options.collapsed === false;
+
+        control.onAdd = function() {
+            const div = L.DomUtil.create('div', 'map-control-group layer-switcher');
+
+            const render = () => {
+                const t = window.mapI18n.t;
+                const layers = registry.list();
+                div.innerHTML = `
+                    <button type="button" class="map-control-btn layer-switcher-toggle" aria-expanded="${expanded}"
+                        aria-controls="${registry.elementId}" title="${t('layers.title')}" aria-label="${t('layers.title')}">
+                        <span class="material-icons">layers</span>
+                    </button>
+                    <ul class="layer-switcher-list" id="${registry.elementId}" ${expanded ? '' : 'hidden'}>
+                        ${layers.length ? '' : `<li class="layer-switcher-empty">${t('layers.empty')}</li>`}
+                        ${layers.map((layer, index) => `
+                            <li class="layer-switcher-item" data-id="${layer.id}">
+                                <label class="layer-toggle">
+                                    <input type="checkbox" ${layer.visible ? 'checked' : ''} />
+                                    <span>${layer.name}</span>
+                                </label>
+                                <input type="range" min="0" max="100" value="${Math.round(layer.opacity * 100)}"
+                                    aria-label="${t('layers.opacityOf', { name: layer.name })}" title="${t('layers.opacity')}" />
+                                <button type="button" class="layer-switcher-move" data-steps="1" ${index === 0 ? 'disabled' : ''}
+                                    aria-label="${t('layers.moveUp', { name: layer.name })}"><span class="material-icons">arrow_upward</span></button>
+                                <button type="button" class="layer-switcher-move" data-steps="-1" ${index === layers.length - 1 ? 'disabled' : ''}
+                                    aria-label="${t('layers.moveDown', { name: layer.name })}"><span class="material-icons">arrow_downward</span></button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                `;
+
+                L.DomEvent.on(div.querySelector('.layer-switcher-toggle'), 'click', () => {
+                    expanded = !expanded;
+                    render();
+                });
+
+                div.querySelectorAll('.layer-switcher-item').forEach(item => {
+                    const id = item.dataset.id;
+                    L.DomEvent.on(item.querySelector('input[type=checkbox]'), 'change', (e) => registry.setVisible(id, e.target.checked));
+                    L.DomEvent.on(item.querySelector('input[type=range]'), 'input', (e) => registry.setOpacity(id, e.target.value / 100));
+                    item.querySelectorAll('.layer-switcher-move').forEach(btn => {
+                        L.DomEvent.on(btn, 'click', () => registry.move(id, parseInt(btn.dataset.steps, 10)));
+                    });
+                });
+            };
+
+            render();
+            unsubscribe = registry.onChange(render);
+
+            L.DomEvent.disableClickPropagation(div);
+            L.DomEvent.disableScrollPropagation(div);
+            return div;
+        };
+
+        control.onRemove = () => unsubscribe && unsubscribe();
+        return control;
+    }
+
+    return {
+        getRegistry,
+        createSwitcher,
+        applyPane
+    };
+})();
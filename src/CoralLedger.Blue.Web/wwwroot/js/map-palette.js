@@ -0,0 +1,236 @@
+/**
+ * Map Palette - Color scales shared by every map layer and legend
+ * Sequential ramps (e.g. viridis) color measured values; categorical palettes (e.g. Okabe-Ito) color
+ * classes such as protection levels. A scheme picks one of each per role, and the user's choice is saved
+ * and applied to all maps at once through onChange.
+ */
+window.mapPalette = (function() {
+    const STORAGE_KEY = 'coralledger-palette';
+
+    // Sequential ramps, low to high
+    const RAMPS = {
+        heat: { name: 'Yellow-red', colors: ['#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026'] },
+        viridis: { name: 'Viridis', colors: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'], colorBlindSafe: true },
+        cividis: { name: 'Cividis', colors: ['#00224e', '#35456c', '#666970', '#948e77', '#c8b866', '#fee838'], colorBlindSafe: true },
+        plasma: { name: 'Plasma', colors: ['#0d0887', '#6a00a8', '#b12a90', '#e16462', '#fca636', '#f0f921'], colorBlindSafe: true },
+        ice: { name: 'Blue', colors: ['#c6dbef', '#6baed6', '#3182bd', '#08519c', '#08306b'] },
+        stress: { name: 'Heat stress', colors: ['#58a6ff', '#22c55e', '#f7c549', '#fd7e14', '#ef4444'] },
+        thermal: { name: 'Blue-red', colors: ['#4575b4', '#abd9e9', '#fee090', '#fdae61', '#f46d43', '#d73027'] },
+        noaa: { name: 'NOAA alert', colors: ['#c8fafa', '#fff000', '#faaa0a', '#f00000', '#960000', '#640000'] }
+    };
+
+    // Categorical palettes: a color per class, grouped by what they color
+    const CATEGORICAL = {
+        standard: {
+            name: 'Standard',
+            protection: { NoTake: '#dc3545', HighlyProtected: '#fd7e14', LightlyProtected: '#0dcaf0', other: '#6c757d' },
+            recency: { recent: '#dc3545', medium: '#fd7e14', old: '#ffc107', older: '#6c757d' },
+            marker: { point: '#58a6ff', violation: '#ef4444', violationBorder: '#ff0000', highlight: '#ffc107' },
+            speed: { drifting: '#6c757d', fishing: '#fd7e14', transit: '#0dcaf0', fast: '#58a6ff' },
+            chart: { dhw: '#0b3d91', sst: '#0dcaf0' },
+            series: ['#0072b2', '#e69f00', '#009e73', '#cc79a7', '#56b4e9']
+        },
+        okabeIto: {
+            name: 'Okabe-Ito',
+            colorBlindSafe: true,
+            protection: { NoTake: '#d55e00', HighlyProtected: '#e69f00', LightlyProtected: '#56b4e9', other: '#999999' },
+            recency: { recent: '#d55e00', medium: '#e69f00', old: '#f0e442', older: '#999999' },
+            marker: { point: '#56b4e9', violation: '#d55e00', violationBorder: '#cc79a7', highlight: '#f0e442' },
+            speed: { drifting: '#999999', fishing: '#e69f00', transit: '#009e73', fast: '#56b4e9' },
+            chart: { dhw: '#0072b2', sst: '#009e73' },
+            series: ['#0072b2', '#e69f00', '#009e73', '#cc79a7', '#56b4e9']
+        }
+    };
+
+    // Roles are what a ramp is used for; layers ask for a role, not a ramp
+    const SCHEMES = {
+        standard: {
+            name: 'Standard',
+            categorical: 'standard',
+            ramps: { dhw: 'stress', sst: 'thermal', alert: 'noaa', effort: 'heat' }
+        },
+        colorBlind: {
+            name: 'Color-blind safe',
+            categorical: 'okabeIto',
+            ramps: { dhw: 'viridis', sst: 'cividis', alert: 'plasma', effort: 'viridis' }
+        }
+    };
+
+    let current = load();
+    let listeners = [];
+
+    function load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (saved && SCHEMES[saved.scheme]) {
+                return { scheme: saved.scheme, ramps: saved.ramps || {} };
+            }
+        } catch (error) {
+            console.warn('[map-palette] Could not read saved palette:', error);
+        }
+        return { scheme: 'standard', ramps: {} };
+    }
+
+    function save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(current));
+        } catch (error) {
+            console.warn('[map-palette] Could not save palette:', error);
+        }
+    }
+
+    function notify() {
+        listeners.forEach(listener => {
+            try {
+                listener(getSettings());
+            } catch (error) {
+                console.error('[map-palette] Listener failed:', error);
+            }
+        });
+    }
+
+    function parseColor(color) {
+        const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || '');
+        if (hex) {
+            const h = hex[1].length === 3 ? hex[1].replace(/./g, c => c + c) : hex[1];
+            return [0, 2, 4].map(i => parseInt(h.substr(i, 2), 16));
+        }
+        const rgb = /rgba?\(([^)]+)\)/.exec(color || '');
+        return rgb ? rgb[1].split(',').slice(0, 3).map(v => parseInt(v, 10)) : null;
+    }
+
+    function toHex(rgb) {
+        return '#' + rgb.map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Current scheme, ramp per role and categorical palette (callable from Blazor)
+     */
+    function getSettings() {
+        const scheme = SCHEMES[current.scheme];
+        return {
+            scheme: current.scheme,
+            categorical: scheme.categorical,
+            ramps: Object.assign({}, scheme.ramps, current.ramps)
+        };
+    }
+
+    /**
+     * Switch every layer to a scheme; ramp choices made on top of the previous scheme are dropped
+     */
+    function setScheme(scheme) {
+        if (!SCHEMES[scheme]) return false;
+        current = { scheme: scheme, ramps: {} };
+        save();
+        notify();
+        return true;
+    }
+
+    /**
+     * Use a different ramp for one role (dhw, sst, alert or effort) on top of the scheme
+     */
+    function setRamp(role, ramp) {
+        if (!SCHEMES[current.scheme].ramps[role] || !RAMPS[ramp]) return false;
+        current.ramps[role] = ramp;
+        save();
+        notify();
+        return true;
+    }
+
+    /**
+     * Color stops of a ramp, low to high
+     * @param {string|Array<string>} ramp - Role (dhw, sst, alert, effort), ramp name or color stops
+     */
+    function getRamp(ramp) {
+        if (Array.isArray(ramp) && ramp.length >= 2) return ramp;
+        const name = getSettings().ramps[ramp] || ramp;
+        return (RAMPS[name] || RAMPS[SCHEMES.standard.ramps.effort]).colors;
+    }
+
+    /**
+     * Color at a position along a ramp
+     * @param {number} t - Position from 0 (low) to 1 (high)
+     * @returns {string} Hex color
+     */
+    function colorAt(ramp, t) {
+        const colors = getRamp(ramp).map(parseColor);
+        const scaled = Math.max(0, Math.min(1, t)) * (colors.length - 1);
+        const i = Math.min(colors.length - 2, Math.floor(scaled));
+        const f = scaled - i;
+        return toHex(colors[i].map((v, k) => v + (colors[i + 1][k] - v) * f));
+    }
+
+    /**
+     * Colors for `count` ordered classes, lowest first; a ramp with exactly `count` stops is used as-is
+     */
+    function getSteps(ramp, count) {
+        const colors = getRamp(ramp);
+        if (colors.length === count) return colors.slice();
+        return Array.from({ length: count }, (_, i) => colorAt(ramp, count > 1 ? i / (count - 1) : 1));
+    }
+
+    /**
+     * Color of a class, e.g. getCategory('protection', 'NoTake')
+     */
+    function getCategory(group, key) {
+        const palette = CATEGORICAL[getSettings().categorical];
+        const colors = palette[group] || {};
+        return colors[key] || colors.other || CATEGORICAL.standard[group]?.[key] || '#6c757d';
+    }
+
+    /**
+     * Color for the nth item of a series (e.g. pinned stations), repeating after the palette runs out
+     */
+    function getSeriesColor(index) {
+        const series = CATEGORICAL[getSettings().categorical].series;
+        return series[index % series.length];
+    }
+
+    /**
+     * Color with transparency, e.g. for lines drawn over other layers
+     */
+    function withAlpha(color, alpha) {
+        const rgb = parseColor(color) || [0, 0, 0];
+        return `rgba(${rgb.join(', ')}, ${alpha})`;
+    }
+
+    /**
+     * Choices for a palette picker
+     */
+    function list() {
+        return {
+            schemes: Object.entries(SCHEMES).map(([id, s]) => ({ id: id, name: s.name })),
+            ramps: Object.entries(RAMPS).map(([id, r]) => ({ id: id, name: r.name, colorBlindSafe: !!r.colorBlindSafe })),
+            roles: Object.keys(SCHEMES.standard.ramps)
+        };
+    }
+
+    /**
+     * Call listener(settings) whenever the palette changes
+     * @returns {Function} Unsubscribe
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+        return () => {
+            listeners = listeners.filter(l => l !== listener);
+        };
+    }
+
+    return {
+        getSettings,
+        setScheme,
+        setRamp,
+        getRamp,
+        colorAt,
+        getSteps,
+        getCategory,
+        getSeriesColor,
+        withAlpha,
+        parseColor,
+        list,
+        onChange,
+        RAMPS,
+        CATEGORICAL,
+        SCHEMES
+    };
+})();
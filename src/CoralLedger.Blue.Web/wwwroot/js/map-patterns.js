@@ -0,0 +1,146 @@
+/**
+ * Map Patterns - Hatch fills for MPA polygons, so protection levels don't rely on color alone (WCAG 1.4.1)
+ * Each pattern is an SVG <pattern> in one hidden <svg> on the page; polygons use it through
+ * fillColor: 'url(#id)'. Marks are white with a dark halo so they read on light, dark and satellite tiles.
+ */
+window.mapPatterns = (function() {
+    const SIZE = 8;  // Pattern tile size in CSS pixels
+
+    // Same patterns as the legend swatches (.legend-pattern-* in app.css)
+    const PROTECTION_PATTERNS = {
+        NoTake: 'diagonal',
+        HighlyProtected: 'dots',
+        LightlyProtected: 'waves'
+    };
+
+    const HALO = 'rgba(0, 0, 0, 0.45)';
+    const MARK = 'rgba(255, 255, 255, 0.85)';
+
+    let defs = null;
+
+    /**
+     * Pattern for a protection level, or null when the level has none
+     */
+    function getProtectionPattern(level) {
+        return PROTECTION_PATTERNS[level] || null;
+    }
+
+    // Marks of one pattern tile as SVG path data (lines are stroked, dots filled)
+    function getMarks(kind) {
+        switch (kind) {
+            case 'diagonal':
+                // Corner pieces keep the stripes continuous across tiles
+                return { stroke: `M0,${SIZE} L${SIZE},0 M${-SIZE / 2},${SIZE / 2} L${SIZE / 2},${-SIZE / 2} M${SIZE / 2},${SIZE * 1.5} L${SIZE * 1.5},${SIZE / 2}` };
+            case 'dots':
+                return { dots: [[SIZE / 4, SIZE / 4], [SIZE * 3 / 4, SIZE * 3 / 4]] };
+            case 'waves':
+                return { stroke: `M0,${SIZE / 2} Q${SIZE / 4},${SIZE / 4} ${SIZE / 2},${SIZE / 2} T${SIZE},${SIZE / 2}` };
+            default:
+                return null;
+        }
+    }
+
+    function getDefs() {
+        if (defs && document.body.contains(defs)) return defs;
+
+        const svgNs = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNs, 'svg');
+        svg.setAttribute('class', 'map-pattern-defs');
+        svg.setAttribute('width', '0');
+        svg.setAttribute('height', '0');
+        svg.setAttribute('aria-hidden', 'true');
+        // Not display: none, which stops some browsers from painting the patterns elsewhere
+        svg.style.position = 'absolute';
+        svg.style.overflow = 'hidden';
+        defs = document.createElementNS(svgNs, 'defs');
+        svg.appendChild(defs);
+        document.body.appendChild(svg);
+        return defs;
+    }
+
+    /**
+     * Fill value for a patterned polygon: the color at the given opacity with the pattern's marks on top.
+     * Use it with fillOpacity: 1, because the opacity is part of the pattern.
+     * @param {string} kind - diagonal, dots or waves
+     * @param {string} color - Base fill color
+     * @param {number} opacity - Opacity of the base color
+     * @returns {string|null} 'url(#id)', or null for an unknown pattern
+     */
+    function getFill(kind, color, opacity) {
+        const marks = getMarks(kind);
+        if (!marks) return null;
+
+        const rgb = window.mapPalette.parseColor(color) || [108, 117, 125];
+        const id = `map-pattern-${kind}-${rgb.join('-')}-${Math.round(opacity * 100)}`;
+        const container = getDefs();
+        if (container.querySelector(`#${id}`)) return `url(#${id})`;
+
+        const stroke = marks.stroke
+            ? `<path d="${marks.stroke}" fill="none" stroke="${HALO}" stroke-width="2.5" stroke-linecap="round"/>
+               <path d="${marks.stroke}" fill="none" stroke="${MARK}" stroke-width="1.2" stroke-linecap="round"/>`
+            : '';
+        const dots = (marks.dots || []).map(([x, y]) =>
+            `<circle cx="${x}" cy="${y}" r="1.3" fill="${MARK}" stroke="${HALO}" stroke-width="0.8"/>`).join('');
+
+        const pattern = document.createElementNS('http://www.w3.org/2000/svg', 'pattern');
+        pattern.setAttribute('id', id);
+        pattern.setAttribute('patternUnits', 'userSpaceOnUse');
+        pattern.setAttribute('width', SIZE);
+        pattern.setAttribute('height', SIZE);
+        pattern.innerHTML = `<rect width="${SIZE}" height="${SIZE}" fill="rgb(${rgb.join(',')})" fill-opacity="${opacity}"/>${stroke}${dots}`;
+        container.appendChild(pattern);
+        return `url(#${id})`;
+    }
+
+    /**
+     * Canvas version of a pattern fill, for exports and canvas renderers
+     * @param {CanvasRenderingContext2D} ctx - Context the pattern will be used on
+     * @param {number} [scale] - Output pixels per CSS pixel
+     * @returns {CanvasPattern|null}
+     */
+    function createCanvasPattern(ctx, kind, color, opacity, scale = 1) {
+        const marks = getMarks(kind);
+        if (!marks || typeof Path2D === 'undefined') return null;
+
+        const size = Math.max(1, Math.round(SIZE * scale));
+        const tile = document.createElement('canvas');
+        tile.width = size;
+        tile.height = size;
+        const tctx = tile.getContext('2d');
+        tctx.scale(size / SIZE, size / SIZE);
+
+        tctx.globalAlpha = opacity;
+        tctx.fillStyle = color;
+        tctx.fillRect(0, 0, SIZE, SIZE);
+        tctx.globalAlpha = 1;
+        tctx.lineCap = 'round';
+
+        if (marks.stroke) {
+            const path = new Path2D(marks.stroke);
+            tctx.strokeStyle = HALO;
+            tctx.lineWidth = 2.5;
+            tctx.stroke(path);
+            tctx.strokeStyle = MARK;
+            tctx.lineWidth = 1.2;
+            tctx.stroke(path);
+        }
+        (marks.dots || []).forEach(([x, y]) => {
+            tctx.beginPath();
+            tctx.arc(x, y, 1.3, 0, Math.PI * 2);
+            tctx.fillStyle = MARK;
+            tctx.fill();
+            tctx.strokeStyle = HALO;
+            tctx.lineWidth = 0.8;
+            tctx.stroke();
+        });
+
+        return ctx.createPattern(tile, 'repeat');
+    }
+
+    return {
+        getProtectionPattern,
+        getFill,
+        createCanvasPattern,
+        PROTECTION_PATTERNS
+    };
+})();
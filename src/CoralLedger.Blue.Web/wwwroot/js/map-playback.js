@@ -0,0 +1,439 @@
+/**
+ * Map Playback - Frame engine for time-lapse animation
+ * Prefetches a window of upcoming dates, keeps loaded frames in memory, and plays them at a set
+ * frame rate in loop, ping-pong or once mode. Loads for dates that are no longer wanted are aborted,
+ * and a frame that arrives after the user has moved on is never shown.
+ */
+window.mapPlayback = (function() {
+    const MODES = ['loop', 'pingpong', 'once'];
+
+    const DEFAULT_OPTIONS = {
+        fps: 1,
+        mode: 'loop',
+        prefetch: 5,        // Upcoming frames loaded ahead of the playhead
+        concurrency: 2,     // Frames loaded at the same time
+        cacheSize: 30       // Loaded frames kept in memory
+    };
+
+    /**
+     * @param {Object} options
+     * @param {Function} options.loadFrame - (date, signal) => Promise of a frame, or null when there is no data
+     * @param {Function} options.showFrame - (frame, date, index) => void; puts a loaded frame on the map
+     * @param {Function} [options.onFrame] - (date, index) => void; called after a frame is shown
+     * @param {Function} [options.onStateChange] - ({ playing, buffering }) => void
+     */
+    function Player(options) {
+        this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+        this.dates = [];
+        this.index = -1;
+        this.direction = 1;
+        this.playing = false;
+        this.buffering = false;
+        this.cache = new Map();   // date -> { promise, controller, frame, loaded, lastUsed }
+        this.token = 0;           // Incremented per seek so late frames can tell they are stale
+        this.timer = null;
+        this.run = 0;             // Incremented per play so a paused loop never resumes alongside a new one
+    }
+
+    Player.prototype = {
+        /**
+         * Replace the timeline; frames already loaded for dates that remain are kept
+         * @param {Array<string>} dates - Dates in playback order
+         * @param {number} index - Index of the current date
+         */
+        setDates: function(dates, index = 0) {
+            this.dates = dates.slice();
+            this.index = Math.max(0, Math.min(dates.length - 1, index));
+            this.cache.forEach((entry, date) => {
+                if (!this.dates.includes(date)) this.evict(date);
+            });
+            return this;
+        },
+
+        /**
+         * Change fps, mode, prefetch or cacheSize; takes effect from the next frame
+         */
+        setOptions: function(options) {
+            Object.keys(options || {}).forEach(key => {
+                if (options[key] === undefined || options[key] === null) return;
+                if (key === 'mode' && !MODES.includes(options.mode)) return;
+                this.options[key] = options[key];
+            });
+            this.options.fps = Math.max(0.1, Math.min(30, Number(this.options.fps) || DEFAULT_OPTIONS.fps));
+            return this;
+        },
+
+        /**
+         * Drop every loaded frame, e.g. after the data source changes; in-flight loads are aborted
+         */
+        invalidate: function() {
+            Array.from(this.cache.keys()).forEach(date => this.evict(date));
+            return this;
+        },
+
+        evict: function(date) {
+            const entry = this.cache.get(date);
+            if (!entry) return;
+            if (!entry.loaded) entry.controller.abort();
+            this.cache.delete(date);
+        },
+
+        /**
+         * Load a frame, or return the one already loading or loaded for the date
+         */
+        request: function(date) {
+            return this.getEntry(date).promise;
+        },
+
+        getEntry: function(date) {
+            let entry = this.cache.get(date);
+            if (!entry) {
+                const controller = new AbortController();
+                entry = { controller: controller, frame: null, loaded: false, lastUsed: Date.now() };
+                entry.promise = Promise.resolve()
+                    .then(() => this.options.loadFrame(date, controller.signal))
+                    .then(frame => {
+                        entry.frame = frame;
+                        entry.loaded = true;
+                        return frame;
+                    })
+                    .catch(error => {
+                        // Aborted or failed loads are forgotten so the date can be retried
+                        if (this.cache.get(date) === entry) this.cache.delete(date);
+                        if (error?.name !== 'AbortError') {
+                            console.error('[map-playback] Frame failed to load:', date, error);
+                        }
+                        return null;
+                    });
+                this.cache.set(date, entry);
+            }
+            entry.lastUsed = Date.now();
+            return entry;
+        },
+
+        isLoaded: function(date) {
+            return !!this.cache.get(date)?.loaded;
+        },
+
+        /**
+         * Show the frame at an index once it has loaded
+         * @returns {Promise<boolean>} False when a later seek superseded this one
+         */
+        seek: async function(index) {
+            if (!this.dates.length) return false;
+
+            const token = ++this.token;
+            this.index = Math.max(0, Math.min(this.dates.length - 1, index));
+            const date = this.dates[this.index];
+
+            this.prefetch();
+            const entry = this.getEntry(date);
+            const frame = await entry.promise;
+
+            // The user moved on while this frame loaded; never let it overwrite the newer one
+            if (token !== this.token || entry.controller.signal.aborted) return false;
+
+            this.options.showFrame(frame, date, this.index);
+            if (this.options.onFrame) this.options.onFrame(date, this.index);
+            return true;
+        },
+
+        seekDate: function(date) {
+            const index = this.dates.indexOf(date);
+            return index === -1 ? Promise.resolve(false) : this.seek(index);
+        },
+
+        /**
+         * Index that follows the current one for the playback mode, or -1 at the end of a 'once' run
+         * Updates the ping-pong direction as a side effect when asked to advance
+         */
+        nextIndex: function(advance = false) {
+            const last = this.dates.length - 1;
+            if (last <= 0) return last;
+
+            let direction = this.direction;
+            let next = this.index + direction;
+
+            if (next > last || next < 0) {
+                if (this.options.mode === 'loop') {
+                    next = next > last ? 0 : last;
+                } else if (this.options.mode === 'pingpong') {
+                    direction = -direction;
+                    next = this.index + direction;
+                } else {
+                    return -1;
+                }
+            }
+
+            if (advance) this.direction = direction;
+            return next;
+        },
+
+        /**
+         * Dates the playhead reaches next, in order, without changing state
+         */
+        upcoming: function(count) {
+            const saved = { index: this.index, direction: this.direction };
+            const dates = [];
+            for (let i = 0; i < count; i++) {
+                const next = this.nextIndex(true);
+                if (next < 0 || dates.includes(this.dates[next])) break;
+                dates.push(this.dates[next]);
+                this.index = next;
+            }
+            this.index = saved.index;
+            this.direction = saved.direction;
+            return dates;
+        },
+
+        /**
+         * Load the frames around the playhead, abort loads nobody needs any more and trim the cache
+         */
+        prefetch: function() {
+            const current = this.dates[this.index];
+            const wanted = [current].concat(this.upcoming(this.options.prefetch));
+
+            // Loads for dates outside the window are stale
+            this.cache.forEach((entry, date) => {
+                if (!entry.loaded && !wanted.includes(date)) this.evict(date);
+            });
+
+            // Start loads in playback order, a few at a time
+            const inFlight = Array.from(this.cache.values()).filter(entry => !entry.loaded).length;
+            wanted.filter(date => !this.cache.has(date))
+                .slice(0, Math.max(0, this.options.concurrency - inFlight))
+                .forEach(date => this.request(date).then(() => {
+                    if (this.dates.length) this.prefetch();
+                }));
+
+            // Least recently used frames outside the window go first
+            const loaded = Array.from(this.cache.entries())
+                .filter(([date, entry]) => entry.loaded && !wanted.includes(date))
+                .sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+            while (loaded.length && this.cache.size > this.options.cacheSize) {
+                this.cache.delete(loaded.shift()[0]);
+            }
+        },
+
+        play: function() {
+            if (this.playing || !this.dates.length) return this;
+            this.playing = true;
+            this.run++;
+            this.notifyState();
+            this.schedule(0);
+            return this;
+        },
+
+        pause: function() {
+            this.playing = false;
+            this.buffering = false;
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.notifyState();
+            return this;
+        },
+
+        schedule: function(delay) {
+            const run = this.run;
+            clearTimeout(this.timer);
+            this.timer = setTimeout(() => this.tick(run), delay);
+        },
+
+        /**
+         * Advance one frame; waits (buffering) rather than skipping when the next frame is still loading
+         */
+        tick: async function(run) {
+            if (!this.playing || run !== this.run) return;
+
+            const next = this.nextIndex(false);
+            if (next < 0) {
+                this.pause();
+                return;
+            }
+
+            const started = Date.now();
+            const date = this.dates[next];
+            if (!this.isLoaded(date)) {
+                this.buffering = true;
+                this.notifyState();
+            }
+
+            this.nextIndex(true);
+            await this.seek(next);
+            if (this.buffering) {
+                this.buffering = false;
+                this.notifyState();
+            }
+            // A seek made while this frame loaded replaced it; carry on from wherever that left the playhead
+            if (!this.playing || run !== this.run) return;
+
+            const interval = 1000 / this.options.fps;
+            this.schedule(Math.max(0, interval - (Date.now() - started)));
+        },
+
+        notifyState: function() {
+            if (this.options.onStateChange) {
+                this.options.onStateChange({ playing: this.playing, buffering: this.buffering });
+            }
+        },
+
+        /**
+         * Stop playback, abort loads and release frames
+         */
+        dispose: function() {
+            this.pause();
+            this.token++;
+            this.invalidate();
+            this.dates = [];
+        }
+    };
+
+    /**
+     * Holds the frame on screen and cross-fades to the next one
+     * Frames are drawn into two sub-panes of the holder's pane, so the overlay registry's opacity and
+     * z-order still apply; the outgoing frame is removed once it has faded out.
+     */
+    const FrameLayer = L.Layer.extend({
+        options: {
+            pane: 'overlayPane',
+            fadeDuration: 400
+        },
+
+        initialize: function(options) {
+            L.setOptions(this, options);
+            this._frame = null;
+            this._leaving = [];
+            this._slot = 0;
+            this._fadeTimer = null;
+        },
+
+        onAdd: function(map) {
+            this._panes = [0, 1].map(slot => {
+                const name = `${this.options.pane}-frame-${slot}`;
+                return map.getPane(name) || map.createPane(name, this.getPane());
+            });
+            this._panes.forEach((pane, slot) => {
+                pane.style.transition = 'none';
+                pane.style.opacity = slot === this._slot ? 1 : 0;
+            });
+            if (this._frame) this._addFrame(this._frame, this._slot);
+        },
+
+        onRemove: function(map) {
+            this._finishFade();
+            if (this._frame && map.hasLayer(this._frame)) map.removeLayer(this._frame);
+        },
+
+        setPane: function(pane) {
+            this.options.pane = pane;
+            return this;
+        },
+
+        getFrame: function() {
+            return this._frame;
+        },
+
+        setFadeDuration: function(ms) {
+            this.options.fadeDuration = Math.max(0, ms);
+            return this;
+        },
+
+        /**
+         * Show a layer in place of the current one; pass null to clear
+         */
+        setFrame: function(layer) {
+            const previous = this._frame;
+            if (layer === previous) return this;
+
+            this._frame = layer;
+            if (!this._map) return this;
+
+            // A fade still running from the frame before is cut short
+            this._finishFade();
+
+            const duration = previous && layer ? this.options.fadeDuration : 0;
+            const incoming = 1 - this._slot;
+            const outgoing = this._slot;
+            this._slot = incoming;
+
+            this._panes[incoming].style.transition = 'none';
+            this._panes[incoming].style.opacity = duration ? 0 : 1;
+            if (layer) this._addFrame(layer, incoming);
+
+            if (!duration) {
+                this._panes[outgoing].style.opacity = 0;
+                if (previous) this._map.removeLayer(previous);
+                return this;
+            }
+
+            // Read layout so the start opacity is committed before the transition starts
+            void this._panes[incoming].offsetWidth;
+            this._panes.forEach(pane => { pane.style.transition = `opacity ${duration}ms linear`; });
+            this._panes[incoming].style.opacity = 1;
+            this._panes[outgoing].style.opacity = 0;
+
+            this._leaving.push(previous);
+            this._fadeTimer = setTimeout(() => this._finishFade(), duration);
+            return this;
+        },
+
+        _addFrame: function(layer, slot) {
+            // A frame shown again before its fade-out finished has to move panes
+            if (this._map.hasLayer(layer)) this._map.removeLayer(layer);
+            window.mapLayers.applyPane(layer, `${this.options.pane}-frame-${slot}`);
+            this._map.addLayer(layer);
+        },
+
+        _finishFade: function() {
+            clearTimeout(this._fadeTimer);
+            this._fadeTimer = null;
+            this._leaving.forEach(layer => {
+                if (layer !== this._frame && this._map?.hasLayer(layer)) this._map.removeLayer(layer);
+            });
+            this._leaving = [];
+            if (this._panes) {
+                this._panes.forEach((pane, slot) => {
+                    pane.style.transition = 'none';
+                    pane.style.opacity = slot === this._slot ? 1 : 0;
+                });
+            }
+        }
+    });
+
+    /**
+     * Create a holder layer that cross-fades between frames
+     * @param {Object} options - fadeDuration in ms
+     */
+    function createFrameLayer(options) {
+        return new FrameLayer(options);
+    }
+
+    /**
+     * Create a playback engine
+     * @param {Object} options - loadFrame, showFrame, onFrame, onStateChange and DEFAULT_OPTIONS overrides
+     * @returns {Player} Player
+     */
+    function createPlayer(options) {
+        return new Player(options).setOptions({});
+    }
+
+    /**
+     * Every day from start to end inclusive, as yyyy-MM-dd
+     */
+    function dateRange(startDate, endDate) {
+        const dates = [];
+        const end = new Date(`${endDate}T00:00:00Z`);
+        for (let d = new Date(`${startDate}T00:00:00Z`); d <= end; d.setUTCDate(d.getUTCDate() + 1)) {
+            dates.push(d.toISOString().split('T')[0]);
+        }
+        return dates;
+    }
+
+    return {
+        createPlayer,
+        createFrameLayer,
+        dateRange,
+        MODES,
+        DEFAULT_OPTIONS
+    };
+})();
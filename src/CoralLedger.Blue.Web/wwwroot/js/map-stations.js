@@ -0,0 +1,371 @@
+/**
+ * Map Stations - Heat stress history for Coral Reef Watch stations
+ * Loads a station's 12-week series from /api/bleaching/timeseries, draws it as an inline DHW/SST
+ * sparkline with the 4 and 8 °C-week bleaching thresholds, and keeps stations pinned per map so
+ * several can be compared side by side on one scale.
+ */
+window.mapStations = (function() {
+    const WEEKS = 12;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const MAX_PINNED = 5;
+    const CACHE_SIZE = 50;
+
+    // NOAA thresholds: significant bleaching likely from 4 °C-weeks, severe bleaching and mortality from 8.
+    // `step` is the class on the DHW ramp, so the bands match the bleaching surface.
+    // Labels are map-i18n.js message keys.
+    const DHW_BANDS = [
+        { from: 4, to: 8, step: 3, label: 'station.likely' },
+        { from: 8, to: Infinity, step: 4, label: 'station.severe' }
+    ];
+
+    // Colors are read from the map palette when drawing, so a palette change applies on the next render
+    function getColors() {
+        const steps = window.mapPalette.getSteps('dhw', 5);
+        return {
+            dhw: window.mapPalette.getCategory('chart', 'dhw'),
+            sst: window.mapPalette.getCategory('chart', 'sst'),
+            bands: DHW_BANDS.map(band => steps[band.step])
+        };
+    }
+
+    const cache = new Map();   // station and end date -> Promise of a series
+    const pins = {};           // mapId -> { stations, endDate, control, layer }
+
+    function formatDate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    function getStationId(station) {
+        return `${station.lat.toFixed(4)},${station.lng.toFixed(4)}`;
+    }
+
+    function formatCoordinates(station) {
+        return window.mapI18n.formatPosition(station.lat, station.lng);
+    }
+
+    /**
+     * Daily readings for the 12 weeks up to endDate, oldest first
+     * @param {Object} station - lat and lng
+     * @param {string} [endDate] - yyyy-MM-dd, defaults to today
+     * @returns {Promise<Array>} { date, dhw, sst, alert } per day with data
+     */
+    function loadTimeSeries(station, endDate = null) {
+        const end = endDate ? new Date(`${endDate}T00:00:00Z`) : new Date();
+        const start = new Date(end.getTime() - (WEEKS * 7 - 1) * DAY_MS);
+        const key = `${getStationId(station)}|${formatDate(end)}`;
+
+        if (cache.has(key)) return cache.get(key);
+
+        const request = (async () => {
+            const url = `/api/bleaching/timeseries?lon=${station.lng}&lat=${station.lat}` +
+                `&startDate=${formatDate(start)}&endDate=${formatDate(end)}`;
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`Time series request failed (${response.status})`);
+
+            const data = await response.json();
+            return (Array.isArray(data) ? data : [])
+                .map(d => ({
+                    date: String(d.date).slice(0, 10),
+                    dhw: Number.isFinite(d.degreeHeatingWeek) ? d.degreeHeatingWeek : null,
+                    sst: Number.isFinite(d.seaSurfaceTemperature) ? d.seaSurfaceTemperature : null,
+                    alert: d.alertLevel ?? 0
+                }))
+                .sort((a, b) => a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+        })();
+
+        cache.set(key, request);
+        // Failed requests are retried next time; the oldest series are dropped beyond CACHE_SIZE
+        request.catch(() => cache.delete(key));
+        if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+        return request;
+    }
+
+    /**
+     * Inline SVG sparkline: DHW as a solid line over the threshold bands, SST dashed on its own scale
+     * @param {Array} series - From loadTimeSeries
+     * @param {Object} [options] - width, height, dhwMax (to share a scale across stations), endDate, color
+     * @returns {string} SVG markup
+     */
+    function renderSparkline(series, options = {}) {
+        const width = options.width || 220;
+        const height = options.height || 64;
+        const pad = { top: 4, right: 30, bottom: 4, left: 14 };
+        const plotWidth = width - pad.left - pad.right;
+        const plotHeight = height - pad.top - pad.bottom;
+
+        const end = options.endDate
+            ? new Date(`${options.endDate}T00:00:00Z`).getTime()
+            : series.length ? new Date(`${series[series.length - 1].date}T00:00:00Z`).getTime() : Date.now();
+        const start = end - (WEEKS * 7 - 1) * DAY_MS;
+        const x = (date) => pad.left + (new Date(`${date}T00:00:00Z`).getTime() - start) / (end - start) * plotWidth;
+
+        const dhwValues = series.map(d => d.dhw).filter(v => v !== null);
+        const dhwMax = Math.max(options.dhwMax || 0, 10, ...dhwValues.map(v => Math.ceil(v + 1)));
+        const yDhw = (v) => pad.top + plotHeight - Math.min(v, dhwMax) / dhwMax * plotHeight;
+
+        const sstValues = series.map(d => d.sst).filter(v => v !== null);
+        const sstMin = sstValues.length ? Math.min(...sstValues) - 0.5 : 0;
+        const sstMax = sstValues.length ? Math.max(...sstValues) + 0.5 : 1;
+        const ySst = (v) => pad.top + plotHeight - (v - sstMin) / (sstMax - sstMin) * plotHeight;
+
+        // Gaps in the data break the line rather than bridging them
+        const path = (key, y) => {
+            let d = '';
+            let previous = null;
+            series.forEach(point => {
+                if (point[key] === null) {
+                    previous = null;
+                    return;
+                }
+                const gap = !previous || (new Date(point.date) - new Date(previous.date)) > 2 * DAY_MS;
+                d += `${gap ? 'M' : 'L'}${x(point.date).toFixed(1)},${y(point[key]).toFixed(1)}`;
+                previous = point;
+            });
+            return d;
+        };
+
+        const colors = getColors();
+        const { t, formatNumber } = window.mapI18n;
+        const bands = DHW_BANDS.map((band, i) => {
+            const top = yDhw(Math.min(band.to, dhwMax));
+            return `<rect x="${pad.left}" y="${top.toFixed(1)}" width="${plotWidth}" height="${(yDhw(band.from) - top).toFixed(1)}"
+                fill="${colors.bands[i]}" fill-opacity="0.15"><title>${t(band.label)}</title></rect>
+                <line x1="${pad.left}" x2="${pad.left + plotWidth}" y1="${yDhw(band.from).toFixed(1)}" y2="${yDhw(band.from).toFixed(1)}"
+                stroke="${colors.bands[i]}" stroke-width="0.75" stroke-dasharray="2 2"/>
+                <text x="${pad.left - 2}" y="${yDhw(band.from).toFixed(1)}" text-anchor="end" dominant-baseline="middle">${band.from}</text>`;
+        }).join('');
+
+        const latest = series[series.length - 1];
+        const peak = dhwValues.length ? Math.max(...dhwValues) : null;
+        const hasSst = latest?.sst !== null && latest?.sst !== undefined;
+        const label = series.length
+            ? t(hasSst ? 'station.sparklineSst' : 'station.sparkline', {
+                weeks: WEEKS,
+                peak: peak !== null ? t('unit.degreeWeeks', { value: formatNumber(peak, 1) }) : t('common.notAvailable'),
+                sst: hasSst ? t('unit.celsius', { value: formatNumber(latest.sst, 1) }) : ''
+            })
+            : t('station.noReadingsShort', { weeks: WEEKS });
+
+        return `
+            <svg class="station-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${label}">
+                <title>${label}</title>
+                ${bands}
+                <path d="${path('sst', ySst)}" fill="none" stroke="${colors.sst}" stroke-width="1.25" stroke-dasharray="3 2"/>
+                <path d="${path('dhw', yDhw)}" fill="none" stroke="${options.color || colors.dhw}" stroke-width="1.75"/>
+                ${latest && latest.dhw !== null ? `<text x="${pad.left + plotWidth + 3}" y="${yDhw(latest.dhw).toFixed(1)}" dominant-baseline="middle">${formatNumber(latest.dhw, 1)}</text>` : ''}
+            </svg>
+        `;
+    }
+
+    /**
+     * Key to the sparkline lines and bands, shown once under a popup or the comparison panel
+     */
+    function getSparklineKeyHtml() {
+        const t = window.mapI18n.t;
+        const colors = getColors();
+        return `
+            <div class="station-sparkline-key">
+                <span><span class="station-key-line" style="border-color: ${colors.dhw};"></span>${t('station.dhw')}</span>
+                <span><span class="station-key-line station-key-dashed" style="border-color: ${colors.sst};"></span>${t('station.sst')}</span>
+                ${DHW_BANDS.map((band, i) => `<span><span class="station-key-band" style="background: ${colors.bands[i]};"></span>${t(band.label)}</span>`).join('')}
+            </div>
+        `;
+    }
+
+    // ---- Pinned stations ----
+
+    function getPins(mapId) {
+        if (!pins[mapId]) {
+            pins[mapId] = { stations: [], endDate: null, control: null, layer: null };
+        }
+        return pins[mapId];
+    }
+
+    function isPinned(mapId, station) {
+        const id = getStationId(station);
+        return !!pins[mapId]?.stations.some(s => s.id === id);
+    }
+
+    /**
+     * Pin a station for comparison; the oldest pin makes way beyond MAX_PINNED
+     * @param {string} endDate - Series end for every pinned station, so they share one window
+     * @returns {boolean} False when the station was already pinned
+     */
+    function pin(mapId, station, endDate = null) {
+        const map = window.leafletMap?.maps?.[mapId];
+        if (!map || isPinned(mapId, station)) return false;
+
+        const state = getPins(mapId);
+        if (state.stations.length >= MAX_PINNED) state.stations.shift();
+
+        // Each pin keeps its series slot, so its color stays put as others are unpinned
+        const used = state.stations.map(s => s.slot);
+        let slot = 0;
+        while (used.includes(slot)) slot++;
+        state.stations.push({
+            id: getStationId(station),
+            lat: station.lat,
+            lng: station.lng,
+            slot: slot
+        });
+        if (endDate) state.endDate = endDate;
+
+        render(mapId);
+        return true;
+    }
+
+    function unpin(mapId, stationId) {
+        const state = pins[mapId];
+        if (!state) return false;
+
+        const count = state.stations.length;
+        state.stations = state.stations.filter(s => s.id !== stationId);
+        if (state.stations.length === count) return false;
+
+        render(mapId);
+        return true;
+    }
+
+    /**
+     * Pinned stations of a map (callable from Blazor)
+     */
+    function getPinned(mapId) {
+        return (pins[mapId]?.stations || []).map(s => ({ id: s.id, lat: s.lat, lng: s.lng }));
+    }
+
+    function clearPins(mapId) {
+        const state = pins[mapId];
+        if (!state) return;
+
+        state.stations = [];
+        render(mapId);
+        delete pins[mapId];
+    }
+
+    // Markers on the map and the comparison panel follow the pinned list
+    function render(mapId) {
+        const state = pins[mapId];
+        const map = window.leafletMap?.maps?.[mapId];
+        if (!state || !map) return;
+
+        if (!state.stations.length) {
+            if (state.control) map.removeControl(state.control);
+            window.leafletMap.removeOverlay(mapId, 'pinned-stations');
+            state.control = null;
+            state.layer = null;
+            return;
+        }
+
+        if (!state.layer) {
+            state.layer = L.layerGroup();
+            window.leafletMap.addOverlay(mapId, 'pinned-stations', state.layer, {
+                name: () => window.mapI18n.t('station.pinned')
+            });
+        }
+        state.layer.clearLayers();
+        state.stations.forEach((station, i) => {
+            L.circleMarker([station.lat, station.lng], {
+                radius: 7,
+                color: '#ffffff',
+                weight: 2,
+                fillColor: window.mapPalette.getSeriesColor(station.slot),
+                fillOpacity: 1,
+                pane: state.layer.options.pane
+            })
+                .bindTooltip(() => window.mapI18n.t('station.numberedAt', { number: i + 1, position: formatCoordinates(station) }))
+                .addTo(state.layer);
+        });
+
+        if (!state.control) {
+            state.control = L.control({ position: 'topright' });
+            state.control.onAdd = () => {
+                const div = L.DomUtil.create('div', 'station-compare');
+                div.setAttribute('role', 'region');
+                L.DomEvent.disableClickPropagation(div);
+                L.DomEvent.disableScrollPropagation(div);
+                return div;
+            };
+            state.control.addTo(map);
+        }
+        renderComparison(mapId);
+    }
+
+    async function renderComparison(mapId) {
+        const state = pins[mapId];
+        const container = state?.control?.getContainer();
+        if (!container) return;
+
+        const t = window.mapI18n.t;
+        const stations = state.stations.slice();
+        container.setAttribute('aria-label', t('station.comparison'));
+        container.innerHTML = `
+            <div class="station-compare-header">
+                <strong>${t('station.pinned')}</strong>
+                <button type="button" class="btn btn-sm btn-link" data-action="clear">${t('station.clear')}</button>
+            </div>
+            <div class="station-compare-body" aria-live="polite">${t('station.loadingHistory', { weeks: WEEKS })}</div>
+        `;
+        L.DomEvent.on(container.querySelector('[data-action=clear]'), 'click', () => clearPins(mapId));
+
+        const results = await Promise.all(stations.map(station =>
+            loadTimeSeries(station, state.endDate).catch(error => {
+                console.warn('[map-stations] Could not load time series:', error);
+                return null;
+            })));
+
+        // Pins changed while loading; the newer render fills the panel
+        if (pins[mapId] !== state || state.stations.length !== stations.length ||
+            state.stations.some((s, i) => s !== stations[i])) {
+            return;
+        }
+
+        // One DHW scale for every station, so the lines compare directly
+        const dhwMax = Math.max(0, ...results.flat().filter(Boolean).map(d => Math.ceil((d.dhw || 0) + 1)));
+        const body = container.querySelector('.station-compare-body');
+        body.innerHTML = stations.map((station, i) => `
+            <div class="station-compare-row">
+                <div class="station-compare-label">
+                    <span class="station-key-band" style="background: ${window.mapPalette.getSeriesColor(station.slot)};"></span>
+                    ${t('station.numbered', { number: i + 1 })} <small>${formatCoordinates(station)}</small>
+                    <button type="button" class="btn btn-sm btn-link" data-unpin="${station.id}" aria-label="${t('station.unpinNumbered', { number: i + 1 })}">
+                        <span class="material-icons" aria-hidden="true">close</span>
+                    </button>
+                </div>
+                ${results[i]
+                    ? renderSparkline(results[i], { dhwMax: dhwMax, endDate: state.endDate, color: window.mapPalette.getSeriesColor(station.slot) })
+                    : `<div class="station-sparkline-empty">${t('station.historyShort')}</div>`}
+            </div>
+        `).join('') + getSparklineKeyHtml();
+
+        body.querySelectorAll('[data-unpin]').forEach(btn => {
+            L.DomEvent.on(btn, 'click', () => unpin(mapId, btn.dataset.unpin));
+        });
+    }
+
+    /**
+     * Redraw pinned stations of every map in the current palette and culture
+     */
+    function refresh() {
+        Object.keys(pins).forEach(render);
+    }
+
+    return {
+        loadTimeSeries,
+        renderSparkline,
+        getSparklineKeyHtml,
+        getStationId,
+        pin,
+        unpin,
+        isPinned,
+        getPinned,
+        refresh,
+        clearPins,
+        WEEKS,
+        DHW_BANDS,
+        MAX_PINNED
+    };
+})();
+
+// Pins and the comparison panel follow palette and culture changes
+window.mapPalette?.onChange(() => window.mapStations.refresh());
+window.mapI18n?.onChange(() => window.mapStations.refresh());
@@ -0,0 +1,391 @@
+/**
+ * Map Surface - Continuous raster surface interpolated from scattered measurement points
+ * Inverse distance weighting (IDW) over a grid, drawn on one canvas, with a hover probe
+ * reporting the interpolated value and the nearest station, and an optional handler for clicks on stations
+ */
+window.mapSurface = (function() {
+    const KM_PER_DEGREE = 111.32;
+
+    const DEFAULT_OPTIONS = {
+        pane: 'overlayPane',
+        cellSizeKm: 5,          // The Coral Reef Watch grid; canvas smoothing hides cell edges
+        maxColumns: 320,        // Upper bound on grid width for very spread-out stations
+        power: 2,               // IDW distance exponent
+        neighbors: 8,           // Stations used per cell
+        maxDistanceKm: 40,      // Cells further than this from every station stay empty
+        fillOpacity: 0.65,
+        probe: true,
+        onStationClick: null,   // (station, latlng) => void; called for clicks near a station
+        stationClickKm: 10      // How far from a station a click still picks it
+    };
+
+    function distanceKm(lat1, lng1, lat2, lng2) {
+        const dy = (lat2 - lat1) * KM_PER_DEGREE;
+        const dx = (lng2 - lng1) * KM_PER_DEGREE * Math.cos((lat1 + lat2) / 2 * Math.PI / 180);
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    function parseColor(color) {
+        const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || '');
+        if (hex) {
+            const h = hex[1].length === 3 ? hex[1].replace(/./g, c => c + c) : hex[1];
+            return [0, 2, 4].map(i => parseInt(h.substr(i, 2), 16));
+        }
+        const rgb = /rgba?\(([^)]+)\)/.exec(color || '');
+        return rgb ? rgb[1].split(',').slice(0, 3).map(v => parseInt(v, 10)) : null;
+    }
+
+    /**
+     * Bucket index over the stations so each lookup only scans nearby buckets
+     * Buckets are roughly square in kilometers, using the stations' mean latitude
+     */
+    function StationIndex(points, bucketKm) {
+        const meanLat = points.length ? points.reduce((sum, p) => sum + p.lat, 0) / points.length : 0;
+        this.points = points;
+        this.bucketKm = bucketKm;
+        this.latDeg = bucketKm / KM_PER_DEGREE;
+        this.lngDeg = bucketKm / (KM_PER_DEGREE * Math.max(0.1, Math.cos(meanLat * Math.PI / 180)));
+        this.buckets = new Map();
+        points.forEach((p, i) => {
+            const key = this.key(Math.floor(p.lat / this.latDeg), Math.floor(p.lng / this.lngDeg));
+            if (!this.buckets.has(key)) this.buckets.set(key, []);
+            this.buckets.get(key).push(i);
+        });
+    }
+
+    StationIndex.prototype = {
+        // Numeric keys are much faster than strings over the ~100k lookups of a grid build
+        key: function(row, col) {
+            return (row + 100000) * 200000 + (col + 100000);
+        },
+
+        /**
+         * Stations within maxKm of a point, nearest first
+         * Searches rings of buckets outwards and stops once the nearest `limit` stations are certain
+         */
+        near: function(lat, lng, maxKm, limit = Infinity) {
+            const row = Math.floor(lat / this.latDeg);
+            const col = Math.floor(lng / this.lngDeg);
+            const rings = Math.ceil(maxKm / this.bucketKm) + 1;
+            const found = [];   // Kept sorted by distance, at most `limit` long
+            const kmPerLng = KM_PER_DEGREE * Math.cos(lat * Math.PI / 180);
+
+            const consider = (i) => {
+                const p = this.points[i];
+                const dy = (p.lat - lat) * KM_PER_DEGREE;
+                const dx = (p.lng - lng) * kmPerLng;
+                const d = Math.sqrt(dx * dx + dy * dy);
+                if (d > maxKm || (found.length >= limit && d >= found[found.length - 1].distance)) return;
+
+                let at = found.length;
+                while (at > 0 && found[at - 1].distance > d) at--;
+                found.splice(at, 0, { index: i, distance: d });
+                if (found.length > limit) found.pop();
+            };
+
+            for (let ring = 0; ring <= rings; ring++) {
+                for (let r = row - ring; r <= row + ring; r++) {
+                    const edgeRow = Math.abs(r - row) === ring;
+                    // Inner rows only have the two ring-edge buckets
+                    for (let c = col - ring; c <= col + ring; c += edgeRow || ring === 0 ? 1 : 2 * ring) {
+                        const bucket = this.buckets.get(this.key(r, c));
+                        if (bucket) bucket.forEach(consider);
+                    }
+                }
+
+                // Everything closer than `ring` buckets has been seen
+                if (found.length >= limit && found[limit - 1].distance <= ring * this.bucketKm) break;
+            }
+            return found;
+        }
+    };
+
+    /**
+     * Interpolate one variable at a location
+     * @param {StationIndex} index - Station index
+     * @param {Function} getValue - Station value accessor, returning a number or null
+     * @param {Object} options - power, neighbors, maxDistanceKm and method ('idw' or 'nearest')
+     * @returns {number} Interpolated value, or NaN beyond maxDistanceKm of every station
+     */
+    function interpolateAt(index, getValue, lat, lng, options) {
+        const near = index.near(lat, lng, options.maxDistanceKm, options.neighbors)
+            .filter(n => Number.isFinite(getValue(index.points[n.index])));
+        if (!near.length) return NaN;
+
+        // Categorical values (e.g. alert levels) must not be averaged into levels that don't exist
+        if (options.method === 'nearest' || near[0].distance < 1e-6) {
+            return getValue(index.points[near[0].index]);
+        }
+
+        let sum = 0;
+        let weights = 0;
+        near.forEach(n => {
+            const w = 1 / Math.pow(n.distance, options.power);
+            sum += w * getValue(index.points[n.index]);
+            weights += w;
+        });
+        return sum / weights;
+    }
+
+    /**
+     * Leaflet layer drawing an interpolated surface for one of several variables
+     * Points: { lat, lng, values: { <variable>: number }, ... }
+     * Variables: { <id>: { label, unit, method, getColor(value), format(value) } }
+     */
+    const SurfaceLayer = L.Layer.extend({
+        initialize: function(points, options) {
+            this._options = Object.assign({}, DEFAULT_OPTIONS, options);
+            this._points = (points || []).filter(p => Number.isFinite(p?.lat) && Number.isFinite(p?.lng));
+            this._index = new StationIndex(this._points, this._options.cellSizeKm * 2);
+            this._variable = this._options.variable || Object.keys(this._options.variables || {})[0];
+            this._grids = {};
+        },
+
+        onAdd: function(map) {
+            this._map = map;
+            this._canvas = L.DomUtil.create('canvas', 'leaflet-surface leaflet-zoom-hide');
+            this._canvas.style.pointerEvents = 'none';
+            map.getPane(this._options.pane).appendChild(this._canvas);
+
+            map.on('moveend zoomend resize viewreset', this._redraw, this);
+            map.on('zoomstart', this._hide, this);
+            if (this._options.probe) {
+                map.on('mousemove', this._onMouseMove, this);
+                map.on('mouseout', this._hideProbe, this);
+            }
+            if (this._options.onStationClick) {
+                map.on('click', this._onClick, this);
+            }
+            this._redraw();
+        },
+
+        onRemove: function(map) {
+            map.off('moveend zoomend resize viewreset', this._redraw, this);
+            map.off('zoomstart', this._hide, this);
+            map.off('mousemove', this._onMouseMove, this);
+            map.off('mouseout', this._hideProbe, this);
+            map.off('click', this._onClick, this);
+            L.DomUtil.remove(this._canvas);
+            if (this._probe) {
+                this._probe.remove();
+                this._probe = null;
+            }
+            this._canvas = null;
+            this._map = null;
+        },
+
+        setPane: function(pane) {
+            this._options.pane = pane;
+            return this;
+        },
+
+        getVariable: function() {
+            return this._variable;
+        },
+
+        /**
+         * Switch the variable shown; its grid is built on first use and kept
+         */
+        setVariable: function(variable) {
+            if (!this._options.variables[variable]) return this;
+            this._variable = variable;
+            if (this._map) this._redraw();
+            return this;
+        },
+
+        /**
+         * Repaint with the variables' current colors (e.g. after a palette change) without interpolating again
+         */
+        recolor: function() {
+            Object.entries(this._grids).forEach(([variable, grid]) => {
+                this._paintGrid(grid, this._options.variables[variable]);
+            });
+            if (this._map) this._redraw();
+            return this;
+        },
+
+        /**
+         * Interpolated value and nearest station at a location
+         * @returns {Object} value (NaN outside coverage), variable, station and distanceKm
+         */
+        probe: function(latlng) {
+            const config = this._options.variables[this._variable];
+            const getValue = (p) => p.values[this._variable];
+            const value = interpolateAt(this._index, getValue, latlng.lat, latlng.lng, Object.assign({}, this._options, config));
+            const nearest = this._index.near(latlng.lat, latlng.lng, this._options.maxDistanceKm, 1)[0];
+
+            return {
+                variable: this._variable,
+                value: value,
+                station: nearest ? this._points[nearest.index] : null,
+                distanceKm: nearest ? nearest.distance : null
+            };
+        },
+
+        /**
+         * Build the grid covering the stations (padded by the interpolation reach) for the current variable
+         * Rows are evenly spaced in Web Mercator so the grid maps onto the map without distortion
+         */
+        _getGrid: function() {
+            const cached = this._grids[this._variable];
+            if (cached) return cached;
+            if (!this._points.length) return null;
+
+            const config = this._options.variables[this._variable];
+            const pad = this._options.maxDistanceKm / KM_PER_DEGREE;
+            const lats = this._points.map(p => p.lat);
+            const lngs = this._points.map(p => p.lng);
+            const bounds = L.latLngBounds(
+                [Math.min(...lats) - pad, Math.min(...lngs) - pad],
+                [Math.max(...lats) + pad, Math.max(...lngs) + pad]);
+
+            const crs = L.CRS.EPSG3857;
+            const nw = crs.latLngToPoint(bounds.getNorthWest(), 0);
+            const se = crs.latLngToPoint(bounds.getSouthEast(), 0);
+
+            const widthKm = distanceKm(bounds.getCenter().lat, bounds.getWest(), bounds.getCenter().lat, bounds.getEast());
+            const cols = Math.max(2, Math.min(this._options.maxColumns, Math.ceil(widthKm / this._options.cellSizeKm)));
+            const rows = Math.max(2, Math.round(cols * (se.y - nw.y) / (se.x - nw.x)));
+
+            const values = new Float32Array(cols * rows);
+            const getValue = (p) => p.values[this._variable];
+            const interpolation = Object.assign({}, this._options, config);
+            for (let r = 0; r < rows; r++) {
+                const y = nw.y + (r + 0.5) * (se.y - nw.y) / rows;
+                for (let c = 0; c < cols; c++) {
+                    const x = nw.x + (c + 0.5) * (se.x - nw.x) / cols;
+                    const ll = crs.pointToLatLng(L.point(x, y), 0);
+                    values[r * cols + c] = interpolateAt(this._index, getValue, ll.lat, ll.lng, interpolation);
+                }
+            }
+
+            const grid = { nw: nw, se: se, cols: cols, rows: rows, values: values, image: null };
+            this._paintGrid(grid, config);
+            this._grids[this._variable] = grid;
+            return grid;
+        },
+
+        // Paint once; redraws just scale the image
+        _paintGrid: function(grid, config) {
+            const image = document.createElement('canvas');
+            image.width = grid.cols;
+            image.height = grid.rows;
+            const ctx = image.getContext('2d');
+            if (ctx) {
+                const data = ctx.createImageData(grid.cols, grid.rows);
+                const alpha = Math.round(255 * this._options.fillOpacity);
+                grid.values.forEach((v, i) => {
+                    if (!Number.isFinite(v)) return;
+                    const rgb = parseColor(config.getColor(v));
+                    if (!rgb) return;
+                    data.data.set([rgb[0], rgb[1], rgb[2], alpha], i * 4);
+                });
+                ctx.putImageData(data, 0, 0);
+            }
+            grid.image = image;
+        },
+
+        _hide: function() {
+            if (this._canvas) this._canvas.style.visibility = 'hidden';
+        },
+
+        _redraw: function() {
+            const map = this._map;
+            if (!map || !this._canvas) return;
+
+            const size = map.getSize();
+            const ratio = window.devicePixelRatio || 1;
+            this._canvas.width = size.x * ratio;
+            this._canvas.height = size.y * ratio;
+            this._canvas.style.width = `${size.x}px`;
+            this._canvas.style.height = `${size.y}px`;
+            L.DomUtil.setPosition(this._canvas, map.containerPointToLayerPoint([0, 0]));
+            this._canvas.style.visibility = '';
+
+            const ctx = this._canvas.getContext('2d');
+            if (!ctx) return;
+            ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+            ctx.clearRect(0, 0, size.x, size.y);
+            this._drawGrid(ctx, map.getPixelBounds().min, map.getZoom(), 1);
+        },
+
+        _drawGrid: function(ctx, origin, zoom, ratio) {
+            const grid = this._getGrid();
+            if (!grid) return;
+
+            const scale = Math.pow(2, zoom);
+            ctx.imageSmoothingEnabled = true;   // Bilinear scaling smooths cell edges
+            ctx.drawImage(grid.image,
+                (grid.nw.x * scale - origin.x) * ratio,
+                (grid.nw.y * scale - origin.y) * ratio,
+                (grid.se.x - grid.nw.x) * scale * ratio,
+                (grid.se.y - grid.nw.y) * scale * ratio);
+        },
+
+        /**
+         * Draw the surface onto another canvas, e.g. for map export (see mapCanvasPoints drawTo)
+         */
+        drawTo: function(ctx, origin, zoom, size, ratio, alpha = 1) {
+            ctx.save();
+            ctx.globalAlpha = alpha;
+            this._drawGrid(ctx, origin, zoom, ratio);
+            ctx.restore();
+        },
+
+        _onMouseMove: function(e) {
+            const result = this.probe(e.latlng);
+            if (!Number.isFinite(result.value)) {
+                this._hideProbe();
+                return;
+            }
+
+            if (!this._probe) {
+                this._probe = L.control({ position: 'bottomleft' });
+                this._probe.onAdd = () => {
+                    const div = L.DomUtil.create('div', 'surface-probe');
+                    div.setAttribute('role', 'status');
+                    div.setAttribute('aria-live', 'polite');
+                    return div;
+                };
+                this._probe.addTo(this._map);
+            }
+
+            const config = this._options.variables[result.variable];
+            const container = this._probe.getContainer();
+            container.innerHTML = this._options.formatProbe
+                ? this._options.formatProbe(result, config)
+                : `<strong>${config.label}: ${config.format(result.value)}</strong>`;
+            container.style.display = '';
+        },
+
+        _hideProbe: function() {
+            if (this._probe) this._probe.getContainer().style.display = 'none';
+        },
+
+        // Clicks on other layers (MPAs, markers) keep their own popups
+        _onClick: function(e) {
+            if (e.sourceTarget && e.sourceTarget !== this._map) return;
+
+            const nearest = this._index.near(e.latlng.lat, e.latlng.lng, this._options.stationClickKm, 1)[0];
+            if (nearest) this._options.onStationClick(this._points[nearest.index], e.latlng);
+        }
+    });
+
+    /**
+     * Create an interpolated surface layer
+     * @param {Array} points - Stations with lat, lng and a values object keyed by variable
+     * @param {Object} options - variables (see SurfaceLayer), variable, formatProbe, onStationClick and
+     *                           DEFAULT_OPTIONS overrides
+     */
+    function createLayer(points, options) {
+        return new SurfaceLayer(points, options || {});
+    }
+
+    return {
+        createLayer,
+        distanceKm,
+        interpolateAt,
+        StationIndex,
+        DEFAULT_OPTIONS
+    };
+})();
@@ -0,0 +1,226 @@
+/**
+ * Map Sync - Linked views and swipe comparison for Leaflet maps
+ * Linked maps share pan, zoom and cursor position; a swipe splits one map between two sets of panes
+ */
+window.mapSync = (function() {
+    let nextGroupId = 1;
+
+    /**
+     * Link maps so panning or zooming one moves the others
+     * @param {Array<L.Map>} maps - Maps to link (any existing links are replaced)
+     * @param {Object} options - syncCursor (default true) mirrors the mouse position as a crosshair
+     * @returns {Object} Group with the linked maps and an unlink() method
+     */
+    function link(maps, options = {}) {
+        const syncCursor = options.syncCursor !== false;
+        const group = { id: nextGroupId++, maps: [], cursors: new Map(), syncing: false };
+
+        maps.forEach(map => {
+            unlink(map);
+            group.maps.push(map);
+
+            const handlers = {
+                move: () => syncView(group, map),
+                mousemove: (e) => syncCursor && showCursor(group, map, e.latlng),
+                mouseout: () => syncCursor && hideCursors(group)
+            };
+            map.on(handlers);
+            map._syncLink = { group: group, handlers: handlers };
+        });
+
+        // Start every map from the first map's view
+        if (group.maps.length > 1) {
+            syncView(group, group.maps[0]);
+        }
+
+        group.unlink = () => group.maps.slice().forEach(unlink);
+        return group;
+    }
+
+    /**
+     * Remove a map from its linked group
+     * @param {L.Map} map - Map to unlink
+     */
+    function unlink(map) {
+        const link = map._syncLink;
+        if (!link) return;
+
+        map.off(link.handlers);
+        const cursor = link.group.cursors.get(map);
+        if (cursor) {
+            cursor.remove();
+            link.group.cursors.delete(map);
+        }
+        link.group.maps = link.group.maps.filter(m => m !== map);
+        delete map._syncLink;
+    }
+
+    function syncView(group, source) {
+        // Moving the other maps fires their own move events; ignore those
+        if (group.syncing) return;
+        group.syncing = true;
+
+        try {
+            const center = source.getCenter();
+            const zoom = source.getZoom();
+            group.maps.forEach(map => {
+                if (map !== source) {
+                    map.setView(center, zoom, { animate: false });
+                }
+            });
+        } finally {
+            group.syncing = false;
+        }
+    }
+
+    function showCursor(group, source, latlng) {
+        group.maps.forEach(map => {
+            if (map === source) {
+                // The real pointer is on this map
+                group.cursors.get(map)?.remove();
+                group.cursors.delete(map);
+                return;
+            }
+
+            let cursor = group.cursors.get(map);
+            if (!cursor) {
+                cursor = L.marker(latlng, {
+                    icon: L.divIcon({
+                        className: 'map-sync-cursor',
+                        html: '<div class="map-sync-cursor-cross"></div>',
+                        iconSize: [20, 20],
+                        iconAnchor: [10, 10]
+                    }),
+                    interactive: false,
+                    keyboard: false
+                }).addTo(map);
+                group.cursors.set(map, cursor);
+            }
+            cursor.setLatLng(latlng);
+        });
+    }
+
+    function hideCursors(group) {
+        group.cursors.forEach(cursor => cursor.remove());
+        group.cursors.clear();
+    }
+
+    /**
+     * Get (creating on first use) a left and right pane pair for a swipe comparison
+     * @param {L.Map} map - Map to add the panes to
+     * @param {string} prefix - Pane name prefix, one pair per prefix
+     * @param {number} zIndex - Stacking order of both panes (tiles are 200, overlays 400)
+     * @returns {Object} Names of the left and right panes
+     */
+    function createPanes(map, prefix, zIndex) {
+        const names = { left: `${prefix}Left`, right: `${prefix}Right` };
+        [names.left, names.right].forEach(name => {
+            const pane = map.getPane(name) || map.createPane(name);
+            pane.style.zIndex = zIndex;
+        });
+        return names;
+    }
+
+    /**
+     * Split a map with a draggable divider; the left pane shows left of it and the right pane right of it
+     * @param {L.Map} map - Map to split
+     * @param {Object} options - leftPane, rightPane, position (0-1, default 0.5),
+     *                           leftLabel, rightLabel and onChange(position)
+     * @returns {Object} Swipe with getPosition(), setPosition(fraction) and remove()
+     */
+    function createSwipe(map, options) {
+        const container = map.getContainer();
+        const leftPane = map.getPane(options.leftPane);
+        const rightPane = map.getPane(options.rightPane);
+        let position = options.position ?? 0.5;
+
+        const divider = L.DomUtil.create('div', 'map-swipe-divider', container);
+        divider.setAttribute('role', 'slider');
+        divider.setAttribute('tabindex', '0');
+        divider.setAttribute('aria-label', window.mapI18n.t('sync.divider'));
+        divider.dataset.i18nLabel = 'sync.divider';
+        divider.setAttribute('aria-valuemin', '0');
+        divider.setAttribute('aria-valuemax', '100');
+        divider.innerHTML = '<div class="map-swipe-handle"><span class="material-icons">swap_horiz</span></div>';
+
+        const labels = L.DomUtil.create('div', 'map-swipe-labels', container);
+        labels.innerHTML = `
+            <span class="map-swipe-label map-swipe-label-left">${options.leftLabel || ''}</span>
+            <span class="map-swipe-label map-swipe-label-right">${options.rightLabel || ''}</span>
+        `;
+
+        // Clip rects are in layer coordinates because panes move with the map pane
+        function updateClip() {
+            const size = map.getSize();
+            const nw = map.containerPointToLayerPoint([0, 0]);
+            const se = map.containerPointToLayerPoint(size);
+            const splitX = map.containerPointToLayerPoint([size.x * position, 0]).x;
+
+            leftPane.style.clip = `rect(${nw.y}px, ${splitX}px, ${se.y}px, ${nw.x}px)`;
+            rightPane.style.clip = `rect(${nw.y}px, ${se.x}px, ${se.y}px, ${splitX}px)`;
+            divider.style.left = `${position * 100}%`;
+            divider.setAttribute('aria-valuenow', Math.round(position * 100));
+        }
+
+        function setPosition(fraction) {
+            position = Math.max(0, Math.min(1, fraction));
+            updateClip();
+            if (options.onChange) options.onChange(position);
+        }
+
+        let dragging = false;
+        const onPointerMove = (e) => {
+            if (!dragging) return;
+            const rect = container.getBoundingClientRect();
+            setPosition((e.clientX - rect.left) / rect.width);
+        };
+        const onPointerUp = () => {
+            if (!dragging) return;
+            dragging = false;
+            map.dragging.enable();
+            L.DomUtil.removeClass(divider, 'dragging');
+        };
+
+        L.DomEvent.on(divider, 'pointerdown', (e) => {
+            dragging = true;
+            map.dragging.disable();
+            L.DomUtil.addClass(divider, 'dragging');
+            L.DomEvent.stop(e);
+        });
+        L.DomEvent.on(divider, 'keydown', (e) => {
+            const step = e.shiftKey ? 0.1 : 0.02;
+            if (e.key === 'ArrowLeft') setPosition(position - step);
+            else if (e.key === 'ArrowRight') setPosition(position + step);
+            else return;
+            L.DomEvent.preventDefault(e);
+        });
+        L.DomEvent.disableClickPropagation(divider);
+        document.addEventListener('pointermove', onPointerMove);
+        document.addEventListener('pointerup', onPointerUp);
+        map.on('move resize zoomend', updateClip);
+
+        updateClip();
+
+        return {
+            getPosition: () => position,
+            setPosition: setPosition,
+            remove: function() {
+                map.off('move resize zoomend', updateClip);
+                document.removeEventListener('pointermove', onPointerMove);
+                document.removeEventListener('pointerup', onPointerUp);
+                if (dragging) map.dragging.enable();
+                leftPane.style.clip = '';
+                rightPane.style.clip = '';
+                L.DomUtil.remove(divider);
+                L.DomUtil.remove(labels);
+            }
+        };
+    }
+
+    return {
+        link,
+        unlink,
+        createPanes,
+        createSwipe
+    };
+})();
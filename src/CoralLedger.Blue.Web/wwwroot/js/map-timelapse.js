@@ -1,187 +1,1054 @@
 /**
  * Map Time-Lapse - Animated temporal data visualization
+ * Frames are loaded, cached and cross-faded by the mapPlayback engine (map-playback.js)
+ * State is kept per map ID; a second map can follow one map's timeline to compare two dates
  */
 
 window.mapTimeLapse = {
-    bleachingLayer: null,
-    fishingLayer: null,
-    vesselLayer: null,
-    heatmapLayer: null,
+    states: {},  // Time-lapse state per map ID, so several maps can run their own time-lapse
+
+    // Overlay registered for each layer kind; names are map-i18n.js message keys
+    kinds: {
+        bleaching: { id: 'timelapse-bleaching', name: 'timelapse.bleachingLayer' },
+        fishing: { id: 'timelapse-fishing', name: 'timelapse.fishingLayer' },
+        vessels: { id: 'timelapse-vessels', name: 'timelapse.vesselLayer' },
+        heatmap: { id: 'timelapse-heatmap', name: 'timelapse.heatmapLayer' }
+    },
+
+    /**
+     * Time-lapse state of a map, created on first use
+     */
+    getState: function(mapId) {
+        if (!this.states[mapId]) {
+            this.states[mapId] = {
+                layers: {},  // Layer on screen per kind
+                bleachingVariable: 'dhw',  // Bleaching surface variable: dhw, sst or alert
+                heatmapOptions: { windowDays: 7, ramp: 'effort', radius: 12 },  // Fishing effort window and style
+                playbackOptions: { fps: 1, mode: 'loop' },  // Shared by every kind; see mapPlayback.DEFAULT_OPTIONS
+                players: {},  // Engine, frame holder and render mode per kind
+                timeline: [],  // Dates on the time slider, so frames ahead of the one shown can be prefetched
+                vesselZones: {},  // Last restricted zone seen per vessel, used to flag entries and exits
+                currentDate: null,  // Date of the last frame shown, mirrored in the URL
+                compare: null,  // Map following this one's timeline in compare mode: { mapId, offsetDays, linked }
+                exporting: null  // AbortController of a video export in progress
+            };
+        }
+        return this.states[mapId];
+    },
+
+    /**
+     * Layer of a kind currently shown on a map
+     */
+    getLayer: function(mapId, kind) {
+        return this.states[mapId]?.layers[kind] || null;
+    },
+
+    getCurrentDate: function(mapId) {
+        return this.states[mapId]?.currentDate || null;
+    },
 
     /**
      * Update bleaching data layer for a specific date
+     * @param {string} variable - Surface to show: dhw, sst or alert (defaults to the current choice)
      */
-    updateBleachingLayer: async function(mapId, date, stats) {
-        const map = window.leafletMap?.maps?.[mapId];
-        if (!map) return;
+    updateBleachingLayer: async function(mapId, date, stats, variable = null) {
+        if (variable) this.getState(mapId).bleachingVariable = variable;
+        return this.showDate(mapId, 'bleaching', date);
+    },
 
-        // Remove existing layer
-        if (this.bleachingLayer) {
-            map.removeLayer(this.bleachingLayer);
+    /**
+     * Build the bleaching surface for a date without adding it to a map
+     * Pass a pane to draw into a specific pane (used by swipe comparison)
+     * @param {AbortSignal} signal - Cancels the request
+     * @param {string} variable - Surface to show first: dhw, sst or alert
+     * @param {string} mapId - Map whose station clicks open history popups (none for swipe comparison)
+     */
+    createBleachingLayer: async function(date, pane = null, signal = null, variable = 'dhw', mapId = null) {
+        if (!window.mapSurface) {
+            console.error('[map-timelapse] Surface layer not loaded. Make sure map-surface.js is included');
+            return null;
         }
 
         try {
-            // Fetch bleaching data for date
-            const response = await fetch(`/api/bleaching/bahamas?date=${date}`);
+            // Every data point, not just alerting ones, so the surface shows where stress is low too
+            const response = await fetch(`/api/bleaching/bahamas?date=${date}&includeAll=true`, { signal });
             if (!response.ok) {
                 console.log('No bleaching data for date:', date);
-                return;
+                return null;
             }
 
-            const data = await response.json();
-            if (!data || !data.length) return;
+            const body = await response.json();
+            const data = Array.isArray(body) ? body : body?.data;
+            if (!data || !data.length) return null;
 
-            // Create heatmap-style visualization
             const points = data.map(d => ({
                 lat: d.latitude,
                 lng: d.longitude,
-                value: d.degreeHeatingWeek || 0,
-                sst: d.seaSurfaceTemperature,
-                alertLevel: d.alertLevel
+                sstAnomaly: d.sstAnomaly,
+                values: {
+                    dhw: d.degreeHeatingWeek ?? 0,
+                    sst: d.seaSurfaceTemperature,
+                    alert: d.alertLevel ?? 0
+                }
             }));
 
-            // Create circle markers with DHW-based colors
-            this.bleachingLayer = L.layerGroup();
-
-            points.forEach(p => {
-                const color = this.getDhwColor(p.value);
-                const radius = Math.max(5000, p.value * 2000); // 5km to 25km based on DHW
-
-                L.circle([p.lat, p.lng], {
-                    radius: radius,
-                    fillColor: color,
-                    fillOpacity: 0.4,
-                    stroke: false
-                }).bindPopup(`
-                    <div class="bleaching-popup">
-                        <strong>Bleaching Data</strong><br>
-                        SST: ${p.sst?.toFixed(1) || 'N/A'}°C<br>
-                        DHW: ${p.value?.toFixed(1) || '0'} °C-weeks<br>
-                        Alert Level: ${p.alertLevel || 0}
-                    </div>
-                `).addTo(this.bleachingLayer);
+            return window.mapSurface.createLayer(points, {
+                variables: this.getBleachingVariables(),
+                variable: variable,
+                // Swipe comparison shows two surfaces side by side; only the main one reports values
+                probe: !pane,
+                formatProbe: (result, config) => this.formatBleachingProbe(result, config),
+                ...(mapId && window.mapStations ? { onStationClick: (station) => this.openStationPopup(mapId, station, date) } : {}),
+                ...(pane ? { pane: pane } : {})
             });
 
-            this.bleachingLayer.addTo(map);
-
         } catch (error) {
+            if (error.name === 'AbortError') throw error;
             console.error('Error loading bleaching data:', error);
+            return null;
         }
     },
 
     /**
-     * Update fishing events layer for a specific date
+     * Variables the bleaching surface can show; alert levels are classes, so they use the nearest station
+     * Labels and formats read the map culture each time, so surfaces built earlier follow culture changes
+     */
+    getBleachingVariables: function() {
+        const { t, formatNumber } = window.mapI18n;
+        return {
+            dhw: {
+                get label() { return t('bleaching.dhw'); },
+                method: 'idw',
+                getColor: (v) => this.getDhwColor(v),
+                format: (v) => t('unit.degreeWeeks', { value: formatNumber(v, 1) })
+            },
+            sst: {
+                get label() { return t('bleaching.sst'); },
+                method: 'idw',
+                getColor: (v) => this.getSstColor(v),
+                format: (v) => t('unit.celsius', { value: formatNumber(v, 1) })
+            },
+            alert: {
+                get label() { return t('bleaching.alert'); },
+                method: 'nearest',
+                getColor: (v) => this.getAlertLevelColor(v),
+                format: (v) => this.getAlertLevelName(v)
+            }
+        };
+    },
+
+    formatBleachingProbe: function(result, config) {
+        const i18n = window.mapI18n;
+        const station = result.station;
+        return `
+            <div class="surface-probe-value"><strong>${config.label}:</strong> ${config.format(result.value)}</div>
+            ${station ? `
+                <div class="surface-probe-station">
+                    ${i18n.t('bleaching.nearestStation', {
+                        position: i18n.formatPosition(station.lat, station.lng),
+                        distance: i18n.formatDistance(result.distanceKm)
+                    })}
+                    ${Number.isFinite(station.values[result.variable]) ? config.format(station.values[result.variable]) : i18n.t('common.noData')}
+                </div>` : ''}
+        `;
+    },
+
+    /**
+     * Popup for a bleaching station: the day's readings, a 12-week DHW/SST sparkline and a pin button
      */
-    updateFishingLayer: async function(mapId, date, stats) {
+    openStationPopup: function(mapId, station, date) {
         const map = window.leafletMap?.maps?.[mapId];
         if (!map) return;
 
-        // Remove existing layer
-        if (this.fishingLayer) {
-            map.removeLayer(this.fishingLayer);
-        }
+        L.popup({ minWidth: 240 })
+            .setLatLng([station.lat, station.lng])
+            .setContent(this.createStationPopup(mapId, station, date))
+            .openOn(map);
+    },
+
+    createStationPopup: function(mapId, station, date) {
+        const stations = window.mapStations;
+        const { t, formatDate, formatPosition } = window.mapI18n;
+        const variables = this.getBleachingVariables();
+        const reading = (variable) => Number.isFinite(station.values[variable])
+            ? variables[variable].format(station.values[variable])
+            : t('common.noData');
+
+        const div = L.DomUtil.create('div', 'station-popup');
+        div.innerHTML = `
+            <div class="popup-header">
+                <strong>${t('station.title')}</strong>
+                <small>${formatPosition(station.lat, station.lng)}</small>
+            </div>
+            <hr style="margin: 6px 0;"/>
+            <div class="popup-body">
+                <div><strong>${t('fishing.date')}:</strong> ${formatDate(date)}</div>
+                <div><strong>${t('station.dhw')}:</strong> ${reading('dhw')}</div>
+                <div><strong>${t('station.sst')}:</strong> ${reading('sst')}</div>
+                <div><strong>${t('station.alert')}:</strong> <span style="color: ${this.getAlertLevelColor(station.values.alert)}">${reading('alert')}</span></div>
+                <div class="station-sparkline-container" aria-live="polite">${t('station.loadingHistory', { weeks: stations.WEEKS })}</div>
+            </div>
+            <div class="station-popup-actions">
+                <button type="button" class="btn btn-sm btn-outline-primary" data-action="pin"></button>
+            </div>
+        `;
+
+        const pinButton = div.querySelector('[data-action=pin]');
+        const updatePinButton = () => {
+            const pinned = stations.isPinned(mapId, station);
+            pinButton.textContent = t(pinned ? 'station.unpin' : 'station.pin');
+            pinButton.setAttribute('aria-pressed', pinned);
+        };
+        updatePinButton();
+        L.DomEvent.on(pinButton, 'click', () => {
+            if (stations.isPinned(mapId, station)) {
+                stations.unpin(mapId, stations.getStationId(station));
+            } else {
+                stations.pin(mapId, station, date);
+            }
+            updatePinButton();
+        });
+
+        const chart = div.querySelector('.station-sparkline-container');
+        stations.loadTimeSeries(station, date)
+            .then(series => {
+                chart.innerHTML = series.length
+                    ? stations.renderSparkline(series, { endDate: date }) + stations.getSparklineKeyHtml()
+                    : t('station.noReadings', { weeks: stations.WEEKS });
+            })
+            .catch(error => {
+                console.warn('[map-timelapse] Could not load station history:', error);
+                chart.textContent = t('station.historyUnavailable');
+            });
+
+        return div;
+    },
+
+    /**
+     * Switch the bleaching surface between dhw, sst and alert without reloading it
+     */
+    setBleachingVariable: function(mapId, variable) {
+        if (!this.getBleachingVariables()[variable]) return false;
+
+        const state = this.getState(mapId);
+        state.bleachingVariable = variable;
+        // Cached frames pick the variable up when they are shown
+        state.layers.bleaching?.setVariable(variable);
+        // The legend follows the variable
+        window.leafletMap.getLayerRegistry(mapId)?.notify();
+
+        if (state.compare) this.setBleachingVariable(state.compare.mapId, variable);
+        return true;
+    },
+
+    /**
+     * Update fishing events layer for a specific date
+     * renderMode 'canvas' draws large datasets on a single canvas; 'auto' picks by event count
+     */
+    updateFishingLayer: async function(mapId, date, stats, renderMode = 'auto') {
+        return this.showDate(mapId, 'fishing', date, { renderMode });
+    },
 
+    /**
+     * Build the fishing events layer for a date without adding it to a map
+     */
+    createFishingLayer: async function(mapId, date, renderMode = 'auto', signal = null) {
         try {
             // Fetch fishing events for date range (date to date+1)
             const startDate = date;
             const endDate = new Date(new Date(date).getTime() + 86400000).toISOString().split('T')[0];
 
-            const response = await fetch(`/api/vessels/fishing-events/bahamas?startDate=${startDate}&endDate=${endDate}`);
+            const response = await fetch(`/api/vessels/fishing-events/bahamas?startDate=${startDate}&endDate=${endDate}`, { signal });
             if (!response.ok) {
                 console.log('No fishing data for date:', date);
-                return;
+                return null;
             }
 
             const events = await response.json();
-            if (!events || !events.length) return;
+            if (!events || !events.length) return null;
 
-            this.fishingLayer = L.layerGroup();
-
-            events.forEach(evt => {
-                const isViolation = evt.isInMpa === true;
-                const color = isViolation ? '#ef4444' : '#58a6ff';
+            // Flag events inside restricted zones the server did not classify
+            window.leafletMap.classifyFishingEvents(mapId, events);
 
-                const marker = L.circleMarker([evt.latitude, evt.longitude], {
+            const palette = window.mapPalette;
+            const getStyle = (evt) => {
+                const isViolation = evt.isRestricted === true;
+                return {
                     radius: 6,
-                    fillColor: color,
+                    fillColor: palette.getCategory('marker', isViolation ? 'violation' : 'point'),
                     fillOpacity: 0.8,
                     weight: isViolation ? 2 : 1,
-                    color: isViolation ? '#ff0000' : '#ffffff',
-                    opacity: 0.8
-                }).bindPopup(`
-                    <div class="fishing-popup">
-                        <strong>${evt.vesselName || 'Unknown Vessel'}</strong><br>
-                        Type: ${evt.eventType || 'Fishing'}<br>
-                        Duration: ${evt.durationHours?.toFixed(1) || 'N/A'} hours<br>
-                        ${isViolation ? '<span style="color:#ef4444">⚠️ Inside MPA</span>' : ''}
-                    </div>
-                `).addTo(this.fishingLayer);
-            });
+                    color: isViolation ? palette.getCategory('marker', 'violationBorder') : '#ffffff'
+                };
+            };
+
+            const { t, formatNumber } = window.mapI18n;
+            const getPopup = (evt) => `
+                <div class="fishing-popup">
+                    <strong>${evt.vesselName || t('timelapse.unknownVessel')}</strong><br>
+                    ${t('fishing.type')}: ${evt.eventType || t('fishing.defaultType')}<br>
+                    ${t('fishing.duration')}: ${evt.durationHours != null ? t('unit.hours', { value: formatNumber(evt.durationHours, 1) }) : t('common.notAvailable')}<br>
+                    ${evt.isRestricted === true ? `<span style="color: ${palette.getCategory('marker', 'violation')}">⚠️ ${t('fishing.insideMpa')}</span>` : ''}
+                </div>
+            `;
+
+            if (window.leafletMap.resolveRenderMode(renderMode, events.length) === 'canvas') {
+                return window.leafletMap.createCanvasPointLayer(
+                    events.map(evt => ({ lat: evt.latitude, lng: evt.longitude, data: evt })),
+                    {
+                        getStyle: (point) => getStyle(point.data),
+                        popup: (point) => getPopup(point.data)
+                    });
+            }
 
-            this.fishingLayer.addTo(map);
+            const layer = L.layerGroup();
+            events.forEach(evt => {
+                L.circleMarker([evt.latitude, evt.longitude], Object.assign(getStyle(evt), { opacity: 0.8 }))
+                    .bindPopup(() => getPopup(evt))
+                    .addTo(layer);
+            });
+            return layer;
 
         } catch (error) {
+            if (error.name === 'AbortError') throw error;
             console.error('Error loading fishing data:', error);
+            return null;
         }
     },
 
     /**
      * Update vessel positions layer for a specific date
+     * renderMode 'canvas' draws large AIS datasets on a single canvas; 'auto' picks by vessel count
      */
-    updateVesselLayer: async function(mapId, date) {
-        const map = window.leafletMap?.maps?.[mapId];
-        if (!map) return;
-
-        // Remove existing layer
-        if (this.vesselLayer) {
-            map.removeLayer(this.vesselLayer);
-        }
+    updateVesselLayer: async function(mapId, date, renderMode = 'auto') {
+        return this.showDate(mapId, 'vessels', date, { renderMode });
+    },
 
+    /**
+     * Build the vessel positions frame for a date without adding it to a map
+     * Zone entries and exits depend on the frame shown before, so they are worked out in onShow
+     * and popups are built when opened.
+     */
+    createVesselFrame: async function(mapId, date, renderMode = 'auto', signal = null) {
         try {
-            const response = await fetch(`/api/vessels/positions?date=${date}`);
-            if (!response.ok) return;
+            const response = await fetch(`/api/vessels/positions?date=${date}`, { signal });
+            if (!response.ok) return null;
 
             const vessels = await response.json();
-            if (!vessels || !vessels.length) return;
-
-            this.vesselLayer = L.layerGroup();
+            if (!vessels || !vessels.length) return null;
 
+            // Classify positions against loaded MPAs
+            const mpaIndex = window.leafletMap.getMpaIndex(mapId);
             vessels.forEach(v => {
-                const icon = L.divIcon({
-                    className: 'vessel-icon',
-                    html: `<div class="vessel-marker" style="transform: rotate(${v.heading || 0}deg)">
+                v.zone = mpaIndex ? mpaIndex.classifyPoint(v.latitude, v.longitude) : null;
+            });
+
+            const palette = window.mapPalette;
+            const { t, formatNumber } = window.mapI18n;
+            // Vessel names are set by the vessels themselves over AIS, so they are written as text
+            // and the track button is bound here rather than through inline markup
+            const getPopup = (v) => {
+                const div = L.DomUtil.create('div', 'vessel-popup');
+                div.innerHTML = `
+                    <strong class="vessel-name"></strong><br>
+                    ${t('timelapse.flag')}: ${v.flag || t('common.unknown')}<br>
+                    ${t('fishing.type')}: ${v.vesselType || t('common.unknown')}<br>
+                    ${t('timelapse.speed')}: ${v.speed != null ? t('unit.knots', { value: formatNumber(v.speed, 1) }) : t('common.notAvailable')}
+                    ${v.zone?.isRestricted ? `<br><span style="color: ${palette.getCategory('marker', 'violation')}">⚠️ ${t('timelapse.insideZone', {
+                        level: window.leafletMap.getProtectionLevelName(v.zone.protectionLevel),
+                        name: v.zone.mpaName
+                    })}</span>` : ''}
+                    ${v.zoneChange ? `<br><span class="badge bg-danger">${t(v.zoneChange.type === 'entry' ? 'timelapse.entered' : 'timelapse.exited', { name: v.zoneChange.mpaName })}</span>` : ''}
+                    ${v.mmsi ? `<br><button type="button" class="btn btn-sm btn-outline-primary mt-2" data-action="play-track">
+                        <span class="material-icons" style="font-size: 16px; vertical-align: middle;">play_arrow</span> ${t('timelapse.playTrack')}
+                    </button>` : ''}
+                `;
+                div.querySelector('.vessel-name').textContent = v.name || t('common.unknown');
+                const playButton = div.querySelector('[data-action=play-track]');
+                if (playButton) {
+                    L.DomEvent.on(playButton, 'click', () =>
+                        window.leafletMap.playVesselTrack(mapId, String(v.mmsi), 24, v.name || null));
+                }
+                return div;
+            };
+
+            let layer;
+            if (window.leafletMap.resolveRenderMode(renderMode, vessels.length) === 'canvas') {
+                layer = window.leafletMap.createCanvasPointLayer(
+                    vessels.map(v => ({ lat: v.latitude, lng: v.longitude, data: v })),
+                    {
+                        defaultStyle: { radius: 3, fillColor: palette.getCategory('marker', 'point'), color: '#ffffff', weight: 1 },
+                        getStyle: (point) => point.data.zone?.isRestricted
+                            ? {
+                                radius: 5,
+                                fillColor: palette.getCategory('marker', 'violation'),
+                                color: palette.getCategory('marker', 'violationBorder'),
+                                weight: 2
+                            }
+                            : null,
+                        popup: (point) => getPopup(point.data)
+                    });
+            } else {
+                layer = L.layerGroup();
+
+                vessels.forEach(v => {
+                    const marker = `<div class="vessel-marker" style="transform: rotate(${v.heading || 0}deg)">
                         <span class="material-icons">navigation</span>
-                    </div>`,
-                    iconSize: [20, 20],
-                    iconAnchor: [10, 10]
+                    </div>`;
+
+                    // Vessels inside restricted zones reuse the fishing violation styling
+                    const icon = L.divIcon({
+                        className: v.zone?.isRestricted ? 'vessel-icon fishing-violation-marker' : 'vessel-icon',
+                        html: v.zone?.isRestricted ? `<div class="violation-pulse">${marker}</div>` : marker,
+                        iconSize: [20, 20],
+                        iconAnchor: [10, 10]
+                    });
+
+                    L.marker([v.latitude, v.longitude], { icon })
+                        .bindPopup(() => getPopup(v))
+                        .addTo(layer);
                 });
+            }
+
+            return {
+                layer: layer,
+                // Compare with the frame on screen before this one
+                onShow: () => vessels.forEach(v => { v.zoneChange = this.trackVesselZone(mapId, v); })
+            };
+
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error('Error loading vessel data:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Update the fishing effort heatmap for the window of days ending on a date
+     * @param {Object} options - windowDays, ramp and radius; omitted values keep their previous setting
+     */
+    updateHeatmapLayer: async function(mapId, date, options = {}) {
+        if (!window.mapHeatmap) return false;
+
+        this.setHeatmapOptions(mapId, options);
+        return this.showDate(mapId, 'heatmap', date);
+    },
+
+    /**
+     * Change the heatmap window and style used for the frames of a map
+     */
+    setHeatmapOptions: function(mapId, options) {
+        const state = this.getState(mapId);
+        const windowDays = state.heatmapOptions.windowDays;
+        state.heatmapOptions = Object.assign({}, state.heatmapOptions,
+            Object.fromEntries(Object.entries(options || {}).filter(([, value]) => value !== undefined && value !== null)));
+
+        // Frames for the old window are no longer valid
+        if (state.heatmapOptions.windowDays !== windowDays) {
+            state.players.heatmap?.player.invalidate();
+        }
+    },
+
+    /**
+     * Build the fishing effort heatmap for the window of days ending on a date
+     */
+    createHeatmapLayer: async function(mapId, date, signal = null) {
+        const { windowDays, ramp, radius } = this.getState(mapId).heatmapOptions;
+        const day = 86400000;
+        const end = new Date(date);
+        const startDate = new Date(end.getTime() - (windowDays - 1) * day).toISOString().split('T')[0];
+        const endDate = new Date(end.getTime() + day).toISOString().split('T')[0];
+
+        return window.mapHeatmap.createFishingEffortLayer({
+            startDate: startDate,
+            endDate: endDate,
+            label: () => windowDays > 1
+                ? window.mapI18n.t('timelapse.heatmapWindow', { days: windowDays, date: window.mapI18n.formatDate(date) })
+                : window.mapI18n.formatDate(date),
+            ramp: ramp,
+            radius: radius,
+            signal: signal
+        });
+    },
 
-                L.marker([v.latitude, v.longitude], { icon })
-                    .bindPopup(`
-                        <strong>${v.name || 'Unknown'}</strong><br>
-                        Flag: ${v.flag || 'Unknown'}<br>
-                        Type: ${v.vesselType || 'Unknown'}<br>
-                        Speed: ${v.speed?.toFixed(1) || 'N/A'} knots
-                    `)
-                    .addTo(this.vesselLayer);
+    /**
+     * Restyle the heatmap without reloading it
+     * @param {Object} style - ramp and/or radius
+     */
+    setHeatmapStyle: function(mapId, style) {
+        const state = this.getState(mapId);
+        state.heatmapOptions = Object.assign({}, state.heatmapOptions, style);
+        if (state.compare) this.setHeatmapStyle(state.compare.mapId, style);
+        if (!state.layers.heatmap) return;
+
+        // Cached frames are restyled when they are shown
+        state.layers.heatmap.setStyle(style);
+        // The legend swatches follow the ramp
+        window.leafletMap.getLayerRegistry(mapId)?.notify();
+    },
+
+    /**
+     * Load the frame for one date of a layer kind
+     * @returns {Promise<Object|null>} Frame with the layer and an optional onShow, or null when there is no data
+     */
+    loadFrame: async function(mapId, kind, date, signal) {
+        const state = this.getState(mapId);
+        const renderMode = state.players[kind]?.renderMode || 'auto';
+        let layer = null;
+
+        switch (kind) {
+            case 'bleaching':
+                layer = await this.createBleachingLayer(date, null, signal, state.bleachingVariable, mapId);
+                break;
+            case 'fishing':
+                layer = await this.createFishingLayer(mapId, date, renderMode, signal);
+                break;
+            case 'vessels':
+                return this.createVesselFrame(mapId, date, renderMode, signal);
+            case 'heatmap':
+                layer = await this.createHeatmapLayer(mapId, date, signal);
+                break;
+        }
+        return layer ? { layer: layer } : null;
+    },
+
+    /**
+     * Put a loaded frame on the map, cross-fading from the one before
+     */
+    showFrame: function(mapId, kind, frame, date) {
+        const state = this.getState(mapId);
+        const playback = state.players[kind];
+        const config = this.kinds[kind];
+        if (!playback) return;
+
+        const layer = frame?.layer || null;
+
+        // Cached frames were built with the settings of their time
+        if (kind === 'bleaching' && layer && layer.getVariable() !== state.bleachingVariable) {
+            layer.setVariable(state.bleachingVariable);
+        }
+        if (kind === 'heatmap' && layer) {
+            const { ramp, radius } = state.heatmapOptions;
+            const current = layer._options || layer.options;
+            if (current.ramp !== ramp || current.radius !== radius) layer.setStyle({ ramp, radius });
+        }
+        if (frame?.onShow) frame.onShow();
+
+        state.layers[kind] = layer;
+        playback.holder.setFrame(layer);
+
+        // The holder stays registered while there is data, so the fade is not interrupted
+        const registry = window.leafletMap.getLayerRegistry(mapId);
+        if (!layer) {
+            this.setOverlay(mapId, config.id, null);
+        } else if (registry?.getLayer(config.id) !== playback.holder) {
+            this.setOverlay(mapId, config.id, playback.holder, {
+                name: () => window.mapI18n.t(config.name),
+                legend: () => this.getLegendHtml(mapId, kind)
             });
+        } else {
+            registry.notify();
+        }
+
+        this.setCurrentDate(mapId, date);
+        if (state.compare) this.showCompareDate(mapId, kind, date);
+    },
 
-            this.vesselLayer.addTo(map);
+    getLegendHtml: function(mapId, kind) {
+        const state = this.getState(mapId);
+        switch (kind) {
+            case 'bleaching': return this.getBleachingLegendHtml(state.bleachingVariable);
+            case 'fishing': return this.getFishingLegendHtml();
+            case 'vessels': return this.getVesselLegendHtml();
+            case 'heatmap': return state.layers.heatmap?.getLegendHtml() || '';
+        }
+        return '';
+    },
 
+    /**
+     * Playback engine and frame holder for a layer kind on a map, created on first use
+     * @param {Object} options - renderMode for fishing and vessels; a change drops the cached frames
+     */
+    getPlayback: function(mapId, kind, options = {}) {
+        const mapState = this.getState(mapId);
+        let state = mapState.players[kind];
+
+        if (!state) {
+            state = {
+                renderMode: options.renderMode || 'auto',
+                holder: window.mapPlayback.createFrameLayer({ fadeDuration: this.getFadeDuration(mapState) }),
+                dotNetHelper: null,
+                player: window.mapPlayback.createPlayer(Object.assign({}, mapState.playbackOptions, {
+                    loadFrame: (date, signal) => this.loadFrame(mapId, kind, date, signal),
+                    showFrame: (frame, date) => this.showFrame(mapId, kind, frame, date),
+                    onFrame: (date, index) => {
+                        state.dotNetHelper?.invokeMethodAsync('OnFrameShown', date, index)
+                            .catch(error => console.warn('[map-timelapse] Could not report frame:', error));
+                    },
+                    onStateChange: ({ playing, buffering }) => {
+                        state.dotNetHelper?.invokeMethodAsync('OnPlaybackStateChanged', playing, buffering)
+                            .catch(error => console.warn('[map-timelapse] Could not report playback state:', error));
+                    }
+                }))
+            };
+            state.player.setDates(mapState.timeline);
+            mapState.players[kind] = state;
+        } else if (options.renderMode && options.renderMode !== state.renderMode) {
+            state.renderMode = options.renderMode;
+            state.player.invalidate();
+        }
+
+        return state;
+    },
+
+    /**
+     * Show one date through the playback engine: cached frames appear at once, and a response that
+     * arrives after a later date was asked for is dropped
+     * @returns {Promise<boolean>} False when a later request superseded this one
+     */
+    showDate: async function(mapId, kind, date, options = {}) {
+        const map = window.leafletMap?.maps?.[mapId];
+        if (!map || !window.mapPlayback) return false;
+
+        const { player } = this.getPlayback(mapId, kind, options);
+        if (!player.dates.includes(date)) {
+            // Outside the current timeline (e.g. no playback yet): add the date in order
+            player.setDates(player.dates.concat(date).sort(), 0);
+        }
+        return player.seekDate(date);
+    },
+
+    /**
+     * Set the dates on the time slider
+     * @param {Object} options - dates (yyyy-MM-dd), or startDate and endDate
+     */
+    setTimeline: function(mapId, options) {
+        const state = this.getState(mapId);
+        const dates = options.dates || window.mapPlayback.dateRange(options.startDate, options.endDate);
+        state.timeline = dates;
+        Object.values(state.players).forEach(playback => {
+            const current = playback.player.dates[playback.player.index];
+            playback.player.setDates(dates, Math.max(0, dates.indexOf(current)));
+        });
+
+        // The compared map follows the same timeline, shifted
+        if (state.compare) {
+            this.setTimeline(state.compare.mapId, { dates: dates.map(date => this.shiftDate(date, state.compare.offsetDays)) });
+        }
+    },
+
+    /**
+     * Play a layer kind through a list of dates in the browser, reporting each frame to Blazor
+     * @param {Object} options - dates (yyyy-MM-dd) or startDate and endDate, index to start from,
+     *                           fps, mode ('loop', 'pingpong' or 'once') and renderMode
+     * @param {Object} dotNetHelper - Receives OnFrameShown(date, index) and OnPlaybackStateChanged(playing, buffering)
+     */
+    play: function(mapId, kind, options = {}, dotNetHelper = null) {
+        const map = window.leafletMap?.maps?.[mapId];
+        if (!map || !window.mapPlayback || !this.kinds[kind]) return false;
+
+        this.pause(mapId);
+        this.setPlaybackOptions(mapId, options);
+        if (options.dates || options.startDate) this.setTimeline(mapId, options);
+
+        const state = this.getState(mapId);
+        const playback = this.getPlayback(mapId, kind, options);
+        const dates = state.timeline;
+        if (!dates.length) return false;
+
+        playback.dotNetHelper = dotNetHelper;
+        playback.player.setDates(dates, options.index ?? Math.max(0, dates.indexOf(state.currentDate))).play();
+        return true;
+    },
+
+    /**
+     * Pause every layer kind playing on a map
+     */
+    pause: function(mapId) {
+        Object.values(this.states[mapId]?.players || {}).forEach(playback => playback.player.pause());
+    },
+
+    /**
+     * Change frame rate and/or mode, including while playing
+     */
+    setPlaybackOptions: function(mapId, options = {}) {
+        const state = this.getState(mapId);
+        ['fps', 'mode'].forEach(key => {
+            if (options[key] !== undefined && options[key] !== null) state.playbackOptions[key] = options[key];
+        });
+        Object.values(state.players).forEach(playback => {
+            playback.player.setOptions(state.playbackOptions);
+            playback.holder.setFadeDuration(this.getFadeDuration(state));
+        });
+
+        // The compared map prefetches and fades at the same pace
+        if (state.compare) this.setPlaybackOptions(state.compare.mapId, state.playbackOptions);
+    },
+
+    // Cross-fade for at most half a frame, so fast playback still shows each frame settled
+    getFadeDuration: function(state) {
+        return Math.min(400, 500 / state.playbackOptions.fps);
+    },
+
+    /**
+     * Stop playback on a map and release its cached frames
+     */
+    disposePlayback: function(mapId) {
+        const state = this.states[mapId];
+        if (!state) return;
+
+        Object.values(state.players).forEach(playback => {
+            playback.player.dispose();
+            playback.holder.setFrame(null);
+        });
+        state.players = {};
+        state.layers = {};
+    },
+
+    /**
+     * Record the time-lapse of a layer kind as a WebM video or animated GIF: every date on the timeline
+     * is shown, then drawn with tiles, overlays, a date stamp and the legend (see mapVideo.record)
+     * @param {Object} options - format ('webm' or 'gif'), resolution ('480p', '720p' or '1080p'), fps,
+     *                           title, dates (defaults to the timeline) and download (default true)
+     * @param {Object} dotNetHelper - Receives OnExportProgress(stage, frame, total, percent)
+     * @returns {Promise<Object|null>} filename, format, bytes and frames, or null when cancelled or failed
+     */
+    exportVideo: async function(mapId, kind, options = {}, dotNetHelper = null) {
+        const map = window.leafletMap?.maps?.[mapId];
+        if (!map || !window.mapVideo || !window.mapExport || !this.kinds[kind]) return null;
+
+        const state = this.getState(mapId);
+        const dates = options.dates || state.timeline;
+        if (!dates.length) return null;
+
+        this.cancelExport(mapId);
+        this.pause(mapId);
+        const controller = new AbortController();
+        state.exporting = controller;
+
+        const playback = this.getPlayback(mapId, kind, options);
+        const startDate = state.currentDate;
+        const format = window.mapVideo.FORMATS.includes(options.format) ? options.format : 'webm';
+        // Tiles that do not change between frames are fetched once
+        const images = new Map();
+        let missingTiles = 0;
+
+        // Frames are swapped, not faded, so each one is recorded settled
+        playback.holder.setFadeDuration(0);
+        try {
+            const blob = await window.mapVideo.record({
+                format: format,
+                resolution: options.resolution || '720p',
+                fps: options.fps,
+                frameCount: dates.length,
+                signal: controller.signal,
+                drawFrame: async (index, canvas) => {
+                    await this.showDate(mapId, kind, dates[index], options);
+                    const result = await window.mapExport.renderFrame(map, {
+                        canvas: canvas,
+                        width: canvas.width,
+                        height: canvas.height,
+                        title: options.title || window.mapI18n.t(this.kinds[kind].name),
+                        stamp: dates[index],
+                        legend: window.leafletMap.getExportLegend(mapId),
+                        images: images
+                    });
+                    missingTiles = Math.max(missingTiles, result.missingTiles);
+                },
+                onProgress: ({ stage, frame, total, percent }) => {
+                    dotNetHelper?.invokeMethodAsync('OnExportProgress', stage, frame, total, percent)
+                        .catch(error => console.warn('[map-timelapse] Could not report export progress:', error));
+                }
+            });
+
+            const slug = (options.title || `${kind}-timelapse`).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+            const filename = `${slug || 'timelapse'}-${dates[0]}-${dates[dates.length - 1]}.${format}`;
+            if (options.download !== false && window.downloadBlob) {
+                window.downloadBlob(filename, blob);
+            }
+            if (missingTiles) {
+                console.warn(`[map-timelapse] Video is missing up to ${missingTiles} tiles per frame (offline and not cached)`);
+            }
+
+            return { filename: filename, format: format, bytes: blob.size, frames: dates.length };
         } catch (error) {
-            console.error('Error loading vessel data:', error);
+            if (error.name !== 'AbortError') {
+                console.error('[map-timelapse] Video export failed:', error);
+            }
+            return null;
+        } finally {
+            if (state.exporting === controller) state.exporting = null;
+            playback.holder.setFadeDuration(this.getFadeDuration(state));
+            // Back to the frame shown before, unless the map went away meanwhile
+            if (startDate && this.states[mapId] === state) this.showDate(mapId, kind, startDate, options);
+        }
+    },
+
+    /**
+     * Stop a video export in progress; nothing is downloaded
+     */
+    cancelExport: function(mapId) {
+        const controller = this.states[mapId]?.exporting;
+        if (!controller) return false;
+
+        controller.abort();
+        this.states[mapId].exporting = null;
+        return true;
+    },
+
+    /**
+     * Compare two dates on two maps driven by one timeline: every frame shown on mapId is shown on
+     * compareMapId shifted by offsetDays (e.g. -365 for the same day a year earlier)
+     * @param {Object} options - offsetDays, and link (default true) to pan and zoom the maps together
+     */
+    compareDates: function(mapId, compareMapId, options = {}) {
+        const maps = window.leafletMap?.maps || {};
+        if (!maps[mapId] || !maps[compareMapId] || mapId === compareMapId) return false;
+
+        this.stopCompare(mapId);
+        this.stopCompare(compareMapId);
+
+        const state = this.getState(mapId);
+        const linked = options.link !== false && window.leafletMap.linkMaps([mapId, compareMapId]);
+        state.compare = { mapId: compareMapId, offsetDays: options.offsetDays ?? -365, linked: linked };
+
+        // The compared map follows this one's settings and timeline; its own playback stops
+        const follower = this.getState(compareMapId);
+        this.pause(compareMapId);
+        follower.bleachingVariable = state.bleachingVariable;
+        this.setHeatmapOptions(compareMapId, state.heatmapOptions);
+        this.setPlaybackOptions(mapId, {});
+        this.setTimeline(mapId, { dates: state.timeline });
+
+        // Bring the compared map to the frames already on screen
+        Object.keys(state.players).forEach(kind => {
+            if (state.layers[kind] && state.currentDate) this.showCompareDate(mapId, kind, state.currentDate);
+        });
+        return true;
+    },
+
+    /**
+     * Leave compare mode and clear the compared map's time-lapse layers
+     */
+    stopCompare: function(mapId) {
+        const compare = this.states[mapId]?.compare;
+        if (!compare) return false;
+
+        this.states[mapId].compare = null;
+        if (compare.linked) {
+            window.leafletMap.unlinkMap(mapId);
+            window.leafletMap.unlinkMap(compare.mapId);
         }
+        this.clearAllLayers(compare.mapId);
+        return true;
+    },
+
+    /**
+     * Date shown on the compared map for a date on the leading map
+     */
+    getCompareDate: function(mapId, date) {
+        const compare = this.states[mapId]?.compare;
+        return compare && date ? this.shiftDate(date, compare.offsetDays) : null;
+    },
+
+    // Show the compared map's frame for a date on the leading map
+    showCompareDate: function(mapId, kind, date) {
+        const state = this.getState(mapId);
+        const { mapId: compareMapId, offsetDays } = state.compare;
+        const playback = this.getPlayback(compareMapId, kind, { renderMode: state.players[kind]?.renderMode });
+
+        // Prefetch in the direction the leading map is playing
+        playback.player.direction = state.players[kind]?.player.direction ?? 1;
+        return this.showDate(compareMapId, kind, this.shiftDate(date, offsetDays));
+    },
+
+    shiftDate: function(date, days) {
+        const shifted = new Date(`${date}T00:00:00Z`);
+        shifted.setUTCDate(shifted.getUTCDate() + days);
+        return shifted.toISOString().split('T')[0];
     },
 
     /**
-     * Get color based on DHW value
+     * Stop time-lapse on a map and forget its state, e.g. when the map is removed
+     */
+    dispose: function(mapId) {
+        this.cancelExport(mapId);
+        this.stopCompare(mapId);
+        Object.keys(this.states).forEach(id => {
+            if (this.states[id].compare?.mapId === mapId) this.stopCompare(id);
+        });
+        this.disposePlayback(mapId);
+        window.mapStations?.clearPins(mapId);
+        delete this.states[mapId];
+    },
+
+    /**
+     * Remember the restricted zone a vessel is in and report entries and exits since the last frame
+     */
+    trackVesselZone: function(mapId, vessel) {
+        const key = vessel.mmsi || vessel.vesselId || vessel.name;
+        if (!key) return null;
+
+        const vesselZones = this.getState(mapId).vesselZones;
+        const zone = vessel.zone?.isRestricted ? vessel.zone : null;
+        const isFirstSighting = !(key in vesselZones);
+        const previous = vesselZones[key] || null;
+        vesselZones[key] = zone;
+
+        if (isFirstSighting) return null;
+
+        if ((previous?.mpaId ?? null) === (zone?.mpaId ?? null)) return null;
+        return zone
+            ? { type: 'entry', mpaName: zone.mpaName, protectionLevel: zone.protectionLevel }
+            : { type: 'exit', mpaName: previous.mpaName, protectionLevel: previous.protectionLevel };
+    },
+
+    /**
+     * Remember the date on screen so shared links reopen the same frame
+     */
+    setCurrentDate: function(mapId, date) {
+        this.getState(mapId).currentDate = date;
+        window.leafletMap.updateUrlState(mapId);
+    },
+
+    /**
+     * Register a time-lapse layer with the map's overlay registry, or remove it when there is no layer
+     */
+    setOverlay: function(mapId, id, layer, meta) {
+        if (layer) {
+            window.leafletMap.addOverlay(mapId, id, layer, meta);
+        } else {
+            window.leafletMap.removeOverlay(mapId, id);
+        }
+    },
+
+    getBleachingLegendHtml: function(variable = 'dhw') {
+        const { t, formatNumber } = window.mapI18n;
+        const bands = {
+            dhw: [
+                { color: this.getDhwColor(8), label: t('bleaching.dhwCritical') },
+                { color: this.getDhwColor(4), label: t('bleaching.dhwHigh') },
+                { color: this.getDhwColor(1), label: t('bleaching.dhwMedium') },
+                { color: this.getDhwColor(0.5), label: t('bleaching.dhwLow') },
+                { color: this.getDhwColor(0), label: t('bleaching.noStress') }
+            ],
+            sst: [
+                { color: this.getSstColor(30), label: t('bleaching.sstAbove', { value: formatNumber(30) }) },
+                ...[29, 28, 27, 26].map(from => ({
+                    color: this.getSstColor(from),
+                    label: t('bleaching.sstRange', { from: formatNumber(from), to: formatNumber(from + 1) })
+                })),
+                { color: this.getSstColor(25), label: t('bleaching.sstBelow', { value: formatNumber(26) }) }
+            ],
+            alert: [5, 4, 3, 2, 1, 0].map(level => ({
+                color: this.getAlertLevelColor(level),
+                label: level === 5 ? t('bleaching.alertTop') : this.getAlertLevelName(level)
+            }))
+        }[variable] || [];
+        const title = this.getBleachingVariables()[variable]?.label || t('bleaching.title');
+
+        return `
+            <div class="legend-section" role="list" aria-label="${t('bleaching.title')}: ${title}">
+                <div class="legend-title">${title}</div>
+                ${bands.map(b => `
+                    <div class="legend-item" role="listitem">
+                        <span class="legend-color" style="background: ${b.color};" aria-hidden="true"></span>
+                        <span class="legend-label">${b.label}</span>
+                    </div>`).join('')}
+            </div>`;
+    },
+
+    getFishingLegendHtml: function() {
+        const t = window.mapI18n.t;
+        return `
+            <div class="legend-section" role="list" aria-label="${t('timelapse.fishingTitle')}">
+                <div class="legend-title">${t('timelapse.fishingTitle')}</div>
+                <div class="legend-item" role="listitem">
+                    <span class="legend-dot" style="background: ${window.mapPalette.getCategory('marker', 'point')};" aria-hidden="true"></span>
+                    <span class="legend-label">${t('timelapse.fishingEvent')}</span>
+                </div>
+                <div class="legend-item legend-item-warning" role="listitem">
+                    <span class="legend-dot violation" aria-hidden="true"></span>
+                    <span class="legend-label">${t('fishing.insideMpa')}</span>
+                    <span class="legend-icon" aria-hidden="true">⚠️</span>
+                </div>
+            </div>`;
+    },
+
+    getVesselLegendHtml: function() {
+        const t = window.mapI18n.t;
+        return `
+            <div class="legend-section" role="list" aria-label="${t('timelapse.vesselLayer')}">
+                <div class="legend-title">${t('timelapse.vessels')}</div>
+                <div class="legend-item" role="listitem">
+                    <span class="legend-dot" style="background: ${window.mapPalette.getCategory('marker', 'point')};" aria-hidden="true"></span>
+                    <span class="legend-label">${t('timelapse.vesselPosition')}</span>
+                </div>
+                <div class="legend-item legend-item-warning" role="listitem">
+                    <span class="legend-dot violation" aria-hidden="true"></span>
+                    <span class="legend-label">${t('timelapse.insideRestricted')}</span>
+                </div>
+            </div>`;
+    },
+
+    /**
+     * Get color based on DHW value: no stress, low (under 1), medium (1-4), high (4-8), critical (8+)
      */
     getDhwColor: function(dhw) {
-        if (dhw >= 8) return '#ef4444';      // Critical - bright red
-        if (dhw >= 4) return '#fd7e14';      // High - orange
-        if (dhw >= 1) return '#f7c549';      // Medium - yellow
-        if (dhw > 0) return '#22c55e';       // Low - green
-        return '#58a6ff';                     // No stress - blue
+        const steps = window.mapPalette.getSteps('dhw', 5);
+        if (dhw >= 8) return steps[4];
+        if (dhw >= 4) return steps[3];
+        if (dhw >= 1) return steps[2];
+        if (dhw > 0) return steps[1];
+        return steps[0];
+    },
+
+    /**
+     * Get color for a sea surface temperature in °C (corals bleach above about 29-30 °C in the Bahamas)
+     */
+    getSstColor: function(sst) {
+        const steps = window.mapPalette.getSteps('sst', 6);
+        return Number.isFinite(sst) ? steps[Math.max(0, Math.min(5, Math.floor(sst) - 25))] : steps[0];
+    },
+
+    /**
+     * Get color for a Coral Reef Watch alert level (0 No Stress to 7 Alert Level 5); the standard palette
+     * follows NOAA's colors, and Alert Levels 3-5 share the top color
+     */
+    getAlertLevelColor: function(level) {
+        const steps = window.mapPalette.getSteps('alert', 6);
+        return steps[Math.max(0, Math.min(5, Math.floor(level || 0)))];
+    },
+
+    /**
+     * Redraw every time-lapse layer and legend in the current palette
+     */
+    applyPalette: function() {
+        Object.entries(this.states).forEach(([mapId, state]) => {
+            Object.entries(state.players).forEach(([kind, playback]) => {
+                const frames = new Set(Array.from(playback.player.cache.values(), entry => entry.frame?.layer)
+                    .concat(state.layers[kind]).filter(Boolean));
+                if (kind === 'bleaching') {
+                    // Surfaces keep their interpolated values and only repaint
+                    frames.forEach(layer => layer.recolor());
+                } else if (kind === 'heatmap') {
+                    frames.forEach(layer => layer.setStyle({}));
+                } else {
+                    // Markers carry their colors, so fishing and vessel frames are rebuilt
+                    playback.player.invalidate();
+                    if (state.layers[kind] && state.currentDate && !playback.player.playing) {
+                        this.showDate(mapId, kind, state.currentDate);
+                    }
+                }
+            });
+            window.leafletMap.getLayerRegistry(mapId)?.notify();
+        });
+    },
+
+    getAlertLevelName: function(level) {
+        const t = window.mapI18n.t;
+        const rounded = Math.round(level);
+        return rounded <= 2 ? t(`bleaching.alertLevel.${Math.max(0, rounded)}`) : t('bleaching.alertLevel.n', { level: rounded - 2 });
     },
 
     /**
@@ -191,17 +1058,15 @@ window.mapTimeLapse = {
         const map = window.leafletMap?.maps?.[mapId];
         if (!map) return;
 
-        if (this.bleachingLayer) {
-            map.removeLayer(this.bleachingLayer);
-            this.bleachingLayer = null;
-        }
-        if (this.fishingLayer) {
-            map.removeLayer(this.fishingLayer);
-            this.fishingLayer = null;
-        }
-        if (this.vesselLayer) {
-            map.removeLayer(this.vesselLayer);
-            this.vesselLayer = null;
-        }
+        this.disposePlayback(mapId);
+        Object.values(this.kinds).forEach(config => this.setOverlay(mapId, config.id, null));
+        this.getState(mapId).vesselZones = {};
+        this.setCurrentDate(mapId, null);
+
+        const compare = this.states[mapId].compare;
+        if (compare) this.clearAllLayers(compare.mapId);
     }
 };
+
+// Time-lapse layers follow the user's palette
+window.mapPalette?.onChange(() => window.mapTimeLapse.applyPalette());
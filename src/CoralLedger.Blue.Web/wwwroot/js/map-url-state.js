@@ -0,0 +1,127 @@
+/**
+ * Map URL State - Keeps a map's view in the URL hash so it survives reloads and can be shared
+ * Format: #map=<zoom>/<lat>/<lng>&theme=<id>&layers=<id,id>&date=<yyyy-MM-dd>&mpa=<id>
+ */
+window.mapUrlState = (function() {
+    const WRITE_DELAY_MS = 250;
+    const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+    let writeTimer = null;
+
+    /**
+     * Parse a URL hash into map state; missing or malformed values are left out
+     * @param {string} hash - URL hash, with or without the leading #
+     * @returns {Object} lat, lng, zoom, theme, layers, date and mpa where present
+     */
+    function parse(hash) {
+        const query = (hash || '').replace(/^#/, '');
+        const params = new URLSearchParams(query);
+        const state = {};
+
+        const view = (params.get('map') || '').split('/').map(Number);
+        if (view.length === 3 && view.every(Number.isFinite) &&
+            Math.abs(view[1]) <= 90 && Math.abs(view[2]) <= 180) {
+            state.zoom = view[0];
+            state.lat = view[1];
+            state.lng = view[2];
+        }
+
+        if (params.get('theme')) state.theme = params.get('theme');
+        // Split layers before decoding, so an encoded comma stays inside its layer ID
+        const layers = query.split('&').find(part => part.startsWith('layers='));
+        if (layers !== undefined) state.layers = layers.slice('layers='.length).split(',').filter(Boolean).map(decode);
+        if (DATE_PATTERN.test(params.get('date') || '')) state.date = params.get('date');
+        if (params.get('mpa')) state.mpa = params.get('mpa');
+
+        return state;
+    }
+
+    function decode(value) {
+        try {
+            return decodeURIComponent(value.replace(/\+/g, ' '));
+        } catch (error) {
+            return value;
+        }
+    }
+
+    /**
+     * Encode map state as a URL hash (without the leading #)
+     */
+    function serialize(state) {
+        const parts = [];
+
+        if (Number.isFinite(state.zoom) && Number.isFinite(state.lat) && Number.isFinite(state.lng)) {
+            // More decimals as the zoom increases, the same rule openstreetmap.org links use
+            const precision = Math.max(0, Math.ceil(Math.log(Math.max(state.zoom, 1)) / Math.LN2));
+            const zoom = Math.round(state.zoom * 100) / 100;
+            parts.push(`map=${zoom}/${state.lat.toFixed(precision)}/${state.lng.toFixed(precision)}`);
+        }
+        if (state.theme) parts.push(`theme=${encodeURIComponent(state.theme)}`);
+        if (state.layers) parts.push(`layers=${state.layers.map(encodeURIComponent).join(',')}`);
+        if (state.date) parts.push(`date=${state.date}`);
+        if (state.mpa) parts.push(`mpa=${encodeURIComponent(state.mpa)}`);
+
+        return parts.join('&');
+    }
+
+    /**
+     * Map state from the current URL
+     */
+    function read() {
+        return parse(location.hash);
+    }
+
+    /**
+     * One value from the current URL state (callable from Blazor)
+     * @param {string} key - lat, lng, zoom, theme, layers, date or mpa
+     */
+    function get(key) {
+        return read()[key] ?? null;
+    }
+
+    /**
+     * Replace the URL hash without adding a history entry
+     */
+    function write(state) {
+        clearTimeout(writeTimer);
+        writeTimer = null;
+        if (!state) return;
+
+        const hash = serialize(state);
+        const url = location.pathname + location.search + (hash ? `#${hash}` : '');
+        if (url !== location.pathname + location.search + location.hash) {
+            // Keep history.state, Blazor's router stores its own entries there
+            history.replaceState(history.state, '', url);
+        }
+    }
+
+    /**
+     * Write the state returned by getState once changes settle (pans fire many events)
+     * @param {Function} getState - Returns the state to write
+     */
+    function schedule(getState) {
+        clearTimeout(writeTimer);
+        writeTimer = setTimeout(() => write(getState()), WRITE_DELAY_MS);
+    }
+
+    /**
+     * Call listener with the parsed state when the user edits the hash or follows a link to it
+     * replaceState never fires hashchange, so only outside changes reach the listener
+     * @returns {Function} Unsubscribe function
+     */
+    function onExternalChange(listener) {
+        const handler = () => listener(read());
+        window.addEventListener('hashchange', handler);
+        return () => window.removeEventListener('hashchange', handler);
+    }
+
+    return {
+        parse,
+        serialize,
+        read,
+        get,
+        write,
+        schedule,
+        onExternalChange
+    };
+})();
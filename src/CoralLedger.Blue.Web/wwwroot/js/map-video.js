@@ -0,0 +1,401 @@
+/**
+ * Map Video - Records an animation drawn onto a canvas as a WebM video or an animated GIF
+ * Frames are drawn one at a time by the caller, so slow tile loads never stretch the timing: WebM is
+ * recorded with the recorder paused between frames, and GIF frames carry their delay explicitly.
+ * Everything runs in the browser; nothing is uploaded.
+ */
+window.mapVideo = (function() {
+    const FORMATS = ['webm', 'gif'];
+
+    const RESOLUTIONS = {
+        '480p': [854, 480],
+        '720p': [1280, 720],
+        '1080p': [1920, 1080]
+    };
+
+    const FPS_OPTIONS = [1, 2, 4, 8, 12];
+
+    const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+    function getWebmType() {
+        if (typeof MediaRecorder === 'undefined' || typeof MediaRecorder.isTypeSupported !== 'function') {
+            return null;
+        }
+        return WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    /**
+     * Whether this browser can record the given format (GIF is encoded here and always works)
+     */
+    function isSupported(format) {
+        if (format === 'gif') return true;
+        if (format === 'webm') {
+            return !!getWebmType() && typeof HTMLCanvasElement !== 'undefined' &&
+                typeof HTMLCanvasElement.prototype.captureStream === 'function';
+        }
+        return false;
+    }
+
+    function delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    function abortError() {
+        return new DOMException('Video export cancelled', 'AbortError');
+    }
+
+    // ---- WebM ----
+
+    /**
+     * Records the canvas through MediaRecorder. The stream only takes a frame when asked, and the
+     * recorder is resumed just long enough to hold each frame for 1/fps seconds.
+     */
+    function WebmEncoder(canvas, fps) {
+        this.canvas = canvas;
+        this.fps = fps;
+        this.type = getWebmType();
+        this.chunks = [];
+        this.stream = canvas.captureStream(0);
+        this.track = this.stream.getVideoTracks()[0];
+        this.recorder = new MediaRecorder(this.stream, {
+            mimeType: this.type,
+            videoBitsPerSecond: Math.round(canvas.width * canvas.height * 6)
+        });
+        this.recorder.ondataavailable = (e) => {
+            if (e.data && e.data.size) this.chunks.push(e.data);
+        };
+    }
+
+    WebmEncoder.prototype = {
+        start: function() {
+            this.recorder.start();
+            this.recorder.pause();
+        },
+
+        addFrame: async function() {
+            this.recorder.resume();
+            if (this.track.requestFrame) {
+                this.track.requestFrame();
+            }
+            await delay(1000 / this.fps);
+            this.recorder.pause();
+        },
+
+        finish: function() {
+            return new Promise((resolve, reject) => {
+                this.recorder.onstop = () => {
+                    this.release();
+                    resolve(new Blob(this.chunks, { type: 'video/webm' }));
+                };
+                this.recorder.onerror = (e) => {
+                    this.release();
+                    reject(e.error || new Error('Recording failed'));
+                };
+                this.recorder.stop();
+            });
+        },
+
+        abort: function() {
+            if (this.recorder.state !== 'inactive') {
+                this.recorder.onstop = null;
+                this.recorder.stop();
+            }
+            this.release();
+        },
+
+        release: function() {
+            this.stream.getTracks().forEach(track => track.stop());
+        }
+    };
+
+    // ---- GIF ----
+
+    /**
+     * Median cut over a 15-bit color histogram: each frame gets its own palette of up to 256 colors
+     * @returns {Object} palette (RGB bytes), bits (log2 of the palette size) and indices (one per pixel)
+     */
+    function quantize(data) {
+        const pixelCount = data.length / 4;
+        const keys = new Uint16Array(pixelCount);
+        const histogram = new Uint32Array(32768);
+        for (let i = 0, p = 0; i < pixelCount; i++, p += 4) {
+            const key = ((data[p] >> 3) << 10) | ((data[p + 1] >> 3) << 5) | (data[p + 2] >> 3);
+            keys[i] = key;
+            histogram[key]++;
+        }
+
+        const colors = [];
+        for (let key = 0; key < 32768; key++) {
+            if (histogram[key]) colors.push(key);
+        }
+
+        const boxes = [makeBox(colors, histogram)];
+        while (boxes.length < 256) {
+            let best = -1;
+            let bestScore = 0;
+            boxes.forEach((box, i) => {
+                const score = box.colors.length > 1 ? box.range * box.count : 0;
+                if (score > bestScore) {
+                    best = i;
+                    bestScore = score;
+                }
+            });
+            if (best < 0) break;
+            boxes.splice(best, 1, ...splitBox(boxes[best], histogram));
+        }
+
+        let bits = 1;
+        while ((1 << bits) < boxes.length) bits++;
+
+        const palette = new Uint8Array(3 << bits);
+        const lookup = new Uint8Array(32768);
+        boxes.forEach((box, index) => {
+            let r = 0, g = 0, b = 0;
+            box.colors.forEach(key => {
+                const n = histogram[key];
+                r += (key >> 10) * n;
+                g += ((key >> 5) & 31) * n;
+                b += (key & 31) * n;
+                lookup[key] = index;
+            });
+            const expand = (v) => Math.min(255, Math.round(v / box.count * 255 / 31));
+            palette[index * 3] = expand(r);
+            palette[index * 3 + 1] = expand(g);
+            palette[index * 3 + 2] = expand(b);
+        });
+
+        const indices = new Uint8Array(pixelCount);
+        for (let i = 0; i < pixelCount; i++) {
+            indices[i] = lookup[keys[i]];
+        }
+        return { palette: palette, bits: bits, indices: indices };
+    }
+
+    const CHANNELS = [(key) => key >> 10, (key) => (key >> 5) & 31, (key) => key & 31];
+
+    function makeBox(colors, histogram) {
+        const min = [31, 31, 31];
+        const max = [0, 0, 0];
+        let count = 0;
+        colors.forEach(key => {
+            count += histogram[key];
+            CHANNELS.forEach((channel, c) => {
+                const v = channel(key);
+                if (v < min[c]) min[c] = v;
+                if (v > max[c]) max[c] = v;
+            });
+        });
+        const ranges = max.map((v, c) => v - min[c]);
+        const channel = ranges.indexOf(Math.max(...ranges));
+        return { colors: colors, count: count, channel: channel, range: ranges[channel] };
+    }
+
+    // Split at the pixel-weighted median of the box's widest channel
+    function splitBox(box, histogram) {
+        const channel = CHANNELS[box.channel];
+        const sorted = box.colors.slice().sort((a, b) => channel(a) - channel(b));
+        let seen = 0;
+        let at = 1;
+        for (; at < sorted.length - 1; at++) {
+            seen += histogram[sorted[at - 1]];
+            if (seen * 2 >= box.count) break;
+        }
+        return [makeBox(sorted.slice(0, at), histogram), makeBox(sorted.slice(at), histogram)];
+    }
+
+    /**
+     * Variable-width LZW as GIF expects it, packed into 255-byte sub-blocks
+     */
+    function lzwEncode(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const bytes = [];
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map();
+        let bitBuffer = 0;
+        let bitCount = 0;
+
+        const emit = (code) => {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                bytes.push(bitBuffer & 0xff);
+                bitBuffer >>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        emit(clearCode);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const k = indices[i];
+            const key = (prefix << 8) | k;
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+            emit(prefix);
+            if (nextCode === 4096) {
+                emit(clearCode);
+                table = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
+            }
+            prefix = k;
+        }
+        emit(prefix);
+        emit(endCode);
+        if (bitCount > 0) bytes.push(bitBuffer & 0xff);
+
+        const blockCount = Math.ceil(bytes.length / 255);
+        const out = new Uint8Array(bytes.length + blockCount + 1);
+        let o = 0;
+        for (let i = 0; i < bytes.length; i += 255) {
+            const length = Math.min(255, bytes.length - i);
+            out[o++] = length;
+            for (let j = 0; j < length; j++) out[o++] = bytes[i + j];
+        }
+        out[o] = 0;
+        return out;
+    }
+
+    function uint16(value) {
+        return [value & 0xff, (value >> 8) & 0xff];
+    }
+
+    function ascii(text) {
+        return Array.from(text, ch => ch.charCodeAt(0));
+    }
+
+    /**
+     * Builds an animated GIF89a that loops forever, one local palette per frame
+     */
+    function GifEncoder(canvas, fps) {
+        this.canvas = canvas;
+        this.delay = Math.max(2, Math.round(100 / fps));   // Hundredths of a second; browsers slow anything lower
+        this.parts = [];
+    }
+
+    GifEncoder.prototype = {
+        start: function() {
+            const { width, height } = this.canvas;
+            this.parts.push(new Uint8Array([
+                ...ascii('GIF89a'),
+                ...uint16(width), ...uint16(height),
+                0x00, 0x00, 0x00,                                   // No global color table
+                0x21, 0xff, 0x0b, ...ascii('NETSCAPE2.0'),
+                0x03, 0x01, ...uint16(0), 0x00                      // Loop forever
+            ]));
+        },
+
+        addFrame: async function() {
+            const { width, height } = this.canvas;
+            const pixels = this.canvas.getContext('2d').getImageData(0, 0, width, height).data;
+            this.parts.push(encodeGifFrame(pixels, width, height, this.delay));
+            // Let the page breathe between frames; quantizing a large frame takes a moment
+            await delay(0);
+        },
+
+        finish: async function() {
+            this.parts.push(new Uint8Array([0x3b]));
+            return new Blob(this.parts, { type: 'image/gif' });
+        },
+
+        abort: function() {
+            this.parts = [];
+        }
+    };
+
+    function encodeGifFrame(pixels, width, height, delayCs) {
+        const { palette, bits, indices } = quantize(pixels);
+        const minCodeSize = Math.max(2, bits);
+        const header = new Uint8Array([
+            0x21, 0xf9, 0x04, 0x04, ...uint16(delayCs), 0x00, 0x00, // Graphic control: keep previous frame, delay
+            0x2c, ...uint16(0), ...uint16(0), ...uint16(width), ...uint16(height),
+            0x80 | (bits - 1)                                       // Local color table of 2^bits entries
+        ]);
+        const data = lzwEncode(indices, minCodeSize);
+
+        const frame = new Uint8Array(header.length + palette.length + 1 + data.length);
+        frame.set(header, 0);
+        frame.set(palette, header.length);
+        frame[header.length + palette.length] = minCodeSize;
+        frame.set(data, header.length + palette.length + 1);
+        return frame;
+    }
+
+    // ---- Recording ----
+
+    /**
+     * Record an animation frame by frame
+     * @param {Object} options
+     * @param {string} options.format - 'webm' or 'gif'
+     * @param {string} [options.resolution] - Key of RESOLUTIONS; or pass width and height
+     * @param {number} [options.fps] - Frames per second of the output
+     * @param {number} options.frameCount - Number of frames
+     * @param {Function} options.drawFrame - async (index, canvas) => void; draws frame `index` onto the canvas
+     * @param {Function} [options.onProgress] - ({ stage, frame, total, percent }) => void
+     * @param {AbortSignal} [options.signal] - Cancels the recording
+     * @returns {Promise<Blob>} The encoded video or GIF
+     */
+    async function record(options) {
+        const format = FORMATS.includes(options.format) ? options.format : 'webm';
+        if (!isSupported(format)) {
+            throw new Error(`${format.toUpperCase()} recording is not supported in this browser`);
+        }
+
+        const [width, height] = RESOLUTIONS[options.resolution] || [options.width || 1280, options.height || 720];
+        const fps = Math.min(30, Math.max(0.5, Number(options.fps) || 2));
+        const total = options.frameCount;
+        const signal = options.signal;
+        const report = (stage, frame) => {
+            if (options.onProgress) {
+                options.onProgress({
+                    stage: stage,
+                    frame: frame,
+                    total: total,
+                    percent: total ? Math.round(frame / total * 100) : 100
+                });
+            }
+        };
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const encoder = format === 'gif' ? new GifEncoder(canvas, fps) : new WebmEncoder(canvas, fps);
+        encoder.start();
+        try {
+            for (let i = 0; i < total; i++) {
+                if (signal?.aborted) throw abortError();
+                report('rendering', i);
+                await options.drawFrame(i, canvas);
+                if (signal?.aborted) throw abortError();
+                await encoder.addFrame();
+            }
+            report('encoding', total);
+            const blob = await encoder.finish();
+            report('done', total);
+            return blob;
+        } catch (error) {
+            encoder.abort();
+            throw error;
+        }
+    }
+
+    return {
+        record,
+        isSupported,
+        encodeGifFrame,
+        lzwEncode,
+        quantize,
+        RESOLUTIONS,
+        FPS_OPTIONS,
+        FORMATS
+    };
+})();
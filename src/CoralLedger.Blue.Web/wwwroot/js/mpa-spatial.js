@@ -0,0 +1,420 @@
+/**
+ * MPA Spatial - Client-side geometry tests against MPA GeoJSON
+ * Works on cached /api/mpas/geojson data so containment checks keep working offline
+ */
+window.mpaSpatial = (function() {
+    // Strictest protection first, used to order results
+    const PROTECTION_ORDER = ['NoTake', 'HighlyProtected', 'LightlyProtected'];
+
+    // Feature bounding boxes, computed once per feature object
+    const bboxCache = new WeakMap();
+
+    /**
+     * Ray-casting test for a point against a single linear ring
+     * @param {number} lng - Longitude of the point
+     * @param {number} lat - Latitude of the point
+     * @param {Array} ring - Array of [lng, lat] positions
+     * @returns {boolean} True when the point is inside the ring
+     */
+    function pointInRing(lng, lat, ring) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const xi = ring[i][0], yi = ring[i][1];
+            const xj = ring[j][0], yj = ring[j][1];
+
+            const crosses = (yi > lat) !== (yj > lat) &&
+                lng < (xj - xi) * (lat - yi) / (yj - yi) + xi;
+            if (crosses) inside = !inside;
+        }
+        return inside;
+    }
+
+    /**
+     * Proper or touching intersection of segments ab and cd
+     * @param {Array} a - [lng, lat] start of the first segment
+     * @param {Array} b - [lng, lat] end of the first segment
+     * @param {Array} c - [lng, lat] start of the second segment
+     * @param {Array} d - [lng, lat] end of the second segment
+     * @returns {boolean} True when the segments share a point
+     */
+    function segmentsIntersect(a, b, c, d) {
+        const cross = (o, p, q) => (p[0] - o[0]) * (q[1] - o[1]) - (p[1] - o[1]) * (q[0] - o[0]);
+        const onSegment = (o, p, q) => Math.min(o[0], p[0]) <= q[0] && q[0] <= Math.max(o[0], p[0]) &&
+            Math.min(o[1], p[1]) <= q[1] && q[1] <= Math.max(o[1], p[1]);
+
+        const d1 = cross(c, d, a);
+        const d2 = cross(c, d, b);
+        const d3 = cross(a, b, c);
+        const d4 = cross(a, b, d);
+        if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+            return true;
+        }
+        return (d1 === 0 && onSegment(c, d, a)) || (d2 === 0 && onSegment(c, d, b)) ||
+            (d3 === 0 && onSegment(a, b, c)) || (d4 === 0 && onSegment(a, b, d));
+    }
+
+    /**
+     * Rings of a Polygon or MultiPolygon geometry, holes included
+     * @param {Object} geometry - GeoJSON geometry
+     * @returns {Array} Arrays of [lng, lat] positions
+     */
+    function geometryRings(geometry) {
+        switch (geometry?.type) {
+            case 'Polygon':
+                return geometry.coordinates;
+            case 'MultiPolygon':
+                return geometry.coordinates.flat();
+            case 'GeometryCollection':
+                return geometry.geometries.flatMap(geometryRings);
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Test a point against polygon coordinates (outer ring followed by holes)
+     * @param {number} lng - Longitude of the point
+     * @param {number} lat - Latitude of the point
+     * @param {Array} rings - GeoJSON Polygon coordinates
+     * @returns {boolean} True when inside the outer ring and outside every hole
+     */
+    function pointInPolygon(lng, lat, rings) {
+        if (!rings.length || !pointInRing(lng, lat, rings[0])) {
+            return false;
+        }
+        for (let i = 1; i < rings.length; i++) {
+            if (pointInRing(lng, lat, rings[i])) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Test a point against a Polygon or MultiPolygon geometry
+     * @param {Object} geometry - GeoJSON geometry
+     * @param {number} lat - Latitude of the point
+     * @param {number} lng - Longitude of the point
+     * @returns {boolean} True when the geometry contains the point
+     */
+    function geometryContains(geometry, lat, lng) {
+        if (!geometry) return false;
+
+        switch (geometry.type) {
+            case 'Polygon':
+                return pointInPolygon(lng, lat, geometry.coordinates);
+            case 'MultiPolygon':
+                return geometry.coordinates.some(polygon => pointInPolygon(lng, lat, polygon));
+            case 'GeometryCollection':
+                return geometry.geometries.some(g => geometryContains(g, lat, lng));
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Compute [minLng, minLat, maxLng, maxLat] for a geometry
+     * @param {Object} geometry - GeoJSON geometry
+     * @returns {Array|null} Bounding box, or null for empty geometry
+     */
+    function getBoundingBox(geometry) {
+        const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+
+        const visit = (coords) => {
+            if (typeof coords[0] === 'number') {
+                if (coords[0] < bbox[0]) bbox[0] = coords[0];
+                if (coords[1] < bbox[1]) bbox[1] = coords[1];
+                if (coords[0] > bbox[2]) bbox[2] = coords[0];
+                if (coords[1] > bbox[3]) bbox[3] = coords[1];
+                return;
+            }
+            coords.forEach(visit);
+        };
+
+        if (geometry?.type === 'GeometryCollection') {
+            geometry.geometries.forEach(g => {
+                const inner = getBoundingBox(g);
+                if (inner) visit([[inner[0], inner[1]], [inner[2], inner[3]]]);
+            });
+        } else if (geometry?.coordinates) {
+            visit(geometry.coordinates);
+        }
+
+        return bbox[0] === Infinity ? null : bbox;
+    }
+
+    function getFeatureBoundingBox(feature) {
+        if (!bboxCache.has(feature)) {
+            bboxCache.set(feature, getBoundingBox(feature.geometry));
+        }
+        return bboxCache.get(feature);
+    }
+
+    function bboxContains(bbox, lat, lng) {
+        return bbox && lng >= bbox[0] && lng <= bbox[2] && lat >= bbox[1] && lat <= bbox[3];
+    }
+
+    /**
+     * Summarize an MPA feature for callers and Blazor
+     * @param {Object} feature - GeoJSON MPA feature
+     * @returns {Object} Id, name and protection level
+     */
+    function describeFeature(feature) {
+        const props = feature.properties || {};
+        return {
+            id: feature.id ?? props.Id ?? null,
+            name: props.Name || null,
+            protectionLevel: props.ProtectionLevel || null
+        };
+    }
+
+    function protectionRank(level) {
+        const index = PROTECTION_ORDER.indexOf(level);
+        return index === -1 ? PROTECTION_ORDER.length : index;
+    }
+
+    /**
+     * Find every MPA feature containing a point, strictest protection first
+     * @param {Object|Array} geojson - FeatureCollection or array of features
+     * @param {number} lat - Latitude of the point
+     * @param {number} lng - Longitude of the point
+     * @returns {Array} Matching features
+     */
+    function findContainingFeatures(geojson, lat, lng) {
+        const features = Array.isArray(geojson) ? geojson : (geojson?.features || []);
+
+        return features
+            .filter(feature => {
+                // Bounding box check first; most MPAs are rejected without touching their rings
+                return bboxContains(getFeatureBoundingBox(feature), lat, lng) &&
+                    geometryContains(feature.geometry, lat, lng);
+            })
+            .sort((a, b) => protectionRank(a.properties?.ProtectionLevel) - protectionRank(b.properties?.ProtectionLevel));
+    }
+
+    /**
+     * Find every MPA containing a point as plain summaries
+     * @param {Object|Array} geojson - FeatureCollection or array of features
+     * @param {number} lat - Latitude of the point
+     * @param {number} lng - Longitude of the point
+     * @returns {Array} Summaries with id, name and protectionLevel
+     */
+    function findContainingMpas(geojson, lat, lng) {
+        return findContainingFeatures(geojson, lat, lng).map(describeFeature);
+    }
+
+    /**
+     * Check whether a protection level counts as a restricted zone for vessel activity
+     * @param {string} level - MPA protection level
+     * @returns {boolean} True for NoTake and HighlyProtected
+     */
+    function isRestricted(level) {
+        return level === 'NoTake' || level === 'HighlyProtected';
+    }
+
+    /**
+     * Build a grid spatial index over MPA features
+     * @param {Object|Array} geojson - FeatureCollection or array of features
+     * @param {number} cellSize - Grid cell size in degrees
+     * @returns {Object} Index with classifyPoint and classifyTrack
+     */
+    function createIndex(geojson, cellSize = 0.1) {
+        const features = Array.isArray(geojson) ? geojson : (geojson?.features || []);
+        const cells = new Map();
+        const cellKey = (cx, cy) => `${cx}:${cy}`;
+
+        features.forEach(feature => {
+            const bbox = getFeatureBoundingBox(feature);
+            if (!bbox) return;
+
+            for (let cx = Math.floor(bbox[0] / cellSize); cx <= Math.floor(bbox[2] / cellSize); cx++) {
+                for (let cy = Math.floor(bbox[1] / cellSize); cy <= Math.floor(bbox[3] / cellSize); cy++) {
+                    const key = cellKey(cx, cy);
+                    if (!cells.has(key)) cells.set(key, []);
+                    cells.get(key).push(feature);
+                }
+            }
+        });
+
+        /**
+         * Classify a point by the MPAs containing it
+         * @returns {Object} mpas (strictest first), protectionLevel, mpaName and isRestricted
+         */
+        function classifyPoint(lat, lng) {
+            const candidates = cells.get(cellKey(Math.floor(lng / cellSize), Math.floor(lat / cellSize))) || [];
+            const mpas = findContainingMpas(candidates, lat, lng);
+            const strictest = mpas[0] || null;
+
+            return {
+                inMpa: mpas.length > 0,
+                mpas: mpas,
+                mpaId: strictest?.id ?? null,
+                mpaName: strictest?.name ?? null,
+                protectionLevel: strictest?.protectionLevel ?? null,
+                isRestricted: !!strictest && isRestricted(strictest.protectionLevel)
+            };
+        }
+
+        // Bisect a segment to locate where it crosses a zone boundary
+        function findCrossing(from, to, startZoneId) {
+            let lo = 0;
+            let hi = 1;
+            for (let i = 0; i < 16; i++) {
+                const mid = (lo + hi) / 2;
+                const zone = classifyPoint(from.lat + (to.lat - from.lat) * mid, from.lng + (to.lng - from.lng) * mid);
+                if ((zone.isRestricted ? zone.mpaId : null) === startZoneId) {
+                    lo = mid;
+                } else {
+                    hi = mid;
+                }
+            }
+            return {
+                lat: from.lat + (to.lat - from.lat) * hi,
+                lng: from.lng + (to.lng - from.lng) * hi,
+                fraction: hi
+            };
+        }
+
+        // Restricted MPAs whose bounding boxes overlap a segment's, from the grid cells the segment covers
+        function findRestrictedCandidates(from, to) {
+            const west = Math.min(from.lng, to.lng), east = Math.max(from.lng, to.lng);
+            const south = Math.min(from.lat, to.lat), north = Math.max(from.lat, to.lat);
+            const columns = Math.floor(east / cellSize) - Math.floor(west / cellSize) + 1;
+            const rows = Math.floor(north / cellSize) - Math.floor(south / cellSize) + 1;
+
+            // A long gap between fixes covers more cells than there are MPAs; scan the MPAs instead
+            let candidates = features;
+            if (columns * rows <= features.length) {
+                candidates = new Set();
+                for (let cx = Math.floor(west / cellSize); cx <= Math.floor(east / cellSize); cx++) {
+                    for (let cy = Math.floor(south / cellSize); cy <= Math.floor(north / cellSize); cy++) {
+                        (cells.get(cellKey(cx, cy)) || []).forEach(feature => candidates.add(feature));
+                    }
+                }
+            }
+
+            return [...candidates].filter(feature => {
+                const bbox = getFeatureBoundingBox(feature);
+                return bbox && isRestricted(feature.properties?.ProtectionLevel) &&
+                    bbox[0] <= east && bbox[2] >= west && bbox[1] <= north && bbox[3] >= south;
+            });
+        }
+
+        // Sorted fractions along a segment where it meets the boundary of a restricted zone
+        function findBoundaryFractions(from, to) {
+            const a = [from.lng, from.lat];
+            const b = [to.lng, to.lat];
+            const fractions = [];
+
+            findRestrictedCandidates(from, to).forEach(feature => {
+                geometryRings(feature.geometry).forEach(ring => {
+                    for (let j = 1; j < ring.length; j++) {
+                        const c = ring[j - 1];
+                        const d = ring[j];
+                        if (!segmentsIntersect(a, b, c, d)) continue;
+
+                        // Where ab meets the line through cd; collinear overlaps are left to the endpoint zones
+                        const da = (d[0] - c[0]) * (a[1] - c[1]) - (d[1] - c[1]) * (a[0] - c[0]);
+                        const db = (d[0] - c[0]) * (b[1] - c[1]) - (d[1] - c[1]) * (b[0] - c[0]);
+                        if (da !== db) fractions.push(da / (da - db));
+                    }
+                });
+            });
+
+            return fractions.sort((x, y) => x - y).filter((f, i, all) => i === 0 || f - all[i - 1] > 1e-9);
+        }
+
+        /**
+         * Classify an ordered track and detect entries into and exits from restricted zones
+         * @param {Array} positions - Ordered positions with lat, lng and optional time
+         * @returns {Object} Per-position classifications, per-segment classifications and crossing events
+         */
+        function classifyTrack(positions) {
+            const points = positions.map(p => classifyPoint(p.lat, p.lng));
+            const segments = [];
+            const crossings = [];
+
+            for (let i = 0; i < positions.length - 1; i++) {
+                const start = positions[i];
+                const end = positions[i + 1];
+                const at = fraction => ({
+                    lat: start.lat + (end.lat - start.lat) * fraction,
+                    lng: start.lng + (end.lng - start.lng) * fraction
+                });
+
+                // Sparse fixes often start and end outside a zone the vessel passed through, so the segment is
+                // also sampled between the restricted boundaries it meets; each change of zone is one crossing
+                const boundaries = findBoundaryFractions(start, end);
+                const fractions = [0];
+                for (let k = 1; k < boundaries.length; k++) {
+                    fractions.push((boundaries[k - 1] + boundaries[k]) / 2);
+                }
+                fractions.push(1);
+                const zones = fractions.map((fraction, k) => {
+                    if (k === 0) return points[i];
+                    if (k === fractions.length - 1) return points[i + 1];
+                    const point = at(fraction);
+                    return classifyPoint(point.lat, point.lng);
+                });
+
+                const startTime = start.time ? new Date(start.time).getTime() : null;
+                const endTime = end.time ? new Date(end.time).getTime() : null;
+                let crossed = false;
+
+                for (let k = 0; k < zones.length - 1; k++) {
+                    const from = zones[k];
+                    const to = zones[k + 1];
+                    const fromZone = from.isRestricted ? from.mpaId : null;
+                    const toZone = to.isRestricted ? to.mpaId : null;
+                    if (fromZone === toZone) continue;
+
+                    const crossing = findCrossing(at(fractions[k]), at(fractions[k + 1]), fromZone);
+                    const fraction = fractions[k] + (fractions[k + 1] - fractions[k]) * crossing.fraction;
+                    const time = startTime !== null && endTime !== null
+                        ? new Date(startTime + (endTime - startTime) * fraction).toISOString()
+                        : null;
+                    crossed = true;
+
+                    if (fromZone) {
+                        crossings.push({ type: 'exit', segmentIndex: i, lat: crossing.lat, lng: crossing.lng, time: time, mpa: from.mpas[0] });
+                    }
+                    if (toZone) {
+                        crossings.push({ type: 'entry', segmentIndex: i, lat: crossing.lat, lng: crossing.lng, time: time, mpa: to.mpas[0] });
+                    }
+                }
+
+                const from = points[i];
+                const to = points[i + 1];
+                segments.push({
+                    index: i,
+                    protectionLevel: from.protectionLevel === to.protectionLevel && !crossed ? from.protectionLevel : null,
+                    isRestricted: from.isRestricted || to.isRestricted || crossed
+                });
+            }
+
+            return { points, segments, crossings };
+        }
+
+        return {
+            featureCount: features.length,
+            classifyPoint,
+            classifyTrack
+        };
+    }
+
+    return {
+        pointInRing,
+        pointInPolygon,
+        geometryContains,
+        segmentsIntersect,
+        geometryRings,
+        getBoundingBox,
+        getFeatureBoundingBox,
+        describeFeature,
+        findContainingFeatures,
+        findContainingMpas,
+        isRestricted,
+        createIndex,
+        PROTECTION_ORDER
+    };
+})();
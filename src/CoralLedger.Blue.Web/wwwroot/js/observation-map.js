@@ -6,6 +6,8 @@ window.observationMap = {
     map: null,
     marker: null,
     dotNetRef: null,
+    mpaLayer: null,
+    mpaGeojson: null,
 
     /**
      * Initialize the observation location picker map
@@ -60,20 +62,15 @@ window.observationMap = {
             }).addTo(this.map);
         }
 
-        // Check if location is in an MPA
-        let mpaName = null;
-        if (this.mpaLayer) {
-            this.mpaLayer.eachLayer((layer) => {
-                if (layer.getBounds && layer.getBounds().contains([lat, lng])) {
-                    // Simple bounding box check - actual containment would need point-in-polygon
-                    mpaName = layer.feature?.properties?.Name || null;
-                }
-            });
-        }
+        // Find every MPA containing the location (polygons, multipolygons and holes)
+        const mpas = this.mpaGeojson
+            ? window.mpaSpatial.findContainingMpas(this.mpaGeojson, lat, lng)
+            : [];
+        const mpaName = mpas.length > 0 ? mpas[0].name : null;
 
         // Notify Blazor
         if (this.dotNetRef) {
-            await this.dotNetRef.invokeMethodAsync('OnLocationSelected', lat, lng, mpaName);
+            await this.dotNetRef.invokeMethodAsync('OnLocationSelected', lat, lng, mpaName, mpas);
         }
     },
 
@@ -109,12 +106,14 @@ window.observationMap = {
 
     /**
      * Load MPA boundaries for context
+     * Uses the same URL the service worker pre-caches so containment works offline
      */
     loadMpaBoundaries: async function() {
         try {
-            const response = await fetch('/api/mpas/geojson?simplified=medium');
+            const response = await fetch('/api/mpas/geojson?resolution=medium');
             if (response.ok) {
                 const geojson = await response.json();
+                this.mpaGeojson = geojson;
                 this.mpaLayer = L.geoJSON(geojson, {
                     style: {
                         fillColor: '#00E5CC',
@@ -139,6 +138,7 @@ window.observationMap = {
             this.map = null;
             this.marker = null;
             this.mpaLayer = null;
+            this.mpaGeojson = null;
         }
     }
 };
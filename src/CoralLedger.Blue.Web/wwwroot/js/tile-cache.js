@@ -1,29 +1,72 @@
 // Offline Map Tile Cache Manager for CoralLedger Blue
-// Uses IndexedDB for persistent tile storage
+// Uses IndexedDB for persistent tile storage; the one tile store shared by map pages and the service worker
 
-window.tileCache = {
+self.tileCache = {
     dbName: 'CoralLedgerTileCache',
-    dbVersion: 1,
+    dbVersion: 4,
     storeName: 'tiles',
+    jobStoreName: 'downloadJobs',
+    packageStoreName: 'packages',
     db: null,
+    dbReady: null,
+
+    // Region download settings
+    download: {
+        concurrency: 6,             // Tiles fetched at the same time
+        maxRetries: 4,              // Retries per tile after the first attempt
+        retryBaseDelay: 500,        // First backoff in ms, doubled on every retry
+        retryMaxDelay: 15000,       // Longest wait between retries in ms
+        checkpointInterval: 2000,   // How often a running job saves its remaining tiles (ms)
+        progressInterval: 200       // Shortest time between progress reports (ms)
+    },
+
+    // HTTP statuses worth retrying; other errors fail the tile at once
+    retryStatuses: [408, 425, 429, 500, 502, 503, 504],
+
+    // Tiles cached while browsing are evicted oldest first; downloaded regions and packages are kept
+    eviction: {
+        maxBrowsedTiles: 2000,      // Browsed tiles kept once no package references them
+        trimDelay: 1000             // Wait after a browsed tile is stored before trimming (ms)
+    },
+    trimTimer: null,
+
+    // Regular expressions for tile URL templates, by template
+    tileUrlPatterns: {},
+
+    // Jobs running in this page, by job ID
+    activeJobs: {},
+    resumingJobs: false,
     
-    // Cache statistics
+    // Cache statistics, computed on demand by getStats
     stats: {
         totalTiles: 0,
         totalBytes: 0,
         lastUpdated: null
     },
 
-    // Initialize IndexedDB
-    async initialize() {
-        return new Promise((resolve, reject) => {
+    // Initialize IndexedDB; callers share one open request, so tiles requested while it opens wait for it
+    initialize() {
+        if (this.dbReady) {
+            return this.dbReady;
+        }
+
+        this.dbReady = new Promise((resolve, reject) => {
             const request = indexedDB.open(this.dbName, this.dbVersion);
             
-            request.onerror = () => reject(request.error);
+            request.onerror = () => {
+                this.dbReady = null;
+                reject(request.error);
+            };
             request.onsuccess = () => {
                 this.db = request.result;
+                // Pages and the service worker share the database, so let a newer version upgrade it
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    this.dbReady = null;
+                };
                 console.log('[tile-cache] IndexedDB initialized');
-                this.updateStats().then(() => resolve(true));
+                resolve(true);
             };
             
             request.onupgradeneeded = (event) => {
@@ -40,8 +83,35 @@ window.tileCache = {
                     
                     console.log('[tile-cache] Object store created');
                 }
+
+                // Region downloads with the tiles they still need (added in version 2)
+                if (!db.objectStoreNames.contains(this.jobStoreName)) {
+                    db.createObjectStore(this.jobStoreName, { keyPath: 'id' });
+                }
+
+                // Named offline packages (added in version 3); each tile lists the packages that
+                // reference it, so a package's tiles are one index lookup away
+                if (!db.objectStoreNames.contains(this.packageStoreName)) {
+                    db.createObjectStore(this.packageStoreName, { keyPath: 'id' });
+                }
+                const tileStore = event.target.transaction.objectStore(this.storeName);
+                if (!tileStore.indexNames.contains('packages')) {
+                    tileStore.createIndex('packages', 'packages', { unique: false, multiEntry: true });
+                }
+
+                // When a tile was cached by browsing rather than downloaded (added in version 4); only
+                // these tiles are evicted
+                if (!tileStore.indexNames.contains('browsedAt')) {
+                    tileStore.createIndex('browsedAt', 'browsedAt', { unique: false });
+                }
+
+                // Tile sizes (added in version 4), so statistics are summed without reading tile data
+                if (!tileStore.indexNames.contains('size')) {
+                    tileStore.createIndex('size', 'size', { unique: false });
+                }
             };
         });
+        return this.dbReady;
     },
 
     // Generate unique key for a tile
@@ -49,8 +119,11 @@ window.tileCache = {
         return `${theme}_${z}_${x}_${y}`;
     },
 
-    // Store a tile in the cache
-    async storeTile(theme, z, x, y, blob) {
+    // Store a tile in the cache, keeping the packages that reference it. Browsed tiles may be evicted
+    // later; a tile that was ever downloaded stays until it is cleared. A download outside any package
+    // marks the tile retained, so deleting a package that shares it keeps it. Only tiles neither a package
+    // nor a download needs carry browsedAt, so eviction can walk that index without reading tiles
+    async storeTile(theme, z, x, y, blob, packageId = null, browsed = false) {
         if (!this.db) {
             await this.initialize();
         }
@@ -64,20 +137,14 @@ window.tileCache = {
             y: y,
             blob: blob,
             timestamp: Date.now(),
-            size: blob.size
+            size: blob.size,
+            packages: packageId ? [packageId] : []
         };
 
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction([this.storeName], 'readwrite');
             const objectStore = transaction.objectStore(this.storeName);
-            const request = objectStore.put(tile);
-            
-            request.onsuccess = () => {
-                this.stats.totalTiles++;
-                this.stats.totalBytes += blob.size;
-                resolve(true);
-            };
-            request.onerror = (event) => {
+            const onError = (event) => {
                 const error = event.target?.error;
                 if (error?.name === 'QuotaExceededError') {
                     reject({ 
@@ -89,9 +156,142 @@ window.tileCache = {
                     reject(error);
                 }
             };
+
+            const existing = objectStore.get(key);
+            existing.onsuccess = () => {
+                const previous = existing.result;
+                if (previous) {
+                    tile.packages = [...new Set([...(previous.packages || []), ...tile.packages])];
+                }
+                if ((!packageId && !browsed) || previous?.retained) {
+                    tile.retained = true;
+                }
+                if (browsed && (!previous || previous.browsedAt)) {
+                    tile.browsedAt = tile.timestamp;
+                }
+
+                const request = objectStore.put(tile);
+                request.onsuccess = () => {
+                    if (tile.browsedAt) this.scheduleTrim();
+                    resolve(true);
+                };
+                request.onerror = onError;
+            };
+            existing.onerror = () => reject(existing.error);
+        });
+    },
+
+    // Trim browsed tiles shortly after the last one is stored, once per burst of tile loads
+    scheduleTrim() {
+        if (this.trimTimer) return;
+        this.trimTimer = setTimeout(() => {
+            this.trimTimer = null;
+            this.trimBrowsedTiles().catch(error => console.warn('[tile-cache] Could not trim browsed tiles:', error));
+        }, this.eviction.trimDelay);
+    },
+
+    // Delete the oldest browsed tiles beyond eviction.maxBrowsedTiles. Only keys are read: the browsedAt
+    // index holds no packaged tiles (see storeTile and addTileReference)
+    async trimBrowsedTiles() {
+        if (!this.db) {
+            await this.initialize();
+        }
+
+        const { maxBrowsedTiles } = this.eviction;
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const objectStore = transaction.objectStore(this.storeName);
+            const index = objectStore.index('browsedAt');
+            let deletedCount = 0;
+
+            const countRequest = index.count();
+            countRequest.onsuccess = () => {
+                const excess = countRequest.result - maxBrowsedTiles;
+                if (excess <= 0) return;
+
+                // Oldest first, stopping once the excess is gone
+                const request = index.openKeyCursor();
+                request.onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor || deletedCount >= excess) return;
+
+                    objectStore.delete(cursor.primaryKey);
+                    deletedCount++;
+                    cursor.continue();
+                };
+            };
+
+            transaction.oncomplete = () => {
+                if (deletedCount) {
+                    console.log(`[tile-cache] Evicted ${deletedCount} browsed tiles`);
+                }
+                resolve(deletedCount);
+            };
+            transaction.onerror = () => reject(transaction.error);
         });
     },
 
+    // Work out which registered source and tile a request URL is for, or null if it is not a tile.
+    // sources are { id, tileUrl, subdomains } as basemapRegistry defines them; the id is the cache theme
+    matchTileUrl(url, sources) {
+        for (const source of sources) {
+            const match = this.getTileUrlPattern(source).exec(url);
+            if (!match) continue;
+
+            const groups = match.groups;
+            if (groups.bbox) {
+                const tile = this.bboxToTile(groups.bbox);
+                if (tile) return { theme: source.id, ...tile };
+                continue;
+            }
+
+            const z = parseInt(groups.z, 10);
+            const y = groups.y !== undefined ? parseInt(groups.y, 10) : Math.pow(2, z) - 1 - parseInt(groups.flippedY, 10);
+            return { theme: source.id, z: z, x: parseInt(groups.x, 10), y: y };
+        }
+        return null;
+    },
+
+    // Regular expression matching the URLs a source's template produces
+    getTileUrlPattern(source) {
+        if (this.tileUrlPatterns[source.tileUrl]) {
+            return this.tileUrlPatterns[source.tileUrl];
+        }
+
+        const placeholders = {
+            '{s}': '[^/.]+',
+            '{z}': '(?<z>\\d+)',
+            '{x}': '(?<x>\\d+)',
+            '{y}': '(?<y>\\d+)',
+            '{-y}': '(?<flippedY>\\d+)',
+            '{r}': '(?:@2x)?',
+            '{bbox}': '(?<bbox>[-+\\d.,eE]+)'
+        };
+        const template = source.tileUrl.startsWith('/') ? self.location.origin + source.tileUrl : source.tileUrl;
+        const pattern = template
+            .split(/(\{(?:s|z|x|y|-y|r|bbox)\})/)
+            .map(part => placeholders[part] || part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('');
+
+        this.tileUrlPatterns[source.tileUrl] = new RegExp(`^${pattern}$`);
+        return this.tileUrlPatterns[source.tileUrl];
+    },
+
+    // Tile for a Web Mercator "minX,minY,maxX,maxY" box, the inverse of basemapRegistry.tileBbox
+    bboxToTile(bbox) {
+        const halfCircumference = 20037508.342789244;
+        const [minX, , maxX, maxY] = bbox.split(',').map(Number);
+        const size = maxX - minX;
+        if (!(size > 0)) return null;
+
+        return {
+            z: Math.round(Math.log2(2 * halfCircumference / size)),
+            x: Math.round((minX + halfCircumference) / size),
+            y: Math.round((halfCircumference - maxY) / size)
+        };
+    },
+
     // Retrieve a tile from the cache
     async getTile(theme, z, x, y) {
         if (!this.db) {
@@ -116,24 +316,61 @@ window.tileCache = {
         return !!tile;
     },
 
+    // Mark a cached tile as needed by a package, or retained by a download outside any package when
+    // packageId is null; it is no longer a browsed tile, so it is never evicted
+    async addTileReference(theme, z, x, y, packageId = null) {
+        if (!this.db) {
+            await this.initialize();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const objectStore = transaction.objectStore(this.storeName);
+            const request = objectStore.get(this.getTileKey(theme, z, x, y));
+
+            request.onsuccess = () => {
+                const tile = request.result;
+                if (!tile) {
+                    resolve(false);
+                    return;
+                }
+                const referenced = packageId ? tile.packages?.includes(packageId) : tile.retained;
+                if (!referenced || tile.browsedAt) {
+                    if (packageId) {
+                        tile.packages = [...new Set([...(tile.packages || []), packageId])];
+                    } else {
+                        tile.retained = true;
+                    }
+                    delete tile.browsedAt;
+                    objectStore.put(tile);
+                }
+                transaction.oncomplete = () => resolve(true);
+            };
+            request.onerror = () => reject(request.error);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
     // Download a single tile from the server
-    async downloadTile(theme, z, x, y, tileUrl, abortSignal) {
+    // options.packageId adds the tile to a package; options.refreshBefore refetches cached tiles older than it
+    async downloadTile(theme, z, x, y, tileUrl, abortSignal, options = {}) {
         try {
             // Check if already cached
-            if (await this.hasTile(theme, z, x, y)) {
+            const tile = await this.getTile(theme, z, x, y);
+            if (tile && !(options.refreshBefore && tile.timestamp < options.refreshBefore)) {
+                const referenced = options.packageId ? tile.packages?.includes(options.packageId) : tile.retained;
+                if (!referenced || tile.browsedAt) {
+                    await this.addTileReference(theme, z, x, y, options.packageId);
+                }
                 return { cached: true };
             }
 
             // Download the tile
             const url = this.buildTileUrl(tileUrl, z, x, y);
-            const response = await fetch(url, { signal: abortSignal });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
+            const response = await this.fetchTile(url, abortSignal);
 
             const blob = await response.blob();
-            await this.storeTile(theme, z, x, y, blob);
+            await this.storeTile(theme, z, x, y, blob, options.packageId);
             
             return { cached: false, size: blob.size };
         } catch (error) {
@@ -147,13 +384,75 @@ window.tileCache = {
                 console.error(`[tile-cache] Storage quota exceeded at tile ${z}/${x}/${y}`);
                 throw error; // Propagate structured error
             }
+            if (error.type === 'offline') {
+                throw error; // The job stops and resumes when the connection is back
+            }
             console.error(`[tile-cache] Error downloading tile ${z}/${x}/${y}:`, error);
             throw error;
         }
     },
 
+    // Fetch a tile, retrying rate limits, server errors and dropped connections with exponential backoff
+    async fetchTile(url, abortSignal) {
+        const { maxRetries, retryBaseDelay, retryMaxDelay } = this.download;
+
+        for (let attempt = 0; ; attempt++) {
+            let response = null;
+            try {
+                response = await fetch(url, { signal: abortSignal });
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                if (!navigator.onLine) {
+                    throw { type: 'offline', message: 'Connection lost during download.', error: error };
+                }
+                if (attempt >= maxRetries) throw error;
+            }
+
+            if (response) {
+                if (response.ok) return response;
+                if (!this.retryStatuses.includes(response.status) || attempt >= maxRetries) {
+                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                }
+            }
+
+            // Rate-limited servers say how long to wait; otherwise back off with jitter
+            const retryAfter = parseFloat(response?.headers?.get('Retry-After'));
+            const backoff = Math.min(retryMaxDelay, retryBaseDelay * Math.pow(2, attempt));
+            const delay = Number.isFinite(retryAfter)
+                ? Math.min(retryMaxDelay, retryAfter * 1000)
+                : backoff / 2 + Math.random() * backoff / 2;
+            await this.wait(delay, abortSignal);
+        }
+    },
+
+    // Resolve after ms, or reject with an AbortError if the signal fires first
+    wait(ms, abortSignal) {
+        return new Promise((resolve, reject) => {
+            const abortError = () => new DOMException('Download aborted', 'AbortError');
+            if (abortSignal?.aborted) {
+                reject(abortError());
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(abortError());
+            };
+            const timer = setTimeout(() => {
+                abortSignal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            abortSignal?.addEventListener('abort', onAbort, { once: true });
+        });
+    },
+
     // Build tile URL from template
     buildTileUrl(template, z, x, y) {
+        // Registered basemaps know their subdomains and WMS bounding boxes
+        if (self.basemapRegistry) {
+            return self.basemapRegistry.buildTileUrl(template, z, x, y);
+        }
+
         // Handle {s} subdomain - use 'a' by default
         let url = template.replace('{s}', 'a');
         url = url.replace('{z}', z);
@@ -163,8 +462,18 @@ window.tileCache = {
         return url;
     },
 
-    // Calculate tiles needed for a bounding box at specific zoom levels
-    getTilesForRegion(bounds, minZoom, maxZoom) {
+    // Calculate tiles needed for a region at specific zoom levels. A region is a { north, south, east, west }
+    // box, { polygon } with a GeoJSON polygon or multipolygon, or { route, bufferKm } for a corridor along a
+    // GeoJSON line (or array of [lng, lat] positions)
+    getTilesForRegion(region, minZoom, maxZoom) {
+        if (region.polygon) {
+            return this.getTilesForPolygon(region.polygon, minZoom, maxZoom);
+        }
+        if (region.route) {
+            return this.getTilesForCorridor(region.route, region.bufferKm, minZoom, maxZoom);
+        }
+
+        const bounds = region;
         const tiles = [];
         
         for (let z = minZoom; z <= maxZoom; z++) {
@@ -181,6 +490,170 @@ window.tileCache = {
         return tiles;
     },
 
+    // Tiles touching a GeoJSON polygon, multipolygon, feature or feature collection
+    getTilesForPolygon(geojson, minZoom, maxZoom) {
+        const rings = this.getGeometries(geojson)
+            .flatMap(g => g.type === 'Polygon' ? g.coordinates : g.type === 'MultiPolygon' ? g.coordinates.flat() : []);
+
+        const tiles = [];
+        for (let z = minZoom; z <= maxZoom; z++) {
+            this.pushCoveredTiles(tiles, z, this.coverRings(rings, z));
+        }
+        return tiles;
+    },
+
+    // Tiles within bufferKm of a route; the corridor is built from a rectangle around every segment
+    // and a circle around every vertex, so bends and ends are covered too
+    getTilesForCorridor(route, bufferKm = 1, minZoom, maxZoom) {
+        const lines = Array.isArray(route)
+            ? [route]
+            : this.getGeometries(route).flatMap(g => g.type === 'LineString' ? [g.coordinates]
+                : g.type === 'MultiLineString' ? g.coordinates : []);
+        const pieces = lines.flatMap(line => this.bufferLine(line, bufferKm));
+
+        const tiles = [];
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const covered = new Map();
+            pieces.forEach(piece => this.coverRings([piece], z, covered));
+            this.pushCoveredTiles(tiles, z, covered);
+        }
+        return tiles;
+    },
+
+    // Polygons (single rings) that together cover everything within bufferKm of a line
+    bufferLine(line, bufferKm) {
+        const segments = 12;
+        // Circumscribed so the polygon's edges stay outside the true circle
+        const radius = bufferKm / Math.cos(Math.PI / segments);
+        const kmPerDegree = 111.32;
+        const pieces = [];
+
+        line.forEach(([lng, lat]) => {
+            const kx = kmPerDegree * Math.cos(lat * Math.PI / 180);
+            const ring = [];
+            for (let i = 0; i <= segments; i++) {
+                const angle = i * 2 * Math.PI / segments;
+                ring.push([lng + radius * Math.cos(angle) / kx, lat + radius * Math.sin(angle) / kmPerDegree]);
+            }
+            pieces.push(ring);
+        });
+
+        for (let i = 1; i < line.length; i++) {
+            const [lng1, lat1] = line[i - 1];
+            const [lng2, lat2] = line[i];
+            const kx = kmPerDegree * Math.cos((lat1 + lat2) / 2 * Math.PI / 180);
+            const dx = (lng2 - lng1) * kx;
+            const dy = (lat2 - lat1) * kmPerDegree;
+            const length = Math.hypot(dx, dy);
+            if (!length) continue;
+
+            // Offset perpendicular to the segment, converted back to degrees
+            const ox = -dy / length * bufferKm / kx;
+            const oy = dx / length * bufferKm / kmPerDegree;
+            pieces.push([
+                [lng1 + ox, lat1 + oy], [lng2 + ox, lat2 + oy],
+                [lng2 - ox, lat2 - oy], [lng1 - ox, lat1 - oy],
+                [lng1 + ox, lat1 + oy]
+            ]);
+        }
+        return pieces;
+    },
+
+    // Tiles at zoom z touching the area inside rings (even-odd, so holes work), as a Map of row to column set.
+    // A tile touches the area if an edge passes through it or, failing that, its center is inside
+    coverRings(rings, z, covered = new Map()) {
+        const n = Math.pow(2, z);
+        const points = rings.map(ring => ring.map(([lng, lat]) => this.latLngToTileFraction(lat, lng, z)));
+        const edges = points.flatMap(ring => ring.map((a, i) => [a, ring[(i + 1) % ring.length]]));
+        if (!edges.length) return covered;
+
+        const mark = (row, fromX, toX) => {
+            if (row < 0 || row >= n) return;
+            const first = Math.max(0, fromX);
+            const last = Math.min(n - 1, toX);
+            if (first > last) return;
+
+            let columns = covered.get(row);
+            if (!columns) covered.set(row, columns = new Set());
+            for (let x = first; x <= last; x++) columns.add(x);
+        };
+
+        // Boundary tiles: clip each edge to every row it crosses
+        edges.forEach(([a, b]) => {
+            const top = Math.floor(Math.min(a.y, b.y));
+            const bottom = Math.floor(Math.max(a.y, b.y));
+            for (let row = top; row <= bottom; row++) {
+                let x1 = a.x, x2 = b.x;
+                if (a.y !== b.y) {
+                    const t1 = Math.min(1, Math.max(0, (row - a.y) / (b.y - a.y)));
+                    const t2 = Math.min(1, Math.max(0, (row + 1 - a.y) / (b.y - a.y)));
+                    x1 = a.x + t1 * (b.x - a.x);
+                    x2 = a.x + t2 * (b.x - a.x);
+                }
+                mark(row, Math.floor(Math.min(x1, x2)), Math.floor(Math.max(x1, x2)));
+            }
+        });
+
+        // Interior tiles: scan each row through the tile centers
+        const ys = points.flat().map(p => p.y);
+        const top = Math.max(0, Math.floor(Math.min(...ys)));
+        const bottom = Math.min(n - 1, Math.floor(Math.max(...ys)));
+        for (let row = top; row <= bottom; row++) {
+            const centerY = row + 0.5;
+            const crossings = edges
+                .filter(([a, b]) => (a.y > centerY) !== (b.y > centerY))
+                .map(([a, b]) => a.x + (centerY - a.y) * (b.x - a.x) / (b.y - a.y))
+                .sort((p, q) => p - q);
+            for (let i = 0; i + 1 < crossings.length; i += 2) {
+                mark(row, Math.ceil(crossings[i] - 0.5), Math.floor(crossings[i + 1] - 0.5));
+            }
+        }
+
+        return covered;
+    },
+
+    // Append the tiles of a coverRings result, ordered like getTilesForRegion
+    pushCoveredTiles(tiles, z, covered) {
+        const byColumn = [];
+        covered.forEach((columns, y) => columns.forEach(x => byColumn.push({ z, x, y })));
+        byColumn.sort((a, b) => a.x - b.x || a.y - b.y);
+        tiles.push(...byColumn);
+    },
+
+    // Geometries of a GeoJSON geometry, feature or feature collection
+    getGeometries(geojson) {
+        if (geojson.type === 'FeatureCollection') return geojson.features.flatMap(f => this.getGeometries(f));
+        if (geojson.type === 'Feature') return geojson.geometry ? this.getGeometries(geojson.geometry) : [];
+        if (geojson.type === 'GeometryCollection') return geojson.geometries.flatMap(g => this.getGeometries(g));
+        return [geojson];
+    },
+
+    // Bounding box of any region accepted by getTilesForRegion
+    getRegionBounds(region) {
+        if (region.polygon) {
+            return this.getGeoJsonBounds(region.polygon);
+        }
+        if (region.route) {
+            const line = Array.isArray(region.route) ? { type: 'LineString', coordinates: region.route } : region.route;
+            const bounds = this.getGeoJsonBounds(line);
+            const bufferKm = region.bufferKm ?? 1;
+            const dLat = bufferKm / 111.32;
+            const dLng = bufferKm / (111.32 * Math.cos(Math.max(Math.abs(bounds.north), Math.abs(bounds.south)) * Math.PI / 180));
+            return { north: bounds.north + dLat, south: bounds.south - dLat, east: bounds.east + dLng, west: bounds.west - dLng };
+        }
+        return { north: region.north, south: region.south, east: region.east, west: region.west };
+    },
+
+    // Fractional tile coordinates, so positions inside a tile are kept
+    latLngToTileFraction(lat, lng, zoom) {
+        const n = Math.pow(2, zoom);
+        const latRad = Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI / 180;
+        return {
+            x: (lng + 180) / 360 * n,
+            y: (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n
+        };
+    },
+
     // Convert lat/lng to tile coordinates
     latLngToTile(lat, lng, zoom) {
         const n = Math.pow(2, zoom);
@@ -190,162 +663,717 @@ window.tileCache = {
         return { x, y };
     },
 
-    // Download tiles for a region
-    async downloadRegion(theme, bounds, minZoom, maxZoom, tileUrl, progressCallback, abortSignal) {
-        const tiles = this.getTilesForRegion(bounds, minZoom, maxZoom);
-        const total = tiles.length;
-        let downloaded = 0;
-        let cached = 0;
-        let failed = 0;
-        let totalBytes = 0;
-        let quotaExceeded = false;
-        let cancelled = false;
+    // Download tiles for a region (a box, polygon or corridor, see getTilesForRegion)
+    // The download is saved as a job listing the tiles still missing, so asking for the same region
+    // again after a cancel, a reload or a lost connection continues where it stopped
+    async downloadRegion(theme, region, minZoom, maxZoom, tileUrl, progressCallback, abortSignal) {
+        const id = this.getJobId(theme, region, minZoom, maxZoom);
+        let job = await this.getJob(id);
 
-        console.log(`[tile-cache] Downloading ${total} tiles for region`);
+        if (job) {
+            console.log(`[tile-cache] Resuming download ${id}: ${job.remaining.length} of ${job.total} tiles left`);
+            job.tileUrl = tileUrl;
+        } else {
+            job = this.createJob(id, { theme, region, minZoom, maxZoom, tileUrl });
+            console.log(`[tile-cache] Downloading ${job.total} tiles for region`);
+        }
 
-        for (let i = 0; i < tiles.length; i++) {
-            const { z, x, y } = tiles[i];
-            
-            // Check if cancelled via abort signal
-            if (abortSignal?.aborted) {
-                cancelled = true;
-                console.log('[tile-cache] Download cancelled by user');
-                break;
-            }
-            
-            // Stop if quota was exceeded
-            if (quotaExceeded) {
-                break;
-            }
-            
-            try {
-                const result = await this.downloadTile(theme, z, x, y, tileUrl, abortSignal);
-                
-                if (result.cached) {
-                    cached++;
-                } else {
-                    downloaded++;
-                    totalBytes += result.size;
-                }
+        return this.runJob(job, progressCallback, abortSignal);
+    },
 
-                // Report progress
-                if (progressCallback) {
-                    progressCallback({
-                        current: i + 1,
-                        total: total,
-                        downloaded: downloaded,
-                        cached: cached,
-                        failed: failed,
-                        percentComplete: Math.round((i + 1) / total * 100),
-                        totalBytes: totalBytes,
-                        quotaExceeded: quotaExceeded,
-                        cancelled: cancelled
-                    });
-                }
-            } catch (error) {
-                // Check if this is an abort error
-                if (error.name === 'AbortError') {
-                    cancelled = true;
-                    console.log('[tile-cache] Download cancelled by user');
-
-                    // Report cancellation to caller
-                    if (progressCallback) {
-                        progressCallback({
-                            current: i + 1,
-                            total: total,
-                            downloaded: downloaded,
-                            cached: cached,
-                            failed: failed,
-                            percentComplete: Math.round((i + 1) / total * 100),
-                            totalBytes: totalBytes,
-                            quotaExceeded: quotaExceeded,
-                            cancelled: true
-                        });
-                    }
+    // New job record for a region; packageId and refreshBefore are passed on to downloadTile
+    createJob(id, { theme, region, minZoom, maxZoom, tileUrl, packageId = null, refreshBefore = null }) {
+        const tiles = this.getTilesForRegion(region, minZoom, maxZoom);
+        return {
+            id: id,
+            theme: theme,
+            bounds: this.getRegionBounds(region),
+            minZoom: minZoom,
+            maxZoom: maxZoom,
+            tileUrl: tileUrl,
+            packageId: packageId,
+            refreshBefore: refreshBefore,
+            total: tiles.length,
+            remaining: tiles.map(t => [t.z, t.x, t.y]),
+            failedTiles: [],     // Tiles still failing after every retry, tried again on resume or refresh
+            downloaded: 0,
+            cached: 0,
+            failed: 0,
+            totalBytes: 0,
+            status: 'pending',
+            error: null,
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+    },
+
+    // Continue a saved download job
+    async resumeJob(id, progressCallback, abortSignal) {
+        const job = await this.getJob(id);
+        return job ? this.runJob(job, progressCallback, abortSignal) : null;
+    },
+
+    // Run a job once per page; a second caller for the same job shares its progress and result.
+    // Every open tab resumes saved jobs, so a job also holds a lease while it runs; a tab that finds
+    // the job leased elsewhere gets a result with busy set and leaves it alone
+    runJob(job, progressCallback, abortSignal) {
+        let entry = this.activeJobs[job.id];
+        if (!entry) {
+            entry = { controller: new AbortController(), listeners: [] };
+            entry.promise = this.withJobLease(job.id,
+                () => this.processJob(job, entry),
+                () => this.getJobResult(job, null, { busy: true })
+            ).finally(() => {
+                delete this.activeJobs[job.id];
+            });
+            this.activeJobs[job.id] = entry;
+        }
+
+        if (progressCallback) {
+            entry.listeners.push(progressCallback);
+        }
+        if (abortSignal?.aborted) {
+            entry.controller.abort();
+        } else {
+            abortSignal?.addEventListener('abort', () => entry.controller.abort(), { once: true });
+        }
+        return entry.promise;
+    },
+
+    // Hold the Web Lock named after a job while run() works on it, or call onBusy() if another tab holds it.
+    // Without the Web Locks API jobs are only kept apart within the page
+    withJobLease(id, run, onBusy) {
+        const locks = self.navigator?.locks;
+        if (!locks) return run();
+        return locks.request(`tile-cache-job:${id}`, { ifAvailable: true }, lock => lock ? run() : onBusy());
+    },
 
-                    break;
+    // Fetch a job's remaining tiles with bounded parallelism, saving what is left as it goes
+    async processJob(job, entry) {
+        const { concurrency, checkpointInterval, progressInterval } = this.download;
+        const signal = entry.controller.signal;
+
+        // Another tab may have run the job since it was read; continue from what it saved
+        const saved = await this.getJob(job.id);
+        if (saved && saved.createdAt === job.createdAt) {
+            const { remaining, failedTiles, downloaded, cached, failed, totalBytes } = saved;
+            Object.assign(job, { remaining, failedTiles, downloaded, cached, failed, totalBytes });
+        }
+
+        // Tiles that failed on an earlier run go to the back of the queue for another try
+        const retrying = job.failedTiles || [];
+        const queue = [...job.remaining, ...retrying];
+        job.failed = Math.max(0, job.failed - retrying.length);
+        job.failedTiles = [];
+        const tileOptions = { packageId: job.packageId, refreshBefore: job.refreshBefore };
+        const inFlight = new Set();
+        let next = 0;
+        let stopReason = null;   // cancelled, quota_exceeded or offline
+        let quotaMessage = null;
+        let lastCheckpoint = Date.now();
+        let checkpointing = null;
+        let lastReport = 0;
+
+        const remaining = () => [...inFlight, ...queue.slice(next)];
+
+        // Saves run in the background, one at a time
+        const checkpoint = () => {
+            if (checkpointing || Date.now() - lastCheckpoint < checkpointInterval) return;
+            lastCheckpoint = Date.now();
+            checkpointing = this.saveJob({ ...job, remaining: remaining(), updatedAt: Date.now() })
+                .catch(error => console.warn('[tile-cache] Could not save download job:', error))
+                .finally(() => { checkpointing = null; });
+        };
+
+        const report = (force = false) => {
+            if (!entry.listeners.length) return;
+            if (!force && Date.now() - lastReport < progressInterval) return;
+            lastReport = Date.now();
+
+            const current = job.downloaded + job.cached + job.failed;
+            const progress = {
+                jobId: job.id,
+                current: current,
+                total: job.total,
+                downloaded: job.downloaded,
+                cached: job.cached,
+                failed: job.failed,
+                percentComplete: job.total ? Math.round(current / job.total * 100) : 100,
+                totalBytes: job.totalBytes,
+                quotaExceeded: stopReason === 'quota_exceeded',
+                quotaMessage: quotaMessage,
+                cancelled: stopReason === 'cancelled',
+                interrupted: stopReason === 'offline'
+            };
+            entry.listeners.forEach(listener => {
+                try {
+                    listener(progress);
+                } catch (error) {
+                    console.error('[tile-cache] Progress listener failed:', error);
                 }
+            });
+        };
 
-                if (error.type === 'quota_exceeded') {
-                    quotaExceeded = true;
-                    console.error('[tile-cache] Storage quota exceeded, stopping download');
-                    
-                    // Count current tile + all remaining as failed
-                    failed += (total - i);
-                    
-                    // Report quota error to caller
-                    if (progressCallback) {
-                        progressCallback({
-                            current: i + 1,
-                            total: total,
-                            downloaded: downloaded,
-                            cached: cached,
-                            failed: failed,
-                            percentComplete: Math.round((i + 1) / total * 100),
-                            totalBytes: totalBytes,
-                            quotaExceeded: true,
-                            quotaMessage: error.message,
-                            cancelled: cancelled
-                        });
+        // Another stop reason wins over the aborts it causes in the other workers
+        const stop = (reason) => {
+            if (!stopReason) stopReason = reason;
+            entry.controller.abort();
+        };
+
+        const worker = async () => {
+            while (!stopReason && !signal.aborted && next < queue.length) {
+                const tile = queue[next++];
+                const [z, x, y] = tile;
+                inFlight.add(tile);
+
+                try {
+                    const result = await this.downloadTile(job.theme, z, x, y, job.tileUrl, signal, tileOptions);
+                    if (result.cached) {
+                        job.cached++;
+                    } else {
+                        job.downloaded++;
+                        job.totalBytes += result.size;
+                    }
+                    inFlight.delete(tile);
+                } catch (error) {
+                    // The tile stays in the job for the next run
+                    if (error.name === 'AbortError') {
+                        stop('cancelled');
+                    } else if (error.type === 'quota_exceeded') {
+                        quotaMessage = error.message;
+                        stop('quota_exceeded');
+                    } else if (error.type === 'offline') {
+                        stop('offline');
+                    } else {
+                        // Still failing after retries (a 404 outside the source's coverage, or a 503 that
+                        // outlasted the backoff); kept so the job is not reported complete with holes
+                        job.failed++;
+                        job.failedTiles.push(tile);
+                        inFlight.delete(tile);
                     }
-                    
-                    break;
                 }
-                
-                failed++;
-                console.error(`[tile-cache] Failed to download tile ${z}/${x}/${y}:`, error);
+
+                report();
+                checkpoint();
+            }
+        };
+
+        if (signal.aborted) {
+            stopReason = 'cancelled';
+        } else {
+            job.status = 'running';
+            job.error = null;
+            await this.saveJob({ ...job, updatedAt: Date.now() });
+            await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+            if (signal.aborted && !stopReason) {
+                stopReason = 'cancelled';
             }
         }
+        await checkpointing;
 
-        await this.updateStats();
+        job.remaining = remaining();
+        job.updatedAt = Date.now();
+        if (!job.remaining.length && !job.failedTiles.length) {
+            job.status = 'complete';
+            await this.jobRequest('readwrite', store => store.delete(job.id));
+        } else if (!job.remaining.length) {
+            // Only failed tiles are left; they wait for the user to resume or refresh rather than retrying forever
+            job.status = 'incomplete';
+            job.error = null;
+            await this.saveJob(job);
+        } else {
+            // Interrupted jobs resume by themselves when the connection is back; paused ones wait for the user
+            job.status = stopReason === 'offline' ? 'interrupted' : 'paused';
+            job.error = stopReason === 'quota_exceeded' ? stopReason : null;
+            await this.saveJob(job);
+        }
+        if (job.packageId) {
+            await this.updatePackage(job.packageId, job);
+        }
 
+        if (stopReason === 'cancelled') {
+            console.log('[tile-cache] Download cancelled by user');
+        } else if (stopReason === 'quota_exceeded') {
+            console.error('[tile-cache] Storage quota exceeded, stopping download');
+        } else if (stopReason === 'offline') {
+            console.log('[tile-cache] Connection lost, download will resume when back online');
+        }
+
+        report(true);
+
+        return this.getJobResult(job, stopReason);
+    },
+
+    // Outcome of a job run; stopReason is cancelled, quota_exceeded, offline or null
+    getJobResult(job, stopReason, extra = {}) {
         return {
-            total: total,
-            downloaded: downloaded,
-            cached: cached,
-            failed: failed,
-            totalBytes: totalBytes,
-            quotaExceeded: quotaExceeded,
-            cancelled: cancelled
+            jobId: job.id,
+            total: job.total,
+            downloaded: job.downloaded,
+            cached: job.cached,
+            failed: job.failed,
+            remaining: job.remaining.length + (job.failedTiles?.length || 0),
+            totalBytes: job.totalBytes,
+            quotaExceeded: stopReason === 'quota_exceeded',
+            cancelled: stopReason === 'cancelled',
+            interrupted: stopReason === 'offline',
+            busy: false,
+            ...extra
+        };
+    },
+
+    // Stop a running job; its remaining tiles stay saved
+    pauseJob(id) {
+        const entry = this.activeJobs[id];
+        if (!entry) return false;
+        entry.controller.abort();
+        return true;
+    },
+
+    // Resume downloads cut short by a reload or a lost connection, one job at a time
+    async resumePendingJobs() {
+        if (this.resumingJobs || !navigator.onLine) return [];
+        this.resumingJobs = true;
+
+        try {
+            const jobs = (await this.readJobs())
+                .filter(job => (job.status === 'running' || job.status === 'interrupted') && !this.activeJobs[job.id]);
+            const results = [];
+            for (const job of jobs) {
+                if (!navigator.onLine) break;
+                console.log(`[tile-cache] Resuming interrupted download ${job.id}`);
+                results.push(await this.runJob(job));
+            }
+            return results;
+        } finally {
+            this.resumingJobs = false;
+        }
+    },
+
+    // Job ID for a region, so the same region and zoom range maps to the same saved job;
+    // polygons and corridors add a hash of their shape to the bounding box
+    getJobId(theme, region, minZoom, maxZoom) {
+        const bounds = this.getRegionBounds(region);
+        const box = [bounds.north, bounds.south, bounds.east, bounds.west].map(v => Number(v).toFixed(4)).join(',');
+        if (!region.polygon && !region.route) {
+            return `${theme}_z${minZoom}-${maxZoom}_${box}`;
+        }
+
+        const shape = JSON.stringify([region.polygon, region.route, region.bufferKm]);
+        let hash = 5381;
+        for (let i = 0; i < shape.length; i++) {
+            hash = (hash * 33 + shape.charCodeAt(i)) >>> 0;
+        }
+        return `${theme}_z${minZoom}-${maxZoom}_${box}_${hash.toString(36)}`;
+    },
+
+    // Run a request against the download job store
+    async jobRequest(mode, action) {
+        if (!this.db) {
+            await this.initialize();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.jobStoreName], mode);
+            const request = action(transaction.objectStore(this.jobStoreName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async saveJob(job) {
+        return this.jobRequest('readwrite', store => store.put(job));
+    },
+
+    async getJob(id) {
+        return this.jobRequest('readonly', store => store.get(id));
+    },
+
+    async readJobs() {
+        return this.jobRequest('readonly', store => store.getAll());
+    },
+
+    // Unfinished downloads, newest first, without their tile lists
+    async getJobs() {
+        const jobs = await this.readJobs();
+        return jobs
+            .map(({ remaining, failedTiles, ...job }) => ({
+                ...job,
+                remaining: remaining.length + (failedTiles?.length || 0),
+                active: !!this.activeJobs[job.id]
+            }))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    },
+
+    // Stop and forget a download job; tiles it already saved stay cached
+    async deleteJob(id) {
+        // A stopping job saves itself as paused, so let it finish before deleting the record
+        const entry = this.activeJobs[id];
+        if (entry) {
+            entry.controller.abort();
+            await entry.promise.catch(() => {});
+        }
+        await this.jobRequest('readwrite', store => store.delete(id));
+        return true;
+    },
+
+    // Offline packages: named downloads whose tiles are kept until the package is deleted.
+    // A package is downloaded by the job `package_<id>`, so it can be paused and resumed like any region
+
+    getPackageJobId(id) {
+        return `package_${id}`;
+    },
+
+    // The area a package covers, in the form getTilesForRegion takes
+    getPackageRegion(pkg) {
+        if (pkg.polygon) return { polygon: pkg.polygon };
+        if (pkg.route) return { route: pkg.route, bufferKm: pkg.bufferKm };
+        return pkg.bounds;
+    },
+
+    // Download a new named package; options are name, theme, an area (bounds, polygon as GeoJSON, or route
+    // with bufferKm), minZoom, maxZoom, tileUrl and an optional source tag for packages the app manages
+    async createPackage(options, progressCallback, abortSignal) {
+        const name = (options.name || '').trim();
+        if (!name) {
+            throw new Error('Package name is required');
+        }
+
+        const now = Date.now();
+        const pkg = {
+            id: `${now.toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+            name: name,
+            theme: options.theme,
+            bounds: options.bounds || null,
+            polygon: options.polygon || null,
+            route: options.route || null,
+            bufferKm: options.route ? options.bufferKm ?? 1 : null,
+            minZoom: options.minZoom,
+            maxZoom: options.maxZoom,
+            tileUrl: options.tileUrl,
+            source: options.source || null,
+            status: 'downloading',
+            expectedTiles: 0,
+            failed: 0,
+            createdAt: now,
+            updatedAt: now,
+            refreshedAt: null
         };
+
+        // Polygons and corridors keep their bounding box for display
+        const region = this.getPackageRegion(pkg);
+        pkg.bounds = this.getRegionBounds(region);
+
+        const job = this.createJob(this.getPackageJobId(pkg.id), { ...pkg, region, packageId: pkg.id });
+        pkg.expectedTiles = job.total;
+        await this.savePackage(pkg);
+
+        console.log(`[tile-cache] Creating package "${name}" with ${job.total} tiles`);
+        const result = await this.runJob(job, progressCallback, abortSignal);
+        return { ...result, package: await this.getPackage(pkg.id) };
+    },
+
+    // Re-download every tile of a package; an unfinished refresh continues where it stopped
+    async refreshPackage(id, progressCallback, abortSignal) {
+        const pkg = await this.getPackage(id);
+        if (!pkg) return null;
+
+        const jobId = this.getPackageJobId(id);
+        let job = await this.getJob(jobId);
+        if (!job?.refreshBefore) {
+            job = this.createJob(jobId, { ...pkg, region: this.getPackageRegion(pkg), packageId: id, refreshBefore: Date.now() });
+        }
+
+        pkg.status = 'downloading';
+        await this.savePackage(pkg);
+
+        console.log(`[tile-cache] Refreshing package "${pkg.name}"`);
+        const result = await this.runJob(job, progressCallback, abortSignal);
+        return { ...result, package: await this.getPackage(id) };
+    },
+
+    // Point a package at a new area and fetch what it is missing; once every tile is in,
+    // tiles only the old area needed are released
+    async syncPackage(id, area, progressCallback, abortSignal) {
+        const pkg = await this.getPackage(id);
+        if (!pkg) return null;
+
+        Object.assign(pkg, {
+            bounds: area.bounds || null,
+            polygon: area.polygon || null,
+            route: area.route || null,
+            bufferKm: area.route ? area.bufferKm ?? 1 : null,
+            status: 'downloading'
+        });
+        const region = this.getPackageRegion(pkg);
+        pkg.bounds = this.getRegionBounds(region);
+
+        const jobId = this.getPackageJobId(id);
+        await this.deleteJob(jobId);
+        const job = this.createJob(jobId, { ...pkg, region, packageId: id });
+        pkg.expectedTiles = job.total;
+        await this.savePackage(pkg);
+
+        console.log(`[tile-cache] Syncing package "${pkg.name}" with ${job.total} tiles`);
+        const result = await this.runJob(job, progressCallback, abortSignal);
+        if (!result.remaining) {
+            const keep = new Set(this.getTilesForRegion(region, pkg.minZoom, pkg.maxZoom)
+                .map(t => this.getTileKey(pkg.theme, t.z, t.x, t.y)));
+            result.released = await this.releasePackageTiles(id, key => !keep.has(key));
+        }
+        return { ...result, package: await this.getPackage(id) };
+    },
+
+    // Rename a package
+    async renamePackage(id, name) {
+        const pkg = await this.getPackage(id);
+        if (!pkg) return null;
+
+        name = (name || '').trim();
+        if (!name) {
+            throw new Error('Package name is required');
+        }
+        pkg.name = name;
+        pkg.updatedAt = Date.now();
+        await this.savePackage(pkg);
+        return pkg;
+    },
+
+    // Delete a package and the tiles no other package or region download references
+    async deletePackage(id) {
+        await this.deleteJob(this.getPackageJobId(id));
+
+        const released = await this.releasePackageTiles(id);
+        await this.packageRequest('readwrite', store => store.delete(id));
+
+        console.log(`[tile-cache] Deleted package ${id}: ${released.deletedTiles} tiles removed, ${released.keptTiles} still in use`);
+        return released;
     },
 
-    // Estimate storage size for a region
-    estimateRegionSize(bounds, minZoom, maxZoom, avgTileSize = 15000) {
-        const tiles = this.getTilesForRegion(bounds, minZoom, maxZoom);
+    // Drop a package's reference from its tiles (or those whose key passes the filter), deleting tiles left
+    // with none unless a region download retained them
+    async releasePackageTiles(id, filter = null) {
+        if (!this.db) {
+            await this.initialize();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const index = transaction.objectStore(this.storeName).index('packages');
+            const request = index.openCursor(IDBKeyRange.only(id));
+            const released = { deletedTiles: 0, keptTiles: 0, freedBytes: 0 };
+
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+
+                const tile = cursor.value;
+                if (filter && !filter(tile.key)) {
+                    cursor.continue();
+                    return;
+                }
+
+                tile.packages = tile.packages.filter(p => p !== id);
+                if (tile.packages.length || tile.retained) {
+                    cursor.update(tile);
+                    released.keptTiles++;
+                } else {
+                    cursor.delete();
+                    released.deletedTiles++;
+                    released.freedBytes += tile.size || 0;
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+            transaction.oncomplete = () => resolve(released);
+
+            // A failed update or delete aborts the transaction, so oncomplete never fires
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+
+    // Size and freshness of every package's stored tiles, by package ID; sharedTiles are also in another package.
+    // Only index keys are walked, so listing packages never loads tile data
+    async getPackageTileStats() {
+        if (!this.db) {
+            await this.initialize();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const objectStore = transaction.objectStore(this.storeName);
+            const tilePackages = new Map();   // Tile key -> IDs of the packages referencing it
+            const sizes = new Map();
+            const timestamps = new Map();
+
+            const walkKeys = (indexName, visit) => {
+                const request = objectStore.index(indexName).openKeyCursor();
+                request.onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) return;
+                    visit(cursor.key, cursor.primaryKey);
+                    cursor.continue();
+                };
+            };
+            walkKeys('packages', (id, key) => {
+                if (!tilePackages.has(key)) tilePackages.set(key, []);
+                tilePackages.get(key).push(id);
+            });
+            walkKeys('size', (size, key) => sizes.set(key, size));
+            walkKeys('timestamp', (timestamp, key) => timestamps.set(key, timestamp));
+
+            transaction.oncomplete = () => {
+                const stats = {};
+                tilePackages.forEach((ids, key) => {
+                    const timestamp = timestamps.get(key);
+                    ids.forEach(id => {
+                        const pkg = stats[id] || (stats[id] = { tileCount: 0, bytes: 0, oldestTile: null, sharedTiles: 0 });
+                        pkg.tileCount++;
+                        pkg.bytes += sizes.get(key) || 0;
+                        if (ids.length > 1) pkg.sharedTiles++;
+                        if (pkg.oldestTile === null || timestamp < pkg.oldestTile) {
+                            pkg.oldestTile = timestamp;
+                        }
+                    });
+                });
+                resolve(stats);
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+
+    // Record a package's state after its download job stops
+    async updatePackage(id, job) {
+        const pkg = await this.getPackage(id);
+        if (!pkg) return null;
+
+        // Tiles that failed leave holes, so the package stays incomplete until a refresh fetches them
+        const complete = !job.remaining.length && !job.failed;
+        Object.assign(pkg, {
+            status: complete ? 'ready' : 'incomplete',
+            expectedTiles: job.total,
+            failed: job.failed,
+            updatedAt: Date.now()
+        });
+        if (complete && job.refreshBefore) {
+            pkg.refreshedAt = Date.now();
+        }
+        await this.savePackage(pkg);
+        return pkg;
+    },
+
+    // Bounding box of a GeoJSON geometry, feature or feature collection
+    getGeoJsonBounds(geojson) {
+        const bounds = { north: -90, south: 90, east: -180, west: 180 };
+        const visit = (coords) => {
+            if (typeof coords[0] === 'number') {
+                bounds.west = Math.min(bounds.west, coords[0]);
+                bounds.east = Math.max(bounds.east, coords[0]);
+                bounds.south = Math.min(bounds.south, coords[1]);
+                bounds.north = Math.max(bounds.north, coords[1]);
+            } else {
+                coords.forEach(visit);
+            }
+        };
+
+        this.getGeometries(geojson).forEach(g => visit(g.coordinates));
+        return bounds;
+    },
+
+    // Run a request against the package store
+    async packageRequest(mode, action) {
+        if (!this.db) {
+            await this.initialize();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.packageStoreName], mode);
+            const request = action(transaction.objectStore(this.packageStoreName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async savePackage(pkg) {
+        return this.packageRequest('readwrite', store => store.put(pkg));
+    },
+
+    async getPackage(id) {
+        return this.packageRequest('readonly', store => store.get(id));
+    },
+
+    // All packages, newest first, with their current tile stats and whether a download is running for them
+    // (sizes are counted on demand because creating or deleting one package changes what the others share)
+    async getPackages() {
+        const [packages, tileStats] = await Promise.all([
+            this.packageRequest('readonly', store => store.getAll()),
+            this.getPackageTileStats()
+        ]);
+        return packages
+            .map(({ polygon, route, ...pkg }) => ({
+                ...pkg,
+                ...(tileStats[pkg.id] || { tileCount: 0, bytes: 0, oldestTile: null, sharedTiles: 0 }),
+                shape: polygon ? 'polygon' : route ? 'corridor' : 'box',
+                active: !!this.activeJobs[this.getPackageJobId(pkg.id)]
+            }))
+            .sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    // Estimate storage size for a region (a box, polygon or corridor)
+    estimateRegionSize(region, minZoom, maxZoom, avgTileSize = 15000) {
+        const tileCount = this.countTilesForRegion(region, minZoom, maxZoom);
         return {
-            tileCount: tiles.length,
-            estimatedBytes: tiles.length * avgTileSize,
-            estimatedMB: Math.round(tiles.length * avgTileSize / 1024 / 1024 * 10) / 10
+            tileCount: tileCount,
+            estimatedBytes: tileCount * avgTileSize,
+            estimatedMB: Math.round(tileCount * avgTileSize / 1024 / 1024 * 10) / 10
         };
     },
 
-    // Update cache statistics
+    // Number of tiles getTilesForRegion would return, without building the list for boxes
+    countTilesForRegion(region, minZoom, maxZoom) {
+        if (region.polygon || region.route) {
+            return this.getTilesForRegion(region, minZoom, maxZoom).length;
+        }
+
+        let count = 0;
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const nw = this.latLngToTile(region.north, region.west, z);
+            const se = this.latLngToTile(region.south, region.east, z);
+            count += (Math.abs(se.x - nw.x) + 1) * (Math.abs(se.y - nw.y) + 1);
+        }
+        return count;
+    },
+
+    // Update cache statistics from the tile count and the keys of the size index, never the tiles themselves
     async updateStats() {
-        if (!this.db) return;
+        if (!this.db) {
+            await this.initialize();
+        }
 
-        return new Promise((resolve) => {
+        return new Promise((resolve, reject) => {
             const transaction = this.db.transaction([this.storeName], 'readonly');
             const objectStore = transaction.objectStore(this.storeName);
             
             let totalBytes = 0;
-            let totalTiles = 0;
-            
-            const request = objectStore.openCursor();
+            const countRequest = objectStore.count();
+            const request = objectStore.index('size').openKeyCursor();
             
             request.onsuccess = (event) => {
                 const cursor = event.target.result;
                 if (cursor) {
-                    totalTiles++;
-                    totalBytes += cursor.value.size || 0;
+                    totalBytes += cursor.key;
                     cursor.continue();
-                } else {
-                    this.stats.totalTiles = totalTiles;
-                    this.stats.totalBytes = totalBytes;
-                    this.stats.lastUpdated = Date.now();
-                    resolve(this.stats);
                 }
             };
+            transaction.oncomplete = () => {
+                this.stats.totalTiles = countRequest.result;
+                this.stats.totalBytes = totalBytes;
+                this.stats.lastUpdated = Date.now();
+                resolve(this.stats);
+            };
+            transaction.onerror = () => reject(transaction.error);
         });
     },
 
@@ -358,24 +1386,26 @@ window.tileCache = {
         };
     },
 
-    // Clear all cached tiles
+    // Clear all cached tiles, along with the packages and downloads that would refill them
     async clearAll() {
         if (!this.db) {
             await this.initialize();
         }
 
+        await Promise.all(Object.keys(this.activeJobs).map(id => this.deleteJob(id)));
+
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const objectStore = transaction.objectStore(this.storeName);
-            const request = objectStore.clear();
+            const stores = [this.storeName, this.jobStoreName, this.packageStoreName];
+            const transaction = this.db.transaction(stores, 'readwrite');
+            stores.forEach(name => transaction.objectStore(name).clear());
             
-            request.onsuccess = () => {
+            transaction.oncomplete = () => {
                 this.stats.totalTiles = 0;
                 this.stats.totalBytes = 0;
                 console.log('[tile-cache] All tiles cleared');
                 resolve(true);
             };
-            request.onerror = () => reject(request.error);
+            transaction.onerror = () => reject(transaction.error);
         });
     },
 
@@ -399,16 +1429,30 @@ window.tileCache = {
                     cursor.delete();
                     deletedCount++;
                     cursor.continue();
-                } else {
-                    console.log(`[tile-cache] Deleted ${deletedCount} tiles for theme ${theme}`);
-                    this.updateStats().then(() => resolve(deletedCount));
                 }
             };
-            request.onerror = () => reject(request.error);
+
+            // The deletes are only durable once the transaction commits
+            transaction.oncomplete = () => {
+                console.log(`[tile-cache] Deleted ${deletedCount} tiles for theme ${theme}`);
+                this.deleteThemePackages(theme).then(() => resolve(deletedCount), reject);
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
         });
     },
 
-    // Clear old tiles based on age (milliseconds)
+    // Packages of a theme lose their tiles when the theme is cleared, so drop them too
+    async deleteThemePackages(theme) {
+        const packages = (await this.packageRequest('readonly', store => store.getAll())).filter(pkg => pkg.theme === theme);
+        for (const pkg of packages) {
+            await this.deleteJob(this.getPackageJobId(pkg.id));
+            await this.packageRequest('readwrite', store => store.delete(pkg.id));
+        }
+        return packages.length;
+    },
+
+    // Clear old tiles based on age (milliseconds); tiles in a package stay until the package is deleted
     async clearOldTiles(maxAge) {
         if (!this.db) {
             await this.initialize();
@@ -427,12 +1471,14 @@ window.tileCache = {
             request.onsuccess = (event) => {
                 const cursor = event.target.result;
                 if (cursor) {
-                    cursor.delete();
-                    deletedCount++;
+                    if (!cursor.value.packages?.length) {
+                        cursor.delete();
+                        deletedCount++;
+                    }
                     cursor.continue();
                 } else {
                     console.log(`[tile-cache] Deleted ${deletedCount} old tiles`);
-                    this.updateStats().then(() => resolve(deletedCount));
+                    resolve(deletedCount);
                 }
             };
             request.onerror = () => reject(request.error);
@@ -484,11 +1530,21 @@ window.tileCache = {
     }
 };
 
-// Auto-initialize on load
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        window.tileCache.initialize().catch(console.error);
+// In a page, auto-initialize on load, then pick up downloads a reload interrupted. The service worker
+// only reads and stores tiles, opening the database on first use
+if (typeof document !== 'undefined') {
+    const startTileCache = () => window.tileCache.initialize()
+        .then(() => window.tileCache.resumePendingJobs())
+        .catch(console.error);
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', startTileCache);
+    } else {
+        startTileCache();
+    }
+
+    // Downloads stopped by a lost connection continue when it comes back
+    window.addEventListener('online', () => {
+        window.tileCache.resumePendingJobs().catch(console.error);
     });
-} else {
-    window.tileCache.initialize().catch(console.error);
 }
@@ -16,6 +16,15 @@ window.downloadFile = function (filename, base64Data, contentType) {
     const byteArray = new Uint8Array(byteNumbers);
     const blob = new Blob([byteArray], { type: contentType });
 
+    window.downloadBlob(filename, blob);
+};
+
+/**
+ * Triggers a browser download of an in-memory Blob
+ * @param {string} filename - The name of the file to download
+ * @param {Blob} blob - File content
+ */
+window.downloadBlob = function (filename, blob) {
     // Create download link and trigger download
     const url = window.URL.createObjectURL(blob);
     const link = document.createElement('a');
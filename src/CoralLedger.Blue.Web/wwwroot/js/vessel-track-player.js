@@ -0,0 +1,365 @@
+/**
+ * Vessel Track Player - Animated playback of AIS vessel tracks
+ * Speed-colored track segments, a heading-rotated vessel icon and highlighted MPA boundary crossings
+ */
+window.vesselTrackPlayer = (function() {
+    const PLAYBACK_SPEEDS = [60, 300, 900, 3600];  // Simulated seconds per real second
+
+    // Speed bands in knots, slowest first; colors come from the map palette's speed group
+    // and labels from the track.* messages in map-i18n.js
+    const SPEED_BANDS = [
+        { max: 1, key: 'drifting' },
+        { max: 4, key: 'fishing' },
+        { max: 10, key: 'transit' },
+        { max: Infinity, key: 'fast' }
+    ];
+
+    /**
+     * Current color of a speed band
+     */
+    function getBandColor(band) {
+        return window.mapPalette.getCategory('speed', band.key);
+    }
+
+    /**
+     * Get the speed band for a speed in knots
+     */
+    function getSpeedBand(speed) {
+        return SPEED_BANDS.find(band => (speed || 0) < band.max);
+    }
+
+    /**
+     * Initial bearing in degrees from one position to the next
+     */
+    function bearing(from, to) {
+        const toRad = Math.PI / 180;
+        const dLng = (to.lng - from.lng) * toRad;
+        const y = Math.sin(dLng) * Math.cos(to.lat * toRad);
+        const x = Math.cos(from.lat * toRad) * Math.sin(to.lat * toRad) -
+            Math.sin(from.lat * toRad) * Math.cos(to.lat * toRad) * Math.cos(dLng);
+        return (Math.atan2(y, x) / toRad + 360) % 360;
+    }
+
+    /**
+     * Fetch a vessel track from the AIS API
+     * @param {string} mmsi - Vessel MMSI
+     * @param {number} hours - Hours of history to load
+     * @returns {Promise<Array>} Positions sorted by time
+     */
+    async function fetchTrack(mmsi, hours) {
+        const response = await fetch(`/api/ais/vessels/${encodeURIComponent(mmsi)}/track?hours=${hours}`);
+        if (!response.ok) {
+            throw new Error(`Failed to load track for ${mmsi}: HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        return (data.track || [])
+            .filter(p => p.latitude != null && p.longitude != null && p.timestamp)
+            .map(p => ({
+                lat: p.latitude,
+                lng: p.longitude,
+                speed: p.speed,
+                course: p.course,
+                time: new Date(p.timestamp).getTime()
+            }))
+            .sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Create a player for a loaded track
+     * @param {L.Map} map - Map to draw on
+     * @param {Object} options - mmsi, vesselName, positions and optional mpaIndex / createCrossingMarker
+     */
+    function TrackPlayer(map, options) {
+        this.map = map;
+        this.mmsi = options.mmsi;
+        this.vesselName = options.vesselName || options.mmsi;
+        this.positions = options.positions;
+        this.startTime = this.positions[0].time;
+        this.endTime = this.positions[this.positions.length - 1].time;
+        this.currentTime = this.startTime;
+        this.speed = PLAYBACK_SPEEDS[1];
+        this.playing = false;
+        this.frame = null;
+
+        this.layer = L.layerGroup().addTo(map);
+        this.trackLines = [];
+        this.restrictedLines = [];
+        this.drawTrack();
+
+        // MPA boundary crossings (entries and exits of restricted zones)
+        this.crossings = [];
+        if (options.mpaIndex) {
+            const track = options.mpaIndex.classifyTrack(this.positions.map(p => ({ lat: p.lat, lng: p.lng, time: new Date(p.time).toISOString() })));
+            this.crossings = track.crossings;
+            this.drawRestrictedSegments(track.segments);
+            this.crossings.forEach(crossing => {
+                if (options.createCrossingMarker) {
+                    this.layer.addLayer(options.createCrossingMarker(crossing, this.vesselName));
+                }
+            });
+        }
+
+        this.vesselMarker = L.marker([this.positions[0].lat, this.positions[0].lng], {
+            icon: L.divIcon({
+                className: 'vessel-icon track-player-vessel',
+                html: '<div class="vessel-marker"><span class="material-icons">navigation</span></div>',
+                iconSize: [24, 24],
+                iconAnchor: [12, 12]
+            }),
+            zIndexOffset: 1000
+        }).addTo(this.layer);
+
+        this.control = this.createControl();
+        this.control.addTo(map);
+        this.seek(this.startTime);
+
+        map.fitBounds(L.latLngBounds(this.positions.map(p => [p.lat, p.lng])), { padding: [50, 50] });
+    }
+
+    TrackPlayer.prototype = {
+        // Speed-colored segments; consecutive segments in the same band share one polyline
+        drawTrack: function() {
+            let run = [this.positions[0]];
+            let runBand = getSpeedBand(this.positions[0].speed);
+
+            for (let i = 1; i < this.positions.length; i++) {
+                run.push(this.positions[i]);
+                const nextBand = i < this.positions.length - 1 ? getSpeedBand(this.positions[i].speed) : null;
+                if (nextBand === runBand) continue;
+
+                const line = L.polyline(run.map(p => [p.lat, p.lng]), {
+                    color: getBandColor(runBand),
+                    weight: 4,
+                    opacity: 0.9,
+                    lineCap: 'round',
+                    lineJoin: 'round'
+                }).addTo(this.layer);
+                const bandKey = runBand.key;
+                line.bindTooltip(() => window.mapI18n.t(`track.${bandKey}`), { sticky: true });
+                line.speedBand = runBand;
+                this.trackLines.push(line);
+
+                run = [this.positions[i]];
+                runBand = nextBand;
+            }
+        },
+
+        // Red halo under the parts of the track inside NoTake / HighlyProtected zones
+        drawRestrictedSegments: function(segments) {
+            segments.filter(s => s.isRestricted).forEach(s => {
+                const from = this.positions[s.index];
+                const to = this.positions[s.index + 1];
+                this.restrictedLines.push(L.polyline([[from.lat, from.lng], [to.lat, to.lng]], {
+                    color: window.mapPalette.getCategory('marker', 'violationBorder'),
+                    weight: 10,
+                    opacity: 0.35,
+                    interactive: false,
+                    className: 'track-restricted-segment'
+                }).addTo(this.layer));
+            });
+        },
+
+        createControl: function() {
+            const player = this;
+            const control = L.control({ position: 'bottomleft' });
+
+            control.onAdd = function() {
+                const div = L.DomUtil.create('div', 'track-player-control');
+                div.setAttribute('role', 'group');
+                const i18n = window.mapI18n;
+                div.setAttribute('aria-label', i18n.t('track.label', { name: player.vesselName }));
+
+                const span = player.endTime - player.startTime || 1;
+                const ticks = player.crossings.map(c => {
+                    const pct = (new Date(c.time).getTime() - player.startTime) / span * 100;
+                    const label = i18n.t(c.type === 'entry' ? 'timelapse.entered' : 'timelapse.exited', { name: c.mpa?.name || i18n.t('mpa.name') });
+                    return `<button type="button" class="track-player-tick track-player-tick-${c.type}" style="left: ${pct}%;"
+                        data-time="${new Date(c.time).getTime()}" title="${label}" aria-label="${label}"></button>`;
+                }).join('');
+
+                div.innerHTML = `
+                    <div class="track-player-header">
+                        <strong>${player.vesselName}</strong>
+                        <button type="button" class="track-player-close" data-i18n-label="track.close" aria-label="${i18n.t('track.close')}">
+                            <span class="material-icons">close</span>
+                        </button>
+                    </div>
+                    <div class="track-player-scrubber">
+                        <input type="range" min="0" max="1000" value="0" aria-label="${i18n.t('track.position')}" />
+                        <div class="track-player-ticks">${ticks}</div>
+                    </div>
+                    <div class="track-player-controls">
+                        <button type="button" class="track-player-play" aria-label="${i18n.t('track.play')}">
+                            <span class="material-icons">play_arrow</span>
+                        </button>
+                        <select class="track-player-speed" aria-label="${i18n.t('track.speed')}">
+                            ${PLAYBACK_SPEEDS.map(s => `<option value="${s}" ${s === player.speed ? 'selected' : ''}>${s}x</option>`).join('')}
+                        </select>
+                        <span class="track-player-time" aria-live="off"></span>
+                        <span class="track-player-speed-readout"></span>
+                    </div>
+                `;
+
+                player.elements = {
+                    range: div.querySelector('input[type=range]'),
+                    play: div.querySelector('.track-player-play'),
+                    speed: div.querySelector('.track-player-speed'),
+                    time: div.querySelector('.track-player-time'),
+                    speedReadout: div.querySelector('.track-player-speed-readout')
+                };
+
+                L.DomEvent.on(player.elements.play, 'click', () => player.playing ? player.pause() : player.play());
+                L.DomEvent.on(player.elements.range, 'input', (e) => {
+                    player.pause();
+                    player.seek(player.startTime + e.target.value / 1000 * span);
+                });
+                L.DomEvent.on(player.elements.speed, 'change', (e) => {
+                    player.speed = parseInt(e.target.value, 10);
+                });
+                div.querySelectorAll('.track-player-tick').forEach(tick => {
+                    L.DomEvent.on(tick, 'click', () => {
+                        player.pause();
+                        player.seek(parseInt(tick.dataset.time, 10));
+                    });
+                });
+                L.DomEvent.on(div.querySelector('.track-player-close'), 'click', () => player.remove());
+
+                L.DomEvent.disableClickPropagation(div);
+                L.DomEvent.disableScrollPropagation(div);
+                return div;
+            };
+
+            return control;
+        },
+
+        play: function() {
+            if (this.playing) return;
+            if (this.currentTime >= this.endTime) {
+                this.currentTime = this.startTime;
+            }
+
+            this.playing = true;
+            this.setPlayButton();
+
+            let last = performance.now();
+            const step = (now) => {
+                if (!this.playing) return;
+                const elapsed = now - last;
+                last = now;
+
+                this.seek(Math.min(this.endTime, this.currentTime + elapsed * this.speed));
+                if (this.currentTime >= this.endTime) {
+                    this.pause();
+                    return;
+                }
+                this.frame = requestAnimationFrame(step);
+            };
+            this.frame = requestAnimationFrame(step);
+        },
+
+        pause: function() {
+            this.playing = false;
+            if (this.frame) {
+                cancelAnimationFrame(this.frame);
+                this.frame = null;
+            }
+            this.setPlayButton();
+        },
+
+        setPlayButton: function() {
+            if (!this.elements) return;
+            this.elements.play.setAttribute('aria-label', window.mapI18n.t(this.playing ? 'track.pause' : 'track.play'));
+            this.elements.play.querySelector('.material-icons').textContent = this.playing ? 'pause' : 'play_arrow';
+        },
+
+        /**
+         * Move the vessel to a point in time, interpolating between AIS positions
+         * @param {number} time - Epoch milliseconds within the track
+         */
+        seek: function(time) {
+            this.currentTime = Math.max(this.startTime, Math.min(this.endTime, time));
+
+            // Binary search for the segment containing the current time
+            const positions = this.positions;
+            let lo = 0;
+            let hi = positions.length - 1;
+            while (hi - lo > 1) {
+                const mid = (lo + hi) >> 1;
+                if (positions[mid].time <= this.currentTime) lo = mid; else hi = mid;
+            }
+
+            const from = positions[lo];
+            const to = positions[hi];
+            const t = to.time > from.time ? (this.currentTime - from.time) / (to.time - from.time) : 0;
+            const lat = from.lat + (to.lat - from.lat) * t;
+            const lng = from.lng + (to.lng - from.lng) * t;
+            const heading = from.course != null ? from.course : bearing(from, to);
+
+            this.vesselMarker.setLatLng([lat, lng]);
+            const iconEl = this.vesselMarker.getElement()?.querySelector('.vessel-marker');
+            if (iconEl) {
+                iconEl.style.transform = `rotate(${heading}deg)`;
+            }
+
+            if (this.elements) {
+                const span = this.endTime - this.startTime || 1;
+                this.elements.range.value = Math.round((this.currentTime - this.startTime) / span * 1000);
+                this.elements.time.textContent = window.mapI18n.formatDateTime(this.currentTime);
+                const speed = from.speed != null ? from.speed + (((to.speed ?? from.speed) - from.speed) * t) : null;
+                this.elements.speedReadout.textContent = speed != null
+                    ? window.mapI18n.t('unit.knots', { value: window.mapI18n.formatNumber(speed, 1) })
+                    : '';
+            }
+        },
+
+        // Re-apply palette colors after the user changes the map palette
+        recolor: function() {
+            this.trackLines.forEach(line => line.setStyle({ color: getBandColor(line.speedBand) }));
+            const restrictedColor = window.mapPalette.getCategory('marker', 'violationBorder');
+            this.restrictedLines.forEach(line => line.setStyle({ color: restrictedColor }));
+        },
+
+        // Rebuild the control in the current map culture, keeping the playback position
+        relabel: function() {
+            this.map.removeControl(this.control);
+            this.control = this.createControl();
+            this.control.addTo(this.map);
+            this.seek(this.currentTime);
+            this.setPlayButton();
+        },
+
+        remove: function() {
+            this.pause();
+            this.map.removeLayer(this.layer);
+            this.map.removeControl(this.control);
+            if (this.onRemove) this.onRemove();
+        }
+    };
+
+    /**
+     * Load a vessel track and attach a player to the map
+     * @param {L.Map} map - Map to draw on
+     * @param {string} mmsi - Vessel MMSI
+     * @param {Object} options - hours, vesselName, mpaIndex, createCrossingMarker
+     * @returns {Promise<TrackPlayer|null>} The player, or null when the track is empty
+     */
+    async function load(map, mmsi, options = {}) {
+        const positions = await fetchTrack(mmsi, options.hours || 24);
+        if (positions.length < 2) {
+            console.warn(`[vessel-track-player] Not enough positions to play track for ${mmsi}`);
+            return null;
+        }
+
+        return new TrackPlayer(map, Object.assign({}, options, { mmsi: mmsi, positions: positions }));
+    }
+
+    return {
+        load,
+        fetchTrack,
+        getSpeedBand,
+        getBandColor,
+        SPEED_BANDS,
+        PLAYBACK_SPEEDS
+    };
+})();
@@ -1,24 +1,23 @@
 // CoralLedger Blue Service Worker
-// Version: 5.0.0 - Complete Offline PWA with Map Tile Caching
-const CACHE_VERSION = 'v5';
+// Version: 6.0.0 - Complete Offline PWA with Map Tile Caching
+const CACHE_VERSION = 'v6';
 const STATIC_CACHE = `coralledger-static-${CACHE_VERSION}`;
 const API_CACHE = `coralledger-api-${CACHE_VERSION}`;
 const IMAGE_CACHE = `coralledger-images-${CACHE_VERSION}`;
 const GEOMETRY_CACHE = `coralledger-geometry-${CACHE_VERSION}`;
-const TILE_CACHE = `coralledger-tiles-${CACHE_VERSION}`;
 const OFFLINE_URL = '/offline.html';
 
+// Map tiles live in the tileCache IndexedDB store shared with the map pages, which also owns eviction
+importScripts('/js/tile-cache.js');
+
 // Map tile configuration
 const TILE_CACHE_CONFIG = {
-    maxTiles: 500,           // Maximum tiles to cache
-    maxAge: 7 * 24 * 3600000, // 7 days
-    patterns: [
-        /^https:\/\/[abc]\.tile\.openstreetmap\.org/,
-        /^https:\/\/[abc]\.basemaps\.cartocdn\.com/,
-        /^https:\/\/cartodb-basemaps-[abc]\.global\.ssl\.fastly\.net/
-    ]
+    maxAge: 7 * 24 * 3600000 // 7 days before a cached tile is refetched when online
 };
 
+// Basemap sources ({ id, tileUrl, subdomains }) sent by basemap-registry.js, persisted in IndexedDB
+let registeredTileSources = [];
+
 // Static assets to cache immediately on install
 const STATIC_ASSETS = [
     '/',
@@ -97,7 +96,7 @@ async function openDB() {
 // Service Worker Events
 // ==========================================================================
 self.addEventListener('install', (event) => {
-    console.log('[SW] Installing service worker v4...');
+    console.log(`[SW] Installing service worker ${CACHE_VERSION}...`);
     event.waitUntil(
         Promise.all([
             caches.open(STATIC_CACHE).then((cache) => {
@@ -140,7 +139,7 @@ async function preCacheGeometry() {
 }
 
 self.addEventListener('activate', (event) => {
-    console.log('[SW] Activating service worker v4...');
+    console.log(`[SW] Activating service worker ${CACHE_VERSION}...`);
     event.waitUntil(
         Promise.all([
             // Clean up old caches
@@ -152,8 +151,7 @@ self.addEventListener('activate', (event) => {
                                    name !== STATIC_CACHE &&
                                    name !== API_CACHE &&
                                    name !== IMAGE_CACHE &&
-                                   name !== GEOMETRY_CACHE &&
-                                   name !== TILE_CACHE;
+                                   name !== GEOMETRY_CACHE;
                         })
                         .map((name) => {
                             console.log('[SW] Deleting old cache:', name);
@@ -184,80 +182,121 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
-    // Handle different resource types
-    if (isMapTileRequest(request.url)) {
-        event.respondWith(handleTileRequest(request));
+    // Tiles are recognized by the registered sources, so after a restart requests that might be tiles
+    // wait until they are loaded; everything else is routed straight away
+    if (!mightBeTileRequest(request, url)) {
+        event.respondWith(routeRequest(request, url));
+        return;
+    }
+    event.respondWith(tileSourcesLoaded.then(() => routeRequest(request, url)));
+});
+
+// Tiles are loaded by <img> elements or fetched by offline downloads; page loads, scripts, styles
+// and the app's own API never are
+function mightBeTileRequest(request, url) {
+    if (request.destination !== 'image' && request.destination !== '') {
+        return false;
+    }
+    return !(url.origin === self.location.origin && url.pathname.startsWith('/api/'));
+}
+
+// Handle different resource types
+function routeRequest(request, url) {
+    const tile = matchTileRequest(request.url);
+    if (tile) {
+        return handleTileRequest(request, tile);
     } else if (isGeometryRequest(url)) {
-        event.respondWith(handleGeometryRequest(request, url));
+        return handleGeometryRequest(request, url);
     } else if (url.pathname.startsWith('/api/')) {
-        event.respondWith(handleApiRequest(request, url));
+        return handleApiRequest(request, url);
     } else if (isImageRequest(request)) {
-        event.respondWith(handleImageRequest(request));
-    } else {
-        event.respondWith(handleStaticRequest(request));
+        return handleImageRequest(request);
     }
-});
+    return handleStaticRequest(request);
+}
 
 // ==========================================================================
 // Map Tile Caching (v5.0.0)
 // ==========================================================================
 
 /**
- * Check if request is for a map tile
+ * Theme and tile coordinates of a map tile request, or null for other requests
  */
-function isMapTileRequest(url) {
-    return TILE_CACHE_CONFIG.patterns.some(pattern => pattern.test(url));
+function matchTileRequest(url) {
+    return self.tileCache.matchTileUrl(url, registeredTileSources);
 }
 
+/**
+ * Replace the registered basemap sources and remember them across service worker restarts
+ */
+async function registerTileSources(sources) {
+    registeredTileSources = sources.filter(source => source && typeof source.tileUrl === 'string');
+
+    const database = await openDB();
+    const tx = database.transaction('preferences', 'readwrite');
+    tx.objectStore('preferences').put({ key: 'tileSources', value: registeredTileSources });
+}
+
+/**
+ * Load the basemap sources saved by an earlier registration; never rejects, so requests can always wait on it
+ */
+async function loadTileSources() {
+    try {
+        const database = await openDB();
+        const saved = await new Promise((resolve, reject) => {
+            const request = database.transaction('preferences', 'readonly').objectStore('preferences').get('tileSources');
+            request.onsuccess = () => resolve(request.result?.value || []);
+            request.onerror = () => reject(request.error);
+        });
+
+        // A registration that arrived while loading is newer than the saved one
+        if (registeredTileSources.length) return;
+
+        // Older versions saved bare URL prefixes, which can't be mapped to tiles
+        registeredTileSources = saved.filter(source => typeof source?.tileUrl === 'string');
+    } catch (error) {
+        console.warn('[SW] Could not load registered tile sources:', error);
+    }
+}
+
+const tileSourcesLoaded = loadTileSources();
+
 /**
  * Handle map tile requests with cache-first strategy
- * Caches tiles for offline map viewing
+ * Reads and writes the same tile store the map pages and offline downloads use
  */
-async function handleTileRequest(request) {
-    const cache = await caches.open(TILE_CACHE);
+async function handleTileRequest(request, tile) {
+    const { theme, z, x, y } = tile;
 
     // Try cache first for fast response
-    const cachedResponse = await cache.match(request);
-    if (cachedResponse) {
-        // Check if tile is still valid
-        const cachedAt = parseInt(cachedResponse.headers.get('sw-cached-at') || '0');
-        if (Date.now() - cachedAt < TILE_CACHE_CONFIG.maxAge) {
-            return cachedResponse;
-        }
+    const cachedTile = await self.tileCache.getTile(theme, z, x, y).catch(() => null);
+    if (cachedTile?.blob && Date.now() - cachedTile.timestamp < TILE_CACHE_CONFIG.maxAge) {
+        return tileResponse(cachedTile);
     }
 
     // Try network
     try {
         const networkResponse = await fetch(request);
 
+        // Opaque responses (cross-origin <img> loads) can't be read, so only CORS responses are cached
         if (networkResponse.ok) {
-            // Clone response for caching
-            const responseToCache = networkResponse.clone();
+            const blob = await networkResponse.blob();
+            const storedTile = { blob: blob, timestamp: Date.now() };
 
-            // Add cache metadata
-            const headers = new Headers(responseToCache.headers);
-            headers.set('sw-cached-at', Date.now().toString());
+            // Store as a browsed tile (don't await - background operation; tileCache trims browsed tiles)
+            self.tileCache.storeTile(theme, z, x, y, blob, null, true)
+                .catch(error => console.warn('[SW] Could not cache tile:', error));
 
-            // Cache the tile
-            const cachedTile = new Response(await responseToCache.blob(), {
-                status: responseToCache.status,
-                statusText: responseToCache.statusText,
-                headers: headers
-            });
-
-            // Store in cache (don't await - background operation)
-            cache.put(request, cachedTile).then(() => {
-                // Trim cache if too large
-                trimTileCache();
-            });
+            // Its sw-cached-at header tells the page the tile is already stored
+            return tileResponse(storedTile);
         }
 
         return networkResponse;
     } catch (error) {
         // Network failed - return cached tile even if stale
-        if (cachedResponse) {
+        if (cachedTile?.blob) {
             console.log('[SW] Serving stale tile from cache:', request.url);
-            return cachedResponse;
+            return tileResponse(cachedTile);
         }
 
         // Return a placeholder tile (transparent PNG)
@@ -272,37 +311,16 @@ async function handleTileRequest(request) {
 }
 
 /**
- * Trim tile cache to stay within limits
+ * Response for a tile record from the tile store; pages skip storing tiles that carry sw-cached-at
  */
-async function trimTileCache() {
-    const cache = await caches.open(TILE_CACHE);
-    const keys = await cache.keys();
-
-    if (keys.length <= TILE_CACHE_CONFIG.maxTiles) {
-        return;
-    }
-
-    console.log(`[SW] Trimming tile cache: ${keys.length} tiles`);
-
-    // Get all tiles with their cache times
-    const tilesWithAge = await Promise.all(
-        keys.map(async (request) => {
-            const response = await cache.match(request);
-            const cachedAt = parseInt(response?.headers.get('sw-cached-at') || '0');
-            return { request, cachedAt };
-        })
-    );
-
-    // Sort by age (oldest first)
-    tilesWithAge.sort((a, b) => a.cachedAt - b.cachedAt);
-
-    // Delete oldest tiles to get back under limit
-    const tilesToDelete = tilesWithAge.slice(0, keys.length - TILE_CACHE_CONFIG.maxTiles);
-    for (const tile of tilesToDelete) {
-        await cache.delete(tile.request);
-    }
-
-    console.log(`[SW] Deleted ${tilesToDelete.length} old tiles`);
+function tileResponse(cachedTile) {
+    return new Response(cachedTile.blob, {
+        status: 200,
+        headers: {
+            'Content-Type': cachedTile.blob.type || 'image/png',
+            'sw-cached-at': String(cachedTile.timestamp)
+        }
+    });
 }
 
 // Check if request is for geometry data (Sprint 4.1 US-4.1.3)
@@ -663,14 +681,21 @@ self.addEventListener('message', (event) => {
 
     if (event.data.type === 'CLEAR_CACHE') {
         event.waitUntil(
-            caches.keys().then((cacheNames) => {
-                return Promise.all(
-                    cacheNames.map((name) => caches.delete(name))
-                );
-            })
+            Promise.all([
+                caches.keys().then((cacheNames) => {
+                    return Promise.all(
+                        cacheNames.map((name) => caches.delete(name))
+                    );
+                }),
+                self.tileCache.clearAll()
+            ])
         );
     }
 
+    if (event.data.type === 'REGISTER_TILE_SOURCES') {
+        event.waitUntil(registerTileSources(event.data.sources || []));
+    }
+
     if (event.data.type === 'STORE_OBSERVATION') {
         event.waitUntil(storeOfflineObservation(event.data.observation));
     }
@@ -0,0 +1,105 @@
+using CoralLedger.Blue.Application.Common.Interfaces;
+using CoralLedger.Blue.Application.Features.Basemaps.Commands.DeleteBasemapSource;
+using CoralLedger.Blue.Application.Features.Basemaps.Commands.SaveBasemapSource;
+using CoralLedger.Blue.Application.Tests.TestFixtures;
+using FluentAssertions;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using Moq;
+using Xunit;
+
+namespace CoralLedger.Blue.Application.Tests.Features.Basemaps;
+
+/// <summary>
+/// The admin Basemaps page saves and deletes through these commands, so they must write to the database themselves
+/// </summary>
+public class SaveBasemapSourceCommandTests
+{
+    private static SaveBasemapSourceCommandHandler CreateHandler(IMarineDbContext context) =>
+        new(context, new Mock<ILogger<SaveBasemapSourceCommandHandler>>().Object);
+
+    [Fact]
+    public async Task Handle_NewKey_CreatesRow()
+    {
+        // Arrange
+        var (context, scope) = TestDbContextFactory.CreateWithScope();
+        using var _ = scope;
+        var command = new SaveBasemapSourceCommand(
+            "bathymetry", "GEBCO Bathymetry", "https://wms.gebco.net/mapserv",
+            Type: "WMS", Layers: "GEBCO_LATEST", MinZoom: 3, MaxZoom: 12);
+
+        // Act
+        var result = await CreateHandler(context).Handle(command, CancellationToken.None);
+
+        // Assert
+        result.Success.Should().BeTrue();
+        result.Created.Should().BeTrue();
+
+        var row = await context.BasemapSources.SingleAsync();
+        row.Key.Should().Be("bathymetry");
+        row.Type.Should().Be("wms");
+        row.Layers.Should().Be("GEBCO_LATEST");
+        row.MaxZoom.Should().Be(12);
+    }
+
+    [Fact]
+    public async Task Handle_ExistingKey_UpdatesRowInPlace()
+    {
+        // Arrange
+        var (context, scope) = TestDbContextFactory.CreateWithScope();
+        using var _ = scope;
+        var handler = CreateHandler(context);
+        await handler.Handle(new SaveBasemapSourceCommand("nautical", "Charts", "https://tiles.example.com/{z}/{x}/{y}.png"), CancellationToken.None);
+
+        // Act
+        var result = await handler.Handle(
+            new SaveBasemapSourceCommand("nautical", "Nautical Charts", "https://tiles.example.com/{z}/{x}/{y}.png"),
+            CancellationToken.None);
+
+        // Assert
+        result.Created.Should().BeFalse();
+        var row = await context.BasemapSources.SingleAsync();
+        row.Name.Should().Be("Nautical Charts");
+        row.ModifiedAt.Should().NotBeNull();
+    }
+
+    [Fact]
+    public async Task Handle_InvalidSource_SavesNothing()
+    {
+        // Arrange
+        var (context, scope) = TestDbContextFactory.CreateWithScope();
+        using var _ = scope;
+
+        // Act
+        var result = await CreateHandler(context).Handle(
+            new SaveBasemapSourceCommand("dark", "Dark", "https://tiles.example.com/{z}/{x}/{y}.png"),
+            CancellationToken.None);
+
+        // Assert
+        result.Success.Should().BeFalse();
+        result.Error.Should().Contain("built in");
+        (await context.BasemapSources.AnyAsync()).Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task DeleteCommand_RemovesRow()
+    {
+        // Arrange
+        var (context, scope) = TestDbContextFactory.CreateWithScope();
+        using var _ = scope;
+        await CreateHandler(context).Handle(
+            new SaveBasemapSourceCommand("temporary", "Temporary", "https://tiles.example.com/{z}/{x}/{y}.png"),
+            CancellationToken.None);
+        var deleteHandler = new DeleteBasemapSourceCommandHandler(
+            context, new Mock<ILogger<DeleteBasemapSourceCommandHandler>>().Object);
+
+        // Act
+        var deleted = await deleteHandler.Handle(new DeleteBasemapSourceCommand("temporary"), CancellationToken.None);
+        var deletedAgain = await deleteHandler.Handle(new DeleteBasemapSourceCommand("temporary"), CancellationToken.None);
+
+        // Assert
+        deleted.Should().BeTrue();
+        deletedAgain.Should().BeFalse();
+        (await context.BasemapSources.AnyAsync()).Should().BeFalse();
+    }
+}
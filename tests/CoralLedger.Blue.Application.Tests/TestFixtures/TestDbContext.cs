@@ -34,6 +34,7 @@ public class TestDbContext : DbContext, IMarineDbContext
     public DbSet<ApiClient> ApiClients => Set<ApiClient>();
     public DbSet<ApiKey> ApiKeys => Set<ApiKey>();
     public DbSet<ApiUsageLog> ApiUsageLogs => Set<ApiUsageLog>();
+    public DbSet<BasemapSource> BasemapSources => Set<BasemapSource>();
     
     // Multi-tenant
     public DbSet<Tenant> Tenants => Set<Tenant>();
@@ -163,6 +164,11 @@ public class TestDbContext : DbContext, IMarineDbContext
             entity.HasKey(e => e.Id);
         });
 
+        modelBuilder.Entity<BasemapSource>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+        });
+
         modelBuilder.Entity<Tenant>(entity =>
         {
             entity.HasKey(e => e.Id);
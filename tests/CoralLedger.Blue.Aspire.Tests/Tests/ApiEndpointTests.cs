@@ -49,6 +49,27 @@ public class ApiEndpointTests
         }
     }
 
+    [Fact]
+    public async Task BleachingEndpoint_WithIncludeAll_ReturnsData()
+    {
+        // Act - includeAll returns every data point for interpolated surfaces
+        var response = await _fixture.WebClient.GetAsync("/api/bleaching/bahamas?includeAll=true");
+
+        // Assert - Accept success or service unavailable (external NOAA API may be down)
+        response.StatusCode.Should().BeOneOf(
+            HttpStatusCode.OK,
+            HttpStatusCode.ServiceUnavailable,
+            HttpStatusCode.InternalServerError,
+            HttpStatusCode.BadGateway);
+
+        if (response.IsSuccessStatusCode)
+        {
+            using var json = JsonDocument.Parse(await response.Content.ReadAsStringAsync());
+            json.RootElement.GetProperty("data").GetArrayLength()
+                .Should().Be(json.RootElement.GetProperty("totalDataPoints").GetInt32());
+        }
+    }
+
     [Fact]
     public async Task VesselEndpoint_ReturnsData()
     {
@@ -0,0 +1,53 @@
+using CoralLedger.Blue.Domain.Entities;
+using FluentAssertions;
+using Xunit;
+
+namespace CoralLedger.Blue.Domain.Tests.Entities;
+
+public class BasemapSourceTests
+{
+    [Fact]
+    public void Create_WithValidData_SetsAllProperties()
+    {
+        // Act
+        var source = BasemapSource.Create(
+            "nautical",
+            "NOAA Nautical Charts",
+            "https://gis.charttools.noaa.gov/arcgis/rest/services/MCS/NOAAChartDisplay/MapServer/exts/MaritimeChartService/WMSServer",
+            type: "WMS",
+            minZoom: 3,
+            maxZoom: 16,
+            layers: "0,1,2",
+            format: "image/png",
+            transparent: true);
+
+        // Assert
+        source.Key.Should().Be("nautical");
+        source.Name.Should().Be("NOAA Nautical Charts");
+        source.Type.Should().Be("wms");
+        source.MinZoom.Should().Be(3);
+        source.MaxZoom.Should().Be(16);
+        source.Layers.Should().Be("0,1,2");
+        source.Transparent.Should().BeTrue();
+        source.CreatedAt.Should().BeCloseTo(DateTime.UtcNow, TimeSpan.FromSeconds(5));
+        source.ModifiedAt.Should().BeNull();
+    }
+
+    [Fact]
+    public void Update_ReplacesSettingsAndKeepsKey()
+    {
+        // Arrange
+        var source = BasemapSource.Create("nautical", "Charts", "https://wms.example.com/wms", type: "wms", layers: "charts");
+
+        // Act
+        source.Update("OpenSeaMap", "https://tiles.openseamap.org/seamark/{z}/{x}/{y}.png");
+
+        // Assert
+        source.Key.Should().Be("nautical");
+        source.Name.Should().Be("OpenSeaMap");
+        source.Type.Should().Be("xyz");
+        source.Layers.Should().BeNull("XYZ sources have no WMS parameters");
+        source.MaxZoom.Should().Be(19);
+        source.ModifiedAt.Should().NotBeNull();
+    }
+}
@@ -0,0 +1,67 @@
+using Microsoft.Playwright;
+
+namespace CoralLedger.Blue.E2E.Tests;
+
+/// <summary>
+/// Base fixture for unit tests of the scripts in wwwroot.
+/// Scripts run in an empty page served from a stand-in HTTPS origin, so IndexedDB and the other
+/// origin-bound browser APIs work without starting the app.
+/// </summary>
+public class JavaScriptUnitTestFixture : PlaywrightFixture
+{
+    protected const string TestOrigin = "https://js-unit-tests.local/";
+
+    // A 512x512 map container is enough for Leaflet to lay out tiles and project points
+    private const string TestPage = @"<!DOCTYPE html>
+<html lang=""en"">
+<head><meta charset=""utf-8""><title>JavaScript unit tests</title></head>
+<body><div id=""map"" style=""width:512px;height:512px""></div></body>
+</html>";
+
+    /// <summary>
+    /// Opens the test page and runs the given scripts in order.
+    /// Paths are relative to the web project's wwwroot, e.g. "js/tile-cache.js".
+    /// </summary>
+    protected async Task LoadScriptsAsync(params string[] paths)
+    {
+        // Only the page itself exists; anything else the scripts request from the origin is not found
+        await Page.RouteAsync($"{TestOrigin}**", route => route.Request.Url == TestOrigin
+            ? route.FulfillAsync(new RouteFulfillOptions { ContentType = "text/html", Body = TestPage })
+            : route.FulfillAsync(new RouteFulfillOptions { Status = 404 }));
+        await Page.GotoAsync(TestOrigin);
+
+        foreach (var path in paths)
+        {
+            await Page.AddScriptTagAsync(new PageAddScriptTagOptions
+            {
+                Content = File.ReadAllText(GetWebRootPath(path))
+            });
+        }
+    }
+
+    /// <summary>
+    /// Full path of a file under the web project's wwwroot
+    /// </summary>
+    protected static string GetWebRootPath(string path)
+    {
+        var relativePath = Path.Combine("src", "CoralLedger.Blue.Web", "wwwroot", path);
+        var fullPath = Path.GetFullPath(Path.Combine(
+            TestContext.CurrentContext.TestDirectory,
+            "..", "..", "..", "..", "..",
+            relativePath
+        ));
+
+        // Try alternative path if first doesn't exist (for CI/CD environments)
+        if (!File.Exists(fullPath))
+        {
+            fullPath = Path.GetFullPath(Path.Combine(
+                AppContext.BaseDirectory,
+                "..", "..", "..", "..", "..",
+                relativePath
+            ));
+        }
+
+        File.Exists(fullPath).Should().BeTrue($"{path} should exist at {fullPath}");
+        return fullPath;
+    }
+}
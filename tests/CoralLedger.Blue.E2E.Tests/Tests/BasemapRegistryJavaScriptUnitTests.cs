@@ -0,0 +1,205 @@
+namespace CoralLedger.Blue.E2E.Tests.Tests;
+
+/// <summary>
+/// Unit tests for basemap-registry.js.
+/// The test page has no /api/basemaps, so only built-in and custom sources are registered.
+/// </summary>
+[TestFixture]
+public class BasemapRegistryJavaScriptUnitTests : JavaScriptUnitTestFixture
+{
+    [SetUp]
+    public async Task LoadRegistryScript()
+    {
+        await LoadScriptsAsync("js/basemap-registry.js");
+        await Page.EvaluateAsync(@"() => {
+            window.wmsSource = {
+                type: 'wms', url: 'https://example.org/wms', version: '1.1.1', layers: 'bathymetry', styles: '',
+                format: 'image/png', transparent: true
+            };
+            window.wmtsSource = {
+                type: 'wmts', url: 'https://example.org/wmts?key=abc', version: '1.0.0', layers: 'reefs', styles: '',
+                format: 'image/jpeg', tileMatrixSet: 'GoogleMapsCompatible'
+            };
+        }");
+    }
+
+    #region buildTemplate Tests
+
+    [Test]
+    [Description("Verifies a WMS source becomes a GetMap template with a {bbox} placeholder and SRS for version 1.1.1")]
+    public async Task BuildTemplate_Wms111UsesSrs()
+    {
+        // Act
+        var template = await Page.EvaluateAsync<string>("basemapRegistry.buildTemplate(wmsSource)");
+
+        // Assert
+        template.Should().Be(
+            "https://example.org/wms?SERVICE=WMS&REQUEST=GetMap&VERSION=1.1.1&LAYERS=bathymetry&STYLES=&FORMAT=image%2Fpng" +
+            "&TRANSPARENT=TRUE&WIDTH=256&HEIGHT=256&SRS=EPSG%3A3857&BBOX={bbox}");
+    }
+
+    [Test]
+    [Description("Verifies WMS 1.3.0 names the projection CRS instead of SRS")]
+    public async Task BuildTemplate_Wms130UsesCrs()
+    {
+        // Act
+        var template = await Page.EvaluateAsync<string>("basemapRegistry.buildTemplate({ ...wmsSource, version: '1.3.0' })");
+
+        // Assert
+        template.Should().Contain("&CRS=EPSG%3A3857");
+        template.Should().NotContain("SRS=");
+    }
+
+    [Test]
+    [Description("Verifies a key-value WMTS source keeps its own query string and gets tile matrix placeholders")]
+    public async Task BuildTemplate_WmtsKeyValue()
+    {
+        // Act
+        var template = await Page.EvaluateAsync<string>("basemapRegistry.buildTemplate(wmtsSource)");
+
+        // Assert
+        template.Should().Be(
+            "https://example.org/wmts?key=abc&SERVICE=WMTS&REQUEST=GetTile&VERSION=1.0.0&LAYER=reefs&STYLE=default" +
+            "&TILEMATRIXSET=GoogleMapsCompatible&FORMAT=image%2Fjpeg&TILEMATRIX={z}&TILEROW={y}&TILECOL={x}");
+    }
+
+    [Test]
+    [Description("Verifies a RESTful WMTS template has its TileMatrix, TileRow and TileCol placeholders renamed")]
+    public async Task BuildTemplate_WmtsRestful()
+    {
+        // Act
+        var template = await Page.EvaluateAsync<string>(@"
+            basemapRegistry.buildTemplate({ ...wmtsSource, url: 'https://example.org/wmts/reefs/{TileMatrix}/{TileRow}/{TileCol}.jpg' })
+        ");
+
+        // Assert
+        template.Should().Be("https://example.org/wmts/reefs/{z}/{y}/{x}.jpg");
+    }
+
+    [Test]
+    [Description("Verifies an XYZ source template is its URL unchanged")]
+    public async Task BuildTemplate_XyzIsUnchanged()
+    {
+        // Act
+        var template = await Page.EvaluateAsync<string>(
+            "basemapRegistry.buildTemplate({ type: 'xyz', url: 'https://tiles.example.org/{z}/{x}/{y}.png' })");
+
+        // Assert
+        template.Should().Be("https://tiles.example.org/{z}/{x}/{y}.png");
+    }
+
+    #endregion
+
+    #region Tile URL Tests
+
+    [Test]
+    [Description("Verifies tile bounding boxes in Web Mercator meters, with row 0 at the top")]
+    public async Task TileBbox_UsesWebMercatorExtent()
+    {
+        // Act
+        var boxes = await Page.EvaluateAsync<string[]>(
+            "[basemapRegistry.tileBbox(0, 0, 0), basemapRegistry.tileBbox(1, 1, 0)]");
+
+        // Assert
+        boxes[0].Should().Be("-20037508.342789244,-20037508.342789244,20037508.342789244,20037508.342789244");
+        boxes[1].Should().Be("0,0,20037508.342789244,20037508.342789244", "tile 1/1/0 is the north-east quarter");
+    }
+
+    [Test]
+    [Description("Verifies buildTileUrl fills the bounding box for a registered WMS source")]
+    public async Task BuildTileUrl_FillsWmsBbox()
+    {
+        // Act
+        var url = await Page.EvaluateAsync<string>(@"
+            (() => {
+                const source = basemapRegistry.register({ ...wmsSource, id: 'test-wms' });
+                return basemapRegistry.buildTileUrl(source.tileUrl, 1, 0, 1);
+            })()
+        ");
+
+        // Assert
+        url.Should().EndWith("&BBOX=-20037508.342789244,-20037508.342789244,0,0", "tile 1/0/1 is the south-west quarter");
+    }
+
+    [Test]
+    [Description("Verifies buildTileUrl fills a WMTS tile position and rotates XYZ subdomains")]
+    public async Task BuildTileUrl_FillsTilePosition()
+    {
+        // Act
+        var urls = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                const wmts = basemapRegistry.register({ ...wmtsSource, id: 'test-wmts' });
+                const light = basemapRegistry.get('light');
+                return [
+                    basemapRegistry.buildTileUrl(wmts.tileUrl, 5, 9, 13),
+                    basemapRegistry.buildTileUrl(light.tileUrl, 5, 9, 13),
+                    basemapRegistry.buildTileUrl(light.tileUrl, 5, 9, 14)
+                ];
+            })()
+        ");
+
+        // Assert
+        urls[0].Should().EndWith("&TILEMATRIX=5&TILEROW=13&TILECOL=9");
+        urls[1].Should().Be("https://b.tile.openstreetmap.org/5/9/13.png");
+        urls[2].Should().Be("https://c.tile.openstreetmap.org/5/9/14.png");
+    }
+
+    #endregion
+
+    #region Registration Tests
+
+    [Test]
+    [Description("Verifies a custom source is saved to localStorage and removed again by unregister")]
+    public async Task Register_PersistsCustomSource()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                const changes = [];
+                basemapRegistry.onChange(list => changes.push(list.length));
+                basemapRegistry.register({ ...wmsSource, id: 'test-wms', name: 'Bathymetry' });
+                const saved = JSON.parse(localStorage.getItem('coralledger-basemaps')).map(s => s.id + ':' + s.name).join();
+                const removed = basemapRegistry.unregister('test-wms');
+                return [saved, String(removed), localStorage.getItem('coralledger-basemaps'), changes.join()];
+            })()
+        ");
+
+        // Assert
+        result.Should().Equal("test-wms:Bathymetry", "true", "[]", "4,3");
+    }
+
+    [Test]
+    [Description("Verifies built-in sources cannot be replaced or removed, and invalid definitions are rejected")]
+    public async Task Register_RejectsInvalidSources()
+    {
+        // Act
+        var errors = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                const attempt = def => {
+                    try {
+                        basemapRegistry.register(def);
+                        return null;
+                    } catch (e) {
+                        return e.message;
+                    }
+                };
+                return [
+                    attempt({ id: 'dark', url: 'https://example.org/{z}/{x}/{y}.png' }),
+                    attempt({ id: 'bad id', url: 'https://example.org/{z}/{x}/{y}.png' }),
+                    attempt({ id: 'tms', type: 'tms', url: 'https://example.org/{z}/{x}/{y}.png' }),
+                    attempt({ id: 'nourl' }),
+                    String(basemapRegistry.unregister('dark'))
+                ];
+            })()
+        ");
+
+        // Assert
+        errors[0].Should().Contain("built in");
+        errors[1].Should().Contain("letters, digits");
+        errors[2].Should().Contain("unsupported type");
+        errors[3].Should().Contain("has no url");
+        errors[4].Should().Be("false");
+    }
+
+    #endregion
+}
@@ -0,0 +1,273 @@
+namespace CoralLedger.Blue.E2E.Tests.Tests;
+
+/// <summary>
+/// Unit tests for the all-MPAs offline download in cache-manager.js and leaflet-map.js.
+/// fetch is stubbed with the MPA API; tile requests are answered by a stubbed tileCache.fetchTile.
+/// </summary>
+[TestFixture]
+public class CacheManagerJavaScriptUnitTests : JavaScriptUnitTestFixture
+{
+    [SetUp]
+    public async Task LoadCacheManagerScript()
+    {
+        await LoadScriptsAsync(
+            "lib/leaflet/leaflet.js",
+            "js/localization.js",
+            "js/map-i18n.js",
+            "js/basemap-registry.js",
+            "js/map-palette.js",
+            "js/map-layers.js",
+            "js/leaflet-map.js",
+            "js/tile-cache.js",
+            "js/cache-manager.js");
+        await Page.EvaluateAsync(@"() => {
+            window.mpa = (id, lng) => ({
+                type: 'Feature',
+                id,
+                properties: { Name: id },
+                geometry: { type: 'Polygon', coordinates: [[[lng, 24.4], [lng + 0.05, 24.4], [lng + 0.05, 24.45], [lng, 24.4]]] }
+            });
+            window.mpas = [mpa('andros', -77.5)];
+            window.failingUrls = [];
+            window.requestedUrls = [];
+            window.fetch = async url => {
+                requestedUrls.push(url);
+                if (failingUrls.includes(url)) return new Response('', { status: 503 });
+                const body = url.startsWith('/api/mpas/geojson')
+                    ? { type: 'FeatureCollection', features: mpas }
+                    : url === '/api/mpas' ? mpas.map(f => ({ id: f.id })) : { id: decodeURIComponent(url.split('/').pop()) };
+                return new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+            };
+            tileCache.fetchTile = async () => ({ blob: async () => new Blob(['tile']) });
+        }");
+    }
+
+    #region cacheMpaData Tests
+
+    [Test]
+    [Description("Verifies every geometry resolution and the MPA list go to the geometry cache and each MPA's details to the API cache")]
+    public async Task CacheMpaData_CachesGeometryListAndDetails()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<CacheResult>(@"
+            async () => {
+                mpas = ['m1', 'm2', 'm3', 'm4', 'm5', 'reef & cay', 'gone'].map((id, i) => mpa(id, -78 + i / 10));
+                failingUrls = ['/api/mpas/gone'];
+                const progress = [];
+                const data = await cacheManager.cacheMpaData((done, total) => progress.push(`${done}/${total}`));
+                const describe = async name => {
+                    const cache = await caches.open(name);
+                    return Promise.all((await cache.keys()).map(async request => {
+                        const response = await cache.match(request);
+                        const cachedAt = Number(response.headers.get('sw-cached-at'));
+                        return `${new URL(request.url).pathname}${new URL(request.url).search} ${response.headers.get('sw-cache-type')} ${cachedAt > 0}`;
+                    }));
+                };
+                return {
+                    features: data.geojson.features.length,
+                    geometry: data.geometry,
+                    details: data.details,
+                    failed: data.failed,
+                    progress,
+                    geometryEntries: await describe('coralledger-geometry-v6'),
+                    apiEntries: await describe('coralledger-api-v6')
+                };
+            }
+        ");
+
+        // Assert
+        result.Features.Should().Be(7);
+        result.Geometry.Should().Be(3);
+        result.Details.Should().Be(7, "the MPA list and six of the seven MPAs were cached");
+        result.Failed.Should().Be(1);
+        result.Progress.Should().Equal(new[] { "0/8", "6/8", "8/8" }, "details are fetched six at a time");
+        result.GeometryEntries.Should().BeEquivalentTo(
+            "/api/mpas/geojson geometry true",
+            "/api/mpas/geojson?resolution=medium geometry true",
+            "/api/mpas/geojson?resolution=low geometry true",
+            "/api/mpas geometry true");
+        result.ApiEntries.Should().HaveCount(6);
+        result.ApiEntries.Should().Contain("/api/mpas/reef%20%26%20cay null true", "IDs are URL-encoded and details carry no cache type");
+        result.ApiEntries.Should().NotContain(entry => entry.StartsWith("/api/mpas/gone"));
+    }
+
+    [Test]
+    [Description("Verifies a failed geometry request stops the download before any details are fetched")]
+    public async Task CacheMpaData_ThrowsWhenGeometryFails()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<string[]>(@"
+            async () => {
+                failingUrls = ['/api/mpas/geojson?resolution=low'];
+                const error = await cacheManager.cacheMpaData().then(() => 'no error', e => e.message);
+                return [error, ...requestedUrls];
+            }
+        ");
+
+        // Assert
+        result.Should().Equal(
+            "MPA geometry request failed: HTTP 503",
+            "/api/mpas/geojson",
+            "/api/mpas/geojson?resolution=medium",
+            "/api/mpas/geojson?resolution=low");
+    }
+
+    #endregion
+
+    #region downloadAllMpas Tests
+
+    [Test]
+    [Description("Verifies the first download creates an MPA package within the theme's zoom range, reporting the MPA data stage first")]
+    public async Task DownloadAllMpas_CreatesPackage()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<DownloadResult>(@"
+            async () => {
+                basemapRegistry.register({ id: 'chart', name: 'Chart', url: 'https://charts.test/{z}/{x}/{y}.png', minZoom: 8, maxZoom: 9 });
+                failingUrls = ['/api/mpas/andros'];
+                const stages = [];
+                const download = await leafletMap.downloadAllMpas('chart', 6, 12, {
+                    invokeMethodAsync: (method, progress) => stages.push(progress.stage || 'tiles')
+                });
+                const packages = await tileCache.getPackages();
+                const tile = tileCache.latLngToTile(24.42, -77.48, 9);
+                return {
+                    name: download.package.name,
+                    source: download.package.source,
+                    minZoom: download.package.minZoom,
+                    maxZoom: download.package.maxZoom,
+                    packages: packages.length,
+                    downloaded: download.downloaded,
+                    expected: tileCache.getTilesForRegion({ polygon: { type: 'FeatureCollection', features: mpas } }, 8, 9).length,
+                    mpaCount: download.mpaCount,
+                    geometryCached: download.geometryCached,
+                    detailsCached: download.detailsCached,
+                    detailsFailed: download.detailsFailed,
+                    hasTile: await tileCache.hasTile('chart', 9, tile.x, tile.y),
+                    firstStage: stages[0],
+                    lastStage: stages[stages.length - 1]
+                };
+            }
+        ");
+
+        // Assert
+        result.Name.Should().Be("All MPAs (Chart, zoom 8-9)");
+        result.Source.Should().Be("mpas");
+        result.MinZoom.Should().Be(8);
+        result.MaxZoom.Should().Be(9);
+        result.Packages.Should().Be(1);
+        result.Downloaded.Should().Be(result.Expected);
+        result.MpaCount.Should().Be(1);
+        result.GeometryCached.Should().Be(3);
+        result.DetailsCached.Should().Be(1, "the MPA list was cached");
+        result.DetailsFailed.Should().Be(1);
+        result.HasTile.Should().BeTrue();
+        result.FirstStage.Should().Be("mpaData");
+        result.LastStage.Should().Be("tiles");
+    }
+
+    [Test]
+    [Description("Verifies the MPA package is named in the map's culture")]
+    public async Task DownloadAllMpas_NamesPackageInCurrentCulture()
+    {
+        // Act
+        var name = await Page.EvaluateAsync<string>(@"
+            async () => {
+                basemapRegistry.register({ id: 'chart', name: 'Chart', url: 'https://charts.test/{z}/{x}/{y}.png', minZoom: 8, maxZoom: 9 });
+                localization.setCulture('es');
+                const download = await leafletMap.downloadAllMpas('chart', 8, 8, null);
+                return download.package.name;
+            }
+        ");
+
+        // Assert
+        name.Should().Be("Todas las AMP (Chart, zoom 8-8)");
+    }
+
+    [Test]
+    [Description("Verifies a second download updates the same package and releases tiles only the old MPA geometry needed")]
+    public async Task DownloadAllMpas_SyncsExistingPackage()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<SyncResult>(@"
+            async () => {
+                const first = await leafletMap.downloadAllMpas('dark', 9, 9);
+                mpas = [mpa('exuma', -76.2)];
+                const second = await leafletMap.downloadAllMpas('dark', 9, 9);
+                const oldTile = tileCache.latLngToTile(24.42, -77.48, 9);
+                const newTile = tileCache.latLngToTile(24.42, -76.18, 9);
+                return {
+                    samePackage: first.package.id === second.package.id,
+                    packages: (await tileCache.getPackages()).length,
+                    released: second.released.deletedTiles,
+                    hasOldTile: await tileCache.hasTile('dark', 9, oldTile.x, oldTile.y),
+                    hasNewTile: await tileCache.hasTile('dark', 9, newTile.x, newTile.y)
+                };
+            }
+        ");
+
+        // Assert
+        result.SamePackage.Should().BeTrue();
+        result.Packages.Should().Be(1);
+        result.Released.Should().Be(1);
+        result.HasOldTile.Should().BeFalse();
+        result.HasNewTile.Should().BeTrue();
+    }
+
+    [Test]
+    [Description("Verifies a download fails without creating a package when the MPA data cannot be cached")]
+    public async Task DownloadAllMpas_FailsWithoutGeometry()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<string[]>(@"
+            async () => {
+                failingUrls = ['/api/mpas/geojson'];
+                const error = await leafletMap.downloadAllMpas('dark', 9, 9).then(() => 'no error', e => e.message);
+                return [error, String((await tileCache.getPackages()).length)];
+            }
+        ");
+
+        // Assert
+        result.Should().Equal("MPA geometry request failed: HTTP 503", "0");
+    }
+
+    #endregion
+
+    private class CacheResult
+    {
+        public int Features { get; set; }
+        public int Geometry { get; set; }
+        public int Details { get; set; }
+        public int Failed { get; set; }
+        public string[] Progress { get; set; } = Array.Empty<string>();
+        public string[] GeometryEntries { get; set; } = Array.Empty<string>();
+        public string[] ApiEntries { get; set; } = Array.Empty<string>();
+    }
+
+    private class DownloadResult
+    {
+        public string Name { get; set; } = "";
+        public string Source { get; set; } = "";
+        public int MinZoom { get; set; }
+        public int MaxZoom { get; set; }
+        public int Packages { get; set; }
+        public int Downloaded { get; set; }
+        public int Expected { get; set; }
+        public int MpaCount { get; set; }
+        public int GeometryCached { get; set; }
+        public int DetailsCached { get; set; }
+        public int DetailsFailed { get; set; }
+        public bool HasTile { get; set; }
+        public string FirstStage { get; set; } = "";
+        public string LastStage { get; set; } = "";
+    }
+
+    private class SyncResult
+    {
+        public bool SamePackage { get; set; }
+        public int Packages { get; set; }
+        public int Released { get; set; }
+        public bool HasOldTile { get; set; }
+        public bool HasNewTile { get; set; }
+    }
+}
@@ -0,0 +1,175 @@
+namespace CoralLedger.Blue.E2E.Tests.Tests;
+
+/// <summary>
+/// Unit tests for map-canvas-points.js.
+/// The layer draws on a real Leaflet map, so hit-testing uses the same container pixels a click reports.
+/// </summary>
+[TestFixture]
+public class MapCanvasPointsJavaScriptUnitTests : JavaScriptUnitTestFixture
+{
+    [SetUp]
+    public async Task LoadCanvasPointsScript()
+    {
+        await LoadScriptsAsync("lib/leaflet/leaflet.js", "js/map-canvas-points.js");
+        await Page.EvaluateAsync(@"() => {
+            window.testMap = L.map('map').setView([24.5, -77.5], 10);
+            window.testLayer = mapCanvasPoints.createLayer([
+                { lat: 24.5, lng: -77.5, id: 'center' },
+                { lat: 24.5, lng: -77.4956, id: 'east' },
+                { lat: 24.6, lng: -77.4, id: 'northeast' },
+                { lat: NaN, lng: -77.5, id: 'invalid' }
+            ]).addTo(window.testMap);
+        }");
+    }
+
+    #region hitTest Tests
+
+    [Test]
+    [Description("Verifies hitTest returns the point drawn under a container pixel")]
+    public async Task HitTest_FindsPointUnderPixel()
+    {
+        // Act
+        var id = await Page.EvaluateAsync<string>(@"
+            testLayer.hitTest(testMap.latLngToContainerPoint([24.6, -77.4])).id
+        ");
+
+        // Assert
+        id.Should().Be("northeast");
+    }
+
+    [Test]
+    [Description("Verifies hitTest prefers the nearest of two overlapping points")]
+    public async Task HitTest_PrefersNearestPoint()
+    {
+        // Act
+        var ids = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                const center = testMap.latLngToContainerPoint([24.5, -77.5]);
+                const east = testMap.latLngToContainerPoint([24.5, -77.4956]);
+                return [
+                    testLayer.hitTest(center.add([1, 0])).id,
+                    testLayer.hitTest(east.subtract([1, 0])).id
+                ];
+            })()
+        ");
+
+        // Assert
+        ids.Should().Equal(new[] { "center", "east" }, "points 6 px apart are told apart by distance");
+    }
+
+    [Test]
+    [Description("Verifies hitTest misses pixels beyond the point radius and hit tolerance")]
+    public async Task HitTest_MissesEmptyPixels()
+    {
+        // Act
+        var missed = await Page.EvaluateAsync<bool>(@"
+            testLayer.hitTest(testMap.latLngToContainerPoint([24.6, -77.4]).add([0, 9])) === null
+        ");
+
+        // Assert
+        missed.Should().BeTrue("9 px is beyond the 4 px radius plus 4 px tolerance");
+    }
+
+    #endregion
+
+    #region setPoints Tests
+
+    [Test]
+    [Description("Verifies points without numeric coordinates are dropped")]
+    public async Task SetPoints_DropsInvalidPoints()
+    {
+        // Act
+        var ids = await Page.EvaluateAsync<string[]>("testLayer.getPoints().map(p => p.id)");
+
+        // Assert
+        ids.Should().Equal("center", "east", "northeast");
+    }
+
+    [Test]
+    [Description("Verifies replacing the points redraws the hit-test grid")]
+    public async Task SetPoints_ReplacesHitTargets()
+    {
+        // Act
+        var hits = await Page.EvaluateAsync<bool[]>(@"
+            (() => {
+                const pixel = testMap.latLngToContainerPoint([24.4, -77.6]);
+                const before = !!testLayer.hitTest(pixel);
+                testLayer.setPoints([{ lat: 24.4, lng: -77.6 }]);
+                return [before, !!testLayer.hitTest(pixel), !!testLayer.hitTest(testMap.latLngToContainerPoint([24.6, -77.4]))];
+            })()
+        ");
+
+        // Assert
+        hits.Should().Equal(new[] { false, true, false }, "only the new point can be hit");
+    }
+
+    #endregion
+
+    #region Click Tests
+
+    [Test]
+    [Description("Verifies a map click on a point calls onClick and fires pointclick with that point")]
+    public async Task Click_ReportsClickedPoint()
+    {
+        // Act
+        var clicked = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                const clicked = [];
+                const layer = mapCanvasPoints.createLayer([{ lat: 24.4, lng: -77.6, id: 'a' }], {
+                    onClick: point => clicked.push('onClick:' + point.id)
+                }).addTo(testMap);
+                layer.on('pointclick', e => clicked.push('pointclick:' + e.point.id));
+
+                const latlng = L.latLng(24.4, -77.6);
+                testMap.fire('click', { latlng: latlng, containerPoint: testMap.latLngToContainerPoint(latlng) });
+                testMap.fire('click', { latlng: latlng, containerPoint: L.point(0, 0) });
+                return clicked;
+            })()
+        ");
+
+        // Assert
+        clicked.Should().Equal("onClick:a", "pointclick:a");
+    }
+
+    #endregion
+
+    #region drawTo Tests
+
+    [Test]
+    [Description("Verifies drawTo draws only points inside the target and fills each style once")]
+    public async Task DrawTo_DrawsVisiblePointsByStyle()
+    {
+        // Act
+        var drawn = await Page.EvaluateAsync<DrawResult>(@"
+            (() => {
+                const drawn = { arcs: 0, fills: [] };
+                const ctx = {
+                    save() {}, restore() {}, scale() {}, beginPath() {}, moveTo() {}, stroke() {},
+                    arc() { drawn.arcs++; },
+                    fill() { drawn.fills.push(this.fillStyle); }
+                };
+                const layer = mapCanvasPoints.createLayer([
+                    { lat: 24.5, lng: -77.5, kind: 'fishing' },
+                    { lat: 24.5, lng: -77.499, kind: 'fishing' },
+                    { lat: 24.6, lng: -77.4, kind: 'vessel' },
+                    { lat: 10, lng: -60, kind: 'vessel' }
+                ], { getStyle: p => ({ fillColor: p.kind === 'fishing' ? '#ff0000' : '#0000ff' }) });
+
+                layer.drawTo(ctx, testMap.getPixelBounds().min, testMap.getZoom(), testMap.getSize(), 2);
+                return drawn;
+            })()
+        ");
+
+        // Assert
+        drawn.Arcs.Should().Be(3, "the point far outside the view is skipped");
+        drawn.Fills.Should().Equal("#ff0000", "#0000ff");
+    }
+
+    #endregion
+
+    private class DrawResult
+    {
+        public int Arcs { get; set; }
+        public string[] Fills { get; set; } = Array.Empty<string>();
+    }
+}
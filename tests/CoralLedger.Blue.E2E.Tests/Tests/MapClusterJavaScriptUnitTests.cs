@@ -0,0 +1,184 @@
+namespace CoralLedger.Blue.E2E.Tests.Tests;
+
+/// <summary>
+/// Unit tests for map-cluster.js.
+/// Points are clustered on a real Leaflet map, so cells follow the same projection the fishing event layer uses.
+/// </summary>
+[TestFixture]
+public class MapClusterJavaScriptUnitTests : JavaScriptUnitTestFixture
+{
+    [SetUp]
+    public async Task LoadClusterScript()
+    {
+        await LoadScriptsAsync("lib/leaflet/leaflet.js", "js/map-cluster.js");
+        await Page.EvaluateAsync("() => { window.testMap = L.map('map').setView([24.5, -77.5], 8); }");
+    }
+
+    #region clusterPoints Tests
+
+    [Test]
+    [Description("Verifies points inside one grid cell form a single cluster and distant points stay apart")]
+    public async Task ClusterPoints_GroupsNearbyPoints()
+    {
+        // Act
+        var counts = await Page.EvaluateAsync<int[]>(@"
+            mapCluster.clusterPoints(window.testMap, [
+                { lat: 24.501, lng: -77.501 },
+                { lat: 24.503, lng: -77.503 },
+                { lat: 24.505, lng: -77.502 },
+                { lat: 26.2, lng: -79.1 }
+            ], 8, mapCluster.DEFAULT_OPTIONS).map(c => c.count).sort()
+        ");
+
+        // Assert
+        counts.Should().Equal(new[] { 1, 3 }, "three nearby points share a cell and the distant one is alone");
+    }
+
+    [Test]
+    [Description("Verifies a cluster is centered on the mean position of its points and bounded by them")]
+    public async Task ClusterPoints_CentersClusterOnMembers()
+    {
+        // Act
+        var cluster = await Page.EvaluateAsync<ClusterResult>(@"
+            (() => {
+                const [cluster] = mapCluster.clusterPoints(window.testMap, [
+                    { lat: 24.501, lng: -77.501 },
+                    { lat: 24.505, lng: -77.505 }
+                ], 8, mapCluster.DEFAULT_OPTIONS);
+                return {
+                    count: cluster.count,
+                    lat: cluster.center.lat,
+                    lng: cluster.center.lng,
+                    north: cluster.bounds.getNorth(),
+                    west: cluster.bounds.getWest(),
+                    isStack: cluster.isStack
+                };
+            })()
+        ");
+
+        // Assert
+        cluster.Count.Should().Be(2);
+        cluster.Lat.Should().BeApproximately(24.503, 1e-9, "the center is the mean latitude");
+        cluster.Lng.Should().BeApproximately(-77.503, 1e-9, "the center is the mean longitude");
+        cluster.North.Should().BeApproximately(24.505, 1e-9);
+        cluster.West.Should().BeApproximately(-77.505, 1e-9);
+        cluster.IsStack.Should().BeFalse("the points are at different positions");
+    }
+
+    [Test]
+    [Description("Verifies a cluster splits into separate points at a higher zoom")]
+    public async Task ClusterPoints_SplitsWhenZoomedIn()
+    {
+        // Act
+        var clusterCounts = await Page.EvaluateAsync<int[]>(@"
+            (() => {
+                const points = [{ lat: 24.50, lng: -77.50 }, { lat: 24.52, lng: -77.52 }];
+                return [6, 12].map(zoom => mapCluster.clusterPoints(window.testMap, points, zoom, mapCluster.DEFAULT_OPTIONS).length);
+            })()
+        ");
+
+        // Assert
+        clusterCounts.Should().Equal(new[] { 1, 2 }, "points about 3 km apart share a cell at zoom 6 but not at zoom 12");
+    }
+
+    [Test]
+    [Description("Verifies only identical positions stay grouped from disableClusteringAtZoom on")]
+    public async Task ClusterPoints_StacksIdenticalPositionsAtHighZoom()
+    {
+        // Act
+        var clusters = await Page.EvaluateAsync<ClusterResult[]>(@"
+            mapCluster.clusterPoints(window.testMap, [
+                { lat: 24.5, lng: -77.5 },
+                { lat: 24.5, lng: -77.5 },
+                { lat: 24.50001, lng: -77.5 }
+            ], mapCluster.DEFAULT_OPTIONS.disableClusteringAtZoom, mapCluster.DEFAULT_OPTIONS)
+                .map(c => ({ count: c.count, isStack: c.isStack }))
+                .sort((a, b) => b.count - a.count)
+        ");
+
+        // Assert
+        clusters.Should().HaveCount(2, "the point 1 m away is no longer grouped");
+        clusters[0].Count.Should().Be(2);
+        clusters[0].IsStack.Should().BeTrue("zooming in can never split points at one position");
+        clusters[1].Count.Should().Be(1);
+    }
+
+    #endregion
+
+    #region createLayer Tests
+
+    [Test]
+    [Description("Verifies createLayer requires a createMarker option")]
+    public async Task CreateLayer_RequiresCreateMarker()
+    {
+        // Act
+        var error = await Page.EvaluateAsync<string>(@"
+            (() => {
+                try {
+                    mapCluster.createLayer([], {});
+                    return null;
+                } catch (e) {
+                    return e.message;
+                }
+            })()
+        ");
+
+        // Assert
+        error.Should().Contain("createMarker");
+    }
+
+    [Test]
+    [Description("Verifies points without numeric coordinates are dropped")]
+    public async Task SetPoints_DropsInvalidPoints()
+    {
+        // Act
+        var count = await Page.EvaluateAsync<int>(@"
+            mapCluster.createLayer([
+                { lat: 24.5, lng: -77.5 },
+                { lat: NaN, lng: -77.5 },
+                { lat: '24.5', lng: -77.5 },
+                null
+            ], { createMarker: p => L.marker([p.lat, p.lng]) }).getPoints().length
+        ");
+
+        // Assert
+        count.Should().Be(1, "only the point with numeric coordinates is kept");
+    }
+
+    [Test]
+    [Description("Verifies the layer draws a badge for each cluster and a marker for each lone point")]
+    public async Task ClusterLayer_RendersBadgesAndPoints()
+    {
+        // Act
+        var rendered = await Page.EvaluateAsync<int[]>(@"
+            (() => {
+                const layer = mapCluster.createLayer([
+                    { lat: 24.501, lng: -77.501 },
+                    { lat: 24.503, lng: -77.503 },
+                    { lat: 24.3, lng: -77.9 }
+                ], { createMarker: p => L.marker([p.lat, p.lng], { icon: L.divIcon({ className: 'test-point' }) }) });
+                layer.addTo(window.testMap);
+                return [
+                    document.querySelectorAll('.map-cluster').length,
+                    document.querySelectorAll('.test-point').length,
+                    Number(document.querySelector('.map-cluster-badge').textContent)
+                ];
+            })()
+        ");
+
+        // Assert
+        rendered.Should().Equal(new[] { 1, 1, 2 }, "the two nearby points share one badge and the third is drawn on its own");
+    }
+
+    #endregion
+
+    private class ClusterResult
+    {
+        public int Count { get; set; }
+        public double Lat { get; set; }
+        public double Lng { get; set; }
+        public double North { get; set; }
+        public double West { get; set; }
+        public bool IsStack { get; set; }
+    }
+}
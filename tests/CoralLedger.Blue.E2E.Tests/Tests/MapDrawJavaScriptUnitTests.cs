@@ -0,0 +1,313 @@
+namespace CoralLedger.Blue.E2E.Tests.Tests;
+
+/// <summary>
+/// Unit tests for map-draw.js.
+/// Shapes are drawn by firing the map clicks and key presses a user would make.
+/// </summary>
+[TestFixture]
+public class MapDrawJavaScriptUnitTests : JavaScriptUnitTestFixture
+{
+    [SetUp]
+    public async Task LoadDrawScript()
+    {
+        await LoadScriptsAsync(
+            "lib/leaflet/leaflet.js",
+            "js/localization.js",
+            "js/map-i18n.js",
+            "js/mpa-spatial.js",
+            "js/map-draw.js");
+        await Page.EvaluateAsync(@"() => {
+            window.testMap = L.map('map').setView([24.5, -77.5], 9);
+            window.created = [];
+            window.drawing = mapDraw.createController(testMap, { onShapeCreated: shape => created.push(shape) });
+            window.clickAt = (lat, lng) => testMap.fire('click', {
+                latlng: L.latLng(lat, lng),
+                containerPoint: testMap.latLngToContainerPoint([lat, lng])
+            });
+            window.pressKey = (key, target = document) => target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+        }");
+    }
+
+    #region Measurement Tests
+
+    [Test]
+    [Description("Verifies great-circle distances for a degree of latitude and a degree of longitude at the equator")]
+    public async Task DistanceKm_MatchesGreatCircle()
+    {
+        // Act
+        var distances = await Page.EvaluateAsync<double[]>(@"[
+            mapDraw.distanceKm({ lat: 0, lng: 0 }, { lat: 1, lng: 0 }),
+            mapDraw.distanceKm({ lat: 0, lng: 0 }, { lat: 0, lng: 1 }),
+            mapDraw.pathLengthKm([{ lat: 0, lng: 0 }, { lat: 1, lng: 0 }, { lat: 1, lng: 1 }])
+        ]");
+
+        // Assert
+        distances[0].Should().BeApproximately(111.195, 0.01);
+        distances[1].Should().BeApproximately(111.195, 0.01);
+        distances[2].Should().BeApproximately(222.37, 0.05);
+    }
+
+    [Test]
+    [Description("Verifies the area of a one-degree square at the equator")]
+    public async Task PolygonAreaKm2_MatchesSphericalArea()
+    {
+        // Act
+        var area = await Page.EvaluateAsync<double>(
+            "mapDraw.polygonAreaKm2([{ lat: 0, lng: 0 }, { lat: 0, lng: 1 }, { lat: 1, lng: 1 }, { lat: 1, lng: 0 }])");
+
+        // Assert
+        area.Should().BeApproximately(12363, 10, "a 1x1 degree square at the equator covers about 12,363 km²");
+    }
+
+    [Test]
+    [Description("Verifies distances and areas are shown in nautical miles and kilometers")]
+    public async Task Format_ShowsNauticalAndMetricUnits()
+    {
+        // Act
+        var formatted = await Page.EvaluateAsync<string[]>(
+            "[mapDraw.formatDistance(1.852), mapDraw.formatArea(1.852 * 1.852)]");
+
+        // Assert
+        formatted.Should().Equal("1.00 nm · 1.85 km", "1.00 nm² · 3.43 km²");
+    }
+
+    #endregion
+
+    #region Drawing Tests
+
+    [Test]
+    [Description("Verifies clicking near the first vertex closes a polygon and reports the new shape")]
+    public async Task Polygon_ClosesOnFirstVertex()
+    {
+        // Act
+        var shape = await Page.EvaluateAsync<ShapeResult>(@"
+            (() => {
+                drawing.start('polygon');
+                clickAt(24.4, -77.6);
+                clickAt(24.4, -77.4);
+                clickAt(24.6, -77.4);
+                clickAt(24.4001, -77.6001);
+                const shape = created[0];
+                return { count: created.length, type: shape.type, vertices: shape.vertices.length, drawing: drawing.tool !== null };
+            })()
+        ");
+
+        // Assert
+        shape.Count.Should().Be(1);
+        shape.Type.Should().Be("polygon");
+        shape.Vertices.Should().Be(3, "the closing click is not a new vertex");
+        shape.Drawing.Should().BeFalse("the tool stops after the shape is finished");
+    }
+
+    [Test]
+    [Description("Verifies a double-click finishes a polyline without repeating its last vertex")]
+    public async Task Polyline_FinishesOnDoubleClick()
+    {
+        // Act
+        var vertices = await Page.EvaluateAsync<int>(@"
+            (() => {
+                drawing.start('polyline');
+                clickAt(24.4, -77.6);
+                clickAt(24.5, -77.5);
+                clickAt(24.5, -77.5);
+                testMap.fire('dblclick', { latlng: L.latLng(24.5, -77.5) });
+                return created[0].vertices.length;
+            })()
+        ");
+
+        // Assert
+        vertices.Should().Be(2);
+    }
+
+    [Test]
+    [Description("Verifies a rectangle is finished by its second corner and measured")]
+    public async Task Rectangle_FinishesOnSecondClick()
+    {
+        // Act
+        var measurement = await Page.EvaluateAsync<MeasurementResult>(@"
+            (() => {
+                drawing.start('rectangle');
+                clickAt(0, 0);
+                clickAt(1, 1);
+                return created[0].measurement;
+            })()
+        ");
+
+        // Assert
+        measurement.AreaKm2.Should().BeApproximately(12363, 10);
+        measurement.LengthKm.Should().BeApproximately(444.7, 0.5);
+    }
+
+    [Test]
+    [Description("Verifies Backspace removes the last vertex and Escape discards the shape")]
+    public async Task Keys_EditAndCancelDrawing()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<int[]>(@"
+            (() => {
+                drawing.start('polyline');
+                clickAt(24.4, -77.6);
+                clickAt(24.5, -77.5);
+                pressKey('Backspace');
+                const afterBackspace = drawing.vertices.length;
+                pressKey('Escape');
+                return [afterBackspace, drawing.tool === null ? 1 : 0, created.length];
+            })()
+        ");
+
+        // Assert
+        result.Should().Equal(new[] { 1, 1, 0 }, "Backspace drops one vertex and Escape stops without a shape");
+    }
+
+    [Test]
+    [Description("Verifies keys typed into a field do not edit the drawing")]
+    public async Task Keys_IgnoredInEditableFields()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<int[]>(@"
+            (() => {
+                const input = document.createElement('input');
+                document.body.appendChild(input);
+                drawing.start('polyline');
+                clickAt(24.4, -77.6);
+                clickAt(24.5, -77.5);
+                pressKey('Backspace', input);
+                pressKey('Enter', input);
+                pressKey('Escape', input);
+                return [drawing.vertices.length, drawing.tool === 'polyline' ? 1 : 0];
+            })()
+        ");
+
+        // Assert
+        result.Should().Equal(new[] { 2, 1 }, "the drawing keeps both vertices and its tool");
+    }
+
+    #endregion
+
+    #region Shape Tests
+
+    [Test]
+    [Description("Verifies containsPoint for circles, rectangles and polygons, and that lines contain nothing")]
+    public async Task ContainsPoint_ChecksShapeArea()
+    {
+        // Act
+        var contained = await Page.EvaluateAsync<bool[]>(@"
+            (() => {
+                const circle = drawing.addShape('circle', [L.latLng(24.5, -77.5), L.latLng(24.6, -77.5)]);
+                const rectangle = drawing.addShape('rectangle', [L.latLng(24, -78), L.latLng(25, -77)]);
+                const triangle = drawing.addShape('polygon', [L.latLng(24, -78), L.latLng(24, -77), L.latLng(25, -78)]);
+                const line = drawing.addShape('polyline', [L.latLng(24, -78), L.latLng(25, -77)]);
+                return [
+                    mapDraw.containsPoint(circle, 24.55, -77.5),
+                    mapDraw.containsPoint(circle, 24.65, -77.5),
+                    mapDraw.containsPoint(rectangle, 24.9, -77.1),
+                    mapDraw.containsPoint(triangle, 24.1, -77.9),
+                    mapDraw.containsPoint(triangle, 24.9, -77.1),
+                    mapDraw.containsPoint(line, 24.5, -77.5)
+                ];
+            })()
+        ");
+
+        // Assert
+        contained.Should().Equal(true, false, true, true, false, false);
+    }
+
+    [Test]
+    [Description("Verifies intersectsGeometry finds overlap, containment either way and line crossings, and rejects nearby MPAs")]
+    public async Task IntersectsGeometry_ClipsToShape()
+    {
+        // Act
+        var overlaps = await Page.EvaluateAsync<bool[]>(@"
+            (() => {
+                const square = (west, south, size) => ({ type: 'Polygon', coordinates: [[
+                    [west, south], [west + size, south], [west + size, south + size], [west, south + size], [west, south]
+                ]] });
+                const triangle = drawing.addShape('polygon', [L.latLng(24, -78), L.latLng(24, -77), L.latLng(25, -78)]);
+                const line = drawing.addShape('polyline', [L.latLng(24, -78), L.latLng(25, -77)]);
+                return [
+                    mapDraw.intersectsGeometry(triangle, square(-77.9, 24.1, 0.1)),
+                    mapDraw.intersectsGeometry(triangle, square(-79, 23, 3)),
+                    mapDraw.intersectsGeometry(triangle, square(-77.7, 23.8, 0.4)),
+                    mapDraw.intersectsGeometry(triangle, square(-77.2, 24.7, 0.2)),
+                    mapDraw.intersectsGeometry(line, square(-77.6, 24.3, 0.2)),
+                    mapDraw.intersectsGeometry(line, square(-77.9, 24.7, 0.1))
+                ];
+            })()
+        ");
+
+        // Assert
+        overlaps.Should().Equal(new[] { true, true, true, false, true, false },
+            "MPAs inside the bounding box but outside the triangle or away from the line do not overlap");
+    }
+
+    [Test]
+    [Description("Verifies a circle exports as a GeoJSON polygon carrying its center and radius")]
+    public async Task ToFeature_ExportsCircleAsPolygon()
+    {
+        // Act
+        var feature = await Page.EvaluateAsync<CircleFeature>(@"
+            (() => {
+                const circle = drawing.addShape('circle', [L.latLng(24.5, -77.5), L.latLng(24.6, -77.5)]);
+                const feature = mapDraw.toFeature(circle);
+                const ring = feature.geometry.coordinates[0];
+                return {
+                    geometryType: feature.geometry.type,
+                    positions: ring.length,
+                    closed: ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1],
+                    radiusKm: feature.properties.radiusKm,
+                    shape: feature.properties.shape
+                };
+            })()
+        ");
+
+        // Assert
+        feature.GeometryType.Should().Be("Polygon");
+        feature.Positions.Should().Be(65, "64 segments plus the closing position");
+        feature.Closed.Should().BeTrue();
+        feature.RadiusKm.Should().BeApproximately(11.12, 0.01);
+        feature.Shape.Should().Be("circle");
+    }
+
+    [Test]
+    [Description("Verifies getBounds returns the tileCache bounds form and removeShape forgets the shape")]
+    public async Task GetBounds_AndRemoveShape()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<double[]>(@"
+            (() => {
+                const rectangle = drawing.addShape('rectangle', [L.latLng(24, -78), L.latLng(25, -77)]);
+                const bounds = mapDraw.getBounds(rectangle);
+                const removed = drawing.removeShape(rectangle.id);
+                return [bounds.north, bounds.south, bounds.east, bounds.west, removed ? 1 : 0, drawing.getShapes().length];
+            })()
+        ");
+
+        // Assert
+        result.Should().Equal(25, 24, -77, -78, 1, 0);
+    }
+
+    #endregion
+
+    private class ShapeResult
+    {
+        public int Count { get; set; }
+        public string Type { get; set; } = "";
+        public int Vertices { get; set; }
+        public bool Drawing { get; set; }
+    }
+
+    private class MeasurementResult
+    {
+        public double LengthKm { get; set; }
+        public double AreaKm2 { get; set; }
+    }
+
+    private class CircleFeature
+    {
+        public string GeometryType { get; set; } = "";
+        public int Positions { get; set; }
+        public bool Closed { get; set; }
+        public double RadiusKm { get; set; }
+        public string Shape { get; set; } = "";
+    }
+}
@@ -0,0 +1,235 @@
+namespace CoralLedger.Blue.E2E.Tests.Tests;
+
+/// <summary>
+/// Unit tests for map-export.js.
+/// The 512 x 512 test map has no tile layer unless a test adds one, so renders only draw page furniture.
+/// </summary>
+[TestFixture]
+public class MapExportJavaScriptUnitTests : JavaScriptUnitTestFixture
+{
+    [SetUp]
+    public async Task LoadExportScript()
+    {
+        await LoadScriptsAsync(
+            "lib/leaflet/leaflet.js",
+            "js/localization.js",
+            "js/map-i18n.js",
+            "js/basemap-registry.js",
+            "js/map-export.js");
+        await Page.EvaluateAsync(@"() => {
+            window.testMap = L.map('map').setView([24.5, -77.5], 8);
+            window.latin1 = bytes => Array.from(bytes, b => String.fromCharCode(b)).join('');
+        }");
+    }
+
+    #region Layout Tests
+
+    [Test]
+    [Description("Verifies paper exports are sized from the paper in millimeters at the chosen DPI")]
+    public async Task Render_SizesPageFromPaper()
+    {
+        // Act
+        var layouts = await Page.EvaluateAsync<PageLayout[]>(@"
+            async () => {
+                const landscape = await mapExport.render(testMap, { paper: 'a4', dpi: 150 });
+                const portrait = await mapExport.render(testMap, { paper: 'a4', orientation: 'portrait', dpi: 150 });
+                return [landscape.layout, portrait.layout];
+            }
+        ");
+
+        // Assert
+        layouts[0].Width.Should().Be(1754, "297 mm at 150 DPI");
+        layouts[0].Height.Should().Be(1240, "210 mm at 150 DPI");
+        layouts[0].Paper.Should().Be("A4");
+        layouts[1].Width.Should().Be(1240);
+        layouts[1].Height.Should().Be(1754);
+    }
+
+    [Test]
+    [Description("Verifies an export without paper matches the on-screen map plus margins, title and footer")]
+    public async Task Render_MatchesScreenSizeWithoutPaper()
+    {
+        // Act
+        var layout = await Page.EvaluateAsync<PageLayout>("async () => (await mapExport.render(testMap, { dpi: 96 })).layout");
+
+        // Assert
+        layout.Paper.Should().BeNull();
+        layout.Width.Should().Be(544, "512 px plus two 16 px margins");
+        layout.Height.Should().Be(614, "512 px plus margins, a 52 px title and an 18 px footer");
+        layout.Frame.Width.Should().Be(512);
+        layout.Frame.Height.Should().Be(512);
+    }
+
+    [Test]
+    [Description("Verifies the DPI is lowered when the page would exceed the largest canvas browsers allocate")]
+    public async Task Render_LowersDpiForHugeCanvases()
+    {
+        // Act
+        var layout = await Page.EvaluateAsync<PageLayout>("async () => (await mapExport.render(testMap, { paper: 'a3', dpi: 600 })).layout");
+
+        // Assert
+        layout.Dpi.Should().BeLessThan(600);
+        ((long)layout.Width * layout.Height).Should().BeLessOrEqualTo(40000000);
+    }
+
+    [Test]
+    [Description("Verifies tiles that cannot be loaded from the cache or the network are counted as missing")]
+    public async Task RenderFrame_CountsMissingTiles()
+    {
+        // Act
+        var missing = await Page.EvaluateAsync<int[]>(@"
+            async () => {
+                const empty = await mapExport.renderFrame(testMap);
+                L.tileLayer('/tiles/{z}/{x}/{y}.png').addTo(testMap);
+                const offline = await mapExport.renderFrame(testMap);
+                return [empty.missingTiles, offline.missingTiles];
+            }
+        ");
+
+        // Assert
+        missing[0].Should().Be(0);
+        missing[1].Should().BePositive("the test page answers every tile request with 404");
+    }
+
+    #endregion
+
+    #region Encoding Tests
+
+    [Test]
+    [Description("Verifies setPngDpi inserts a pHYs chunk with pixels per meter and a valid CRC after the IHDR chunk")]
+    public async Task SetPngDpi_InsertsPhysChunk()
+    {
+        // Act
+        var chunk = await Page.EvaluateAsync<PhysChunk>(@"
+            (() => {
+                const png = new Uint8Array(45).map((_, i) => i);
+                const result = mapExport.setPngDpi(png, 300);
+                const view = new DataView(result.buffer);
+                return {
+                    length: result.length,
+                    type: latin1(result.subarray(37, 41)),
+                    ppmX: view.getUint32(41),
+                    ppmY: view.getUint32(45),
+                    unit: result[49],
+                    crc: view.getUint32(50),
+                    headerKept: result[32] === 32,
+                    restMoved: result[54] === 33
+                };
+            })()
+        ");
+
+        // Assert
+        chunk.Length.Should().Be(66);
+        chunk.Type.Should().Be("pHYs");
+        chunk.PpmX.Should().Be(11811, "300 DPI is 11811 pixels per meter");
+        chunk.PpmY.Should().Be(11811);
+        chunk.Unit.Should().Be(1);
+        chunk.Crc.Should().Be(2024095606u);
+        chunk.HeaderKept.Should().BeTrue();
+        chunk.RestMoved.Should().BeTrue();
+    }
+
+    [Test]
+    [Description("Verifies the PDF cross-reference table points at each object and the title is stored as UTF-16")]
+    public async Task BuildPdf_WritesValidCrossReferences()
+    {
+        // Act
+        var pdf = await Page.EvaluateAsync<PdfResult>(@"
+            async () => {
+                const blob = mapExport.buildPdf(new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9]), 1754, 1240, 841.89, 595.28, 'Récif ☃');
+                const text = latin1(new Uint8Array(await blob.arrayBuffer()));
+                const xrefOffset = text.indexOf('\nxref\n') + 1;
+                const xref = text.slice(xrefOffset);
+                const offsets = [...xref.matchAll(/(\d{10}) 00000 n/g)].map(m => Number(m[1]));
+                return {
+                    type: blob.type,
+                    header: text.slice(0, 8),
+                    objectsFound: offsets.every((offset, i) => text.startsWith(`${i + 1} 0 obj`, offset)),
+                    objectCount: offsets.length,
+                    startXrefMatches: Number(/startxref\n(\d+)/.exec(text)[1]) === xrefOffset,
+                    title: /\/Title (<[0-9A-F]+>)/.exec(text)[1],
+                    mediaBox: /\/MediaBox \[([^\]]+)\]/.exec(text)[1]
+                };
+            }
+        ");
+
+        // Assert
+        pdf.Type.Should().Be("application/pdf");
+        pdf.Header.Should().Be("%PDF-1.4");
+        pdf.ObjectCount.Should().Be(6);
+        pdf.ObjectsFound.Should().BeTrue("each xref offset must be the byte position of its object");
+        pdf.StartXrefMatches.Should().BeTrue();
+        pdf.Title.Should().Be("<FEFF005200E900630069006600202603>");
+        pdf.MediaBox.Should().Be("0 0 841.89 595.28");
+    }
+
+    [Test]
+    [Description("Verifies exportMap names the file from the title and falls back to PNG for unknown formats")]
+    public async Task ExportMap_NamesFileAndPicksFormat()
+    {
+        // Act
+        var exports = await Page.EvaluateAsync<ExportResult[]>(@"
+            async () => {
+                const pdf = await mapExport.exportMap(testMap, { format: 'pdf', title: 'Andros Reef: Survey!', paper: 'a4', dpi: 96 });
+                const png = await mapExport.exportMap(testMap, { format: 'gif' });
+                return [pdf, png].map(e => ({ filename: e.filename, format: e.format, type: e.blob.type, dpi: e.dpi }));
+            }
+        ");
+
+        // Assert
+        exports[0].Filename.Should().MatchRegex(@"^andros-reef-survey-\d{4}-\d{2}-\d{2}\.pdf$");
+        exports[0].Type.Should().Be("application/pdf");
+        exports[0].Dpi.Should().Be(96);
+        exports[1].Filename.Should().MatchRegex(@"^map-\d{4}-\d{2}-\d{2}\.png$");
+        exports[1].Format.Should().Be("png");
+        exports[1].Type.Should().Be("image/png");
+    }
+
+    #endregion
+
+    private class PageLayout
+    {
+        public int Dpi { get; set; }
+        public int Width { get; set; }
+        public int Height { get; set; }
+        public string? Paper { get; set; }
+        public FrameRect Frame { get; set; } = new();
+    }
+
+    private class FrameRect
+    {
+        public double Width { get; set; }
+        public double Height { get; set; }
+    }
+
+    private class PhysChunk
+    {
+        public int Length { get; set; }
+        public string Type { get; set; } = "";
+        public uint PpmX { get; set; }
+        public uint PpmY { get; set; }
+        public int Unit { get; set; }
+        public uint Crc { get; set; }
+        public bool HeaderKept { get; set; }
+        public bool RestMoved { get; set; }
+    }
+
+    private class PdfResult
+    {
+        public string Type { get; set; } = "";
+        public string Header { get; set; } = "";
+        public int ObjectCount { get; set; }
+        public bool ObjectsFound { get; set; }
+        public bool StartXrefMatches { get; set; }
+        public string Title { get; set; } = "";
+        public string MediaBox { get; set; } = "";
+    }
+
+    private class ExportResult
+    {
+        public string Filename { get; set; } = "";
+        public string Format { get; set; } = "";
+        public string Type { get; set; } = "";
+        public int Dpi { get; set; }
+    }
+}
@@ -0,0 +1,196 @@
+namespace CoralLedger.Blue.E2E.Tests.Tests;
+
+/// <summary>
+/// Unit tests for map-heatmap.js.
+/// fetch is stubbed with the responses of /api/vessels/fishing-effort-tiles and /api/vessels/fishing-events/bahamas.
+/// </summary>
+[TestFixture]
+public class MapHeatmapJavaScriptUnitTests : JavaScriptUnitTestFixture
+{
+    [SetUp]
+    public async Task LoadHeatmapScript()
+    {
+        await LoadScriptsAsync(
+            "lib/leaflet/leaflet.js",
+            "js/localization.js",
+            "js/map-i18n.js",
+            "js/map-palette.js",
+            "js/map-heatmap.js");
+        await Page.EvaluateAsync(@"() => {
+            window.testMap = L.map('map').setView([24.5, -77.5], 8);
+            window.stubApi = ({ tiles = null, events = [] }) => {
+                window.requestedUrls = [];
+                window.fetch = async (url, init) => {
+                    requestedUrls.push(url.split('?')[0]);
+                    if (init?.signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+                    const body = url.startsWith('/api/vessels/fishing-effort-tiles') ? tiles : events;
+                    return body ? { ok: true, json: async () => body } : { ok: false, status: 503 };
+                };
+            };
+            window.testEvents = [
+                { latitude: 24.5, longitude: -77.5, durationHours: 8 },
+                { latitude: 24.6, longitude: -77.4, durationHours: 2 },
+                { latitude: null, longitude: -77.4, durationHours: 50 }
+            ];
+        }");
+    }
+
+    #region createFishingEffortLayer Tests
+
+    [Test]
+    [Description("Verifies Global Fishing Watch tiles are used when available, and their tile URL is reused for the same dates")]
+    public async Task CreateFishingEffortLayer_UsesTilesAndReusesTileInfo()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<TileLayerResult>(@"
+            async () => {
+                stubApi({ tiles: { tileUrl: 'https://gateway.example.org/{z}/{x}/{y}.png', colorRamp: [0, 1, 2, 4, 8, 16, 32, 64, 128].map(value => ({ value })) } });
+                const options = { startDate: '2026-01-01', endDate: '2026-01-31', label: 'January' };
+                const layer = await mapHeatmap.createFishingEffortLayer(options);
+                await mapHeatmap.createFishingEffortLayer(options);
+                const legend = document.createElement('div');
+                legend.innerHTML = layer.getLegendHtml();
+                return {
+                    isTileLayer: layer instanceof L.GridLayer,
+                    requests: requestedUrls.length,
+                    labels: [...legend.querySelectorAll('.legend-label')].map(l => l.textContent),
+                    note: legend.querySelector('.legend-note').textContent
+                };
+            }
+        ");
+
+        // Assert
+        result.IsTileLayer.Should().BeTrue();
+        result.Requests.Should().Be(1, "tile info for a date window is fetched once");
+        result.Labels.Should().Equal(new[] { "0.0 h", "2.0 h", "8.0 h", "32 h", "≥ 128 h" }, "nine ramp steps are shown as five swatches");
+        result.Note.Should().Be("January");
+    }
+
+    [Test]
+    [Description("Verifies the layer falls back to weighted fishing events when tiles are unavailable, dropping events without a position")]
+    public async Task CreateFishingEffortLayer_FallsBackToEvents()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<PointLayerResult>(@"
+            async () => {
+                stubApi({ events: testEvents });
+                const layer = await mapHeatmap.createFishingEffortLayer({ startDate: '2026-02-01', endDate: '2026-02-28' });
+                await mapHeatmap.createFishingEffortLayer({ startDate: '2026-02-01', endDate: '2026-02-28' });
+                const legend = document.createElement('div');
+                legend.innerHTML = layer.getLegendHtml();
+                return {
+                    isTileLayer: layer instanceof L.GridLayer,
+                    points: layer._points.length,
+                    max: layer.getMax(),
+                    tileRequests: requestedUrls.filter(url => url.endsWith('fishing-effort-tiles')).length,
+                    lastLabel: [...legend.querySelectorAll('.legend-label')].pop().textContent
+                };
+            }
+        ");
+
+        // Assert
+        result.IsTileLayer.Should().BeFalse();
+        result.Points.Should().Be(2);
+        result.Max.Should().Be(8, "the heaviest event with a position saturates the ramp");
+        result.TileRequests.Should().Be(2, "a failed tile lookup is not cached, so it is retried");
+        result.LastLabel.Should().Be("≥ 8.0 h");
+    }
+
+    [Test]
+    [Description("Verifies no layer is returned when there are neither tiles nor events")]
+    public async Task CreateFishingEffortLayer_ReturnsNullWithoutData()
+    {
+        // Act
+        var isNull = await Page.EvaluateAsync<bool>(@"
+            async () => {
+                stubApi({ events: [] });
+                return await mapHeatmap.createFishingEffortLayer({ startDate: '2026-03-01', endDate: '2026-03-31' }) === null;
+            }
+        ");
+
+        // Assert
+        isNull.Should().BeTrue();
+    }
+
+    [Test]
+    [Description("Verifies a cancelled request rejects with AbortError instead of returning null")]
+    public async Task CreateFishingEffortLayer_RethrowsAbort()
+    {
+        // Act
+        var errorName = await Page.EvaluateAsync<string>(@"
+            async () => {
+                stubApi({ events: testEvents });
+                const controller = new AbortController();
+                controller.abort();
+                try {
+                    await mapHeatmap.createFishingEffortLayer({ startDate: '2026-04-01', endDate: '2026-04-30', signal: controller.signal });
+                    return null;
+                } catch (e) {
+                    return e.name;
+                }
+            }
+        ");
+
+        // Assert
+        errorName.Should().Be("AbortError");
+    }
+
+    #endregion
+
+    #region Color Tests
+
+    [Test]
+    [Description("Verifies the effort ramp follows the palette scheme")]
+    public async Task EffortRamp_FollowsPaletteScheme()
+    {
+        // Act
+        var colors = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                const standard = [mapHeatmap.colorAt('effort', 0), mapHeatmap.colorAt('effort', 1)];
+                mapPalette.setScheme('colorBlind');
+                return [...standard, mapHeatmap.colorAt('effort', 0), mapHeatmap.colorAt('effort', 1)];
+            })()
+        ");
+
+        // Assert
+        colors.Should().Equal("#ffffb2", "#bd0026", "#440154", "#fde725");
+    }
+
+    [Test]
+    [Description("Verifies the point layer colors the density under a point and leaves empty areas transparent")]
+    public async Task PointLayer_ColorsDensity()
+    {
+        // Act
+        var pixels = await Page.EvaluateAsync<int[][]>(@"
+            (() => {
+                const layer = mapHeatmap.createPointLayer([{ lat: 24.5, lng: -77.5, weight: 1 }]).addTo(testMap);
+                const ctx = layer._canvas.getContext('2d');
+                return [Array.from(ctx.getImageData(256, 256, 1, 1).data), Array.from(ctx.getImageData(10, 10, 1, 1).data)];
+            })()
+        ");
+
+        // Assert
+        pixels[0][3].Should().Be(255, "the densest third of the ramp is opaque");
+        pixels[0][0].Should().BeGreaterThan(150, "the point center is near the red top of the ramp");
+        pixels[1][3].Should().Be(0, "areas without points stay transparent");
+    }
+
+    #endregion
+
+    private class TileLayerResult
+    {
+        public bool IsTileLayer { get; set; }
+        public int Requests { get; set; }
+        public string[] Labels { get; set; } = Array.Empty<string>();
+        public string Note { get; set; } = "";
+    }
+
+    private class PointLayerResult
+    {
+        public bool IsTileLayer { get; set; }
+        public int Points { get; set; }
+        public double Max { get; set; }
+        public int TileRequests { get; set; }
+        public string LastLabel { get; set; } = "";
+    }
+}
@@ -0,0 +1,228 @@
+namespace CoralLedger.Blue.E2E.Tests.Tests;
+
+/// <summary>
+/// Unit tests for map-i18n.js.
+/// The culture comes from the .AspNetCore.Culture cookie through localization.js, as in the app.
+/// </summary>
+[TestFixture]
+public class MapI18nJavaScriptUnitTests : JavaScriptUnitTestFixture
+{
+    [SetUp]
+    public async Task LoadI18nScript()
+    {
+        await LoadScriptsAsync("js/localization.js", "js/map-i18n.js");
+    }
+
+    #region Catalog Tests
+
+    [Test]
+    [Description("Verifies every culture translates every English message and keeps its placeholders")]
+    public async Task Messages_AreCompleteInEveryCulture()
+    {
+        // Act
+        var problems = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                const placeholders = message => (message.match(/\{\w+\}/g) || []).sort().join();
+                const { en, ...others } = mapI18n.MESSAGES;
+                return Object.entries(others).flatMap(([culture, messages]) => [
+                    ...Object.keys(en).filter(key => messages[key] === undefined).map(key => `${culture} lacks ${key}`),
+                    ...Object.keys(messages).filter(key => en[key] === undefined).map(key => `${culture} has unknown ${key}`),
+                    ...Object.keys(en).filter(key => messages[key] !== undefined && placeholders(messages[key]) !== placeholders(en[key]))
+                        .map(key => `${culture} ${key} has other placeholders`)
+                ]);
+            })()
+        ");
+
+        // Assert
+        problems.Should().BeEmpty();
+    }
+
+    [Test]
+    [Description("Verifies a message missing in the current culture falls back to English, then to its key")]
+    public async Task T_FallsBackToEnglishThenKey()
+    {
+        // Act
+        var messages = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                mapI18n.setCulture('es');
+                delete mapI18n.MESSAGES.es['fishing.events'];
+                return [
+                    mapI18n.t('common.notAvailable'),
+                    mapI18n.t('fishing.events', { count: 3 }),
+                    mapI18n.t('no.such.key')
+                ];
+            })()
+        ");
+
+        // Assert
+        messages.Should().Equal("N/D", "3 fishing events", "no.such.key");
+    }
+
+    [Test]
+    [Description("Verifies placeholders without a value are left as written")]
+    public async Task T_LeavesMissingPlaceholders()
+    {
+        // Act
+        var message = await Page.EvaluateAsync<string>("mapI18n.t('unit.km2', { area: 5 })");
+
+        // Assert
+        message.Should().Be("{value} km²");
+    }
+
+    #endregion
+
+    #region Culture Tests
+
+    [Test]
+    [Description("Verifies the culture cookie is read on load, whether or not it is URL-encoded, and unknown cultures fall back to English")]
+    public async Task GetCulture_ReadsCookie()
+    {
+        // Act
+        await Page.EvaluateAsync("() => { document.cookie = '.AspNetCore.Culture=c=ht|uic=ht; path=/'; }");
+        await LoadScriptsAsync("js/localization.js", "js/map-i18n.js");
+        var fromCookie = await Page.EvaluateAsync<string>("mapI18n.getCulture()");
+        await Page.EvaluateAsync("() => { document.cookie = '.AspNetCore.Culture=c%3Des%7Cuic%3Des; path=/'; }");
+        await LoadScriptsAsync("js/localization.js", "js/map-i18n.js");
+        var fromEncodedCookie = await Page.EvaluateAsync<string>("mapI18n.getCulture()");
+        await Page.EvaluateAsync("() => { document.cookie = '.AspNetCore.Culture=c=fr|uic=fr; path=/'; }");
+        await LoadScriptsAsync("js/localization.js", "js/map-i18n.js");
+        var unknown = await Page.EvaluateAsync<string>("mapI18n.getCulture()");
+
+        // Assert
+        fromCookie.Should().Be("ht");
+        fromEncodedCookie.Should().Be("es", "the server writes the cookie URL-encoded");
+        unknown.Should().Be("en");
+    }
+
+    [Test]
+    [Description("Verifies localization.setCulture switches map text at once and listeners hear each real change")]
+    public async Task SetCulture_FollowsLocalization()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                const heard = [];
+                mapI18n.onChange(() => { throw new Error('broken popup'); });
+                const unsubscribe = mapI18n.onChange(culture => heard.push(culture));
+                localization.setCulture('es');
+                const spanish = mapI18n.t('station.clear');
+                localization.setCulture('es');
+                localization.setCulture('xx');
+                unsubscribe();
+                localization.setCulture('ht');
+                return [...heard, spanish, mapI18n.getCulture()];
+            })()
+        ");
+
+        // Assert
+        result.Should().Equal(new[] { "es", "Borrar", "ht" }, "repeated and invalid cultures change nothing");
+    }
+
+    #endregion
+
+    #region Formatting Tests
+
+    [Test]
+    [Description("Verifies numbers use the culture's separators, and values that are not numbers show as not available")]
+    public async Task FormatNumber_UsesCultureSeparators()
+    {
+        // Act
+        var numbers = await Page.EvaluateAsync<string[]>(@"
+            ['en', 'es', 'ht'].flatMap(culture => {
+                mapI18n.setCulture(culture);
+                return [mapI18n.formatNumber(12345.678, 1), mapI18n.formatNumber(NaN)];
+            })
+        ");
+
+        // Assert
+        numbers[0].Should().Be("12,345.7");
+        numbers[1].Should().Be("N/A");
+        numbers[2].Should().Be("12.345,7");
+        numbers[3].Should().Be("N/D");
+        numbers[4].Replace('\u202F', ' ').Replace('\u00A0', ' ').Should().Be("12 345,7", "Haitian Creole formats numbers like French");
+    }
+
+    [Test]
+    [Description("Verifies plain dates are calendar days in every time zone and invalid dates show as not available")]
+    public async Task FormatDate_KeepsCalendarDay()
+    {
+        // Act
+        var dates = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                mapI18n.setCulture('es');
+                return [
+                    mapI18n.formatDate('2026-03-01'),
+                    mapI18n.formatDate('2026-03-01', { year: 'numeric', month: '2-digit', day: '2-digit' }),
+                    mapI18n.formatDate('not a date')
+                ];
+            })()
+        ");
+
+        // Assert
+        dates.Should().Equal("1 mar 2026", "01/03/2026", "N/D");
+    }
+
+    [Test]
+    [Description("Verifies areas, distances and positions combine the culture's numbers with their units")]
+    public async Task FormatUnits_UseCultureNumbers()
+    {
+        // Act
+        var formatted = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                mapI18n.setCulture('es');
+                return [mapI18n.formatArea(1234.56), mapI18n.formatDistance(2.25, 2), mapI18n.formatPosition(24.5, -77.25)];
+            })()
+        ");
+
+        // Assert
+        formatted.Should().Equal("1234,6 km²", "2,25 km", "24,500°, -77,250°");
+    }
+
+    [Test]
+    [Description("Verifies translate sets the text of data-i18n elements and the title and aria-label of data-i18n-label elements")]
+    public async Task Translate_UpdatesMarkedElements()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                const root = document.createElement('div');
+                root.innerHTML = '<span data-i18n=""station.pinned"">Pinned stations</span><button data-i18n-label=""station.clear""></button>';
+                mapI18n.setCulture('es');
+                mapI18n.translate(root);
+                const button = root.querySelector('button');
+                return [root.querySelector('span').textContent, button.title, button.getAttribute('aria-label')];
+            })()
+        ");
+
+        // Assert
+        result.Should().Equal("Estaciones fijadas", "Borrar", "Borrar");
+    }
+
+    #endregion
+
+    #region Map Text Tests
+
+    [Test]
+    [Description("Verifies station sparkline bands are labeled in the current culture")]
+    public async Task StationSparkline_TranslatesBandTitles()
+    {
+        // Arrange
+        await LoadScriptsAsync("js/localization.js", "js/map-i18n.js", "js/map-palette.js", "js/map-stations.js");
+
+        // Act
+        var titles = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                mapI18n.setCulture('es');
+                const html = mapStations.renderSparkline([{ date: '2026-03-01', dhw: 5, sst: 29 }]);
+                return [...new DOMParser().parseFromString(html, 'image/svg+xml').querySelectorAll('rect > title')].map(title => title.textContent);
+            })()
+        ");
+
+        // Assert
+        titles.Should().Equal(
+            await Page.EvaluateAsync<string>("mapI18n.MESSAGES.es['station.likely']"),
+            await Page.EvaluateAsync<string>("mapI18n.MESSAGES.es['station.severe']"));
+    }
+
+    #endregion
+}
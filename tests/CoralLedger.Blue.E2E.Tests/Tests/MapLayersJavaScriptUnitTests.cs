@@ -0,0 +1,282 @@
+namespace CoralLedger.Blue.E2E.Tests.Tests;
+
+/// <summary>
+/// Unit tests for map-layers.js.
+/// The test map's container is #map on the page root, so its layer state is saved under "coralledger-layers:/#map".
+/// </summary>
+[TestFixture]
+public class MapLayersJavaScriptUnitTests : JavaScriptUnitTestFixture
+{
+    [SetUp]
+    public async Task LoadLayersScript()
+    {
+        await LoadScriptsAsync(
+            "lib/leaflet/leaflet.js",
+            "js/localization.js",
+            "js/map-i18n.js",
+            "js/map-layers.js");
+        await Page.EvaluateAsync(@"() => {
+            window.testMap = L.map('map').setView([24.5, -77.5], 8);
+            window.zIndexOf = id => Number(testMap.getPane('layer-' + id).style.zIndex);
+            window.savedState = () => JSON.parse(localStorage.getItem('coralledger-layers:/#map'));
+        }");
+    }
+
+    #region Registry Tests
+
+    [Test]
+    [Description("Verifies each overlay gets its own pane, stacked above the last one registered")]
+    public async Task Add_StacksLayersInOwnPanes()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<LayerStack>(@"
+            (() => {
+                const registry = mapLayers.getRegistry(testMap);
+                const mpas = registry.add('mpas', L.geoJSON(null), { name: 'MPAs' });
+                registry.add('vessels', L.layerGroup([L.circleMarker([24.5, -77.5])]), { name: 'Vessels' });
+                return {
+                    pane: mpas.options.pane,
+                    childPane: registry.getLayer('vessels').getLayers()[0].options.pane,
+                    zIndexes: [zIndexOf('mpas'), zIndexOf('vessels')],
+                    ids: registry.list().map(l => l.id)
+                };
+            })()
+        ");
+
+        // Assert
+        result.Pane.Should().Be("layer-mpas");
+        result.ChildPane.Should().Be("layer-vessels", "layers in a group move into the group's pane");
+        result.ZIndexes.Should().Equal(410, 420);
+        result.Ids.Should().Equal(new[] { "vessels", "mpas" }, "list is top first");
+    }
+
+    [Test]
+    [Description("Verifies registering the same ID again swaps the layer on the map")]
+    public async Task Add_ReplacesLayerWithSameId()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<bool[]>(@"
+            (() => {
+                const registry = mapLayers.getRegistry(testMap);
+                const first = registry.add('mpas', L.layerGroup());
+                const second = registry.add('mpas', L.layerGroup());
+                return [testMap.hasLayer(first), testMap.hasLayer(second), registry.list().length === 1];
+            })()
+        ");
+
+        // Assert
+        result.Should().Equal(false, true, true);
+    }
+
+    [Test]
+    [Description("Verifies a layer registered as hidden is not added to the map")]
+    public async Task Add_RespectsVisibleDefault()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<bool[]>(@"
+            (() => {
+                const registry = mapLayers.getRegistry(testMap);
+                const layer = registry.add('heatmap', L.layerGroup(), { visible: false });
+                return [testMap.hasLayer(layer), registry.list()[0].visible];
+            })()
+        ");
+
+        // Assert
+        result.Should().Equal(false, false);
+    }
+
+    [Test]
+    [Description("Verifies visibility, opacity and order changes are saved and restored for a new registry")]
+    public async Task State_IsRestoredFromLocalStorage()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<RestoredState>(@"
+            (() => {
+                const registry = mapLayers.getRegistry(testMap);
+                ['a', 'b', 'c'].forEach(id => registry.add(id, L.layerGroup()));
+                registry.setVisible('b', false);
+                registry.setOpacity('c', 1.5);
+                registry.setOpacity('a', 0.4);
+                registry.move('a', 2);
+                registry.dispose();
+
+                const restored = mapLayers.getRegistry(testMap);
+                ['c', 'b', 'a'].forEach(id => restored.add(id, L.layerGroup()));
+                return {
+                    layers: restored.list(),
+                    paneOpacity: testMap.getPane('layer-a').style.opacity
+                };
+            })()
+        ");
+
+        // Assert
+        result.Layers.Select(l => l.Id).Should().Equal(new[] { "a", "c", "b" }, "the saved order wins over registration order");
+        result.Layers.Single(l => l.Id == "b").Visible.Should().BeFalse();
+        result.Layers.Single(l => l.Id == "c").Opacity.Should().Be(1, "opacity is clamped to 1");
+        result.Layers.Single(l => l.Id == "a").Opacity.Should().Be(0.4);
+        result.PaneOpacity.Should().Be("0.4");
+    }
+
+    [Test]
+    [Description("Verifies a removed layer keeps its saved place above the layer below it")]
+    public async Task Remove_KeepsSavedPosition()
+    {
+        // Act
+        var order = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                const registry = mapLayers.getRegistry(testMap);
+                ['a', 'b', 'c'].forEach(id => registry.add(id, L.layerGroup()));
+                registry.remove('b');
+                registry.move('c', -1);
+                return savedState().order;
+            })()
+        ");
+
+        // Assert
+        order.Should().Equal("c", "a", "b");
+    }
+
+    [Test]
+    [Description("Verifies setOrder takes IDs top first and ignores unknown ones")]
+    public async Task SetOrder_RestacksPanes()
+    {
+        // Act
+        var zIndexes = await Page.EvaluateAsync<int[]>(@"
+            (() => {
+                const registry = mapLayers.getRegistry(testMap);
+                ['a', 'b', 'c'].forEach(id => registry.add(id, L.layerGroup()));
+                registry.setOrder(['a', 'missing', 'b']);
+                return [zIndexOf('a'), zIndexOf('b'), zIndexOf('c')];
+            })()
+        ");
+
+        // Assert
+        zIndexes.Should().Equal(new[] { 430, 420, 410 }, "layers left out of the list stay below the listed ones");
+    }
+
+    [Test]
+    [Description("Verifies setVisibleLayers shows exactly the given layers, including ones registered later")]
+    public async Task SetVisibleLayers_AppliesToLaterLayers()
+    {
+        // Act
+        var visible = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                const registry = mapLayers.getRegistry(testMap);
+                registry.add('a', L.layerGroup());
+                registry.add('b', L.layerGroup(), { visible: false });
+                registry.setVisibleLayers(['b', 'c']);
+                registry.add('c', L.layerGroup(), { visible: false });
+                registry.add('d', L.layerGroup());
+                return registry.getVisibleLayers();
+            })()
+        ");
+
+        // Assert
+        visible.Should().Equal("c", "b");
+    }
+
+    [Test]
+    [Description("Verifies the legend has a section for each visible layer with a legend, top first")]
+    public async Task GetLegendSections_OnlyVisibleLayers()
+    {
+        // Act
+        var ids = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                const registry = mapLayers.getRegistry(testMap);
+                registry.add('a', L.layerGroup(), { legend: () => '<p>A</p>' });
+                registry.add('b', L.layerGroup(), { legend: () => '<p>B</p>', visible: false });
+                registry.add('c', L.layerGroup());
+                registry.add('d', L.layerGroup(), { legend: () => '' });
+                registry.add('e', L.layerGroup(), { legend: () => '<p>E</p>' });
+                return registry.getLegendSections().map(section => section.id);
+            })()
+        ");
+
+        // Assert
+        ids.Should().Equal("e", "a");
+    }
+
+    #endregion
+
+    #region createSwitcher Tests
+
+    [Test]
+    [Description("Verifies the switcher lists layers top first and toggles visibility from its checkboxes")]
+    public async Task Switcher_TogglesVisibility()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<SwitcherResult>(@"
+            (() => {
+                const registry = mapLayers.getRegistry(testMap);
+                const mpas = registry.add('mpas', L.layerGroup(), { name: () => 'MPAs' });
+                registry.add('vessels', L.layerGroup(), { name: 'Vessels' });
+                mapLayers.createSwitcher(registry, { collapsed: false }).addTo(testMap);
+
+                const names = [...document.querySelectorAll('.layer-switcher-item span:not(.material-icons)')].map(s => s.textContent);
+                const checkbox = document.querySelector('.layer-switcher-item[data-id=mpas] input[type=checkbox]');
+                checkbox.checked = false;
+                checkbox.dispatchEvent(new Event('change'));
+                return {
+                    names,
+                    mpasOnMap: testMap.hasLayer(mpas),
+                    topMoveUpDisabled: document.querySelector('.layer-switcher-item[data-id=vessels] [data-steps=""1""]').disabled
+                };
+            })()
+        ");
+
+        // Assert
+        result.Names.Should().Equal("Vessels", "MPAs");
+        result.MpasOnMap.Should().BeFalse();
+        result.TopMoveUpDisabled.Should().BeTrue("the top layer cannot move higher");
+    }
+
+    [Test]
+    [Description("Verifies the switcher's move buttons restack the layers")]
+    public async Task Switcher_MovesLayers()
+    {
+        // Act
+        var ids = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                const registry = mapLayers.getRegistry(testMap);
+                registry.add('mpas', L.layerGroup());
+                registry.add('vessels', L.layerGroup());
+                mapLayers.createSwitcher(registry, { collapsed: false }).addTo(testMap);
+                document.querySelector('.layer-switcher-item[data-id=mpas] [data-steps=""1""]').click();
+                return [...document.querySelectorAll('.layer-switcher-item')].map(item => item.dataset.id);
+            })()
+        ");
+
+        // Assert
+        ids.Should().Equal("mpas", "vessels");
+    }
+
+    #endregion
+
+    private class LayerStack
+    {
+        public string Pane { get; set; } = "";
+        public string ChildPane { get; set; } = "";
+        public int[] ZIndexes { get; set; } = Array.Empty<int>();
+        public string[] Ids { get; set; } = Array.Empty<string>();
+    }
+
+    private class LayerSummary
+    {
+        public string Id { get; set; } = "";
+        public bool Visible { get; set; }
+        public double Opacity { get; set; }
+    }
+
+    private class RestoredState
+    {
+        public LayerSummary[] Layers { get; set; } = Array.Empty<LayerSummary>();
+        public string PaneOpacity { get; set; } = "";
+    }
+
+    private class SwitcherResult
+    {
+        public string[] Names { get; set; } = Array.Empty<string>();
+        public bool MpasOnMap { get; set; }
+        public bool TopMoveUpDisabled { get; set; }
+    }
+}
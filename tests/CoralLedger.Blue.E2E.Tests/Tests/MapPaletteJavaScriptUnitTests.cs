@@ -0,0 +1,228 @@
+namespace CoralLedger.Blue.E2E.Tests.Tests;
+
+/// <summary>
+/// Unit tests for map-palette.js.
+/// The palette is saved under coralledger-palette, so reloading the scripts shows what the next visit starts with.
+/// </summary>
+[TestFixture]
+public class MapPaletteJavaScriptUnitTests : JavaScriptUnitTestFixture
+{
+    private static readonly string[] MapScripts =
+    {
+        "lib/leaflet/leaflet.js",
+        "js/localization.js",
+        "js/map-i18n.js",
+        "js/basemap-registry.js",
+        "js/map-palette.js",
+        "js/map-patterns.js",
+        "js/map-layers.js",
+        "js/leaflet-map.js",
+        "js/mpa-spatial.js"
+    };
+
+    [SetUp]
+    public async Task LoadPaletteScript()
+    {
+        await LoadScriptsAsync("js/map-palette.js");
+    }
+
+    #region Scale Tests
+
+    [Test]
+    [Description("Verifies colorAt interpolates between stops and clamps positions outside 0-1")]
+    public async Task ColorAt_InterpolatesAndClamps()
+    {
+        // Act
+        var colors = await Page.EvaluateAsync<string[]>(@"
+            [-1, 0, 0.125, 1, 2].map(t => mapPalette.colorAt(['#000000', '#ff8000', '#ffffff'], t))
+        ");
+
+        // Assert
+        colors.Should().Equal("#000000", "#000000", "#402000", "#ffffff", "#ffffff");
+    }
+
+    [Test]
+    [Description("Verifies getSteps uses a ramp's stops as-is when the count matches and samples it evenly otherwise")]
+    public async Task GetSteps_SamplesRamp()
+    {
+        // Act
+        var steps = await Page.EvaluateAsync<string[][]>(@"[
+            mapPalette.getSteps('viridis', 5),
+            mapPalette.getSteps('viridis', 3),
+            mapPalette.getSteps('viridis', 1)
+        ]");
+
+        // Assert
+        steps[0].Should().Equal("#440154", "#3b528b", "#21918c", "#5ec962", "#fde725");
+        steps[1].Should().Equal("#440154", "#21918c", "#fde725");
+        steps[2].Should().Equal(new[] { "#fde725" }, "a single class takes the top of the ramp");
+    }
+
+    [Test]
+    [Description("Verifies roles resolve through the scheme, and unknown ramps fall back to the standard effort ramp")]
+    public async Task GetRamp_ResolvesRolesAndNames()
+    {
+        // Act
+        var firstStops = await Page.EvaluateAsync<string[]>(@"
+            ['dhw', 'alert', 'plasma', 'unknown', ['#111111', '#222222']].map(ramp => mapPalette.getRamp(ramp)[0])
+        ");
+
+        // Assert
+        firstStops.Should().Equal("#58a6ff", "#c8fafa", "#0d0887", "#ffffb2", "#111111");
+    }
+
+    [Test]
+    [Description("Verifies categorical colors fall back to the group's other color, then to the standard palette")]
+    public async Task GetCategory_FallsBack()
+    {
+        // Act
+        var colors = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                mapPalette.setScheme('colorBlind');
+                return [
+                    mapPalette.getCategory('protection', 'NoTake'),
+                    mapPalette.getCategory('protection', 'Unclassified'),
+                    mapPalette.getCategory('missing', 'key'),
+                    mapPalette.getSeriesColor(6)
+                ];
+            })()
+        ");
+
+        // Assert
+        colors.Should().Equal("#d55e00", "#999999", "#6c757d", "#e69f00");
+    }
+
+    [Test]
+    [Description("Verifies parseColor reads short hex, long hex and rgba, and withAlpha keeps the channels")]
+    public async Task ParseColor_ReadsCssColors()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<string[]>(@"[
+            mapPalette.parseColor('#0f8').join(),
+            mapPalette.parseColor('#1A2b3C').join(),
+            mapPalette.parseColor('rgba(10, 20, 30, 0.5)').join(),
+            String(mapPalette.parseColor('teal')),
+            mapPalette.withAlpha('#0f8', 0.25)
+        ]");
+
+        // Assert
+        result.Should().Equal("0,255,136", "26,43,60", "10,20,30", "null", "rgba(0, 255, 136, 0.25)");
+    }
+
+    #endregion
+
+    #region Settings Tests
+
+    [Test]
+    [Description("Verifies a ramp override applies on top of the scheme and is dropped when the scheme changes")]
+    public async Task SetRamp_OverridesUntilSchemeChanges()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                const rejected = [mapPalette.setRamp('depth', 'viridis'), mapPalette.setRamp('dhw', 'rainbow')];
+                mapPalette.setRamp('dhw', 'plasma');
+                const overridden = mapPalette.getSettings().ramps.dhw;
+                mapPalette.setScheme('colorBlind');
+                return [...rejected.map(String), overridden, mapPalette.getSettings().ramps.dhw];
+            })()
+        ");
+
+        // Assert
+        result.Should().Equal("false", "false", "plasma", "viridis");
+    }
+
+    [Test]
+    [Description("Verifies the chosen scheme and ramps are restored on the next visit, and an unknown saved scheme is ignored")]
+    public async Task Settings_PersistAcrossReloads()
+    {
+        // Arrange
+        await Page.EvaluateAsync(@"() => {
+            mapPalette.setScheme('colorBlind');
+            mapPalette.setRamp('sst', 'ice');
+        }");
+
+        // Act
+        await LoadScriptsAsync("js/map-palette.js");
+        var restored = await Page.EvaluateAsync<PaletteSettings>("mapPalette.getSettings()");
+        await Page.EvaluateAsync("() => localStorage.setItem('coralledger-palette', JSON.stringify({ scheme: 'neon' }))");
+        await LoadScriptsAsync("js/map-palette.js");
+        var fallback = await Page.EvaluateAsync<PaletteSettings>("mapPalette.getSettings()");
+
+        // Assert
+        restored.Scheme.Should().Be("colorBlind");
+        restored.Categorical.Should().Be("okabeIto");
+        restored.Ramps["sst"].Should().Be("ice");
+        restored.Ramps["dhw"].Should().Be("viridis");
+        fallback.Scheme.Should().Be("standard");
+    }
+
+    [Test]
+    [Description("Verifies listeners hear every change, a failing listener does not stop the others, and unsubscribing works")]
+    public async Task OnChange_NotifiesListeners()
+    {
+        // Act
+        var heard = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                const heard = [];
+                mapPalette.onChange(() => { throw new Error('broken legend'); });
+                const unsubscribe = mapPalette.onChange(settings => heard.push(settings.scheme + ':' + settings.ramps.effort));
+                mapPalette.setScheme('colorBlind');
+                mapPalette.setRamp('effort', 'heat');
+                mapPalette.setScheme('missing');
+                unsubscribe();
+                mapPalette.setScheme('standard');
+                return heard;
+            })()
+        ");
+
+        // Assert
+        heard.Should().Equal("colorBlind:viridis", "colorBlind:heat");
+    }
+
+    #endregion
+
+    #region Map Tests
+
+    [Test]
+    [Description("Verifies a scheme change recolors MPA polygons already on the map")]
+    public async Task SetScheme_RecolorsMpaPolygons()
+    {
+        // Arrange
+        await LoadScriptsAsync(MapScripts);
+        await Page.EvaluateAsync(@"() => {
+            leafletMap.initialize('map', 24.5, -77.5, 8, true, false);
+            leafletMap.addMpaLayer('map', {
+                type: 'FeatureCollection',
+                features: [{
+                    type: 'Feature',
+                    id: 'andros',
+                    properties: { Name: 'Andros', ProtectionLevel: 'NoTake', Status: 'Active' },
+                    geometry: { type: 'Polygon', coordinates: [[[-77.6, 24.4], [-77.4, 24.4], [-77.4, 24.6], [-77.6, 24.4]]] }
+                }]
+            }, null);
+        }");
+
+        // Act
+        var colors = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                const polygon = () => leafletMap.mpaLayers.map.getLayers()[0];
+                const before = polygon().options.color;
+                mapPalette.setScheme('colorBlind');
+                return [before, polygon().options.color];
+            })()
+        ");
+
+        // Assert
+        colors.Should().Equal("#dc3545", "#d55e00");
+    }
+
+    #endregion
+
+    private class PaletteSettings
+    {
+        public string Scheme { get; set; } = "";
+        public string Categorical { get; set; } = "";
+        public Dictionary<string, string> Ramps { get; set; } = new();
+    }
+}
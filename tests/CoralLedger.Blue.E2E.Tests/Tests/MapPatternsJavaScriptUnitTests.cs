@@ -0,0 +1,199 @@
+namespace CoralLedger.Blue.E2E.Tests.Tests;
+
+/// <summary>
+/// Unit tests for map-patterns.js.
+/// SVG fills are checked in the hidden pattern defs; canvas fills are checked by painting a small canvas with them.
+/// </summary>
+[TestFixture]
+public class MapPatternsJavaScriptUnitTests : JavaScriptUnitTestFixture
+{
+    [SetUp]
+    public async Task LoadPatternsScript()
+    {
+        await LoadScriptsAsync(
+            "lib/leaflet/leaflet.js",
+            "js/localization.js",
+            "js/map-i18n.js",
+            "js/basemap-registry.js",
+            "js/map-palette.js",
+            "js/map-patterns.js",
+            "js/map-layers.js",
+            "js/leaflet-map.js",
+            "js/mpa-spatial.js");
+    }
+
+    #region SVG Pattern Tests
+
+    [Test]
+    [Description("Verifies each protection level has the legend's pattern and other levels have none")]
+    public async Task GetProtectionPattern_MatchesLegend()
+    {
+        // Act
+        var patterns = await Page.EvaluateAsync<string?[]>(@"
+            ['NoTake', 'HighlyProtected', 'LightlyProtected', 'Unclassified'].map(level => mapPatterns.getProtectionPattern(level))
+        ");
+
+        // Assert
+        patterns.Should().Equal("diagonal", "dots", "waves", null);
+    }
+
+    [Test]
+    [Description("Verifies a fill defines its pattern once per kind, color and opacity, in hidden defs on the page")]
+    public async Task GetFill_DefinesPatternOnce()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<FillResult>(@"
+            (() => {
+                const fills = [
+                    mapPatterns.getFill('diagonal', '#dc3545', 0.5),
+                    mapPatterns.getFill('diagonal', '#dc3545', 0.5),
+                    mapPatterns.getFill('diagonal', '#dc3545', 0.65),
+                    mapPatterns.getFill('dots', '#fd7e14', 0.35)
+                ];
+                const svg = document.querySelector('svg.map-pattern-defs');
+                const base = svg.querySelector('#map-pattern-diagonal-220-53-69-50 rect');
+                return {
+                    fills,
+                    unknown: mapPatterns.getFill('stars', '#dc3545', 0.5),
+                    patterns: svg.querySelectorAll('pattern').length,
+                    hidden: svg.getAttribute('aria-hidden'),
+                    baseFill: base.getAttribute('fill'),
+                    baseOpacity: base.getAttribute('fill-opacity')
+                };
+            })()
+        ");
+
+        // Assert
+        result.Fills.Should().Equal(
+            "url(#map-pattern-diagonal-220-53-69-50)",
+            "url(#map-pattern-diagonal-220-53-69-50)",
+            "url(#map-pattern-diagonal-220-53-69-65)",
+            "url(#map-pattern-dots-253-126-20-35)");
+        result.Unknown.Should().BeNull();
+        result.Patterns.Should().Be(3);
+        result.Hidden.Should().Be("true");
+        result.BaseFill.Should().Be("rgb(220,53,69)");
+        result.BaseOpacity.Should().Be("0.5", "the base color carries the opacity, so the marks stay opaque");
+    }
+
+    [Test]
+    [Description("Verifies line patterns draw a dark halo under a light mark, and dot patterns draw haloed dots")]
+    public async Task GetFill_DrawsHaloedMarks()
+    {
+        // Act
+        var marks = await Page.EvaluateAsync<string[][]>(@"
+            ['diagonal', 'waves', 'dots'].map(kind => {
+                const id = mapPatterns.getFill(kind, '#0dcaf0', 0.35).slice(5, -1);
+                return [...document.getElementById(id).querySelectorAll('path, circle')]
+                    .map(mark => `${mark.tagName} ${mark.getAttribute('stroke')}`);
+            })
+        ");
+
+        // Assert
+        marks[0].Should().Equal("path rgba(0, 0, 0, 0.45)", "path rgba(255, 255, 255, 0.85)");
+        marks[1].Should().Equal("path rgba(0, 0, 0, 0.45)", "path rgba(255, 255, 255, 0.85)");
+        marks[2].Should().Equal("circle rgba(0, 0, 0, 0.45)", "circle rgba(0, 0, 0, 0.45)");
+    }
+
+    [Test]
+    [Description("Verifies the pattern defs are recreated when the page content is replaced")]
+    public async Task GetFill_RecreatesRemovedDefs()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                mapPatterns.getFill('waves', '#0dcaf0', 0.35);
+                document.querySelector('svg.map-pattern-defs').remove();
+                const fill = mapPatterns.getFill('waves', '#0dcaf0', 0.35);
+                return [fill, String(!!document.querySelector(fill.slice(4, -1)))];
+            })()
+        ");
+
+        // Assert
+        result.Should().Equal("url(#map-pattern-waves-13-202-240-35)", "true");
+    }
+
+    #endregion
+
+    #region Map Tests
+
+    [Test]
+    [Description("Verifies MPA polygons are filled with their protection level's pattern, and levels without one with flat color")]
+    public async Task AddMpaLayer_FillsPolygonsWithPatterns()
+    {
+        // Act
+        var fills = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                leafletMap.initialize('map', 24.5, -77.5, 8, true, false);
+                const polygon = (id, level, x) => ({
+                    type: 'Feature',
+                    id,
+                    properties: { Name: id, ProtectionLevel: level, Status: 'Active' },
+                    geometry: { type: 'Polygon', coordinates: [[[x, 24.4], [x + 0.1, 24.4], [x + 0.1, 24.6], [x, 24.4]]] }
+                });
+                leafletMap.addMpaLayer('map', {
+                    type: 'FeatureCollection',
+                    features: [polygon('a', 'NoTake', -77.8), polygon('b', 'Unclassified', -77.4)]
+                }, null);
+                return leafletMap.mpaLayers.map.getLayers().map(layer =>
+                    `${layer._path.getAttribute('fill')} ${layer._path.getAttribute('fill-opacity')}`);
+            })()
+        ");
+
+        // Assert
+        fills.Should().Equal("url(#map-pattern-diagonal-220-53-69-50) 1", "#6c757d 0.35");
+    }
+
+    #endregion
+
+    #region Canvas Pattern Tests
+
+    [Test]
+    [Description("Verifies the canvas pattern paints the base color at its opacity with light stripes on top")]
+    public async Task CreateCanvasPattern_PaintsStripes()
+    {
+        // Act
+        var pixels = await Page.EvaluateAsync<int[][]>(@"
+            (() => {
+                const canvas = document.createElement('canvas');
+                canvas.width = 16;
+                canvas.height = 16;
+                const ctx = canvas.getContext('2d');
+                ctx.fillStyle = mapPatterns.createCanvasPattern(ctx, 'diagonal', '#dc3545', 0.5);
+                ctx.fillRect(0, 0, 16, 16);
+                return [[0, 3], [3, 4], [11, 12]].map(([x, y]) => Array.from(ctx.getImageData(x, y, 1, 1).data));
+            })()
+        ");
+
+        // Assert
+        pixels[0][0].Should().BeInRange(215, 225, "away from the stripes the base color shows");
+        pixels[0][3].Should().BeInRange(120, 135, "the base color is half transparent");
+        pixels[1].Take(3).Should().OnlyContain(v => v > 150, "a stripe is drawn in light marks");
+        pixels[2].Should().Equal(pixels[1], "the pattern repeats every 8 pixels");
+    }
+
+    [Test]
+    [Description("Verifies an unknown pattern has no canvas pattern")]
+    public async Task CreateCanvasPattern_RejectsUnknownKind()
+    {
+        // Act
+        var isNull = await Page.EvaluateAsync<bool>(@"
+            mapPatterns.createCanvasPattern(document.createElement('canvas').getContext('2d'), 'stars', '#dc3545', 0.5) === null
+        ");
+
+        // Assert
+        isNull.Should().BeTrue();
+    }
+
+    #endregion
+
+    private class FillResult
+    {
+        public string[] Fills { get; set; } = Array.Empty<string>();
+        public string? Unknown { get; set; }
+        public int Patterns { get; set; }
+        public string Hidden { get; set; } = "";
+        public string BaseFill { get; set; } = "";
+        public string BaseOpacity { get; set; } = "";
+    }
+}
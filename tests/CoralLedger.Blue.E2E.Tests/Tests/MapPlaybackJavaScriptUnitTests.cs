@@ -0,0 +1,327 @@
+namespace CoralLedger.Blue.E2E.Tests.Tests;
+
+/// <summary>
+/// Unit tests for map-playback.js.
+/// Frames are plain strings; deferred loaders let each test decide the order frames finish loading in.
+/// </summary>
+[TestFixture]
+public class MapPlaybackJavaScriptUnitTests : JavaScriptUnitTestFixture
+{
+    [SetUp]
+    public async Task LoadPlaybackScript()
+    {
+        await LoadScriptsAsync("lib/leaflet/leaflet.js", "js/map-layers.js", "js/map-playback.js");
+        await Page.EvaluateAsync(@"() => {
+            window.testDates = ['2026-01-01', '2026-01-02', '2026-01-03', '2026-01-04'];
+            window.deferredLoads = () => {
+                const loads = { pending: {}, count: 0 };
+                loads.loadFrame = (date, signal) => new Promise(resolve => {
+                    loads.count++;
+                    loads.pending[date] = { resolve: () => resolve('frame ' + date), signal };
+                });
+                return loads;
+            };
+            window.walk = (player, steps) => {
+                const indexes = [];
+                for (let i = 0; i < steps; i++) {
+                    const next = player.nextIndex(true);
+                    indexes.push(next);
+                    if (next < 0) break;
+                    player.index = next;
+                }
+                return indexes;
+            };
+            window.settle = () => new Promise(resolve => setTimeout(resolve, 0));
+        }");
+    }
+
+    #region Mode Tests
+
+    [Test]
+    [Description("Verifies loop mode wraps from the last frame to the first")]
+    public async Task NextIndex_LoopWraps()
+    {
+        // Act
+        var indexes = await Page.EvaluateAsync<int[]>(@"
+            walk(mapPlayback.createPlayer({ mode: 'loop' }).setDates(testDates, 2), 4)
+        ");
+
+        // Assert
+        indexes.Should().Equal(3, 0, 1, 2);
+    }
+
+    [Test]
+    [Description("Verifies ping-pong mode reverses at both ends without repeating the end frames")]
+    public async Task NextIndex_PingPongReverses()
+    {
+        // Act
+        var indexes = await Page.EvaluateAsync<int[]>(@"
+            walk(mapPlayback.createPlayer({ mode: 'pingpong' }).setDates(testDates, 1), 8)
+        ");
+
+        // Assert
+        indexes.Should().Equal(2, 3, 2, 1, 0, 1, 2, 3);
+    }
+
+    [Test]
+    [Description("Verifies once mode stops at the last frame")]
+    public async Task NextIndex_OnceStops()
+    {
+        // Act
+        var indexes = await Page.EvaluateAsync<int[]>(@"
+            walk(mapPlayback.createPlayer({ mode: 'once' }).setDates(testDates, 2), 3)
+        ");
+
+        // Assert
+        indexes.Should().Equal(3, -1);
+    }
+
+    [Test]
+    [Description("Verifies upcoming lists the dates ahead in ping-pong order without moving the playhead")]
+    public async Task Upcoming_FollowsModeWithoutMoving()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                const player = mapPlayback.createPlayer({ mode: 'pingpong' }).setDates(testDates, 2);
+                const dates = player.upcoming(2);
+                return [...dates, String(player.index), String(player.direction)];
+            })()
+        ");
+
+        // Assert
+        result.Should().Equal("2026-01-04", "2026-01-03", "2", "1");
+    }
+
+    [Test]
+    [Description("Verifies setOptions clamps the frame rate and ignores unknown modes")]
+    public async Task SetOptions_ValidatesValues()
+    {
+        // Act
+        var options = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                const player = mapPlayback.createPlayer({ mode: 'pingpong' });
+                player.setOptions({ fps: 120, mode: 'shuffle' });
+                const high = player.options.fps;
+                player.setOptions({ fps: 0 });
+                return [String(high), String(player.options.fps), player.options.mode];
+            })()
+        ");
+
+        // Assert
+        options.Should().Equal(new[] { "30", "1", "pingpong" }, "an fps of 0 falls back to the default");
+    }
+
+    #endregion
+
+    #region Loading Tests
+
+    [Test]
+    [Description("Verifies a frame that finishes loading after a later seek is never shown")]
+    public async Task Seek_DropsStaleFrames()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<SeekResult>(@"
+            async () => {
+                const loads = deferredLoads();
+                const shown = [];
+                const player = mapPlayback.createPlayer({ loadFrame: loads.loadFrame, showFrame: frame => shown.push(frame), prefetch: 0 })
+                    .setDates(testDates);
+                const first = player.seek(0);
+                await settle();
+                const second = player.seek(3);
+                await settle();
+                loads.pending['2026-01-04'].resolve();
+                const secondShown = await second;
+                loads.pending['2026-01-01'].resolve();
+                return { firstShown: await first, secondShown, shown };
+            }
+        ");
+
+        // Assert
+        result.FirstShown.Should().BeFalse();
+        result.SecondShown.Should().BeTrue();
+        result.Shown.Should().Equal("frame 2026-01-04");
+    }
+
+    [Test]
+    [Description("Verifies loads for dates the playhead has moved away from are aborted")]
+    public async Task Prefetch_AbortsUnwantedLoads()
+    {
+        // Act
+        var aborted = await Page.EvaluateAsync<bool[]>(@"
+            async () => {
+                const loads = deferredLoads();
+                const dates = mapPlayback.dateRange('2026-01-01', '2026-01-10');
+                const player = mapPlayback.createPlayer({ loadFrame: loads.loadFrame, showFrame: () => {}, prefetch: 1 })
+                    .setDates(dates);
+                player.seek(0);
+                await settle();
+                player.seek(6);
+                await settle();
+                return ['2026-01-01', '2026-01-02', '2026-01-07', '2026-01-08'].map(date => loads.pending[date].signal.aborted);
+            }
+        ");
+
+        // Assert
+        aborted.Should().Equal(true, true, false, false);
+    }
+
+    [Test]
+    [Description("Verifies a failed load is forgotten, so the next seek loads the date again")]
+    public async Task Seek_RetriesFailedLoads()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<string[]>(@"
+            async () => {
+                let attempts = 0;
+                const shown = [];
+                const player = mapPlayback.createPlayer({
+                    loadFrame: async date => {
+                        if (++attempts === 1) throw new Error('offline');
+                        return 'frame ' + date;
+                    },
+                    showFrame: frame => shown.push(String(frame)),
+                    prefetch: 0
+                }).setDates(testDates);
+                await player.seek(0);
+                await player.seek(0);
+                return [String(attempts), ...shown];
+            }
+        ");
+
+        // Assert
+        result.Should().Equal(new[] { "2", "null", "frame 2026-01-01" }, "the failed load shows an empty frame and is retried");
+    }
+
+    [Test]
+    [Description("Verifies the least recently used frames outside the prefetch window are dropped past the cache size")]
+    public async Task Prefetch_TrimsCache()
+    {
+        // Act
+        var cached = await Page.EvaluateAsync<string[]>(@"
+            async () => {
+                const player = mapPlayback.createPlayer({ loadFrame: async date => date, showFrame: () => {}, prefetch: 0, cacheSize: 2 })
+                    .setDates(testDates);
+                for (let i = 0; i < testDates.length; i++) {
+                    await player.seek(i);
+                }
+                player.prefetch();
+                return Array.from(player.cache.keys());
+            }
+        ");
+
+        // Assert
+        cached.Should().Equal("2026-01-03", "2026-01-04");
+    }
+
+    #endregion
+
+    #region Playback Tests
+
+    [Test]
+    [Description("Verifies once mode plays every remaining frame and then pauses itself")]
+    public async Task Play_OnceModePausesAtEnd()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<PlayResult>(@"
+            async () => {
+                const shown = [];
+                const states = [];
+                const player = mapPlayback.createPlayer({
+                    loadFrame: async date => date,
+                    showFrame: (frame, date, index) => shown.push(index),
+                    mode: 'once',
+                    fps: 30
+                }).setDates(testDates, 1);
+                await new Promise(resolve => {
+                    player.options.onStateChange = state => {
+                        states.push(state.playing);
+                        if (!state.playing) resolve();
+                    };
+                    player.play();
+                });
+                return { shown, states, index: player.index };
+            }
+        ");
+
+        // Assert
+        result.Shown.Should().Equal(2, 3);
+        result.States.Should().StartWith(true).And.EndWith(false);
+        result.Index.Should().Be(3);
+    }
+
+    [Test]
+    [Description("Verifies dateRange lists every day across a month end")]
+    public async Task DateRange_IncludesBothEnds()
+    {
+        // Act
+        var dates = await Page.EvaluateAsync<string[]>("mapPlayback.dateRange('2026-02-27', '2026-03-02')");
+
+        // Assert
+        dates.Should().Equal("2026-02-27", "2026-02-28", "2026-03-01", "2026-03-02");
+    }
+
+    #endregion
+
+    #region FrameLayer Tests
+
+    [Test]
+    [Description("Verifies the frame layer keeps the outgoing frame until its fade finishes, then removes it")]
+    public async Task FrameLayer_CrossFadesFrames()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<FadeResult>(@"
+            async () => {
+                const map = L.map('map').setView([24.5, -77.5], 8);
+                const holder = mapPlayback.createFrameLayer({ fadeDuration: 50 }).addTo(map);
+                const first = L.layerGroup();
+                const second = L.layerGroup();
+                holder.setFrame(first);
+                const firstPane = first.options.pane;
+                holder.setFrame(second);
+                const duringFade = map.hasLayer(first);
+                await new Promise(resolve => setTimeout(resolve, 100));
+                return {
+                    firstPane,
+                    secondPane: second.options.pane,
+                    duringFade,
+                    afterFade: map.hasLayer(first),
+                    secondShown: map.hasLayer(second)
+                };
+            }
+        ");
+
+        // Assert
+        result.FirstPane.Should().Be("overlayPane-frame-1");
+        result.SecondPane.Should().Be("overlayPane-frame-0", "frames alternate between the two sub-panes");
+        result.DuringFade.Should().BeTrue();
+        result.AfterFade.Should().BeFalse();
+        result.SecondShown.Should().BeTrue();
+    }
+
+    #endregion
+
+    private class SeekResult
+    {
+        public bool FirstShown { get; set; }
+        public bool SecondShown { get; set; }
+        public string[] Shown { get; set; } = Array.Empty<string>();
+    }
+
+    private class PlayResult
+    {
+        public int[] Shown { get; set; } = Array.Empty<int>();
+        public bool[] States { get; set; } = Array.Empty<bool>();
+        public int Index { get; set; }
+    }
+
+    private class FadeResult
+    {
+        public string FirstPane { get; set; } = "";
+        public string SecondPane { get; set; } = "";
+        public bool DuringFade { get; set; }
+        public bool AfterFade { get; set; }
+        public bool SecondShown { get; set; }
+    }
+}
@@ -0,0 +1,261 @@
+namespace CoralLedger.Blue.E2E.Tests.Tests;
+
+/// <summary>
+/// Unit tests for map-stations.js.
+/// fetch is stubbed with /api/bleaching/timeseries responses; pins are made on a map created through leafletMap.initialize.
+/// </summary>
+[TestFixture]
+public class MapStationsJavaScriptUnitTests : JavaScriptUnitTestFixture
+{
+    [SetUp]
+    public async Task LoadStationsScript()
+    {
+        await LoadScriptsAsync(
+            "lib/leaflet/leaflet.js",
+            "js/localization.js",
+            "js/map-i18n.js",
+            "js/basemap-registry.js",
+            "js/map-palette.js",
+            "js/map-layers.js",
+            "js/leaflet-map.js",
+            "js/map-stations.js");
+        await Page.EvaluateAsync(@"() => {
+            leafletMap.initialize('map', 24.5, -77.5, 8, true, false);
+            window.requestedUrls = [];
+            window.stubSeries = (series, status = 200) => {
+                window.fetch = async url => {
+                    requestedUrls.push(url);
+                    return { ok: status === 200, status, json: async () => series };
+                };
+            };
+            window.reading = (date, dhw, sst) => ({ date: date + 'T00:00:00', degreeHeatingWeek: dhw, seaSurfaceTemperature: sst, alertLevel: 1 });
+            window.waitFor = async condition => {
+                for (let i = 0; i < 50 && !condition(); i++) {
+                    await new Promise(resolve => setTimeout(resolve, 10));
+                }
+            };
+        }");
+    }
+
+    #region loadTimeSeries Tests
+
+    [Test]
+    [Description("Verifies the 12 weeks up to the end date are requested and readings are sorted with missing values as null")]
+    public async Task LoadTimeSeries_RequestsTwelveWeeksAndParses()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<SeriesResult>(@"
+            async () => {
+                stubSeries([reading('2026-03-02', 4.2, null), reading('2026-03-01', 'n/a', 28.5)]);
+                const series = await mapStations.loadTimeSeries({ lat: 24.5, lng: -77.5 }, '2026-03-02');
+                return { url: requestedUrls[0], dates: series.map(d => d.date), dhw: series.map(d => d.dhw), sst: series.map(d => d.sst) };
+            }
+        ");
+
+        // Assert
+        result.Url.Should().Be("/api/bleaching/timeseries?lon=-77.5&lat=24.5&startDate=2025-12-09&endDate=2026-03-02");
+        result.Dates.Should().Equal("2026-03-01", "2026-03-02");
+        result.Dhw.Should().Equal(null, 4.2);
+        result.Sst.Should().Equal(28.5, null);
+    }
+
+    [Test]
+    [Description("Verifies a series is fetched once per station and end date, and a failed request is retried")]
+    public async Task LoadTimeSeries_CachesOnlySuccesses()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<string[]>(@"
+            async () => {
+                const station = { lat: 24.5, lng: -77.5 };
+                stubSeries([], 503);
+                const error = await mapStations.loadTimeSeries(station, '2026-03-02').catch(e => e.message);
+                stubSeries([reading('2026-03-02', 1, 27)]);
+                await mapStations.loadTimeSeries(station, '2026-03-02');
+                await mapStations.loadTimeSeries({ lat: 24.50001, lng: -77.5 }, '2026-03-02');
+                await mapStations.loadTimeSeries(station, '2026-03-03');
+                return [error, String(requestedUrls.length)];
+            }
+        ");
+
+        // Assert
+        result.Should().Equal(new[] { "Time series request failed (503)", "3" }, "stations are keyed to 4 decimals");
+    }
+
+    #endregion
+
+    #region renderSparkline Tests
+
+    [Test]
+    [Description("Verifies the threshold bands sit at 4 and 8 °C-weeks on the default 0-10 scale")]
+    public async Task RenderSparkline_DrawsThresholdBands()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<SparklineResult>(@"
+            (() => {
+                const svg = new DOMParser().parseFromString(mapStations.renderSparkline([
+                    { date: '2026-03-01', dhw: 2, sst: 28 },
+                    { date: '2026-03-02', dhw: 3, sst: 28.4 }
+                ], { width: 220, height: 64 }), 'image/svg+xml').documentElement;
+                return {
+                    thresholds: [...svg.querySelectorAll('line')].map(l => l.getAttribute('y1')),
+                    bandHeights: [...svg.querySelectorAll('rect')].map(r => r.getAttribute('height')),
+                    label: svg.getAttribute('aria-label'),
+                    latest: svg.querySelector('svg > text:last-of-type').textContent
+                };
+            })()
+        ");
+
+        // Assert
+        result.Thresholds.Should().Equal("37.6", "15.2");
+        result.BandHeights.Should().Equal(new[] { "22.4", "11.2" }, "the severe band runs to the top of the plot");
+        result.Label.Should().Be("Degree heating weeks over 12 weeks, peak 3.0 °C-weeks, latest SST 28.4 °C");
+        result.Latest.Should().Be("3.0");
+    }
+
+    [Test]
+    [Description("Verifies missing readings and gaps of more than two days break the line instead of bridging it")]
+    public async Task RenderSparkline_BreaksLineAtGaps()
+    {
+        // Act
+        var moves = await Page.EvaluateAsync<int[]>(@"
+            (() => {
+                const svg = new DOMParser().parseFromString(mapStations.renderSparkline([
+                    { date: '2026-02-20', dhw: 1, sst: 27 },
+                    { date: '2026-02-21', dhw: 1.5, sst: null },
+                    { date: '2026-02-25', dhw: 2, sst: 27.5 },
+                    { date: '2026-02-26', dhw: null, sst: 27.6 },
+                    { date: '2026-02-27', dhw: 2.5, sst: 27.8 }
+                ]), 'image/svg+xml').documentElement;
+                return [...svg.querySelectorAll('path')].map(p => p.getAttribute('d').split('M').length - 1);
+            })()
+        ");
+
+        // Assert
+        moves.Should().Equal(new[] { 2, 3 }, "SST breaks at its missing reading, DHW at the gap and its missing reading");
+    }
+
+    [Test]
+    [Description("Verifies a shared dhwMax puts every station on one scale, and values above it clip to the top")]
+    public async Task RenderSparkline_UsesSharedScale()
+    {
+        // Act
+        var thresholds = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                const series = [{ date: '2026-03-01', dhw: 15, sst: null }];
+                const firstLine = html => new DOMParser().parseFromString(html, 'image/svg+xml').querySelector('line').getAttribute('y1');
+                return [
+                    firstLine(mapStations.renderSparkline(series, { height: 64 })),
+                    firstLine(mapStations.renderSparkline([{ date: '2026-03-01', dhw: 1, sst: null }], { height: 64, dhwMax: 16 }))
+                ];
+            })()
+        ");
+
+        // Assert
+        thresholds.Should().Equal(new[] { "46.0", "46.0" }, "both scales run to 16 °C-weeks");
+    }
+
+    #endregion
+
+    #region Pin Tests
+
+    [Test]
+    [Description("Verifies pins are capped at five, the oldest goes first and a freed color slot is reused")]
+    public async Task Pin_CapsAndReusesSlots()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<PinResult>(@"
+            (() => {
+                stubSeries([]);
+                const station = i => ({ lat: 24 + i / 10, lng: -77 });
+                const added = [0, 1, 2, 3, 4, 5].map(i => mapStations.pin('map', station(i), '2026-03-02'));
+                const duplicate = mapStations.pin('map', station(5));
+                const unpinned = mapStations.unpin('map', mapStations.getStationId(station(2)));
+                mapStations.pin('map', station(6));
+                const markers = leafletMap.getLayerRegistry('map').getLayer('pinned-stations').getLayers();
+                return {
+                    added,
+                    duplicate,
+                    unpinned,
+                    pinned: mapStations.getPinned('map').map(s => s.lat),
+                    markerColors: markers.map(m => m.options.fillColor)
+                };
+            })()
+        ");
+
+        // Assert
+        result.Added.Should().AllBeEquivalentTo(true);
+        result.Duplicate.Should().BeFalse();
+        result.Unpinned.Should().BeTrue();
+        result.Pinned.Should().Equal(24.1, 24.3, 24.4, 24.5, 24.6);
+        result.MarkerColors.Should().Equal(new[] { "#e69f00", "#cc79a7", "#56b4e9", "#0072b2", "#009e73" },
+            "station 5 took the slot station 0 left, and station 6 the slot station 2 left");
+    }
+
+    [Test]
+    [Description("Verifies the comparison panel shows a row per pinned station, and clearing removes the panel and markers")]
+    public async Task Pin_ShowsComparisonPanel()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<PanelResult>(@"
+            async () => {
+                stubSeries([reading('2026-03-02', 5, 29)]);
+                mapStations.pin('map', { lat: 24.5, lng: -77.5 }, '2026-03-02');
+                mapStations.pin('map', { lat: 25, lng: -77 });
+                await waitFor(() => document.querySelectorAll('.station-compare-row').length === 2);
+                const rows = document.querySelectorAll('.station-compare-row').length;
+                const sparklines = document.querySelectorAll('.station-compare .station-sparkline').length;
+                document.querySelector('.station-compare [data-action=clear]').click();
+                return {
+                    rows,
+                    sparklines,
+                    panelsAfterClear: document.querySelectorAll('.station-compare').length,
+                    overlaysAfterClear: leafletMap.getOverlays('map').length,
+                    requests: requestedUrls.length
+                };
+            }
+        ");
+
+        // Assert
+        result.Rows.Should().Be(2);
+        result.Sparklines.Should().Be(2);
+        result.PanelsAfterClear.Should().Be(0);
+        result.OverlaysAfterClear.Should().Be(0);
+        result.Requests.Should().Be(2, "each station's series is loaded once even though the panel renders twice");
+    }
+
+    #endregion
+
+    private class SeriesResult
+    {
+        public string Url { get; set; } = "";
+        public string[] Dates { get; set; } = Array.Empty<string>();
+        public double?[] Dhw { get; set; } = Array.Empty<double?>();
+        public double?[] Sst { get; set; } = Array.Empty<double?>();
+    }
+
+    private class SparklineResult
+    {
+        public string[] Thresholds { get; set; } = Array.Empty<string>();
+        public string[] BandHeights { get; set; } = Array.Empty<string>();
+        public string Label { get; set; } = "";
+        public string Latest { get; set; } = "";
+    }
+
+    private class PinResult
+    {
+        public bool[] Added { get; set; } = Array.Empty<bool>();
+        public bool Duplicate { get; set; }
+        public bool Unpinned { get; set; }
+        public double[] Pinned { get; set; } = Array.Empty<double>();
+        public string[] MarkerColors { get; set; } = Array.Empty<string>();
+    }
+
+    private class PanelResult
+    {
+        public int Rows { get; set; }
+        public int Sparklines { get; set; }
+        public int PanelsAfterClear { get; set; }
+        public int OverlaysAfterClear { get; set; }
+        public int Requests { get; set; }
+    }
+}
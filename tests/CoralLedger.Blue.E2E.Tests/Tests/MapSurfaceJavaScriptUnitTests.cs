@@ -0,0 +1,160 @@
+namespace CoralLedger.Blue.E2E.Tests.Tests;
+
+/// <summary>
+/// Unit tests for map-surface.js.
+/// The test stations sit on one parallel, so IDW weights depend only on the longitude differences
+/// and interpolated values can be worked out by hand.
+/// </summary>
+[TestFixture]
+public class MapSurfaceJavaScriptUnitTests : JavaScriptUnitTestFixture
+{
+    [SetUp]
+    public async Task LoadSurfaceScript()
+    {
+        await LoadScriptsAsync("lib/leaflet/leaflet.js", "js/map-surface.js");
+        await Page.EvaluateAsync(@"() => {
+            window.testStations = [
+                { id: 'west', lat: 24, lng: -77, values: { sst: 10, alert: 0 } },
+                { id: 'east', lat: 24, lng: -76.9, values: { sst: 20, alert: 4 } }
+            ];
+            window.testSurface = mapSurface.createLayer(testStations, {
+                variables: {
+                    sst: { label: 'SST', getColor: () => '#ff0000', format: v => String(v) },
+                    alert: { label: 'Alert', method: 'nearest', getColor: () => '#ff0000', format: v => String(v) }
+                }
+            });
+        }");
+    }
+
+    #region Interpolation Tests
+
+    [Test]
+    [Description("Verifies IDW weights stations by the inverse square of their distance")]
+    public async Task Probe_InterpolatesWithInverseDistanceWeighting()
+    {
+        // Act - 0.03 degrees from west and 0.07 from east, so the weights are 1/9 and 1/49
+        var value = await Page.EvaluateAsync<double>(@"
+            testSurface.probe({ lat: 24, lng: -76.97 }).value
+        ");
+
+        // Assert
+        value.Should().BeApproximately((10.0 / 9 + 20.0 / 49) / (1.0 / 9 + 1.0 / 49), 1e-6);
+    }
+
+    [Test]
+    [Description("Verifies the nearest method takes the closest station's value instead of averaging categories")]
+    public async Task Probe_NearestMethodDoesNotAverageCategories()
+    {
+        // Act
+        var levels = await Page.EvaluateAsync<double[]>(@"
+            (() => {
+                testSurface.setVariable('alert');
+                return [-76.97, -76.93].map(lng => testSurface.probe({ lat: 24, lng }).value);
+            })()
+        ");
+
+        // Assert
+        levels.Should().Equal(new[] { 0.0, 4.0 }, "alert levels between 0 and 4 do not exist");
+    }
+
+    [Test]
+    [Description("Verifies a location on a station returns that station's value rather than dividing by a zero distance")]
+    public async Task Probe_ReturnsStationValueOnExactHit()
+    {
+        // Act
+        var value = await Page.EvaluateAsync<double>(@"
+            testSurface.probe({ lat: 24, lng: -76.9 }).value
+        ");
+
+        // Assert
+        value.Should().Be(20);
+    }
+
+    [Test]
+    [Description("Verifies locations beyond maxDistanceKm of every station have no value")]
+    public async Task Probe_IsNaNBeyondMaxDistance()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<bool[]>(@"
+            (() => {
+                const far = testSurface.probe({ lat: 25, lng: -77 });
+                const reach = mapSurface.createLayer(testStations, {
+                    maxDistanceKm: 150,
+                    variables: { sst: { getColor: () => '#ff0000', format: String } }
+                }).probe({ lat: 25, lng: -77 });
+                return [Number.isNaN(far.value), far.station === null, Number.isFinite(reach.value)];
+            })()
+        ");
+
+        // Assert
+        result.Should().Equal(new[] { true, true, true }, "111 km is beyond the default 40 km but within 150 km");
+    }
+
+    #endregion
+
+    #region StationIndex Tests
+
+    [Test]
+    [Description("Verifies StationIndex.near returns the same stations, nearest first, as a brute-force search")]
+    public async Task Near_MatchesBruteForce()
+    {
+        // Act
+        var mismatches = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                let seed = 42;
+                const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+                const points = Array.from({ length: 600 }, () => ({ lat: 20 + random() * 8, lng: -80 + random() * 8 }));
+                const index = new mapSurface.StationIndex(points, 10);
+
+                const mismatches = [];
+                for (let q = 0; q < 40; q++) {
+                    const lat = 20 + random() * 8;
+                    const lng = -80 + random() * 8;
+                    const kmPerLng = 111.32 * Math.cos(lat * Math.PI / 180);
+                    [[40, Infinity], [40, 8], [100, 1], [5, 3]].forEach(([maxKm, limit]) => {
+                        const expected = points
+                            .map((p, i) => ({ index: i, distance: Math.hypot((p.lat - lat) * 111.32, (p.lng - lng) * kmPerLng) }))
+                            .filter(n => n.distance <= maxKm)
+                            .sort((a, b) => a.distance - b.distance)
+                            .slice(0, limit)
+                            .map(n => n.index)
+                            .join(',');
+                        const actual = index.near(lat, lng, maxKm, limit).map(n => n.index).join(',');
+                        if (actual !== expected) mismatches.push(`${lat},${lng} within ${maxKm} km, limit ${limit}`);
+                    });
+                }
+                return mismatches;
+            })()
+        ");
+
+        // Assert
+        mismatches.Should().BeEmpty();
+    }
+
+    [Test]
+    [Description("Verifies probe reports the nearest station and its distance")]
+    public async Task Probe_ReportsNearestStation()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<ProbeResult>(@"
+            (() => {
+                const probe = testSurface.probe({ lat: 24, lng: -76.94 });
+                return { variable: probe.variable, stationId: probe.station.id, distanceKm: probe.distanceKm };
+            })()
+        ");
+
+        // Assert
+        result.Variable.Should().Be("sst");
+        result.StationId.Should().Be("east");
+        result.DistanceKm.Should().BeApproximately(0.04 * 111.32 * Math.Cos(24 * Math.PI / 180), 1e-3);
+    }
+
+    #endregion
+
+    private class ProbeResult
+    {
+        public string Variable { get; set; } = "";
+        public string? StationId { get; set; }
+        public double DistanceKm { get; set; }
+    }
+}
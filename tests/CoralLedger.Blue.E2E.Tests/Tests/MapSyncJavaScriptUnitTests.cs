@@ -0,0 +1,237 @@
+namespace CoralLedger.Blue.E2E.Tests.Tests;
+
+/// <summary>
+/// Unit tests for map-sync.js.
+/// Two real Leaflet maps are linked the way leafletMap.linkMaps links the comparison maps.
+/// </summary>
+[TestFixture]
+public class MapSyncJavaScriptUnitTests : JavaScriptUnitTestFixture
+{
+    [SetUp]
+    public async Task LoadSyncScript()
+    {
+        await LoadScriptsAsync(
+            "lib/leaflet/leaflet.js",
+            "js/localization.js",
+            "js/map-i18n.js",
+            "js/map-sync.js");
+        await Page.EvaluateAsync(@"() => {
+            const second = document.createElement('div');
+            second.id = 'map2';
+            second.style.cssText = 'width:512px;height:512px';
+            document.body.appendChild(second);
+
+            window.leftMap = L.map('map').setView([24.5, -77.5], 8);
+            window.rightMap = L.map('map2').setView([20, -70], 4);
+        }");
+    }
+
+    #region link Tests
+
+    [Test]
+    [Description("Verifies linked maps start from the first map's view")]
+    public async Task Link_StartsFromFirstMapView()
+    {
+        // Act
+        var view = await Page.EvaluateAsync<double[]>(@"
+            (() => {
+                mapSync.link([leftMap, rightMap]);
+                const center = rightMap.getCenter();
+                return [center.lat, center.lng, rightMap.getZoom()];
+            })()
+        ");
+
+        // Assert
+        view[0].Should().BeApproximately(24.5, 1e-6);
+        view[1].Should().BeApproximately(-77.5, 1e-6);
+        view[2].Should().Be(8);
+    }
+
+    [Test]
+    [Description("Verifies panning or zooming either linked map moves the other")]
+    public async Task Link_SyncsViewBothWays()
+    {
+        // Act
+        var views = await Page.EvaluateAsync<double[][]>(@"
+            (() => {
+                mapSync.link([leftMap, rightMap]);
+                leftMap.setView([25, -78], 9, { animate: false });
+                const first = [rightMap.getCenter().lat, rightMap.getCenter().lng, rightMap.getZoom()];
+                rightMap.setView([23, -76], 6, { animate: false });
+                const second = [leftMap.getCenter().lat, leftMap.getCenter().lng, leftMap.getZoom()];
+                return [first, second];
+            })()
+        ");
+
+        // Assert
+        views[0][0].Should().BeApproximately(25, 1e-6);
+        views[0][1].Should().BeApproximately(-78, 1e-6);
+        views[0][2].Should().Be(9);
+        views[1][0].Should().BeApproximately(23, 1e-6);
+        views[1][1].Should().BeApproximately(-76, 1e-6);
+        views[1][2].Should().Be(6);
+    }
+
+    [Test]
+    [Description("Verifies an unlinked map no longer follows the group")]
+    public async Task Unlink_StopsSyncing()
+    {
+        // Act
+        var zoom = await Page.EvaluateAsync<int>(@"
+            (() => {
+                const group = mapSync.link([leftMap, rightMap]);
+                group.unlink();
+                leftMap.setView([25, -78], 10, { animate: false });
+                return rightMap.getZoom();
+            })()
+        ");
+
+        // Assert
+        zoom.Should().Be(8, "the right map keeps the view it had when unlinked");
+    }
+
+    [Test]
+    [Description("Verifies linking a map again moves it out of its previous group")]
+    public async Task Link_ReplacesPreviousGroup()
+    {
+        // Act
+        var counts = await Page.EvaluateAsync<int[]>(@"
+            (() => {
+                const first = mapSync.link([leftMap, rightMap]);
+                const second = mapSync.link([rightMap]);
+                return [first.maps.length, second.maps.length];
+            })()
+        ");
+
+        // Assert
+        counts.Should().Equal(1, 1);
+    }
+
+    [Test]
+    [Description("Verifies the mouse position shows as a crosshair on the other map until the pointer leaves")]
+    public async Task Link_MirrorsCursor()
+    {
+        // Act
+        var cursors = await Page.EvaluateAsync<int[]>(@"
+            (() => {
+                mapSync.link([leftMap, rightMap]);
+                const count = id => document.querySelectorAll(`#${id} .map-sync-cursor`).length;
+                leftMap.fire('mousemove', { latlng: L.latLng(24.6, -77.4) });
+                const whileOver = [count('map'), count('map2')];
+                leftMap.fire('mouseout');
+                return [...whileOver, count('map2')];
+            })()
+        ");
+
+        // Assert
+        cursors.Should().Equal(new[] { 0, 1, 0 }, "only the other map shows the crosshair, and only while the pointer is on a map");
+    }
+
+    #endregion
+
+    #region Swipe Tests
+
+    [Test]
+    [Description("Verifies createPanes reuses an existing pane pair and sets its stacking order")]
+    public async Task CreatePanes_ReusesPanes()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                const first = mapSync.createPanes(leftMap, 'compare', 250);
+                const pane = leftMap.getPane(first.left);
+                const second = mapSync.createPanes(leftMap, 'compare', 260);
+                return [first.left, first.right, String(leftMap.getPane(second.left) === pane), pane.style.zIndex];
+            })()
+        ");
+
+        // Assert
+        result.Should().Equal("compareLeft", "compareRight", "true", "260");
+    }
+
+    [Test]
+    [Description("Verifies the divider clips each pane to its side and clamps its position")]
+    public async Task CreateSwipe_ClipsPanesAtDivider()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<SwipeResult>(@"
+            (() => {
+                const panes = mapSync.createPanes(leftMap, 'compare', 250);
+                const changes = [];
+                const swipe = mapSync.createSwipe(leftMap, {
+                    leftPane: panes.left,
+                    rightPane: panes.right,
+                    position: 0.25,
+                    onChange: position => changes.push(position)
+                });
+                const divider = document.querySelector('.map-swipe-divider');
+                const leftClip = leftMap.getPane(panes.left).style.clip;
+                const rightClip = leftMap.getPane(panes.right).style.clip;
+                swipe.setPosition(1.5);
+                return { leftClip, rightClip, clamped: swipe.getPosition(), valueNow: divider.getAttribute('aria-valuenow'), changes };
+            })()
+        ");
+
+        // Assert
+        result.LeftClip.Should().Be("rect(0px, 128px, 512px, 0px)", "a quarter of a 512 px map is left of the divider");
+        result.RightClip.Should().Be("rect(0px, 512px, 512px, 128px)");
+        result.Clamped.Should().Be(1);
+        result.ValueNow.Should().Be("100");
+        result.Changes.Should().Equal(1);
+    }
+
+    [Test]
+    [Description("Verifies arrow keys move the divider, with Shift for larger steps")]
+    public async Task CreateSwipe_MovesWithArrowKeys()
+    {
+        // Act
+        var positions = await Page.EvaluateAsync<double[]>(@"
+            (() => {
+                const panes = mapSync.createPanes(leftMap, 'compare', 250);
+                const swipe = mapSync.createSwipe(leftMap, { leftPane: panes.left, rightPane: panes.right });
+                const divider = document.querySelector('.map-swipe-divider');
+                const press = (key, shiftKey) => divider.dispatchEvent(new KeyboardEvent('keydown', { key, shiftKey, bubbles: true }));
+                press('ArrowRight', false);
+                const afterRight = swipe.getPosition();
+                press('ArrowLeft', true);
+                return [afterRight, swipe.getPosition()];
+            })()
+        ");
+
+        // Assert
+        positions[0].Should().BeApproximately(0.52, 1e-9);
+        positions[1].Should().BeApproximately(0.42, 1e-9);
+    }
+
+    [Test]
+    [Description("Verifies removing a swipe clears the clips and its controls")]
+    public async Task CreateSwipe_RemoveRestoresPanes()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                const panes = mapSync.createPanes(leftMap, 'compare', 250);
+                mapSync.createSwipe(leftMap, { leftPane: panes.left, rightPane: panes.right }).remove();
+                return [
+                    leftMap.getPane(panes.left).style.clip,
+                    leftMap.getPane(panes.right).style.clip,
+                    String(document.querySelectorAll('.map-swipe-divider, .map-swipe-labels').length)
+                ];
+            })()
+        ");
+
+        // Assert
+        result.Should().Equal("", "", "0");
+    }
+
+    #endregion
+
+    private class SwipeResult
+    {
+        public string LeftClip { get; set; } = "";
+        public string RightClip { get; set; } = "";
+        public double Clamped { get; set; }
+        public string? ValueNow { get; set; }
+        public double[] Changes { get; set; } = Array.Empty<double>();
+    }
+}
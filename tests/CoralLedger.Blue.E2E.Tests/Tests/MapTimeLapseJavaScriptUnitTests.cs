@@ -0,0 +1,277 @@
+namespace CoralLedger.Blue.E2E.Tests.Tests;
+
+/// <summary>
+/// Unit tests for the per-map state and compare mode of map-timelapse.js.
+/// Two maps are created through leafletMap.initialize; fishing event frames come from a stubbed
+/// /api/vessels/fishing-events/bahamas that returns one event per requested date.
+/// </summary>
+[TestFixture]
+public class MapTimeLapseJavaScriptUnitTests : JavaScriptUnitTestFixture
+{
+    [SetUp]
+    public async Task LoadTimeLapseScript()
+    {
+        await LoadScriptsAsync(
+            "lib/leaflet/leaflet.js",
+            "js/localization.js",
+            "js/map-i18n.js",
+            "js/basemap-registry.js",
+            "js/map-canvas-points.js",
+            "js/map-palette.js",
+            "js/map-heatmap.js",
+            "js/map-surface.js",
+            "js/map-layers.js",
+            "js/map-url-state.js",
+            "js/map-sync.js",
+            "js/leaflet-map.js",
+            "js/map-playback.js",
+            "js/map-timelapse.js");
+        await Page.EvaluateAsync(@"() => {
+            const second = document.createElement('div');
+            second.id = 'map2';
+            second.style.cssText = 'width:512px;height:512px';
+            document.body.appendChild(second);
+            leafletMap.initialize('map', 24.5, -77.5, 8, true, false);
+            leafletMap.initialize('map2', 24.5, -77.5, 8, true, false);
+
+            window.fetch = async (url) => {
+                const startDate = new URL(url, location.href).searchParams.get('startDate');
+                return { ok: true, json: async () => [{ latitude: 24.5, longitude: -77.5, vesselName: startDate, durationHours: 2 }] };
+            };
+        }");
+    }
+
+    #region Per-Map State Tests
+
+    [Test]
+    [Description("Verifies each map keeps its own date, layers and options")]
+    public async Task State_IsKeptPerMap()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<PerMapResult>(@"
+            async () => {
+                mapTimeLapse.setHeatmapOptions('map', { windowDays: 30 });
+                await mapTimeLapse.updateFishingLayer('map', '2026-01-05');
+                return {
+                    firstDate: mapTimeLapse.getCurrentDate('map'),
+                    secondDate: mapTimeLapse.getCurrentDate('map2'),
+                    firstWindow: mapTimeLapse.getState('map').heatmapOptions.windowDays,
+                    secondWindow: mapTimeLapse.getState('map2').heatmapOptions.windowDays,
+                    firstOverlays: leafletMap.getOverlays('map').map(o => o.id),
+                    secondOverlays: leafletMap.getOverlays('map2').map(o => o.id)
+                };
+            }
+        ");
+
+        // Assert
+        result.FirstDate.Should().Be("2026-01-05");
+        result.SecondDate.Should().BeNull();
+        result.FirstWindow.Should().Be(30);
+        result.SecondWindow.Should().Be(7, "the second map keeps the default window");
+        result.FirstOverlays.Should().Equal("timelapse-fishing");
+        result.SecondOverlays.Should().BeEmpty();
+    }
+
+    [Test]
+    [Description("Verifies disposing one map's time-lapse leaves the other map's layers in place")]
+    public async Task Dispose_OnlyAffectsOneMap()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<string[]>(@"
+            async () => {
+                await mapTimeLapse.updateFishingLayer('map', '2026-01-05');
+                await mapTimeLapse.updateFishingLayer('map2', '2026-01-06');
+                mapTimeLapse.dispose('map');
+                return [String('map' in mapTimeLapse.states), mapTimeLapse.getCurrentDate('map2'), String(!!mapTimeLapse.getLayer('map2', 'fishing'))];
+            }
+        ");
+
+        // Assert
+        result.Should().Equal("false", "2026-01-06", "true");
+    }
+
+    [Test]
+    [Description("Verifies bleaching updates on two maps each replace their own surface instead of stacking")]
+    public async Task BleachingLayer_IsReplacedPerMap()
+    {
+        // Act
+        var surfaces = await Page.EvaluateAsync<int[]>(@"
+            async () => {
+                for (const date of ['2026-01-05', '2026-01-06', '2026-01-07']) {
+                    await mapTimeLapse.updateBleachingLayer('map', date, null, 'dhw');
+                    await mapTimeLapse.updateBleachingLayer('map2', date, null, 'dhw');
+                }
+                await new Promise(resolve => setTimeout(resolve, 600));
+                return ['map', 'map2'].map(id => document.querySelectorAll(`#${id} canvas.leaflet-surface`).length);
+            }
+        ");
+
+        // Assert
+        surfaces.Should().Equal(new[] { 1, 1 }, "the from and to maps of a comparison keep one bleaching surface each");
+    }
+
+    #endregion
+
+    #region Compare Tests
+
+    [Test]
+    [Description("Verifies the compared map shows the shifted date for every frame on the leading map")]
+    public async Task CompareDates_ShowsShiftedDate()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<CompareResult>(@"
+            async () => {
+                mapTimeLapse.setTimeline('map', { startDate: '2026-01-01', endDate: '2026-01-07' });
+                const started = mapTimeLapse.compareDates('map', 'map2', { offsetDays: -365, link: false });
+                await mapTimeLapse.updateFishingLayer('map', '2026-01-03');
+                await new Promise(resolve => setTimeout(resolve, 50));
+                return {
+                    started,
+                    leadingDate: mapTimeLapse.getCurrentDate('map'),
+                    comparedDate: mapTimeLapse.getCurrentDate('map2'),
+                    compareDate: mapTimeLapse.getCompareDate('map', '2026-01-03'),
+                    comparedTimeline: mapTimeLapse.getState('map2').timeline.slice(0, 2),
+                    comparedMarkers: mapTimeLapse.getLayer('map2', 'fishing').getLayers().length
+                };
+            }
+        ");
+
+        // Assert
+        result.Started.Should().BeTrue();
+        result.LeadingDate.Should().Be("2026-01-03");
+        result.ComparedDate.Should().Be("2025-01-03");
+        result.CompareDate.Should().Be("2025-01-03");
+        result.ComparedTimeline.Should().Equal("2025-01-01", "2025-01-02");
+        result.ComparedMarkers.Should().Be(1, "the compared map loads its own fishing events");
+    }
+
+    [Test]
+    [Description("Verifies the compared map follows the leading map's settings and pan and zoom")]
+    public async Task CompareDates_FollowsSettingsAndView()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<FollowResult>(@"
+            (() => {
+                mapTimeLapse.setHeatmapOptions('map', { windowDays: 14 });
+                mapTimeLapse.setPlaybackOptions('map', { fps: 4 });
+                mapTimeLapse.compareDates('map', 'map2');
+                leafletMap.maps.map.setView([25, -78], 9, { animate: false });
+                return {
+                    windowDays: mapTimeLapse.getState('map2').heatmapOptions.windowDays,
+                    fps: mapTimeLapse.getState('map2').playbackOptions.fps,
+                    offsetDays: mapTimeLapse.getState('map').compare.offsetDays,
+                    comparedZoom: leafletMap.maps.map2.getZoom()
+                };
+            })()
+        ");
+
+        // Assert
+        result.WindowDays.Should().Be(14);
+        result.Fps.Should().Be(4);
+        result.OffsetDays.Should().Be(-365, "a year earlier is the default comparison");
+        result.ComparedZoom.Should().Be(9, "compared maps are linked by default");
+    }
+
+    [Test]
+    [Description("Verifies stopping compare mode clears the compared map and unlinks it")]
+    public async Task StopCompare_ClearsComparedMap()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<string[]>(@"
+            async () => {
+                mapTimeLapse.compareDates('map', 'map2', { offsetDays: -7 });
+                await mapTimeLapse.updateFishingLayer('map', '2026-01-10');
+                await new Promise(resolve => setTimeout(resolve, 50));
+                const comparedBefore = mapTimeLapse.getCurrentDate('map2');
+                mapTimeLapse.stopCompare('map');
+                leafletMap.maps.map.setView([25, -78], 10, { animate: false });
+                return [
+                    comparedBefore,
+                    String(mapTimeLapse.getCurrentDate('map2')),
+                    String(leafletMap.getOverlays('map2').length),
+                    String(leafletMap.maps.map2.getZoom()),
+                    String(mapTimeLapse.getCompareDate('map', '2026-01-10'))
+                ];
+            }
+        ");
+
+        // Assert
+        result.Should().Equal("2026-01-03", "null", "0", "8", "null");
+    }
+
+    [Test]
+    [Description("Verifies disposing the compared map ends compare mode on the leading map")]
+    public async Task Dispose_EndsCompareWithDisposedMap()
+    {
+        // Act
+        var compare = await Page.EvaluateAsync<bool>(@"
+            (() => {
+                mapTimeLapse.compareDates('map', 'map2');
+                mapTimeLapse.dispose('map2');
+                return mapTimeLapse.getState('map').compare === null;
+            })()
+        ");
+
+        // Assert
+        compare.Should().BeTrue();
+    }
+
+    [Test]
+    [Description("Verifies a map cannot be compared with itself or with a map that does not exist")]
+    public async Task CompareDates_RejectsInvalidMaps()
+    {
+        // Act
+        var started = await Page.EvaluateAsync<bool[]>(@"[
+            mapTimeLapse.compareDates('map', 'map'),
+            mapTimeLapse.compareDates('map', 'missing')
+        ]");
+
+        // Assert
+        started.Should().Equal(false, false);
+    }
+
+    [Test]
+    [Description("Verifies shiftDate works in UTC days across month, year and leap-day boundaries")]
+    public async Task ShiftDate_CrossesBoundaries()
+    {
+        // Act
+        var dates = await Page.EvaluateAsync<string[]>(@"[
+            mapTimeLapse.shiftDate('2024-02-29', -365),
+            mapTimeLapse.shiftDate('2026-01-01', -1),
+            mapTimeLapse.shiftDate('2026-03-31', 1)
+        ]");
+
+        // Assert
+        dates.Should().Equal("2023-03-01", "2025-12-31", "2026-04-01");
+    }
+
+    #endregion
+
+    private class PerMapResult
+    {
+        public string? FirstDate { get; set; }
+        public string? SecondDate { get; set; }
+        public int FirstWindow { get; set; }
+        public int SecondWindow { get; set; }
+        public string[] FirstOverlays { get; set; } = Array.Empty<string>();
+        public string[] SecondOverlays { get; set; } = Array.Empty<string>();
+    }
+
+    private class CompareResult
+    {
+        public bool Started { get; set; }
+        public string? LeadingDate { get; set; }
+        public string? ComparedDate { get; set; }
+        public string? CompareDate { get; set; }
+        public string[] ComparedTimeline { get; set; } = Array.Empty<string>();
+        public int ComparedMarkers { get; set; }
+    }
+
+    private class FollowResult
+    {
+        public int WindowDays { get; set; }
+        public double Fps { get; set; }
+        public int OffsetDays { get; set; }
+        public int ComparedZoom { get; set; }
+    }
+}
@@ -0,0 +1,213 @@
+namespace CoralLedger.Blue.E2E.Tests.Tests;
+
+/// <summary>
+/// Unit tests for map-url-state.js.
+/// Hashes use the format shared map links have: #map=zoom/lat/lng&amp;theme=&amp;layers=&amp;date=&amp;mpa=
+/// </summary>
+[TestFixture]
+public class MapUrlStateJavaScriptUnitTests : JavaScriptUnitTestFixture
+{
+    [SetUp]
+    public async Task LoadUrlStateScript()
+    {
+        await LoadScriptsAsync("js/map-url-state.js");
+    }
+
+    #region parse Tests
+
+    [Test]
+    [Description("Verifies every part of a shared link hash is parsed")]
+    public async Task Parse_ReadsAllValues()
+    {
+        // Act
+        var state = await Page.EvaluateAsync<MapState>(
+            "mapUrlState.parse('#map=9.5/24.512/-77.301&theme=satellite&layers=mpas,vessels&date=2026-03-14&mpa=andros-core')");
+
+        // Assert
+        state.Zoom.Should().Be(9.5);
+        state.Lat.Should().Be(24.512);
+        state.Lng.Should().Be(-77.301);
+        state.Theme.Should().Be("satellite");
+        state.Layers.Should().Equal("mpas", "vessels");
+        state.Date.Should().Be("2026-03-14");
+        state.Mpa.Should().Be("andros-core");
+    }
+
+    [Test]
+    [Description("Verifies malformed views and dates are left out instead of failing")]
+    public async Task Parse_DropsMalformedValues()
+    {
+        // Act
+        var keys = await Page.EvaluateAsync<string[]>(@"[
+            'map=abc/24/-77',
+            'map=9/95/-77',
+            'map=9/24/-181',
+            'map=9/24',
+            'map=9/24/-77/1',
+            'date=2026-3-14',
+            'date=yesterday',
+            'theme=&mpa=',
+            '',
+            null
+        ].map(hash => Object.keys(mapUrlState.parse(hash)).join()).join('|').split('|')");
+
+        // Assert
+        keys.Should().OnlyContain(k => k == "", "none of these hashes has a usable value");
+        keys.Should().HaveCount(10);
+    }
+
+    [Test]
+    [Description("Verifies an empty layers value means no layers, which differs from leaving layers out")]
+    public async Task Parse_EmptyLayersMeansNone()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<int[]>(@"[
+            mapUrlState.parse('layers=').layers.length,
+            mapUrlState.parse('layers=,mpas,').layers.length,
+            'layers' in mapUrlState.parse('theme=dark') ? 1 : 0
+        ]");
+
+        // Assert
+        result.Should().Equal(0, 1, 0);
+    }
+
+    [Test]
+    [Description("Verifies encoded commas stay inside a layer ID and a broken escape is kept as written")]
+    public async Task Parse_DecodesEachLayerId()
+    {
+        // Act
+        var layers = await Page.EvaluateAsync<string[]>("mapUrlState.parse('layers=a%2Cb,sea+grass,bad%E0%A4').layers");
+
+        // Assert
+        layers.Should().Equal("a,b", "sea grass", "bad%E0%A4");
+    }
+
+    #endregion
+
+    #region serialize Tests
+
+    [Test]
+    [Description("Verifies coordinates get more decimals as the zoom increases")]
+    public async Task Serialize_RoundsCoordinatesByZoom()
+    {
+        // Act
+        var hashes = await Page.EvaluateAsync<string[]>(@"
+            [0, 8, 12.345].map(zoom => mapUrlState.serialize({ zoom, lat: 24.123456, lng: -77.654321 }))
+        ");
+
+        // Assert
+        hashes.Should().Equal(
+            "map=0/24/-78",
+            "map=8/24.123/-77.654",
+            "map=12.35/24.1235/-77.6543");
+    }
+
+    [Test]
+    [Description("Verifies state survives a serialize and parse round trip, including values that need encoding")]
+    public async Task Serialize_RoundTripsThroughParse()
+    {
+        // Act
+        var state = await Page.EvaluateAsync<MapState>(@"
+            mapUrlState.parse(mapUrlState.serialize({
+                zoom: 10, lat: 24.5, lng: -77.5, theme: 'custom & co', layers: ['mpas', 'a,b'], date: '2026-03-14', mpa: 'reef/1'
+            }))
+        ");
+
+        // Assert
+        state.Zoom.Should().Be(10);
+        state.Lat.Should().Be(24.5);
+        state.Lng.Should().Be(-77.5);
+        state.Theme.Should().Be("custom & co");
+        state.Date.Should().Be("2026-03-14");
+        state.Mpa.Should().Be("reef/1");
+        state.Layers.Should().Equal("mpas", "a,b");
+    }
+
+    [Test]
+    [Description("Verifies a state without a complete view leaves the view out")]
+    public async Task Serialize_SkipsIncompleteView()
+    {
+        // Act
+        var hash = await Page.EvaluateAsync<string>("mapUrlState.serialize({ zoom: 8, lat: 24.5, theme: 'dark', layers: [] })");
+
+        // Assert
+        hash.Should().Be("theme=dark&layers=");
+    }
+
+    #endregion
+
+    #region URL Tests
+
+    [Test]
+    [Description("Verifies write replaces the hash without adding history and keeps history.state")]
+    public async Task Write_ReplacesHash()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                history.replaceState({ key: 'blazor' }, '');
+                const length = history.length;
+                mapUrlState.write({ zoom: 8, lat: 24.5, lng: -77.5, theme: 'light' });
+                return [location.hash, String(history.length === length), history.state.key, String(mapUrlState.get('zoom')), String(mapUrlState.get('mpa'))];
+            })()
+        ");
+
+        // Assert
+        result.Should().Equal("#map=8/24.500/-77.500&theme=light", "true", "blazor", "8", "null");
+    }
+
+    [Test]
+    [Description("Verifies schedule writes only the latest state once changes settle")]
+    public async Task Schedule_WritesLatestStateAfterDelay()
+    {
+        // Act
+        var hashes = await Page.EvaluateAsync<string[]>(@"
+            async () => {
+                mapUrlState.schedule(() => ({ theme: 'dark' }));
+                mapUrlState.schedule(() => ({ theme: 'satellite' }));
+                const before = location.hash;
+                await new Promise(resolve => setTimeout(resolve, 400));
+                return [before, location.hash];
+            }
+        ");
+
+        // Assert
+        hashes.Should().Equal("", "#theme=satellite");
+    }
+
+    [Test]
+    [Description("Verifies outside hash changes reach the listener, and unsubscribing stops them")]
+    public async Task OnExternalChange_ReportsParsedState()
+    {
+        // Act
+        var themes = await Page.EvaluateAsync<string[]>(@"
+            async () => {
+                const themes = [];
+                const unsubscribe = mapUrlState.onExternalChange(state => themes.push(state.theme));
+                const changed = () => new Promise(resolve => window.addEventListener('hashchange', () => setTimeout(resolve), { once: true }));
+                location.hash = 'theme=satellite';
+                await changed();
+                unsubscribe();
+                location.hash = 'theme=dark';
+                await changed();
+                return themes;
+            }
+        ");
+
+        // Assert
+        themes.Should().Equal("satellite");
+    }
+
+    #endregion
+
+    private class MapState
+    {
+        public double? Zoom { get; set; }
+        public double? Lat { get; set; }
+        public double? Lng { get; set; }
+        public string? Theme { get; set; }
+        public string[]? Layers { get; set; }
+        public string? Date { get; set; }
+        public string? Mpa { get; set; }
+    }
+}
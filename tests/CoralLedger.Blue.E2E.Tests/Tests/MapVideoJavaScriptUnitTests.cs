@@ -0,0 +1,304 @@
+namespace CoralLedger.Blue.E2E.Tests.Tests;
+
+/// <summary>
+/// Unit tests for map-video.js.
+/// GIF output is read back with a small GIF decoder defined in SetUp, so the tests check what a viewer would show.
+/// </summary>
+[TestFixture]
+public class MapVideoJavaScriptUnitTests : JavaScriptUnitTestFixture
+{
+    [SetUp]
+    public async Task LoadVideoScript()
+    {
+        await LoadScriptsAsync("js/map-video.js");
+        await Page.EvaluateAsync(@"() => {
+            // Decodes GIF LZW data (sub-blocks already joined) back into palette indices
+            window.lzwDecode = (data, minCodeSize) => {
+                const clearCode = 1 << minCodeSize;
+                const endCode = clearCode + 1;
+                const out = [];
+                let table, codeSize, prev;
+                const reset = () => {
+                    table = Array.from({ length: endCode + 1 }, (_, i) => [i]);
+                    codeSize = minCodeSize + 1;
+                    prev = null;
+                };
+                reset();
+                let bit = 0;
+                while (bit + codeSize <= data.length * 8) {
+                    let code = 0;
+                    for (let i = 0; i < codeSize; i++, bit++) {
+                        code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+                    }
+                    if (code === clearCode) { reset(); continue; }
+                    if (code === endCode) break;
+                    const entry = code < table.length ? table[code] : [...prev, prev[0]];
+                    out.push(...entry);
+                    if (prev && table.length < 4096) {
+                        table.push([...prev, entry[0]]);
+                        if (table.length === (1 << codeSize) && codeSize < 12) codeSize++;
+                    }
+                    prev = entry;
+                }
+                return out;
+            };
+            window.joinSubBlocks = (bytes, at) => {
+                const data = [];
+                while (bytes[at]) {
+                    data.push(...bytes.subarray(at + 1, at + 1 + bytes[at]));
+                    at += bytes[at] + 1;
+                }
+                return { data, end: at + 1 };
+            };
+            window.readGif = bytes => {
+                const ascii = (from, to) => String.fromCharCode(...bytes.subarray(from, to));
+                const uint16 = at => bytes[at] | (bytes[at + 1] << 8);
+                const gif = { signature: ascii(0, 6), width: uint16(6), height: uint16(8), loop: null, frames: [], trailer: false };
+                let at = 13;
+                let delay = null;
+                while (at < bytes.length) {
+                    if (bytes[at] === 0x3b) { gif.trailer = at === bytes.length - 1; break; }
+                    if (bytes[at] === 0x21 && bytes[at + 1] === 0xff) {
+                        gif.loop = ascii(at + 3, at + 14) === 'NETSCAPE2.0' ? uint16(at + 16) : null;
+                        at = joinSubBlocks(bytes, at + 2).end;
+                    } else if (bytes[at] === 0x21 && bytes[at + 1] === 0xf9) {
+                        delay = uint16(at + 4);
+                        at += 8;
+                    } else if (bytes[at] === 0x2c) {
+                        const packed = bytes[at + 9];
+                        const paletteSize = 1 << ((packed & 7) + 1);
+                        const palette = bytes.subarray(at + 10, at + 10 + paletteSize * 3);
+                        at += 10 + paletteSize * 3;
+                        const minCodeSize = bytes[at];
+                        const block = joinSubBlocks(bytes, at + 1);
+                        const indices = lzwDecode(block.data, minCodeSize);
+                        const pixels = indices.map(i => '#' + [...palette.subarray(i * 3, i * 3 + 3)].map(v => v.toString(16).padStart(2, '0')).join(''));
+                        gif.frames.push({ delay, pixels });
+                        at = block.end;
+                    } else {
+                        throw new Error('Unexpected GIF block ' + bytes[at]);
+                    }
+                }
+                return gif;
+            };
+            window.fillFrame = colors => (index, canvas) => {
+                const ctx = canvas.getContext('2d');
+                ctx.fillStyle = colors[index];
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+                ctx.fillStyle = '#000000';
+                ctx.fillRect(0, 0, 1, 1);
+            };
+        }");
+    }
+
+    #region GIF Tests
+
+    [Test]
+    [Description("Verifies a recorded GIF loops forever and holds every frame for 1/fps seconds")]
+    public async Task Record_GifDecodesToDrawnFrames()
+    {
+        // Act
+        var gif = await Page.EvaluateAsync<GifResult>(@"
+            async () => {
+                const progress = [];
+                const blob = await mapVideo.record({
+                    format: 'gif', width: 8, height: 4, fps: 4, frameCount: 2,
+                    drawFrame: fillFrame(['#ff0000', '#0000ff']),
+                    onProgress: p => progress.push(`${p.stage} ${p.frame}/${p.total} ${p.percent}%`)
+                });
+                const gif = readGif(new Uint8Array(await blob.arrayBuffer()));
+                return {
+                    type: blob.type,
+                    signature: gif.signature,
+                    width: gif.width,
+                    height: gif.height,
+                    loop: gif.loop,
+                    trailer: gif.trailer,
+                    delays: gif.frames.map(f => f.delay),
+                    corners: gif.frames.map(f => f.pixels[0]),
+                    fills: gif.frames.map(f => f.pixels[31]),
+                    pixelCounts: gif.frames.map(f => f.pixels.length),
+                    progress
+                };
+            }
+        ");
+
+        // Assert
+        gif.Type.Should().Be("image/gif");
+        gif.Signature.Should().Be("GIF89a");
+        gif.Width.Should().Be(8);
+        gif.Height.Should().Be(4);
+        gif.Loop.Should().Be(0, "a loop count of 0 repeats forever");
+        gif.Trailer.Should().BeTrue();
+        gif.Delays.Should().Equal(25, 25);
+        gif.Corners.Should().Equal("#000000", "#000000");
+        gif.Fills.Should().Equal("#ff0000", "#0000ff");
+        gif.PixelCounts.Should().Equal(32, 32);
+        gif.Progress.Should().Equal("rendering 0/2 0%", "rendering 1/2 50%", "encoding 2/2 100%", "done 2/2 100%");
+    }
+
+    [Test]
+    [Description("Verifies the frame rate is clamped and GIF delays never drop below the 2/100 s browsers honor")]
+    public async Task Record_ClampsFrameRate()
+    {
+        // Act
+        var delays = await Page.EvaluateAsync<int[]>(@"
+            Promise.all([100, 0, 0.1].map(async fps => {
+                const blob = await mapVideo.record({ format: 'gif', width: 2, height: 2, fps, frameCount: 1, drawFrame: fillFrame(['#ffffff']) });
+                return readGif(new Uint8Array(await blob.arrayBuffer())).frames[0].delay;
+            }))
+        ");
+
+        // Assert
+        delays.Should().Equal(new[] { 3, 50, 200 }, "30 fps is the maximum, 2 fps the default and 0.5 fps the minimum");
+    }
+
+    [Test]
+    [Description("Verifies a named resolution sets the frame size")]
+    public async Task Record_UsesNamedResolution()
+    {
+        // Act
+        var size = await Page.EvaluateAsync<int[]>(@"
+            async () => {
+                const blob = await mapVideo.record({ format: 'gif', resolution: '480p', frameCount: 1, drawFrame: fillFrame(['#336699']) });
+                const gif = readGif(new Uint8Array(await blob.arrayBuffer()));
+                return [gif.width, gif.height, gif.frames[0].pixels.length];
+            }
+        ");
+
+        // Assert
+        size.Should().Equal(854, 480, 854 * 480);
+    }
+
+    [Test]
+    [Description("Verifies cancelling stops drawing frames and rejects with AbortError")]
+    public async Task Record_StopsWhenCancelled()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<string[]>(@"
+            async () => {
+                const controller = new AbortController();
+                let drawn = 0;
+                try {
+                    await mapVideo.record({
+                        format: 'gif', width: 2, height: 2, frameCount: 5, signal: controller.signal,
+                        drawFrame: (index, canvas) => {
+                            drawn++;
+                            if (index === 1) controller.abort();
+                            fillFrame(['#ffffff', '#ffffff'])(index, canvas);
+                        }
+                    });
+                    return ['resolved', String(drawn)];
+                } catch (e) {
+                    return [e.name, String(drawn)];
+                }
+            }
+        ");
+
+        // Assert
+        result.Should().Equal("AbortError", "2");
+    }
+
+    [Test]
+    [Description("Verifies GIF export works everywhere and unknown formats are reported as unsupported")]
+    public async Task IsSupported_ChecksFormat()
+    {
+        // Act
+        var supported = await Page.EvaluateAsync<bool[]>("[mapVideo.isSupported('gif'), mapVideo.isSupported('mp4')]");
+
+        // Assert
+        supported.Should().Equal(true, false);
+    }
+
+    #endregion
+
+    #region Encoding Tests
+
+    [Test]
+    [Description("Verifies LZW output decodes to the input, including past the 4096-code table reset")]
+    public async Task LzwEncode_RoundTrips()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<bool[]>(@"
+            (() => {
+                let seed = 7;
+                const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) >> 16;
+                const check = (indices, minCodeSize) => {
+                    const { data } = joinSubBlocks(mapVideo.lzwEncode(indices, minCodeSize), 0);
+                    const decoded = lzwDecode(data, minCodeSize);
+                    return decoded.length === indices.length && decoded.every((v, i) => v === indices[i]);
+                };
+                return [
+                    check(Uint8Array.from({ length: 20000 }, () => random() & 255), 8),
+                    check(Uint8Array.from({ length: 5000 }, (_, i) => (i >> 4) & 3), 2),
+                    check(new Uint8Array(1), 2)
+                ];
+            })()
+        ");
+
+        // Assert
+        result.Should().Equal(true, true, true);
+    }
+
+    [Test]
+    [Description("Verifies quantize keeps exact colors when there are few and caps the palette at 256 colors")]
+    public async Task Quantize_BuildsPalette()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<QuantizeResult>(@"
+            (() => {
+                const twoColors = new Uint8ClampedArray([255, 0, 0, 255, 0, 0, 255, 255, 255, 0, 0, 255]);
+                const few = mapVideo.quantize(twoColors);
+                const many = new Uint8ClampedArray(4096 * 4);
+                for (let i = 0; i < 4096; i++) {
+                    many.set([(i & 15) << 4, ((i >> 4) & 15) << 4, (i >> 8) << 4, 255], i * 4);
+                }
+                const capped = mapVideo.quantize(many);
+                return {
+                    bits: few.bits,
+                    indices: Array.from(few.indices),
+                    firstColor: Array.from(few.palette.subarray(few.indices[0] * 3, few.indices[0] * 3 + 3)),
+                    secondColor: Array.from(few.palette.subarray(few.indices[1] * 3, few.indices[1] * 3 + 3)),
+                    cappedBits: capped.bits,
+                    cappedColors: new Set(capped.indices).size
+                };
+            })()
+        ");
+
+        // Assert
+        result.Bits.Should().Be(1);
+        result.Indices[0].Should().Be(result.Indices[2], "equal pixels share an index");
+        result.Indices[0].Should().NotBe(result.Indices[1]);
+        result.FirstColor.Should().Equal(255, 0, 0);
+        result.SecondColor.Should().Equal(0, 0, 255);
+        result.CappedBits.Should().Be(8);
+        result.CappedColors.Should().Be(256);
+    }
+
+    #endregion
+
+    private class GifResult
+    {
+        public string Type { get; set; } = "";
+        public string Signature { get; set; } = "";
+        public int Width { get; set; }
+        public int Height { get; set; }
+        public int? Loop { get; set; }
+        public bool Trailer { get; set; }
+        public int[] Delays { get; set; } = Array.Empty<int>();
+        public string[] Corners { get; set; } = Array.Empty<string>();
+        public string[] Fills { get; set; } = Array.Empty<string>();
+        public int[] PixelCounts { get; set; } = Array.Empty<int>();
+        public string[] Progress { get; set; } = Array.Empty<string>();
+    }
+
+    private class QuantizeResult
+    {
+        public int Bits { get; set; }
+        public int[] Indices { get; set; } = Array.Empty<int>();
+        public int[] FirstColor { get; set; } = Array.Empty<int>();
+        public int[] SecondColor { get; set; } = Array.Empty<int>();
+        public int CappedBits { get; set; }
+        public int CappedColors { get; set; }
+    }
+}
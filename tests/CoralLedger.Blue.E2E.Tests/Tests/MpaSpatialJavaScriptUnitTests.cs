@@ -0,0 +1,399 @@
+namespace CoralLedger.Blue.E2E.Tests.Tests;
+
+/// <summary>
+/// Unit tests for mpa-spatial.js.
+/// The test MPAs cover the shapes /api/mpas/geojson returns: a polygon with a hole, a multipolygon
+/// and a no-take core overlapping a larger reserve.
+/// </summary>
+[TestFixture]
+public class MpaSpatialJavaScriptUnitTests : JavaScriptUnitTestFixture
+{
+    [SetUp]
+    public async Task LoadSpatialScript()
+    {
+        await LoadScriptsAsync("lib/leaflet/leaflet.js", "js/mpa-spatial.js", "js/observation-map.js");
+        await Page.EvaluateAsync(@"() => {
+            const square = (west, south, east, north) =>
+                [[west, south], [east, south], [east, north], [west, north], [west, south]];
+            window.testMpas = {
+                type: 'FeatureCollection',
+                features: [
+                    {
+                        type: 'Feature',
+                        id: 'reserve',
+                        properties: { Name: 'Andros Reserve', ProtectionLevel: 'LightlyProtected' },
+                        geometry: { type: 'Polygon', coordinates: [square(-78, 24, -77, 25), square(-77.6, 24.4, -77.4, 24.6)] }
+                    },
+                    {
+                        type: 'Feature',
+                        properties: { Id: 'cays', Name: 'Exuma Cays', ProtectionLevel: 'NoTake' },
+                        geometry: { type: 'MultiPolygon', coordinates: [[square(-76.5, 24, -76.3, 24.2)], [square(-76.1, 24, -75.9, 24.2)]] }
+                    },
+                    {
+                        type: 'Feature',
+                        id: 'core',
+                        properties: { Name: 'Andros Core', ProtectionLevel: 'NoTake' },
+                        geometry: { type: 'Polygon', coordinates: [square(-77.9, 24.1, -77.7, 24.3)] }
+                    }
+                ]
+            };
+        }");
+    }
+
+    #region geometryContains Tests
+
+    [Test]
+    [Description("Verifies a polygon contains points inside its outer ring but not inside its hole")]
+    public async Task GeometryContains_ExcludesHoles()
+    {
+        // Act
+        var contained = await Page.EvaluateAsync<bool[]>(@"
+            (() => {
+                const reserve = testMpas.features[0].geometry;
+                return [
+                    mpaSpatial.geometryContains(reserve, 24.2, -77.2),
+                    mpaSpatial.geometryContains(reserve, 24.5, -77.5),
+                    mpaSpatial.geometryContains(reserve, 25.5, -77.5)
+                ];
+            })()
+        ");
+
+        // Assert
+        contained.Should().Equal(new[] { true, false, false }, "the ring between outer edge and hole is inside; the hole and beyond are not");
+    }
+
+    [Test]
+    [Description("Verifies a multipolygon contains points in any of its parts but not between them")]
+    public async Task GeometryContains_ChecksEveryMultiPolygonPart()
+    {
+        // Act
+        var contained = await Page.EvaluateAsync<bool[]>(@"
+            (() => {
+                const cays = testMpas.features[1].geometry;
+                return [
+                    mpaSpatial.geometryContains(cays, 24.1, -76.4),
+                    mpaSpatial.geometryContains(cays, 24.1, -76.0),
+                    mpaSpatial.geometryContains(cays, 24.1, -76.2)
+                ];
+            })()
+        ");
+
+        // Assert
+        contained.Should().Equal(new[] { true, true, false }, "the gap between the two parts is outside");
+    }
+
+    [Test]
+    [Description("Verifies points, lines and missing geometries never contain a point")]
+    public async Task GeometryContains_IgnoresNonPolygonGeometry()
+    {
+        // Act
+        var contained = await Page.EvaluateAsync<bool[]>(@"[
+            mpaSpatial.geometryContains({ type: 'Point', coordinates: [-77.5, 24.5] }, 24.5, -77.5),
+            mpaSpatial.geometryContains({ type: 'LineString', coordinates: [[-78, 24], [-77, 25]] }, 24.5, -77.5),
+            mpaSpatial.geometryContains(null, 24.5, -77.5)
+        ]");
+
+        // Assert
+        contained.Should().OnlyContain(c => !c);
+    }
+
+    [Test]
+    [Description("Verifies the bounding box spans every part of a multipolygon")]
+    public async Task GetBoundingBox_SpansAllParts()
+    {
+        // Act
+        var bbox = await Page.EvaluateAsync<double[]>("mpaSpatial.getBoundingBox(testMpas.features[1].geometry)");
+
+        // Assert
+        bbox.Should().Equal(-76.5, 24, -75.9, 24.2);
+    }
+
+    #endregion
+
+    #region findContainingMpas Tests
+
+    [Test]
+    [Description("Verifies overlapping MPAs are all returned, strictest protection first")]
+    public async Task FindContainingMpas_OrdersStrictestFirst()
+    {
+        // Act
+        var mpas = await Page.EvaluateAsync<MpaSummary[]>("mpaSpatial.findContainingMpas(testMpas, 24.2, -77.8)");
+
+        // Assert
+        mpas.Select(m => m.Id).Should().Equal("core", "reserve");
+        mpas[0].Name.Should().Be("Andros Core");
+        mpas[0].ProtectionLevel.Should().Be("NoTake");
+    }
+
+    [Test]
+    [Description("Verifies the feature id falls back to the Id property")]
+    public async Task FindContainingMpas_ReadsIdFromProperties()
+    {
+        // Act
+        var mpas = await Page.EvaluateAsync<MpaSummary[]>("mpaSpatial.findContainingMpas(testMpas.features, 24.1, -76.0)");
+
+        // Assert
+        mpas.Should().ContainSingle().Which.Id.Should().Be("cays");
+    }
+
+    [Test]
+    [Description("Verifies a point in a hole, or in no MPA, matches nothing")]
+    public async Task FindContainingMpas_ReturnsEmptyOutsideMpas()
+    {
+        // Act
+        var counts = await Page.EvaluateAsync<int[]>(@"[
+            mpaSpatial.findContainingMpas(testMpas, 24.5, -77.5).length,
+            mpaSpatial.findContainingMpas(testMpas, 26, -80).length,
+            mpaSpatial.findContainingMpas(null, 24.2, -77.8).length
+        ]");
+
+        // Assert
+        counts.Should().Equal(0, 0, 0);
+    }
+
+    #endregion
+
+    #region createIndex Tests
+
+    [Test]
+    [Description("Verifies the index classifies points by the strictest MPA, and only no-take or highly protected zones are restricted")]
+    public async Task ClassifyPoint_FlagsRestrictedZones()
+    {
+        // Act
+        var zones = await Page.EvaluateAsync<ZoneResult[]>(@"
+            (() => {
+                const index = mpaSpatial.createIndex(testMpas);
+                return [[24.2, -77.8], [24.2, -77.2], [24.5, -77.5]].map(([lat, lng]) => index.classifyPoint(lat, lng));
+            })()
+        ");
+
+        // Assert
+        zones[0].MpaId.Should().Be("core");
+        zones[0].IsRestricted.Should().BeTrue("the no-take core is restricted");
+        zones[1].MpaName.Should().Be("Andros Reserve");
+        zones[1].InMpa.Should().BeTrue();
+        zones[1].IsRestricted.Should().BeFalse("a lightly protected reserve is not restricted");
+        zones[2].InMpa.Should().BeFalse("the hole in the reserve is outside every MPA");
+    }
+
+    [Test]
+    [Description("Verifies the index finds MPAs spanning many grid cells from any of them")]
+    public async Task ClassifyPoint_FindsMpasAcrossGridCells()
+    {
+        // Act
+        var ids = await Page.EvaluateAsync<string[]>(@"
+            (() => {
+                const index = mpaSpatial.createIndex(testMpas, 0.05);
+                return [[24.05, -77.95], [24.95, -77.05], [24.7, -77.3]].map(([lat, lng]) => index.classifyPoint(lat, lng).mpaId);
+            })()
+        ");
+
+        // Assert
+        ids.Should().Equal("reserve", "reserve", "reserve");
+    }
+
+    [Test]
+    [Description("Verifies a track through a restricted zone reports an entry and an exit at the boundary, with interpolated times")]
+    public async Task ClassifyTrack_DetectsEntryAndExit()
+    {
+        // Act
+        var crossings = await Page.EvaluateAsync<CrossingResult[]>(@"
+            mpaSpatial.createIndex(testMpas).classifyTrack([
+                { lat: 24.1, lng: -76.6, time: '2026-01-01T00:00:00Z' },
+                { lat: 24.1, lng: -76.4, time: '2026-01-01T01:00:00Z' },
+                { lat: 24.1, lng: -76.2, time: '2026-01-01T02:00:00Z' }
+            ]).crossings.map(c => ({ type: c.type, segmentIndex: c.segmentIndex, lng: c.lng, time: c.time, mpaId: c.mpa.id }))
+        ");
+
+        // Assert
+        crossings.Should().HaveCount(2);
+        crossings[0].Type.Should().Be("entry");
+        crossings[0].SegmentIndex.Should().Be(0);
+        crossings[0].Lng.Should().BeApproximately(-76.5, 0.001, "the entry is found on the zone boundary");
+        crossings[0].Time.Should().StartWith("2026-01-01T00:30", "the vessel is halfway along the segment");
+        crossings[0].MpaId.Should().Be("cays");
+        crossings[1].Type.Should().Be("exit");
+        crossings[1].SegmentIndex.Should().Be(1);
+        crossings[1].Lng.Should().BeApproximately(-76.3, 0.001);
+        crossings[1].Time.Should().StartWith("2026-01-01T01:30");
+    }
+
+    [Test]
+    [Description("Verifies a two-point track that passes through a restricted zone reports an entry and an exit on that segment")]
+    public async Task ClassifyTrack_DetectsPassThroughBetweenFixes()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<PassThroughResult>(@"
+            (() => {
+                const track = mpaSpatial.createIndex(testMpas).classifyTrack([
+                    { lat: 24.1, lng: -76.6, time: '2026-01-01T00:00:00Z' },
+                    { lat: 24.1, lng: -76.2, time: '2026-01-01T04:00:00Z' }
+                ]);
+                return {
+                    endpointsRestricted: track.points.some(p => p.isRestricted),
+                    segmentRestricted: track.segments[0].isRestricted,
+                    crossings: track.crossings.map(c => ({ type: c.type, segmentIndex: c.segmentIndex, lng: c.lng, time: c.time, mpaId: c.mpa.id }))
+                };
+            })()
+        ");
+
+        // Assert
+        result.EndpointsRestricted.Should().BeFalse("both fixes are outside the cays");
+        result.SegmentRestricted.Should().BeTrue("the vessel crossed the cays between fixes");
+        result.Crossings.Should().HaveCount(2);
+        result.Crossings[0].Type.Should().Be("entry");
+        result.Crossings[0].SegmentIndex.Should().Be(0);
+        result.Crossings[0].Lng.Should().BeApproximately(-76.5, 0.001);
+        result.Crossings[0].Time.Should().StartWith("2026-01-01T01:00");
+        result.Crossings[0].MpaId.Should().Be("cays");
+        result.Crossings[1].Type.Should().Be("exit");
+        result.Crossings[1].SegmentIndex.Should().Be(0);
+        result.Crossings[1].Lng.Should().BeApproximately(-76.3, 0.001);
+        result.Crossings[1].Time.Should().StartWith("2026-01-01T03:00");
+    }
+
+    [Test]
+    [Description("Verifies moving between unrestricted areas reports no crossings")]
+    public async Task ClassifyTrack_IgnoresUnrestrictedZones()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<TrackResult>(@"
+            (() => {
+                const track = mpaSpatial.createIndex(testMpas).classifyTrack([
+                    { lat: 25.5, lng: -77.2 },
+                    { lat: 24.8, lng: -77.2 },
+                    { lat: 24.2, lng: -77.2 }
+                ]);
+                return {
+                    crossings: track.crossings.length,
+                    restrictedSegments: track.segments.filter(s => s.isRestricted).length,
+                    lastLevel: track.segments[1].protectionLevel
+                };
+            })()
+        ");
+
+        // Assert
+        result.Crossings.Should().Be(0, "entering a lightly protected reserve is not a violation");
+        result.RestrictedSegments.Should().Be(0);
+        result.LastLevel.Should().Be("LightlyProtected", "both ends of the last segment are in the reserve");
+    }
+
+    #endregion
+
+    #region observationMap Tests
+
+    [Test]
+    [Description("Verifies a map click reports the strictest MPA and every containing MPA to Blazor")]
+    public async Task HandleMapClick_ReportsContainingMpas()
+    {
+        // Act
+        var call = await Page.EvaluateAsync<LocationSelected>(@"
+            async () => {
+                let call = null;
+                observationMap.map = L.map('map').setView([24.5, -77.5], 7);
+                observationMap.mpaGeojson = testMpas;
+                observationMap.dotNetRef = {
+                    invokeMethodAsync: async (method, lat, lng, mpaName, mpas) => { call = { method, mpaName, mpaCount: mpas.length }; }
+                };
+                await observationMap.handleMapClick({ latlng: { lat: 24.2, lng: -77.8 } });
+                return call;
+            }
+        ");
+
+        // Assert
+        call.Method.Should().Be("OnLocationSelected");
+        call.MpaName.Should().Be("Andros Core", "the no-take core is stricter than the reserve around it");
+        call.MpaCount.Should().Be(2);
+    }
+
+    #endregion
+
+    #region Fishing Event Tests
+
+    [Test]
+    [Description("Verifies client-classified fishing events are in an MPA for any MPA, and violations only in restricted zones")]
+    public async Task ClassifyFishingEvents_SeparatesInMpaFromRestricted()
+    {
+        // Arrange - leaflet-map.js needs the map modules loaded before it
+        foreach (var path in new[] { "js/localization.js", "js/map-i18n.js", "js/basemap-registry.js", "js/map-palette.js", "js/map-patterns.js", "js/map-layers.js", "js/leaflet-map.js" })
+        {
+            await Page.AddScriptTagAsync(new PageAddScriptTagOptions { Path = GetWebRootPath(path) });
+        }
+
+        // Act
+        var result = await Page.EvaluateAsync<FishingEventResult>(@"
+            (() => {
+                leafletMap.mpaIndexes.map = mpaSpatial.createIndex(testMpas);
+                const events = leafletMap.classifyFishingEvents('map', [
+                    { latitude: 24.2, longitude: -77.2, startTime: new Date().toISOString() },
+                    { latitude: 24.2, longitude: -77.8, startTime: new Date().toISOString() },
+                    { latitude: 25.5, longitude: -77.2, startTime: new Date().toISOString() }
+                ]);
+                return {
+                    inMpa: events.map(e => e.isInMpa),
+                    restricted: events.map(e => e.isRestricted),
+                    clusterViolations: leafletMap.getFishingClusterBreakdown({ points: events.map(e => ({ data: e })) }).violations
+                };
+            })()
+        ");
+
+        // Assert
+        result.InMpa.Should().Equal(new[] { true, true, false }, "the lightly protected reserve is an MPA too");
+        result.Restricted.Should().Equal(new[] { false, true, false }, "only the no-take core is restricted");
+        result.ClusterViolations.Should().Be(1);
+    }
+
+    #endregion
+
+    private class MpaSummary
+    {
+        public string? Id { get; set; }
+        public string? Name { get; set; }
+        public string? ProtectionLevel { get; set; }
+    }
+
+    private class ZoneResult
+    {
+        public bool InMpa { get; set; }
+        public string? MpaId { get; set; }
+        public string? MpaName { get; set; }
+        public bool IsRestricted { get; set; }
+    }
+
+    private class CrossingResult
+    {
+        public string Type { get; set; } = "";
+        public int SegmentIndex { get; set; }
+        public double Lng { get; set; }
+        public string? Time { get; set; }
+        public string? MpaId { get; set; }
+    }
+
+    private class PassThroughResult
+    {
+        public bool EndpointsRestricted { get; set; }
+        public bool SegmentRestricted { get; set; }
+        public CrossingResult[] Crossings { get; set; } = Array.Empty<CrossingResult>();
+    }
+
+    private class TrackResult
+    {
+        public int Crossings { get; set; }
+        public int RestrictedSegments { get; set; }
+        public string? LastLevel { get; set; }
+    }
+
+    private class LocationSelected
+    {
+        public string Method { get; set; } = "";
+        public string? MpaName { get; set; }
+        public int MpaCount { get; set; }
+    }
+
+    private class FishingEventResult
+    {
+        public bool[] InMpa { get; set; } = Array.Empty<bool>();
+        public bool[] Restricted { get; set; } = Array.Empty<bool>();
+        public int ClusterViolations { get; set; }
+    }
+}
@@ -7,7 +7,7 @@ namespace CoralLedger.Blue.E2E.Tests.Tests;
 /// These tests load the actual tile-cache.js script and run functions in an isolated browser context.
 /// </summary>
 [TestFixture]
-public class TileCacheJavaScriptUnitTests : PlaywrightFixture
+public class TileCacheJavaScriptUnitTests : JavaScriptUnitTestFixture
 {
     private string? _tileCacheScriptContent;
 
@@ -367,6 +367,155 @@ public class TileCacheJavaScriptUnitTests : PlaywrightFixture
 
     #endregion
 
+    #region getTilesForPolygon / getTilesForCorridor Tests
+
+    private const string SquarePolygon =
+        "{ type: 'Polygon', coordinates: [[[-77.4, 25.0], [-77.3, 25.0], [-77.3, 25.1], [-77.4, 25.1], [-77.4, 25.0]]] }";
+
+    [Test]
+    [Description("Verifies a rectangular polygon covers the same tiles as the equivalent box")]
+    public async Task GetTilesForPolygon_RectangleMatchesBox()
+    {
+        // Act
+        var polygonTiles = await Page.EvaluateAsync<string>(
+            $@"JSON.stringify(window.tileCache.getTilesForPolygon({SquarePolygon}, 10, 13))"
+        );
+        var boxTiles = await Page.EvaluateAsync<string>(
+            @"JSON.stringify(window.tileCache.getTilesForRegion(
+                { north: 25.1, south: 25.0, east: -77.3, west: -77.4 },
+                10,
+                13
+            ))"
+        );
+
+        // Assert
+        polygonTiles.Should().Be(boxTiles, "a polygon filling its bounding box should cover exactly the box's tiles");
+    }
+
+    [Test]
+    [Description("Verifies a triangle covers fewer tiles than its bounding box")]
+    public async Task GetTilesForPolygon_TriangleCoversFewerTilesThanBox()
+    {
+        // Act
+        var triangleCount = await Page.EvaluateAsync<int>(
+            @"window.tileCache.getTilesForPolygon(
+                { type: 'Polygon', coordinates: [[[-77.4, 25.0], [-77.3, 25.0], [-77.4, 25.1], [-77.4, 25.0]]] },
+                14,
+                14
+            ).length"
+        );
+        var boxCount = await Page.EvaluateAsync<int>(
+            @"window.tileCache.getTilesForRegion(
+                { north: 25.1, south: 25.0, east: -77.3, west: -77.4 },
+                14,
+                14
+            ).length"
+        );
+
+        // Assert
+        triangleCount.Should().BeGreaterThan(0);
+        triangleCount.Should().BeLessThan(boxCount, "tiles outside the triangle should not be downloaded");
+    }
+
+    [Test]
+    [Description("Verifies tiles inside a polygon hole are skipped")]
+    public async Task GetTilesForPolygon_SkipsTilesInsideHoles()
+    {
+        // Act
+        var holedCount = await Page.EvaluateAsync<int>(
+            @"window.tileCache.getTilesForPolygon(
+                { type: 'Polygon', coordinates: [
+                    [[-77.4, 25.0], [-77.3, 25.0], [-77.3, 25.1], [-77.4, 25.1], [-77.4, 25.0]],
+                    [[-77.38, 25.02], [-77.32, 25.02], [-77.32, 25.08], [-77.38, 25.08], [-77.38, 25.02]]
+                ] },
+                14,
+                14
+            ).length"
+        );
+        var solidCount = await Page.EvaluateAsync<int>(
+            $@"window.tileCache.getTilesForPolygon({SquarePolygon}, 14, 14).length"
+        );
+
+        // Assert
+        holedCount.Should().BeLessThan(solidCount, "tiles entirely inside a hole should not be downloaded");
+    }
+
+    [Test]
+    [Description("Verifies features and feature collections are unwrapped to their geometry")]
+    public async Task GetTilesForPolygon_AcceptsFeatureCollection()
+    {
+        // Act
+        var collectionTiles = await Page.EvaluateAsync<string>(
+            $@"JSON.stringify(window.tileCache.getTilesForPolygon(
+                {{ type: 'FeatureCollection', features: [{{ type: 'Feature', properties: {{}}, geometry: {SquarePolygon} }}] }},
+                12,
+                12
+            ))"
+        );
+        var geometryTiles = await Page.EvaluateAsync<string>(
+            $@"JSON.stringify(window.tileCache.getTilesForPolygon({SquarePolygon}, 12, 12))"
+        );
+
+        // Assert
+        collectionTiles.Should().Be(geometryTiles);
+    }
+
+    [Test]
+    [Description("Verifies a corridor covers the tiles under every vertex of its route")]
+    public async Task GetTilesForCorridor_CoversRouteVertices()
+    {
+        // Act
+        var coversVertices = await Page.EvaluateAsync<bool>(
+            @"(() => {
+                const route = [[-77.4, 25.0], [-77.35, 25.06], [-77.3, 25.1]];
+                const keys = new Set(window.tileCache.getTilesForCorridor(route, 1, 14, 14).map(t => t.x + '/' + t.y));
+                return route.every(([lng, lat]) => {
+                    const tile = window.tileCache.latLngToTile(lat, lng, 14);
+                    return keys.has(tile.x + '/' + tile.y);
+                });
+            })()"
+        );
+
+        // Assert
+        coversVertices.Should().BeTrue("every point on the route should be inside the corridor");
+    }
+
+    [Test]
+    [Description("Verifies a wider buffer covers more tiles")]
+    public async Task GetTilesForCorridor_WiderBufferCoversMoreTiles()
+    {
+        // Act
+        var narrowCount = await Page.EvaluateAsync<int>(
+            "window.tileCache.getTilesForCorridor([[-77.4, 25.0], [-77.3, 25.1]], 1, 14, 14).length"
+        );
+        var wideCount = await Page.EvaluateAsync<int>(
+            "window.tileCache.getTilesForCorridor([[-77.4, 25.0], [-77.3, 25.1]], 5, 14, 14).length"
+        );
+
+        // Assert
+        narrowCount.Should().BeGreaterThan(0);
+        wideCount.Should().BeGreaterThan(narrowCount, "a wider corridor should include more tiles");
+    }
+
+    [Test]
+    [Description("Verifies a GeoJSON LineString route matches the same positions given as an array")]
+    public async Task GetTilesForCorridor_AcceptsGeoJsonLineString()
+    {
+        // Act
+        var fromLineString = await Page.EvaluateAsync<string>(
+            @"JSON.stringify(window.tileCache.getTilesForCorridor(
+                { type: 'LineString', coordinates: [[-77.4, 25.0], [-77.3, 25.1]] }, 1, 13, 14))"
+        );
+        var fromPositions = await Page.EvaluateAsync<string>(
+            "JSON.stringify(window.tileCache.getTilesForCorridor([[-77.4, 25.0], [-77.3, 25.1]], 1, 13, 14))"
+        );
+
+        // Assert
+        fromLineString.Should().Be(fromPositions);
+    }
+
+    #endregion
+
     #region estimateRegionSize Tests
 
     [Test]
@@ -463,6 +612,50 @@ public class TileCacheJavaScriptUnitTests : PlaywrightFixture
             "MB conversion should use correct formula (bytes / 1024 / 1024, rounded to 1 decimal)");
     }
 
+    [Test]
+    [TestCase("{ north: 25.1, south: 25.0, east: -77.3, west: -77.4 }")]
+    [TestCase("{ polygon: { type: 'Polygon', coordinates: [[[-77.4, 25.0], [-77.3, 25.0], [-77.4, 25.1], [-77.4, 25.0]]] } }")]
+    [TestCase("{ route: [[-77.4, 25.0], [-77.3, 25.1]], bufferKm: 1 }")]
+    [Description("Verifies estimateRegionSize counts exactly the tiles a download of the region would fetch")]
+    public async Task EstimateRegionSize_TileCountMatchesDownloadedTiles(string region)
+    {
+        // Act
+        var tileCount = await Page.EvaluateAsync<int>(
+            $"window.tileCache.estimateRegionSize({region}, 10, 14).tileCount"
+        );
+        var downloadCount = await Page.EvaluateAsync<int>(
+            $"window.tileCache.getTilesForRegion({region}, 10, 14).length"
+        );
+
+        // Assert
+        tileCount.Should().BeGreaterThan(0);
+        tileCount.Should().Be(downloadCount, "the estimate should match the tiles getTilesForRegion returns");
+    }
+
+    [Test]
+    [Description("Verifies a polygon estimate is smaller than its bounding box estimate")]
+    public async Task EstimateRegionSize_PolygonSmallerThanBoundingBox()
+    {
+        // Act
+        var polygonCount = await Page.EvaluateAsync<int>(
+            @"window.tileCache.estimateRegionSize(
+                { polygon: { type: 'Polygon', coordinates: [[[-77.4, 25.0], [-77.3, 25.0], [-77.4, 25.1], [-77.4, 25.0]]] } },
+                10,
+                14
+            ).tileCount"
+        );
+        var boxCount = await Page.EvaluateAsync<int>(
+            @"window.tileCache.estimateRegionSize(
+                { north: 25.1, south: 25.0, east: -77.3, west: -77.4 },
+                10,
+                14
+            ).tileCount"
+        );
+
+        // Assert
+        polygonCount.Should().BeLessThan(boxCount, "the estimate should follow the polygon, not its bounding box");
+    }
+
     #endregion
 
     #region isOnline Tests
@@ -596,6 +789,476 @@ public class TileCacheJavaScriptUnitTests : PlaywrightFixture
 
     #endregion
 
+    #region Package Reference Tests
+
+    [Test]
+    [Description("Verifies deleting a package keeps tiles another package, a region download or browsing still needs")]
+    public async Task DeletePackage_KeepsTilesStillInUse()
+    {
+        // Arrange - IndexedDB needs a real origin, so this test loads the script into the test page
+        await LoadScriptsAsync("js/tile-cache.js");
+
+        // Act
+        var result = await Page.EvaluateAsync<PackageReleaseResult>(@"
+            async () => {
+                const cache = window.tileCache;
+                const template = 'https://tiles.test/{z}/{x}/{y}.png';
+                cache.fetchTile = async () => ({ blob: async () => new Blob(['tile']) });
+                const download = (x, packageId) => cache.downloadTile('dark', 10, x, 0, template, null, { packageId });
+
+                await cache.storeTile('dark', 10, 1, 0, new Blob(['tile']), null, true);
+                await cache.storeTile('dark', 10, 2, 0, new Blob(['tile']), null, true);
+                await download(2, 'a');
+                await download(3);
+                await download(4);
+                await download(4, 'a');
+                await download(5, 'a');
+                await download(6, 'a');
+                await download(6, 'b');
+                await download(7, 'a');
+                await download(7);
+
+                const released = await cache.deletePackage('a');
+                const has = x => cache.hasTile('dark', 10, x, 0);
+                return {
+                    browsed: await has(1),
+                    browsedInPackage: await has(2),
+                    regionDownload: await has(3),
+                    regionDownloadInPackage: await has(4),
+                    packageOnly: await has(5),
+                    sharedWithPackage: await has(6),
+                    packageThenRegionDownload: await has(7),
+                    deletedTiles: released.deletedTiles,
+                    keptTiles: released.keptTiles
+                };
+            }
+        ");
+
+        // Assert
+        result.Browsed.Should().BeTrue("a browsed tile outside the package is not touched");
+        result.BrowsedInPackage.Should().BeFalse("a browsed tile the package adopted goes with the package");
+        result.RegionDownload.Should().BeTrue("a region download outside the package is not touched");
+        result.RegionDownloadInPackage.Should().BeTrue("a region download the package shares is kept");
+        result.PackageOnly.Should().BeFalse("a tile only the package needed is deleted");
+        result.SharedWithPackage.Should().BeTrue("a tile another package references is kept");
+        result.PackageThenRegionDownload.Should().BeTrue("a region download of a package tile retains it");
+        result.DeletedTiles.Should().Be(2);
+        result.KeptTiles.Should().Be(3);
+    }
+
+    [Test]
+    [Description("Verifies getPackages reports each package's tile count, bytes, oldest tile and tiles shared with another package")]
+    public async Task GetPackages_ReportsTileStatsFromIndexKeys()
+    {
+        // Arrange
+        await LoadScriptsAsync("js/tile-cache.js");
+
+        // Act
+        var result = await Page.EvaluateAsync<Dictionary<string, object>>(@"
+            async () => {
+                const cache = window.tileCache;
+                await cache.storeTile('dark', 10, 1, 0, new Blob(['aaaa']), 'a');
+                await cache.storeTile('dark', 10, 2, 0, new Blob(['bb']), 'a');
+                await cache.storeTile('dark', 10, 2, 0, new Blob(['bb']), 'b');
+                await cache.storeTile('dark', 10, 3, 0, new Blob(['cccccccc']), null, true);
+                await cache.savePackage({ id: 'a', theme: 'dark', createdAt: 1 });
+                await cache.savePackage({ id: 'b', theme: 'dark', createdAt: 2 });
+                await cache.savePackage({ id: 'empty', theme: 'dark', createdAt: 3 });
+
+                const oldest = (await cache.getTile('dark', 10, 1, 0)).timestamp;
+                const packages = Object.fromEntries((await cache.getPackages()).map(pkg => [pkg.id, pkg]));
+                return {
+                    aTiles: packages.a.tileCount,
+                    aBytes: packages.a.bytes,
+                    aShared: packages.a.sharedTiles,
+                    aOldest: packages.a.oldestTile === oldest,
+                    bTiles: packages.b.tileCount,
+                    bBytes: packages.b.bytes,
+                    emptyTiles: packages.empty.tileCount,
+                    emptyOldest: packages.empty.oldestTile
+                };
+            }
+        ");
+
+        // Assert
+        Convert.ToInt32(result["aTiles"]).Should().Be(2);
+        Convert.ToInt32(result["aBytes"]).Should().Be(6, "browsed tiles outside the package are not counted");
+        Convert.ToInt32(result["aShared"]).Should().Be(1);
+        Convert.ToBoolean(result["aOldest"]).Should().BeTrue();
+        Convert.ToInt32(result["bTiles"]).Should().Be(1);
+        Convert.ToInt32(result["bBytes"]).Should().Be(2);
+        Convert.ToInt32(result["emptyTiles"]).Should().Be(0);
+        result["emptyOldest"].Should().BeNull();
+    }
+
+    [Test]
+    [Description("Verifies deleting a package rejects instead of waiting forever when releasing its tiles aborts")]
+    public async Task DeletePackage_RejectsWhenReleasingTilesFails()
+    {
+        // Arrange
+        await LoadScriptsAsync("js/tile-cache.js");
+
+        // Act
+        var outcome = await Page.EvaluateAsync<string>(@"
+            async () => {
+                const cache = window.tileCache;
+                await cache.storeTile('dark', 10, 1, 0, new Blob(['tile']), 'a');
+                await cache.storeTile('dark', 10, 1, 0, new Blob(['tile']), 'b');
+                await cache.savePackage({ id: 'a', theme: 'dark', createdAt: 1 });
+
+                // Updating the shared tile fails, which aborts the release transaction
+                IDBCursor.prototype.update = () => { throw new DOMException('Quota exceeded', 'QuotaExceededError'); };
+                const timeout = new Promise(resolve => setTimeout(() => resolve('pending'), 2000));
+                return Promise.race([cache.deletePackage('a').then(() => 'resolved', () => 'rejected'), timeout]);
+            }
+        ");
+
+        // Assert
+        outcome.Should().Be("rejected");
+    }
+
+    [Test]
+    [Description("Verifies a region download of a browsed tile retains it, so eviction no longer sees it")]
+    public async Task DownloadTile_RetainsBrowsedTile()
+    {
+        // Arrange
+        await LoadScriptsAsync("js/tile-cache.js");
+
+        // Act
+        var result = await Page.EvaluateAsync<Dictionary<string, object>>(@"
+            async () => {
+                const cache = window.tileCache;
+                cache.fetchTile = async () => ({ blob: async () => new Blob(['tile']) });
+                await cache.storeTile('dark', 11, 1, 0, new Blob(['tile']), null, true);
+                await cache.downloadTile('dark', 11, 1, 0, 'https://tiles.test/{z}/{x}/{y}.png', null);
+                const tile = await cache.getTile('dark', 11, 1, 0);
+                return { retained: tile.retained === true, browsed: 'browsedAt' in tile };
+            }
+        ");
+
+        // Assert
+        Convert.ToBoolean(result["retained"]).Should().BeTrue("the region download marks the tile retained");
+        Convert.ToBoolean(result["browsed"]).Should().BeFalse("a retained tile is not a browsed tile");
+    }
+
+    [Test]
+    [Description("Verifies clearByTheme resolves once the theme's tiles and packages are gone, and rejects if dropping the packages fails")]
+    public async Task ClearByTheme_DeletesTilesAndPackagesOrRejects()
+    {
+        // Arrange
+        await LoadScriptsAsync("js/tile-cache.js");
+
+        // Act
+        var result = await Page.EvaluateAsync<Dictionary<string, object>>(@"
+            async () => {
+                const cache = window.tileCache;
+                await cache.storeTile('dark', 10, 1, 0, new Blob(['tile']), 'a');
+                await cache.storeTile('dark', 10, 2, 0, new Blob(['tile']), null, true);
+                await cache.storeTile('light', 10, 1, 0, new Blob(['tile']), null, true);
+                await cache.savePackage({ id: 'a', theme: 'dark', createdAt: Date.now() });
+
+                const deleted = await cache.clearByTheme('dark');
+                const cleared = {
+                    deleted,
+                    darkTile: await cache.hasTile('dark', 10, 1, 0),
+                    lightTile: await cache.hasTile('light', 10, 1, 0),
+                    package: !!(await cache.getPackage('a'))
+                };
+
+                cache.deleteThemePackages = () => Promise.reject(new Error('package store unavailable'));
+                const error = await cache.clearByTheme('light').then(() => null, e => e.message);
+                return { ...cleared, error };
+            }
+        ");
+
+        // Assert
+        Convert.ToInt32(result["deleted"]).Should().Be(2);
+        Convert.ToBoolean(result["darkTile"]).Should().BeFalse();
+        Convert.ToBoolean(result["lightTile"]).Should().BeTrue("other themes are not touched");
+        Convert.ToBoolean(result["package"]).Should().BeFalse("a package loses its tiles with the theme");
+        result["error"].ToString().Should().Be("package store unavailable", "a failure to drop packages is not swallowed");
+    }
+
+    #endregion
+
+    #region Eviction Tests
+
+    [Test]
+    [Description("Verifies trimBrowsedTiles deletes the oldest browsed tiles beyond the limit and never packaged or downloaded tiles")]
+    public async Task TrimBrowsedTiles_EvictsOldestBrowsedTiles()
+    {
+        // Arrange
+        await LoadScriptsAsync("js/tile-cache.js");
+
+        // Act
+        var result = await Page.EvaluateAsync<EvictionResult>(@"
+            async () => {
+                const cache = window.tileCache;
+                const template = 'https://tiles.test/{z}/{x}/{y}.png';
+                cache.fetchTile = async () => ({ blob: async () => new Blob(['tile']) });
+                cache.eviction = { maxBrowsedTiles: 2, trimDelay: 60000 };
+                const realNow = Date.now;
+                let now = 1000;
+                Date.now = () => now++;
+
+                await cache.downloadTile('dark', 12, 0, 0, template, null, { packageId: 'a' });
+                for (const x of [1, 2, 3, 4]) {
+                    await cache.storeTile('dark', 12, x, 0, new Blob(['tile']), null, true);
+                }
+                await cache.storeTile('dark', 12, 5, 0, new Blob(['tile']), null, true);
+                await cache.downloadTile('dark', 12, 5, 0, template, null, { packageId: 'a' });
+                await cache.downloadTile('dark', 12, 6, 0, template, null);
+                Date.now = realNow;
+                clearTimeout(cache.trimTimer);
+                cache.trimTimer = null;
+
+                const evicted = await cache.trimBrowsedTiles();
+                const evictedAgain = await cache.trimBrowsedTiles();
+                const kept = [];
+                for (const x of [0, 1, 2, 3, 4, 5, 6]) {
+                    if (await cache.hasTile('dark', 12, x, 0)) kept.push(x);
+                }
+                return { evicted, evictedAgain, kept };
+            }
+        ");
+
+        // Assert
+        result.Evicted.Should().Be(2);
+        result.EvictedAgain.Should().Be(0, "the browsed tiles are within the limit");
+        result.Kept.Should().Equal(new[] { 0, 3, 4, 5, 6 },
+            "the two oldest browsed tiles go; a package or a download keeps the others, even one first cached while browsing");
+    }
+
+    [Test]
+    [Description("Verifies storing browsed tiles trims them once after the delay, without a call from the page")]
+    public async Task StoreTile_SchedulesTrim()
+    {
+        // Arrange
+        await LoadScriptsAsync("js/tile-cache.js");
+
+        // Act
+        var result = await Page.EvaluateAsync<int[]>(@"
+            async () => {
+                const cache = window.tileCache;
+                cache.eviction = { maxBrowsedTiles: 1, trimDelay: 50 };
+                let trims = 0;
+                const trim = cache.trimBrowsedTiles;
+                cache.trimBrowsedTiles = function () { trims++; return trim.call(this); };
+
+                for (const x of [1, 2, 3]) {
+                    await cache.storeTile('dark', 12, x, 0, new Blob(['tile']), null, true);
+                }
+                const beforeTrim = (await cache.getStats()).totalTiles;
+                await new Promise(resolve => setTimeout(resolve, 200));
+                return [beforeTrim, (await cache.getStats()).totalTiles, trims];
+            }
+        ");
+
+        // Assert
+        result.Should().Equal(new[] { 3, 1, 1 }, "one burst of browsed tiles is trimmed once");
+    }
+
+    [Test]
+    [Description("Verifies getStats counts the stored tiles and their bytes")]
+    public async Task GetStats_CountsStoredTiles()
+    {
+        // Arrange
+        await LoadScriptsAsync("js/tile-cache.js");
+
+        // Act
+        var result = await Page.EvaluateAsync<double[]>(@"
+            async () => {
+                const cache = window.tileCache;
+                const empty = await cache.getStats();
+                await cache.storeTile('dark', 12, 1, 0, new Blob([new Uint8Array(1024 * 1024)]), 'a');
+                await cache.storeTile('light', 12, 1, 0, new Blob([new Uint8Array(512 * 1024)]));
+                const stored = await cache.getStats();
+                await cache.clearByTheme('dark');
+                const cleared = await cache.getStats();
+                return [empty.totalTiles, stored.totalTiles, stored.totalBytes, stored.totalMB, cleared.totalTiles, cleared.totalBytes];
+            }
+        ");
+
+        // Assert
+        result.Should().Equal(0, 2, 1572864, 1.5, 1, 524288);
+    }
+
+    #endregion
+
+    #region Download Job Tests
+
+    [Test]
+    [Description("Verifies a tile answered with 429 and then 503 is retried with a growing backoff until it downloads")]
+    public async Task DownloadRegion_RetriesRateLimitAndServerErrorsWithBackoff()
+    {
+        // Arrange - downloads need IndexedDB, so the script runs in the test page
+        await LoadScriptsAsync("js/tile-cache.js");
+
+        // Act
+        var result = await Page.EvaluateAsync<RetryResult>(@"
+            async () => {
+                const cache = window.tileCache;
+                cache.download.retryBaseDelay = 100;
+                const statuses = [429, 503, 200];
+                const attempts = [];
+                window.fetch = async () => {
+                    attempts.push(performance.now());
+                    const status = statuses[attempts.length - 1];
+                    return new Response(status === 200 ? new Blob(['tile']) : null, { status });
+                };
+
+                const region = { north: 10, south: -10, east: 10, west: -10 };
+                const download = await cache.downloadRegion('retry', region, 0, 0, 'https://tiles.test/{z}/{x}/{y}.png');
+                const job = await cache.getJob(download.jobId);
+                return {
+                    attempts: attempts.length,
+                    gaps: attempts.slice(1).map((time, i) => time - attempts[i]),
+                    downloaded: download.downloaded,
+                    failed: download.failed,
+                    jobKept: !!job
+                };
+            }
+        ");
+
+        // Assert
+        result.Attempts.Should().Be(3, "the 429 and the 503 are each retried once");
+        result.Gaps[0].Should().BeGreaterThanOrEqualTo(45, "the first retry waits at least half the base delay");
+        result.Gaps[1].Should().BeGreaterThanOrEqualTo(95, "the backoff doubles on the second retry");
+        result.Downloaded.Should().Be(1);
+        result.Failed.Should().Be(0);
+        result.JobKept.Should().BeFalse("a complete job is deleted");
+    }
+
+    [Test]
+    [Description("Verifies a job aborted mid-run resumes with only the tiles it had not downloaded")]
+    public async Task DownloadRegion_ResumesAbortedJobWithRemainingTiles()
+    {
+        // Arrange
+        await LoadScriptsAsync("js/tile-cache.js");
+
+        // Act
+        var result = await Page.EvaluateAsync<ResumeResult>(@"
+            async () => {
+                const cache = window.tileCache;
+                const controller = new AbortController();
+                let requests = 0;
+                window.fetch = async (url, { signal }) => {
+                    requests++;
+                    if (requests === 3) controller.abort();
+                    if (signal.aborted) throw new DOMException('Download aborted', 'AbortError');
+                    return new Response(new Blob(['tile']));
+                };
+
+                const region = { north: 60, south: -60, east: 170, west: -170 };
+                const template = 'https://tiles.test/{z}/{x}/{y}.png';
+                const aborted = await cache.downloadRegion('resume', region, 2, 2, template, null, controller.signal);
+                const paused = await cache.getJob(aborted.jobId);
+
+                requests = 0;
+                const resumed = await cache.downloadRegion('resume', region, 2, 2, template);
+                return {
+                    total: aborted.total,
+                    cancelled: aborted.cancelled,
+                    pausedStatus: paused.status,
+                    pausedDownloaded: paused.downloaded,
+                    pausedRemaining: paused.remaining.length,
+                    resumedRequests: requests,
+                    resumedDownloaded: resumed.downloaded,
+                    resumedCached: resumed.cached,
+                    resumedRemaining: resumed.remaining
+                };
+            }
+        ");
+
+        // Assert
+        result.Cancelled.Should().BeTrue();
+        result.PausedStatus.Should().Be("paused");
+        result.PausedRemaining.Should().BeGreaterThan(0);
+        (result.PausedDownloaded + result.PausedRemaining).Should().Be(result.Total, "every tile is either downloaded or left in the job");
+        result.ResumedRequests.Should().Be(result.PausedRemaining, "only the remaining tiles are fetched again");
+        result.ResumedCached.Should().Be(0, "tiles from the first run are not walked again");
+        result.ResumedDownloaded.Should().Be(result.Total, "the resumed job keeps the first run's progress");
+        result.ResumedRemaining.Should().Be(0);
+    }
+
+    [Test]
+    [Description("Verifies a region download never has more than six tile requests in flight")]
+    public async Task DownloadRegion_LimitsRequestsInFlight()
+    {
+        // Arrange
+        await LoadScriptsAsync("js/tile-cache.js");
+
+        // Act
+        var result = await Page.EvaluateAsync<Dictionary<string, object>>(@"
+            async () => {
+                const cache = window.tileCache;
+                let inFlight = 0;
+                let maxInFlight = 0;
+                window.fetch = async () => {
+                    inFlight++;
+                    maxInFlight = Math.max(maxInFlight, inFlight);
+                    await new Promise(resolve => setTimeout(resolve, 20));
+                    inFlight--;
+                    return new Response(new Blob(['tile']));
+                };
+
+                const region = { north: 60, south: -60, east: 170, west: -170 };
+                const download = await cache.downloadRegion('concurrency', region, 3, 3, 'https://tiles.test/{z}/{x}/{y}.png');
+                return { total: download.total, downloaded: download.downloaded, maxInFlight };
+            }
+        ");
+
+        // Assert
+        Convert.ToInt32(result["total"]).Should().BeGreaterThan(6);
+        Convert.ToInt32(result["downloaded"]).Should().Be(Convert.ToInt32(result["total"]));
+        Convert.ToInt32(result["maxInFlight"]).Should().BeLessThanOrEqualTo(6, "downloads run at most six tiles at a time")
+            .And.BeGreaterThan(1, "tiles are fetched in parallel");
+    }
+
+    [Test]
+    [Description("Verifies losing the connection mid-download saves the job as interrupted with its remaining tiles")]
+    public async Task DownloadRegion_GoingOfflineLeavesJobInterrupted()
+    {
+        // Arrange
+        await LoadScriptsAsync("js/tile-cache.js");
+
+        // Act
+        var result = await Page.EvaluateAsync<Dictionary<string, object>>(@"
+            async () => {
+                const cache = window.tileCache;
+                let online = true;
+                Object.defineProperty(navigator, 'onLine', { configurable: true, get: () => online });
+                let requests = 0;
+                window.fetch = async (url, { signal }) => {
+                    if (++requests > 2) online = false;
+                    if (signal.aborted) throw new DOMException('Download aborted', 'AbortError');
+                    if (!online) throw new TypeError('Failed to fetch');
+                    return new Response(new Blob(['tile']));
+                };
+
+                const region = { north: 60, south: -60, east: 170, west: -170 };
+                const download = await cache.downloadRegion('offline', region, 2, 2, 'https://tiles.test/{z}/{x}/{y}.png');
+                const job = await cache.getJob(download.jobId);
+                return {
+                    interrupted: download.interrupted,
+                    cancelled: download.cancelled,
+                    status: job.status,
+                    remaining: job.remaining.length,
+                    failed: job.failed
+                };
+            }
+        ");
+
+        // Assert
+        Convert.ToBoolean(result["interrupted"]).Should().BeTrue();
+        Convert.ToBoolean(result["cancelled"]).Should().BeFalse("going offline is not a user cancel");
+        result["status"].ToString().Should().Be("interrupted", "interrupted jobs resume when the connection is back");
+        Convert.ToInt32(result["remaining"]).Should().BeGreaterThan(0);
+        Convert.ToInt32(result["failed"]).Should().Be(0, "tiles cut off by the lost connection are not failures");
+    }
+
+    #endregion
+
     #region Initialization Tests
 
     [Test]
@@ -636,6 +1299,48 @@ public class TileCacheJavaScriptUnitTests : PlaywrightFixture
 
     #endregion
 
+    private class PackageReleaseResult
+    {
+        public bool Browsed { get; set; }
+        public bool BrowsedInPackage { get; set; }
+        public bool RegionDownload { get; set; }
+        public bool RegionDownloadInPackage { get; set; }
+        public bool PackageOnly { get; set; }
+        public bool SharedWithPackage { get; set; }
+        public bool PackageThenRegionDownload { get; set; }
+        public int DeletedTiles { get; set; }
+        public int KeptTiles { get; set; }
+    }
+
+    private class EvictionResult
+    {
+        public int Evicted { get; set; }
+        public int EvictedAgain { get; set; }
+        public int[] Kept { get; set; } = Array.Empty<int>();
+    }
+
+    private class RetryResult
+    {
+        public int Attempts { get; set; }
+        public double[] Gaps { get; set; } = Array.Empty<double>();
+        public int Downloaded { get; set; }
+        public int Failed { get; set; }
+        public bool JobKept { get; set; }
+    }
+
+    private class ResumeResult
+    {
+        public int Total { get; set; }
+        public bool Cancelled { get; set; }
+        public string PausedStatus { get; set; } = string.Empty;
+        public int PausedDownloaded { get; set; }
+        public int PausedRemaining { get; set; }
+        public int ResumedRequests { get; set; }
+        public int ResumedDownloaded { get; set; }
+        public int ResumedCached { get; set; }
+        public int ResumedRemaining { get; set; }
+    }
+
     /// <summary>
     /// Fallback script in case the actual file cannot be loaded (e.g., in CI/CD).
     /// This should match the core pure functions from tile-cache.js.
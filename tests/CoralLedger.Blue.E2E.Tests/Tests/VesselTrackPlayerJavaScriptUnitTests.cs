@@ -0,0 +1,222 @@
+namespace CoralLedger.Blue.E2E.Tests.Tests;
+
+/// <summary>
+/// Unit tests for vessel-track-player.js.
+/// Tracks come from a stubbed fetch in the shape /api/ais/vessels/{mmsi}/track returns.
+/// </summary>
+[TestFixture]
+public class VesselTrackPlayerJavaScriptUnitTests : JavaScriptUnitTestFixture
+{
+    [SetUp]
+    public async Task LoadTrackPlayerScript()
+    {
+        await LoadScriptsAsync(
+            "lib/leaflet/leaflet.js",
+            "js/localization.js",
+            "js/map-i18n.js",
+            "js/map-palette.js",
+            "js/vessel-track-player.js");
+        await Page.EvaluateAsync(@"() => {
+            window.testMap = L.map('map').setView([24.5, -77.5], 9);
+            window.stubTrack = (track) => {
+                window.requestedUrls = [];
+                window.fetch = async (url) => {
+                    requestedUrls.push(url);
+                    return { ok: true, json: async () => ({ track: track }) };
+                };
+            };
+            window.testTrack = [
+                { latitude: 24.0, longitude: -77.0, speed: 0.5, timestamp: '2026-01-01T00:00:00Z' },
+                { latitude: 24.1, longitude: -77.0, speed: 0.5, timestamp: '2026-01-01T01:00:00Z' },
+                { latitude: 24.2, longitude: -77.0, speed: 5, timestamp: '2026-01-01T02:00:00Z' },
+                { latitude: 24.3, longitude: -77.0, speed: 5, timestamp: '2026-01-01T03:00:00Z' },
+                { latitude: 24.4, longitude: -77.0, speed: 12, timestamp: '2026-01-01T04:00:00Z' }
+            ];
+        }");
+    }
+
+    #region fetchTrack Tests
+
+    [Test]
+    [Description("Verifies fetchTrack drops incomplete positions and sorts the rest by time")]
+    public async Task FetchTrack_DropsIncompletePositionsAndSorts()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<FetchResult>(@"
+            async () => {
+                stubTrack([
+                    { latitude: 24.2, longitude: -77.0, timestamp: '2026-01-01T02:00:00Z' },
+                    { latitude: null, longitude: -77.0, timestamp: '2026-01-01T03:00:00Z' },
+                    { latitude: 24.0, longitude: -77.0, timestamp: '2026-01-01T00:00:00Z' },
+                    { latitude: 24.1, longitude: -77.0 }
+                ]);
+                const positions = await vesselTrackPlayer.fetchTrack('311 000', 12);
+                return { url: requestedUrls[0], lats: positions.map(p => p.lat) };
+            }
+        ");
+
+        // Assert
+        result.Url.Should().Be("/api/ais/vessels/311%20000/track?hours=12");
+        result.Lats.Should().Equal(24.0, 24.2);
+    }
+
+    [Test]
+    [Description("Verifies fetchTrack reports the HTTP status of a failed request")]
+    public async Task FetchTrack_ThrowsOnHttpError()
+    {
+        // Act
+        var error = await Page.EvaluateAsync<string>(@"
+            async () => {
+                window.fetch = async () => ({ ok: false, status: 404 });
+                try {
+                    await vesselTrackPlayer.fetchTrack('311000', 24);
+                    return null;
+                } catch (e) {
+                    return e.message;
+                }
+            }
+        ");
+
+        // Assert
+        error.Should().Contain("HTTP 404");
+    }
+
+    #endregion
+
+    #region getSpeedBand Tests
+
+    [Test]
+    [Description("Verifies speeds fall into the band whose upper limit they are below")]
+    public async Task GetSpeedBand_UsesUpperLimits()
+    {
+        // Act
+        var bands = await Page.EvaluateAsync<string[]>(
+            "[0.5, 1, 3.9, 4, 9.9, 10, null].map(speed => vesselTrackPlayer.getSpeedBand(speed).key)");
+
+        // Assert
+        bands.Should().Equal("drifting", "fishing", "fishing", "transit", "transit", "fast", "drifting");
+    }
+
+    #endregion
+
+    #region Player Tests
+
+    [Test]
+    [Description("Verifies load returns null when the track has fewer than two positions")]
+    public async Task Load_ReturnsNullForShortTrack()
+    {
+        // Act
+        var isNull = await Page.EvaluateAsync<bool>(@"
+            async () => {
+                stubTrack([testTrack[0]]);
+                return await vesselTrackPlayer.load(testMap, '311000') === null;
+            }
+        ");
+
+        // Assert
+        isNull.Should().BeTrue();
+    }
+
+    [Test]
+    [Description("Verifies consecutive segments in one speed band share a polyline colored for that band")]
+    public async Task Load_DrawsOneLinePerSpeedBandRun()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<LineResult>(@"
+            async () => {
+                stubTrack(testTrack);
+                const player = await vesselTrackPlayer.load(testMap, '311000');
+                return {
+                    bands: player.trackLines.map(line => line.speedBand.key),
+                    points: player.trackLines.map(line => line.getLatLngs().length),
+                    colorsMatch: player.trackLines.every(line => line.options.color === vesselTrackPlayer.getBandColor(line.speedBand))
+                };
+            }
+        ");
+
+        // Assert
+        result.Bands.Should().Equal(new[] { "drifting", "transit" }, "each segment takes the speed at its start");
+        result.Points.Should().Equal(3, 3);
+        result.ColorsMatch.Should().BeTrue();
+    }
+
+    [Test]
+    [Description("Verifies seek interpolates the vessel position and moves the scrubber")]
+    public async Task Seek_InterpolatesPosition()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<SeekResult>(@"
+            async () => {
+                stubTrack(testTrack);
+                const player = await vesselTrackPlayer.load(testMap, '311000');
+                player.seek(Date.parse('2026-01-01T01:30:00Z'));
+                const position = player.vesselMarker.getLatLng();
+                const atMiddle = { lat: position.lat, range: Number(player.elements.range.value) };
+                player.seek(Date.parse('2027-01-01T00:00:00Z'));
+                return { ...atMiddle, clampedLat: player.vesselMarker.getLatLng().lat };
+            }
+        ");
+
+        // Assert
+        result.Lat.Should().BeApproximately(24.15, 1e-9, "half an hour after 01:00 is halfway to the next position");
+        result.Range.Should().Be(375, "01:30 is 37.5% of a four-hour track");
+        result.ClampedLat.Should().BeApproximately(24.4, 1e-9, "seeking past the end stops at the last position");
+    }
+
+    [Test]
+    [Description("Verifies MPA crossings get scrubber ticks and restricted segments get a halo")]
+    public async Task Load_MarksCrossingsAndRestrictedSegments()
+    {
+        // Act
+        var result = await Page.EvaluateAsync<int[]>(@"
+            async () => {
+                stubTrack(testTrack);
+                const mpaIndex = {
+                    classifyTrack: () => ({
+                        segments: [{ index: 0, isRestricted: false }, { index: 1, isRestricted: true }],
+                        crossings: [
+                            { type: 'entry', time: '2026-01-01T01:30:00Z', mpa: { name: 'Andros Core' } },
+                            { type: 'exit', time: '2026-01-01T02:30:00Z', mpa: { name: 'Andros Core' } }
+                        ]
+                    })
+                };
+                const markers = [];
+                const player = await vesselTrackPlayer.load(testMap, '311000', {
+                    mpaIndex: mpaIndex,
+                    createCrossingMarker: crossing => { markers.push(crossing); return L.layerGroup(); }
+                });
+                return [
+                    document.querySelectorAll('.track-player-tick-entry').length,
+                    document.querySelectorAll('.track-player-tick-exit').length,
+                    player.restrictedLines.length,
+                    markers.length
+                ];
+            }
+        ");
+
+        // Assert
+        result.Should().Equal(1, 1, 1, 2);
+    }
+
+    #endregion
+
+    private class FetchResult
+    {
+        public string Url { get; set; } = "";
+        public double[] Lats { get; set; } = Array.Empty<double>();
+    }
+
+    private class LineResult
+    {
+        public string[] Bands { get; set; } = Array.Empty<string>();
+        public int[] Points { get; set; } = Array.Empty<int>();
+        public bool ColorsMatch { get; set; }
+    }
+
+    private class SeekResult
+    {
+        public double Lat { get; set; }
+        public int Range { get; set; }
+        public double ClampedLat { get; set; }
+    }
+}
@@ -0,0 +1,163 @@
+using System.Net;
+using System.Net.Http.Headers;
+using System.Net.Http.Json;
+using System.Text.Json;
+using CoralLedger.Blue.Web.Endpoints.Auth;
+using FluentAssertions;
+
+namespace CoralLedger.Blue.IntegrationTests;
+
+public class BasemapEndpointsTests : IClassFixture<CustomWebApplicationFactory>
+{
+    private readonly CustomWebApplicationFactory _factory;
+    private readonly HttpClient _client;
+
+    public BasemapEndpointsTests(CustomWebApplicationFactory factory)
+    {
+        _factory = factory;
+        _client = factory.CreateClient();
+    }
+
+    private async Task<HttpClient> GetAuthenticatedAdminClientAsync()
+    {
+        var loginRequest = new
+        {
+            Email = CustomWebApplicationFactory.AdminEmail,
+            Password = CustomWebApplicationFactory.AdminPassword,
+            TenantId = _factory.DefaultTenantId
+        };
+
+        var loginResponse = await _client.PostAsJsonAsync("/api/auth/login", loginRequest);
+        loginResponse.EnsureSuccessStatusCode();
+
+        var authResponse = await loginResponse.Content.ReadFromJsonAsync<AuthResponse>();
+        authResponse.Should().NotBeNull();
+
+        var authenticatedClient = _factory.CreateClient();
+        authenticatedClient.DefaultRequestHeaders.Authorization =
+            new AuthenticationHeaderValue("Bearer", authResponse!.AccessToken);
+
+        return authenticatedClient;
+    }
+
+    [Fact]
+    public async Task SaveBasemap_AsAdmin_IsListedForAnonymousUsers()
+    {
+        // Arrange
+        var admin = await GetAuthenticatedAdminClientAsync();
+        var request = new
+        {
+            Name = "GEBCO Bathymetry",
+            Type = "wms",
+            Url = "https://wms.gebco.net/mapserv",
+            Layers = "GEBCO_LATEST",
+            MinZoom = 3,
+            MaxZoom = 12
+        };
+
+        // Act
+        var saveResponse = await admin.PutAsJsonAsync("/api/basemaps/bathymetry", request);
+        var listResponse = await _client.GetAsync("/api/basemaps");
+
+        // Assert
+        saveResponse.StatusCode.Should().Be(HttpStatusCode.Created);
+        listResponse.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        using var json = JsonDocument.Parse(await listResponse.Content.ReadAsStringAsync());
+        var source = json.RootElement.EnumerateArray().Single(s => s.GetProperty("id").GetString() == "bathymetry");
+        source.GetProperty("type").GetString().Should().Be("wms");
+        source.GetProperty("layers").GetString().Should().Be("GEBCO_LATEST");
+        source.GetProperty("maxZoom").GetInt32().Should().Be(12);
+    }
+
+    [Fact]
+    public async Task SaveBasemap_ExistingKey_UpdatesInPlace()
+    {
+        // Arrange
+        var admin = await GetAuthenticatedAdminClientAsync();
+        await admin.PutAsJsonAsync("/api/basemaps/nautical", new { Name = "Charts", Url = "https://tiles.example.com/{z}/{x}/{y}.png" });
+
+        // Act
+        var response = await admin.PutAsJsonAsync("/api/basemaps/nautical",
+            new { Name = "Nautical Charts", Url = "https://tiles.example.com/{z}/{x}/{y}.png" });
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        using var json = JsonDocument.Parse(await _client.GetStringAsync("/api/basemaps"));
+        json.RootElement.EnumerateArray()
+            .Where(s => s.GetProperty("id").GetString() == "nautical")
+            .Select(s => s.GetProperty("name").GetString())
+            .Should().Equal("Nautical Charts");
+    }
+
+    [Theory]
+    [InlineData("dark", "https://tiles.example.com/{z}/{x}/{y}.png", "xyz")]
+    [InlineData("bad key", "https://tiles.example.com/{z}/{x}/{y}.png", "xyz")]
+    [InlineData("relative", "/tiles/{z}/{x}/{y}.png", "xyz")]
+    [InlineData("mbtiles", "https://tiles.example.com/{z}/{x}/{y}.png", "mbtiles")]
+    [InlineData("no-layers", "https://wms.example.com/wms", "wms")]
+    public async Task SaveBasemap_InvalidSource_ReturnsBadRequest(string key, string url, string type)
+    {
+        // Arrange
+        var admin = await GetAuthenticatedAdminClientAsync();
+
+        // Act
+        var response = await admin.PutAsJsonAsync($"/api/basemaps/{Uri.EscapeDataString(key)}",
+            new { Name = "Invalid", Url = url, Type = type });
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
+    [Fact]
+    public async Task SaveBasemap_OverlongUrl_ReturnsBadRequest()
+    {
+        // Arrange
+        var admin = await GetAuthenticatedAdminClientAsync();
+        var url = "https://tiles.example.com/{z}/{x}/{y}.png?key=" + new string('a', 2000);
+
+        // Act
+        var response = await admin.PutAsJsonAsync("/api/basemaps/overlong",
+            new { Name = "Overlong", Url = url });
+
+        // Assert - Rejected before it reaches the 2000-character column
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+        (await response.Content.ReadAsStringAsync()).Should().Contain("2000 characters");
+        (await _client.GetStringAsync("/api/basemaps")).Should().NotContain("overlong");
+    }
+
+    [Fact]
+    public async Task SaveBasemap_WithoutAuthentication_ReturnsUnauthorized()
+    {
+        // Arrange - Create a client that doesn't follow redirects
+        var noRedirectClient = _factory.CreateClient(new Microsoft.AspNetCore.Mvc.Testing.WebApplicationFactoryClientOptions
+        {
+            AllowAutoRedirect = false
+        });
+
+        // Act
+        var response = await noRedirectClient.PutAsJsonAsync("/api/basemaps/nautical",
+            new { Name = "Nautical Charts", Url = "https://tiles.example.com/{z}/{x}/{y}.png" });
+
+        // Assert - Should redirect to login (302) or return 401 Unauthorized
+        response.StatusCode.Should().BeOneOf(HttpStatusCode.Unauthorized, HttpStatusCode.Redirect);
+    }
+
+    [Fact]
+    public async Task DeleteBasemap_AsAdmin_RemovesSource()
+    {
+        // Arrange
+        var admin = await GetAuthenticatedAdminClientAsync();
+        await admin.PutAsJsonAsync("/api/basemaps/temporary", new { Name = "Temporary", Url = "https://tiles.example.com/{z}/{x}/{y}.png" });
+
+        // Act
+        var deleteResponse = await admin.DeleteAsync("/api/basemaps/temporary");
+        var secondDelete = await admin.DeleteAsync("/api/basemaps/temporary");
+
+        // Assert
+        deleteResponse.StatusCode.Should().Be(HttpStatusCode.NoContent);
+        secondDelete.StatusCode.Should().Be(HttpStatusCode.NotFound);
+        (await _client.GetStringAsync("/api/basemaps")).Should().NotContain("temporary");
+    }
+}
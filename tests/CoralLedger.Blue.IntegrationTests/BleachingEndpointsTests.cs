@@ -0,0 +1,95 @@
+using System.Net;
+using System.Text.Json;
+using CoralLedger.Blue.Application.Common.Interfaces;
+using CoralLedger.Blue.Application.Common.Models;
+using FluentAssertions;
+using Microsoft.AspNetCore.TestHost;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.DependencyInjection.Extensions;
+using Moq;
+
+namespace CoralLedger.Blue.IntegrationTests;
+
+/// <summary>
+/// Tests for /api/bleaching/bahamas against a stubbed Coral Reef Watch client, so results don't depend on NOAA
+/// </summary>
+public class BleachingEndpointsTests : IClassFixture<CustomWebApplicationFactory>
+{
+    // 120 points under some heat stress and 30 without, more than the 100 the default response keeps
+    private static readonly List<CrwBleachingData> BahamasData = Enumerable.Range(0, 150)
+        .Select(i => new CrwBleachingData
+        {
+            Longitude = -79 + i * 0.02,
+            Latitude = 23 + i * 0.02,
+            Date = new DateOnly(2026, 8, 1),
+            SeaSurfaceTemperature = 29 + i * 0.01,
+            DegreeHeatingWeek = i < 120 ? i * 0.1 : 0,
+            AlertLevel = i < 120 ? 1 + i % 3 : 0
+        })
+        .ToList();
+
+    private readonly HttpClient _client;
+
+    public BleachingEndpointsTests(CustomWebApplicationFactory factory)
+    {
+        var crwClient = new Mock<ICoralReefWatchClient>();
+        crwClient
+            .Setup(c => c.GetBahamasBleachingAlertsAsync(It.IsAny<DateOnly?>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(ServiceResult<IEnumerable<CrwBleachingData>>.Ok(BahamasData));
+
+        _client = factory.WithWebHostBuilder(builder => builder.ConfigureTestServices(services =>
+        {
+            services.RemoveAll<ICoralReefWatchClient>();
+            services.AddSingleton(crwClient.Object);
+        })).CreateClient();
+    }
+
+    [Fact]
+    public async Task GetBahamasBleaching_ByDefault_ReturnsTop100AlertPointsByDhw()
+    {
+        // Act
+        var response = await _client.GetAsync("/api/bleaching/bahamas");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        using var json = JsonDocument.Parse(await response.Content.ReadAsStringAsync());
+        json.RootElement.GetProperty("totalDataPoints").GetInt32().Should().Be(150);
+
+        var data = json.RootElement.GetProperty("data").EnumerateArray().ToList();
+        data.Should().HaveCount(100);
+        data.Should().OnlyContain(d => d.GetProperty("alertLevel").GetInt32() > 0);
+        data.Select(d => d.GetProperty("degreeHeatingWeek").GetDouble()).Should().BeInDescendingOrder();
+    }
+
+    [Fact]
+    public async Task GetBahamasBleaching_WithIncludeAll_ReturnsEveryPointUnfiltered()
+    {
+        // Act
+        var response = await _client.GetAsync("/api/bleaching/bahamas?includeAll=true");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        using var json = JsonDocument.Parse(await response.Content.ReadAsStringAsync());
+        json.RootElement.GetProperty("totalDataPoints").GetInt32().Should().Be(150);
+
+        var data = json.RootElement.GetProperty("data").EnumerateArray().ToList();
+        data.Should().HaveCount(150, "includeAll should not truncate to 100 points");
+        data.Count(d => d.GetProperty("alertLevel").GetInt32() == 0).Should().Be(30,
+            "includeAll should keep points without heat stress for interpolated surfaces");
+    }
+
+    [Fact]
+    public async Task GetBahamasBleaching_WithIncludeAllFalse_MatchesDefault()
+    {
+        // Act
+        var response = await _client.GetAsync("/api/bleaching/bahamas?includeAll=false");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        using var json = JsonDocument.Parse(await response.Content.ReadAsStringAsync());
+        json.RootElement.GetProperty("data").GetArrayLength().Should().Be(100);
+    }
+}
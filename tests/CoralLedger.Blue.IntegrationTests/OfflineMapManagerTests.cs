@@ -153,8 +153,9 @@ public class OfflineMapManagerTests : IClassFixture<CustomWebApplicationFactory>
 
         // Assert
         response.StatusCode.Should().Be(HttpStatusCode.OK, "tile-cache.js should be accessible");
-        // Verify the download loop checks quotaExceeded and breaks
-        content.Should().Contain("if (quotaExceeded)", "tile-cache.js should check quotaExceeded flag in download loop");
+        // Verify a quota error stops every worker and is reported as the reason the job stopped
+        content.Should().Contain("stop('quota_exceeded')", "tile-cache.js should stop the download when storage quota is exceeded");
+        content.Should().Contain("quotaExceeded: stopReason === 'quota_exceeded'", "tile-cache.js should report quotaExceeded from the stop reason");
         content.Should().Contain("Storage quota exceeded", "tile-cache.js should provide user-friendly quota exceeded message");
     }
 
@@ -181,8 +182,58 @@ public class OfflineMapManagerTests : IClassFixture<CustomWebApplicationFactory>
 
         // Assert
         response.StatusCode.Should().Be(HttpStatusCode.OK, "tile-cache.js should be accessible");
-        content.Should().Contain("abortSignal?.aborted", "tile-cache.js should check if abort signal is aborted in download loop");
-        content.Should().Contain("cancelled = true", "tile-cache.js should set cancelled flag when aborted");
+        content.Should().Contain("abortSignal?.aborted", "tile-cache.js should check if abort signal is aborted before downloading");
+        content.Should().Contain("!signal.aborted", "tile-cache.js should stop taking tiles from the queue once aborted");
+        content.Should().Contain("stop('cancelled')", "tile-cache.js should record cancellation as the reason the job stopped");
+        content.Should().Contain("cancelled: stopReason === 'cancelled'", "tile-cache.js should report cancelled from the stop reason");
+    }
+
+    [Fact]
+    public async Task TileCacheScript_ResumesJobFromRemainingTiles()
+    {
+        // Act
+        var response = await _client.GetAsync("/js/tile-cache.js");
+        var content = await response.Content.ReadAsStringAsync();
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK, "tile-cache.js should be accessible");
+        content.Should().Contain("const queue = job.remaining.slice()", "tile-cache.js should only download the tiles a job still has left");
+        content.Should().Contain("job.remaining = remaining()", "tile-cache.js should save the tiles left when a job stops");
+        content.Should().Contain("Resuming download", "tile-cache.js should continue a saved job for the same region");
+        content.Should().Contain("resumeJob", "tile-cache.js should have resumeJob method");
+    }
+
+    [Fact]
+    public async Task TileCacheScript_PersistsDownloadJobs()
+    {
+        // Act
+        var response = await _client.GetAsync("/js/tile-cache.js");
+        var content = await response.Content.ReadAsStringAsync();
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK, "tile-cache.js should be accessible");
+        content.Should().Contain("jobStoreName: 'downloadJobs'", "tile-cache.js should keep download jobs in their own object store");
+        content.Should().Contain("saveJob", "tile-cache.js should checkpoint jobs while they run");
+        content.Should().Contain("getJobs", "tile-cache.js should list unfinished jobs");
+        content.Should().Contain("deleteJob", "tile-cache.js should let users forget a job");
+        content.Should().Contain("resumePendingJobs", "tile-cache.js should resume jobs interrupted by a reload or lost connection");
+        content.Should().Contain("addEventListener('online'", "tile-cache.js should resume interrupted jobs when the connection comes back");
+    }
+
+    [Fact]
+    public async Task TileCacheScript_RetriesFailedTilesWithBackoff()
+    {
+        // Act
+        var response = await _client.GetAsync("/js/tile-cache.js");
+        var content = await response.Content.ReadAsStringAsync();
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK, "tile-cache.js should be accessible");
+        content.Should().Contain("retryStatuses: [408, 425, 429, 500, 502, 503, 504]", "tile-cache.js should retry rate limits and server errors");
+        content.Should().Contain("maxRetries", "tile-cache.js should cap retries per tile");
+        content.Should().Contain("retryBaseDelay * Math.pow(2, attempt)", "tile-cache.js should back off exponentially between retries");
+        content.Should().Contain("Retry-After", "tile-cache.js should honor the server's Retry-After header");
+        content.Should().Contain("this.wait(delay, abortSignal)", "tile-cache.js should let cancellation interrupt a backoff wait");
     }
 
     [Fact]
@@ -209,7 +260,7 @@ public class OfflineMapManagerTests : IClassFixture<CustomWebApplicationFactory>
         // Both downloadCurrentView and downloadRegion should have abort signal support via getAbortSignal()
         content.Should().Contain("downloadCurrentView: async function(mapId, minZoom, maxZoom, dotNetHelper)",
             "downloadCurrentView should accept required parameters without unused signal parameter");
-        content.Should().Contain("downloadRegion: async function(bounds, minZoom, maxZoom, theme, dotNetHelper)",
+        content.Should().Contain("downloadRegion: async function(region, minZoom, maxZoom, theme, dotNetHelper)",
             "downloadRegion should accept required parameters without unused signal parameter");
         content.Should().Contain("getAbortSignal", "leaflet-map.js should have getAbortSignal method");
         content.Should().Contain("createAbortController", "leaflet-map.js should have createAbortController method");